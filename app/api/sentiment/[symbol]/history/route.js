@@ -0,0 +1,87 @@
+import { NextResponse } from 'next/server';
+
+/**
+ * API configuration
+ * - fetchLunarCrush: Cached LunarCrush client (reads the API token from .env.local)
+ * - historyQuerySchema: Allowed query parameters for this endpoint
+ */
+import { fetchLunarCrush } from '@/app/services/lunarcrushServer';
+import {
+	ValidationError,
+	coinSymbol,
+	parseQuery,
+	historyQuerySchema,
+} from '@/app/utils/validation';
+import { UpstreamError } from '@/app/utils/upstream';
+
+/**
+ * GET handler for the coin history endpoint
+ *
+ * This function fetches time-series data for a single coin from the
+ * LunarCrush API. It accepts `interval` (e.g., 1d, 1w, 1m) and optional
+ * `start` / `end` Unix timestamps (in seconds).
+ *
+ * @param {Request} request - The incoming HTTP request
+ * @param {Object} context - Route context containing the `symbol` param
+ * @returns {Response} JSON response with time-series data or error message
+ */
+export async function GET(request, { params }) {
+	try {
+		// Step 1: Validate the symbol and the query parameters
+		const symbol = coinSymbol()((await params).symbol, 'symbol');
+		const { searchParams } = new URL(request.url);
+		const { interval, start, end } = parseQuery(
+			searchParams,
+			historyQuerySchema
+		);
+
+		if (start != null && end != null && start >= end) {
+			throw new ValidationError('start', 'start must be before end');
+		}
+
+		// Short ranges use hourly buckets, longer ones daily
+		const bucket = interval === '1d' || interval === '1w' ? 'hour' : 'day';
+
+		// Step 2: Construct the API URL with query parameters
+		const query = new URLSearchParams({ bucket, interval });
+		if (start != null) query.append('start', String(start));
+		if (end != null) query.append('end', String(end));
+
+		const coin = encodeURIComponent(symbol.toLowerCase());
+
+		// Step 3: Serve from cache, or make the API request
+		// Sparklines request the same ranges over and over, so the cache saves a lot of quota
+		const { value, status, age } = await fetchLunarCrush(
+			`coins/${coin}/time-series/v2?${query.toString()}`
+		);
+
+		// Step 4: Return the JSON data with cache headers
+		return NextResponse.json(value, {
+			headers: {
+				'X-Cache': status,
+				Age: String(age),
+			},
+		});
+	} catch (error) {
+		// Bad input is the caller's problem, not a server error
+		if (error instanceof ValidationError) {
+			return NextResponse.json(error.toJSON(), { status: 400 });
+		}
+
+		// Error handling
+		console.error('Failed to fetch coin history:', error);
+
+		// LunarCrush failures say what went wrong (missing key, rate limit, ...)
+		if (error instanceof UpstreamError) {
+			return NextResponse.json(error.toJSON(), {
+				status: error.status,
+				headers: error.headers,
+			});
+		}
+
+		return NextResponse.json(
+			{ error: 'Failed to fetch history' },
+			{ status: 500 }
+		);
+	}
+}
@@ -0,0 +1,63 @@
+import { NextResponse } from 'next/server';
+
+import { loadCoinList } from '@/app/services/providers';
+import { buildExport } from '@/app/utils/export';
+import { ValidationError, parseExportQuery } from '@/app/utils/validation';
+import { UpstreamError } from '@/app/utils/upstream';
+
+/**
+ * GET handler for the export endpoint
+ *
+ * Returns the same coins as /api/sentiment as a downloadable file, so the
+ * data can be pulled straight into scripts and spreadsheets:
+ *
+ *   /api/sentiment/export?format=csv&sort=sentiment&desc=1&limit=50
+ *
+ * Accepts every /api/sentiment parameter, plus:
+ * - `format`: csv (default), json or xlsx
+ * - `columns`: comma-separated column keys (e.g., symbol,price,sentiment)
+ *
+ * @param {Request} request - The incoming HTTP request
+ * @returns {Response} The export file, or a JSON error
+ */
+export async function GET(request) {
+	try {
+		// Step 1: Validate query parameters (throws ValidationError on bad input)
+		const { searchParams } = new URL(request.url);
+		const { format, columns, ...params } = parseExportQuery(searchParams);
+
+		// Step 2: Load the coins from the data providers
+		const result = await loadCoinList(params);
+
+		// Step 3: Build the file and send it as a download
+		const file = buildExport(result.value.data, { format, columns });
+		return new NextResponse(file.body, {
+			headers: {
+				'Content-Type': file.mimeType,
+				'Content-Disposition': `attachment; filename="${file.filename}"`,
+				'X-Cache': result.status,
+				Age: String(result.age),
+			},
+		});
+	} catch (error) {
+		// Bad input is the caller's problem, not a server error
+		if (error instanceof ValidationError) {
+			return NextResponse.json(error.toJSON(), { status: 400 });
+		}
+
+		console.error('Failed to export sentiment data:', error);
+
+		// LunarCrush failures say what went wrong (missing key, rate limit, ...)
+		if (error instanceof UpstreamError) {
+			return NextResponse.json(error.toJSON(), {
+				status: error.status,
+				headers: error.headers,
+			});
+		}
+
+		return NextResponse.json(
+			{ error: 'Failed to fetch data' },
+			{ status: 500 }
+		);
+	}
+}
@@ -1,74 +1,106 @@
-import { NextResponse } from 'next/server';
+import { NextResponse, after } from 'next/server';
 
 /**
  * API configuration
- * - API_TOKEN: The authentication token from your .env.local file
- * - BASE_URL: The base URL for the LunarCrush API
- * - DEFAULT_LIMIT: Default number of coins to fetch if not specified
+ * - loadCoinList: Joins coins from the data providers (LunarCrush, plus an optional static file)
+ * - getRateLimit: Quota left on the API key, as last reported by LunarCrush
+ * - parseSentimentQuery / includeQuerySchema: Validate the query string
+ * - withSignals: Adds derived trend signals to each coin (include=signals)
  */
-import { DEFAULT_LIMIT, API_TOKEN, BASE_URL } from '@/app/constants';
+import { loadCoinList } from '@/app/services/providers';
+import { getRateLimit } from '@/app/services/lunarcrushServer';
+import { recordSnapshot } from '@/app/services/snapshotStore';
+import {
+	ValidationError,
+	includeQuerySchema,
+	parseQuery,
+	parseSentimentQuery,
+} from '@/app/utils/validation';
+import { UpstreamError, rateLimitHeaders } from '@/app/utils/upstream';
+import { describeSource } from '@/app/utils/dataSource';
+import { withSignals } from '@/app/utils/signals';
 
 /**
  * GET handler for the sentiment endpoint
  *
  * This function fetches cryptocurrency sentiment data from the LunarCrush API.
- * It accepts query parameters for sorting order and limiting results.
+ * It accepts query parameters for sorting, limiting and paging results
+ * (`sort`, `desc`, `limit`, `offset` / `page`), or a comma-separated
+ * `symbols` list to load specific coins. Invalid parameters get a
+ * 400 response shaped like `{ error: { code, field, message } }`.
+ * Responses are cached per query and carry `X-Cache` (HIT, MISS or STALE)
+ * and `Age` headers, a `meta` block saying whether the data is live or
+ * cached (`{ source, cache, age, stale }`), plus `X-RateLimit-*` headers with the LunarCrush quota
+ * left. LunarCrush failures get a distinct `code` (e.g.,
+ * UPSTREAM_UNAUTHORIZED, UPSTREAM_RATE_LIMITED) in
+ * `{ error: { code, message } }`. With `include=signals`, every coin also
+ * gets a `signals` object (galaxy momentum, AltRank velocity,
+ * social/market dominance ratio and divergence flags - see
+ * utils/signals.js). When SNAPSHOT_FILE is set, each new
+ * response is also recorded for the dashboard's Compare mode, after the
+ * response has been sent. Coins are
+ * joined from every data provider by symbol: each coin's `sources` names
+ * the provider behind each field, and `meta.providers` lists which
+ * providers answered, so a LunarCrush outage still returns market data
+ * when STATIC_COINS_FILE is set.
  *
  * @param {Request} request - The incoming HTTP request
  * @returns {Response} JSON response with cryptocurrency data or error message
  */
 export async function GET(request) {
 	try {
-		// Step 1: Check if API token is available
-		if (!API_TOKEN) {
-			throw new Error(
-				'API_TOKEN is missing. Please set LUNARCRUSH_API_TOKEN in .env.local'
-			);
-		}
-
-		// Step 2: Extract query parameters from the URL
+		// Step 1: Validate query parameters (throws ValidationError on bad input)
 		const { searchParams } = new URL(request.url);
+		const params = parseSentimentQuery(searchParams);
+		const { include } = parseQuery(searchParams, includeQuerySchema);
 
-		// 'desc=1' means sort in descending order
-		const desc = searchParams.get('desc') === '1' ? 1 : 0;
-
-		// Get the limit or use default
-		const limit = searchParams.get('limit')
-			? parseInt(searchParams.get('limit'))
-			: DEFAULT_LIMIT;
+		// Step 2: Serve from cache, or ask the data providers
+		const result = await loadCoinList(params);
 
-		// Step 3: Construct the API URL with query parameters
-		const apiUrl = `${BASE_URL}coins/list/v1?sort=alt_rank&limit=${limit}${
-			desc ? '&desc=1' : ''
-		}`;
+		// Step 3: Record new responses for Compare mode once the response is
+		// sent (never delays or fails the request)
+		after(() =>
+			recordSnapshot(params, result.value).catch((error) =>
+				console.error('Failed to record snapshot:', error)
+			)
+		);
 
-		// Step 4: Make the API request
-		const response = await fetch(apiUrl, {
-			headers: {
-				Authorization: `Bearer ${API_TOKEN}`,
-				'Content-Type': 'application/json',
-			},
-		});
+		// Step 4: Add the derived signals if they were asked for
+		const body = include.includes('signals')
+			? { ...result.value, data: withSignals(result.value.data) }
+			: result.value;
 
-		// Step 5: Check for successful response
-		if (!response.ok) {
-			throw new Error(`API Error: ${response.status}`);
+		// Step 5: Return the JSON data with its source, and cache and quota headers
+		return NextResponse.json(
+			{ ...body, meta: describeSource(result) },
+			{
+				headers: {
+					'X-Cache': result.status,
+					Age: String(result.age),
+					...rateLimitHeaders(getRateLimit()),
+				},
+			}
+		);
+	} catch (error) {
+		// Bad input is the caller's problem, not a server error
+		if (error instanceof ValidationError) {
+			return NextResponse.json(error.toJSON(), { status: 400 });
 		}
 
-		// Step 6: Parse and return the JSON data
-		const data = await response.json();
-		return NextResponse.json(data);
-	} catch (error) {
 		// Error handling
 		console.error('Failed to fetch sentiment data:', error);
-		let errorMessage = 'Failed to fetch data';
 
-		// Provide a more helpful error message for missing API token
-		if (error.message.includes('API_TOKEN is missing')) {
-			errorMessage =
-				'Missing API key. Please set LUNARCRUSH_API_TOKEN in .env.local';
+		// LunarCrush failures say what went wrong (missing key, rate limit, ...)
+		if (error instanceof UpstreamError) {
+			return NextResponse.json(error.toJSON(), {
+				status: error.status,
+				headers: { ...error.headers, ...rateLimitHeaders(getRateLimit()) },
+			});
 		}
 
-		return NextResponse.json({ error: errorMessage }, { status: 500 });
+		return NextResponse.json(
+			{ error: 'Failed to fetch data' },
+			{ status: 500 }
+		);
 	}
 }
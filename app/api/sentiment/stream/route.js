@@ -0,0 +1,90 @@
+import { NextResponse } from 'next/server';
+
+/**
+ * Stream configuration
+ * - subscribe: Shared server-side poller for each distinct query
+ * - parseSentimentQuery: Validates the query string (same params as /api/sentiment)
+ */
+import { subscribe } from '@/app/services/sentimentStream';
+import { ValidationError, parseSentimentQuery } from '@/app/utils/validation';
+import { STREAM_SETTINGS } from '@/app/constants';
+
+// Streams must never be cached or pre-rendered
+export const dynamic = 'force-dynamic';
+
+/**
+ * GET handler for the live sentiment stream
+ *
+ * Opens a Server-Sent Events connection. The client gets a `snapshot` event
+ * with the full list, then `diff` events containing only the coins that
+ * changed. Both carry the same `meta` block as /api/sentiment. Accepts the
+ * same query parameters as /api/sentiment.
+ *
+ * @param {Request} request - The incoming HTTP request
+ * @returns {Response} A text/event-stream response, or a 400 for bad parameters
+ */
+export async function GET(request) {
+	// Step 1: Validate query parameters before opening the stream
+	let params;
+	try {
+		params = parseSentimentQuery(new URL(request.url).searchParams);
+	} catch (error) {
+		if (error instanceof ValidationError) {
+			return NextResponse.json(error.toJSON(), { status: 400 });
+		}
+		throw error;
+	}
+
+	// Step 2: Wire the shared poller up to this client's stream
+	const encoder = new TextEncoder();
+	let cleanup = () => {};
+
+	const stream = new ReadableStream({
+		start(controller) {
+			const send = (text) => {
+				try {
+					controller.enqueue(encoder.encode(text));
+				} catch {
+					// The client went away between polls - cleanup will follow
+				}
+			};
+
+			// SSE format: "event: <name>\ndata: <json>\n\n"
+			const unsubscribe = subscribe(params, ({ type, data }) =>
+				send(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+			);
+
+			// Comment lines keep idle connections open through proxies
+			const keepAlive = setInterval(
+				() => send(': ping\n\n'),
+				STREAM_SETTINGS.KEEP_ALIVE
+			);
+
+			cleanup = () => {
+				clearInterval(keepAlive);
+				unsubscribe();
+			};
+
+			// Step 3: Stop pushing when the browser disconnects
+			request.signal.addEventListener('abort', () => {
+				cleanup();
+				try {
+					controller.close();
+				} catch {
+					// Already closed
+				}
+			});
+		},
+		cancel() {
+			cleanup();
+		},
+	});
+
+	return new Response(stream, {
+		headers: {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache, no-transform',
+			Connection: 'keep-alive',
+		},
+	});
+}
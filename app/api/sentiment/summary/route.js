@@ -0,0 +1,75 @@
+import { NextResponse } from 'next/server';
+
+import { loadCoinList } from '@/app/services/providers';
+import { summarizeMarket } from '@/app/utils/marketSummary';
+import { describeSource } from '@/app/utils/dataSource';
+import {
+	ValidationError,
+	parseQuery,
+	parseSentimentQuery,
+	summaryQuerySchema,
+} from '@/app/utils/validation';
+import { UpstreamError } from '@/app/utils/upstream';
+
+/**
+ * GET handler for the market summary endpoint
+ *
+ * Returns the same aggregates as the dashboard's summary strip for the
+ * coins /api/sentiment would return:
+ *
+ *   /api/sentiment/summary?limit=100&top=5
+ *
+ * Accepts every /api/sentiment parameter, plus `top` (1-20, default 3) for
+ * the length of the gainers, losers and AltRank climbers lists. The body
+ * is `{ config, summary, meta }` - see summarizeMarket in
+ * utils/marketSummary.js for the shape of `summary`.
+ *
+ * @param {Request} request - The incoming HTTP request
+ * @returns {Response} JSON summary, or a JSON error
+ */
+export async function GET(request) {
+	try {
+		// Step 1: Validate query parameters (throws ValidationError on bad input)
+		const { searchParams } = new URL(request.url);
+		const params = parseSentimentQuery(searchParams);
+		const { top } = parseQuery(searchParams, summaryQuerySchema);
+
+		// Step 2: Load the coins from the data providers
+		const result = await loadCoinList(params);
+
+		// Step 3: Summarize them
+		return NextResponse.json(
+			{
+				config: result.value.config,
+				summary: summarizeMarket(result.value.data, { top }),
+				meta: describeSource(result),
+			},
+			{
+				headers: {
+					'X-Cache': result.status,
+					Age: String(result.age),
+				},
+			}
+		);
+	} catch (error) {
+		// Bad input is the caller's problem, not a server error
+		if (error instanceof ValidationError) {
+			return NextResponse.json(error.toJSON(), { status: 400 });
+		}
+
+		console.error('Failed to summarize sentiment data:', error);
+
+		// LunarCrush failures say what went wrong (missing key, rate limit, ...)
+		if (error instanceof UpstreamError) {
+			return NextResponse.json(error.toJSON(), {
+				status: error.status,
+				headers: error.headers,
+			});
+		}
+
+		return NextResponse.json(
+			{ error: 'Failed to fetch data' },
+			{ status: 500 }
+		);
+	}
+}
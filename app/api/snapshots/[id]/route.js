@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+
+import {
+	SNAPSHOTS_DISABLED_MESSAGE,
+	getSnapshot,
+	snapshotsEnabled,
+} from '@/app/services/snapshotStore';
+import { ValidationError } from '@/app/utils/validation';
+
+/**
+ * GET handler for a single snapshot
+ *
+ * @param {Request} request - The incoming HTTP request
+ * @param {Object} context - Route context with the snapshot `id` param
+ * @returns {Response} JSON response shaped like `{ id, generated, query, data: [...] }`
+ */
+export async function GET(request, { params }) {
+	if (!snapshotsEnabled()) {
+		return NextResponse.json(
+			{ error: SNAPSHOTS_DISABLED_MESSAGE },
+			{ status: 501 }
+		);
+	}
+
+	try {
+		// Step 1: Validate the ID (e.g., 1749002977-alt_rank-asc-30-p0)
+		const { id } = await params;
+		if (!/^[\w-]{1,100}$/.test(id)) {
+			throw new ValidationError('id', 'id is not a valid snapshot ID');
+		}
+
+		// Step 2: Look it up
+		const snapshot = await getSnapshot(id);
+		if (!snapshot) {
+			return NextResponse.json(
+				{ error: `No snapshot with ID ${id}` },
+				{ status: 404 }
+			);
+		}
+		return NextResponse.json(snapshot);
+	} catch (error) {
+		if (error instanceof ValidationError) {
+			return NextResponse.json(error.toJSON(), { status: 400 });
+		}
+
+		console.error('Failed to read snapshot:', error);
+		return NextResponse.json(
+			{ error: 'Failed to read snapshot' },
+			{ status: 500 }
+		);
+	}
+}
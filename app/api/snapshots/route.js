@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+
+import {
+	SNAPSHOTS_DISABLED_MESSAGE,
+	listSnapshots,
+	snapshotsEnabled,
+} from '@/app/services/snapshotStore';
+
+/**
+ * GET handler for the snapshots endpoint
+ *
+ * Lists the recorded coin list snapshots (without their coin data),
+ * newest first.
+ *
+ * @returns {Response} JSON response shaped like `{ snapshots: [{ id, generated, query, count }] }`
+ */
+export async function GET() {
+	// 501 tells the dashboard to show setup instructions instead
+	if (!snapshotsEnabled()) {
+		return NextResponse.json(
+			{ error: SNAPSHOTS_DISABLED_MESSAGE },
+			{ status: 501 }
+		);
+	}
+
+	try {
+		const snapshots = await listSnapshots();
+		return NextResponse.json({ snapshots });
+	} catch (error) {
+		console.error('Failed to read snapshots:', error);
+		return NextResponse.json(
+			{ error: 'Failed to read snapshots' },
+			{ status: 500 }
+		);
+	}
+}
@@ -0,0 +1,90 @@
+import { NextResponse } from 'next/server';
+
+/**
+ * Watchlist configuration
+ * - WATCHLIST_FILE: Path to the shared watchlist JSON file (optional)
+ * - MAX_SYMBOLS: Most coins a watchlist can hold
+ */
+import { WATCHLIST_FILE, MAX_SYMBOLS } from '@/app/constants';
+import { readJsonFile, writeJsonFile } from '@/app/utils/fileStore';
+import { ValidationError, symbolList } from '@/app/utils/validation';
+
+/**
+ * Response sent when no WATCHLIST_FILE is configured
+ * The client treats this as "keep the watchlist in this browser only".
+ */
+const disabledResponse = () =>
+	NextResponse.json(
+		{
+			error:
+				'Server watchlist is disabled. Set WATCHLIST_FILE in .env.local to enable it.',
+		},
+		{ status: 501 }
+	);
+
+/**
+ * GET handler for the watchlist endpoint
+ *
+ * Returns the shared team watchlist stored on the server.
+ *
+ * @returns {Response} JSON response shaped like `{ symbols: ['BTC', 'ETH'] }`
+ */
+export async function GET() {
+	if (!WATCHLIST_FILE) return disabledResponse();
+
+	try {
+		const stored = await readJsonFile(WATCHLIST_FILE, { symbols: [] });
+		return NextResponse.json({ symbols: stored.symbols || [] });
+	} catch (error) {
+		console.error('Failed to read watchlist:', error);
+		return NextResponse.json(
+			{ error: 'Failed to read watchlist' },
+			{ status: 500 }
+		);
+	}
+}
+
+/**
+ * PUT handler for the watchlist endpoint
+ *
+ * Replaces the shared watchlist with the symbols in the request body.
+ *
+ * @param {Request} request - Request with a `{ symbols: [...] }` JSON body
+ * @returns {Response} The saved watchlist or an error message
+ */
+export async function PUT(request) {
+	if (!WATCHLIST_FILE) return disabledResponse();
+
+	try {
+		// Step 1: Validate the body with the same rule as the `symbols` query param
+		// (`null` and other non-object JSON bodies have no `symbols` either)
+		const body = await request.json().catch(() => null);
+		if (
+			!Array.isArray(body?.symbols) ||
+			!body.symbols.every((symbol) => typeof symbol === 'string')
+		) {
+			throw new ValidationError(
+				'symbols',
+				'symbols must be an array of strings'
+			);
+		}
+		const symbols = symbolList({ max: MAX_SYMBOLS })(
+			body.symbols.join(','),
+			'symbols'
+		);
+
+		// Step 2: Save and echo back the normalized list
+		await writeJsonFile(WATCHLIST_FILE, { symbols });
+		return NextResponse.json({ symbols });
+	} catch (error) {
+		if (error instanceof ValidationError) {
+			return NextResponse.json(error.toJSON(), { status: 400 });
+		}
+
+		console.error('Failed to save watchlist:', error);
+		return NextResponse.json(
+			{ error: 'Failed to save watchlist' },
+			{ status: 500 }
+		);
+	}
+}
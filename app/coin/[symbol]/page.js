@@ -0,0 +1,315 @@
+/**
+ * Coin Detail Page
+ * ================
+ *
+ * A shareable page for one coin at /coin/BTC. Unlike the modal on the
+ * dashboard, this page renders on the server, so it can be bookmarked,
+ * linked to, and previewed in chat apps and social media.
+ *
+ * Key concepts:
+ * 1. Server Component - data is fetched on the server (no API key in the browser)
+ * 2. generateMetadata - builds OpenGraph/Twitter tags for each coin
+ * 3. React `cache` - the page and its metadata share a single coin lookup
+ */
+
+import { cache } from 'react';
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import HistoryChart from '../../components/HistoryChart';
+import MetricValue from '../../components/MetricValue';
+import { loadCoinList } from '../../services/providers';
+import { getMockData } from '../../data/mockData';
+import { DEFAULT_SORT_FIELD, SITE_URL } from '../../constants';
+import {
+	formatNumber,
+	formatPrice,
+	formatPercentage,
+} from '../../utils/formatters';
+import { getCoinCategories } from '../../utils/filters';
+import { coinSymbol, ValidationError } from '../../utils/validation';
+
+/**
+ * Loads a coin from the data providers, falling back to mock data
+ *
+ * @param {string} rawSymbol - Symbol from the URL (any case, already decoded by Next)
+ * @returns {Promise<Object|null>} { coin, usedMockData }, or null if the coin doesn't exist
+ */
+const loadCoin = cache(async (rawSymbol) => {
+	// Step 1: Anything that isn't a symbol can't be a coin
+	let symbol;
+	try {
+		symbol = coinSymbol()(rawSymbol, 'symbol');
+	} catch (error) {
+		if (error instanceof ValidationError) return null;
+		throw error;
+	}
+
+	// Step 2: Load it, live if possible
+	try {
+		const result = await loadCoinList({
+			symbols: [symbol],
+			sort: DEFAULT_SORT_FIELD,
+			desc: false,
+		});
+		const [coin] = result.value.data;
+		if (coin) return { coin, usedMockData: false };
+	} catch (error) {
+		console.error(
+			`Failed to fetch ${symbol}, trying mock data:`,
+			error.message
+		);
+	}
+
+	// Step 3: Fall back to the demo coins
+	const coin = getMockData().data.find((item) => item.symbol === symbol);
+	return coin ? { coin, usedMockData: true } : null;
+});
+
+/**
+ * Builds per-coin metadata, following the static metadata in app/layout.js
+ */
+export async function generateMetadata({ params }) {
+	const { symbol } = await params;
+	const result = await loadCoin(symbol);
+	if (!result) return { title: 'Coin not found | Crypto Sentiment Dashboard' };
+
+	const { coin } = result;
+	const title = `${coin.name} (${coin.symbol}) Sentiment | Crypto Sentiment Dashboard`;
+	const description = `${coin.name} social sentiment, Galaxy Score, AltRank and market data from LunarCrush. Price $${formatPrice(
+		coin.price
+	)}, sentiment ${coin.sentiment ?? 'N/A'}, Galaxy Score ${coin.galaxy_score ?? 'N/A'}.`;
+	const url = `${SITE_URL}/coin/${coin.symbol}`;
+	const image = `${SITE_URL}/appScreenPhoto.png`;
+
+	return {
+		title,
+		description,
+		openGraph: {
+			title,
+			description,
+			url,
+			images: [
+				{
+					url: image,
+					width: 1200,
+					height: 630,
+					alt: `${coin.name} sentiment on the Crypto Sentiment Dashboard`,
+				},
+			],
+			siteName: 'Crypto Sentiment Dashboard',
+		},
+		twitter: {
+			card: 'summary_large_image',
+			title,
+			description,
+			images: [image],
+		},
+	};
+}
+
+/**
+ * One labelled metric box
+ */
+function Stat({ label, value, hint, className = '' }) {
+	return (
+		<div className='bg-gray-700/30 p-4 rounded-lg'>
+			<p className='text-gray-400 text-sm'>{label}</p>
+			<p className={`text-xl font-bold ${className}`}>{value}</p>
+			{hint && <p className='text-xs text-gray-400 mt-1'>{hint}</p>}
+		</div>
+	);
+}
+
+/**
+ * Formats a dominance, which LunarCrush already sends as a percentage
+ * (e.g., 35.2768 -> "35.28%"), the way the table shows it
+ */
+const formatDominance = (percent) =>
+	percent == null ? 'N/A' : `${percent.toFixed(2)}%`;
+
+/**
+ * Formats the change between a current and previous value (e.g., "+0.5 vs previous")
+ */
+const describeChange = (current, previous) => {
+	if (current == null || previous == null) return 'No previous value';
+	const change = current - previous;
+	const amount = Math.abs(change).toLocaleString(undefined, {
+		maximumFractionDigits: 2,
+	});
+	return `${change >= 0 ? '+' : '-'}${amount} vs previous`;
+};
+
+export default async function CoinPage({ params }) {
+	const { symbol } = await params;
+	const result = await loadCoin(symbol);
+	if (!result) notFound();
+
+	const { coin, usedMockData } = result;
+
+	const categories = getCoinCategories(coin);
+	const blockchains = coin.blockchains || [];
+
+	return (
+		<div className='min-h-screen bg-gradient-to-b from-gray-900 to-black text-gray-100'>
+			<main className='container mx-auto px-4 py-8 max-w-4xl space-y-6'>
+				<Link href='/' className='text-sm text-blue-400 hover:underline'>
+					← Back to dashboard
+				</Link>
+
+				{/* Header */}
+				<div className='flex flex-col md:flex-row md:items-end md:justify-between gap-2'>
+					<div>
+						<h1 className='text-3xl font-bold'>
+							{coin.name}
+							<span className='ml-3 text-base font-medium bg-gray-700 px-2 py-0.5 rounded align-middle'>
+								{coin.symbol}
+							</span>
+						</h1>
+						{coin.market_cap_rank && (
+							<p className='text-gray-400 text-sm mt-1'>
+								Market cap rank #{coin.market_cap_rank}
+							</p>
+						)}
+					</div>
+					<div className='text-right'>
+						<p className='text-3xl font-bold'>${formatPrice(coin.price)}</p>
+						<p
+							className={
+								coin.percent_change_24h >= 0 ? 'text-green-500' : 'text-red-500'
+							}>
+							{formatPercentage(coin.percent_change_24h)} (24h)
+						</p>
+					</div>
+				</div>
+
+				{usedMockData && (
+					<p className='text-sm text-yellow-400 bg-yellow-900/20 border border-yellow-700/30 rounded-lg p-3'>
+						Showing sample data - live data from LunarCrush is unavailable.
+					</p>
+				)}
+
+				{/* Scores */}
+				<section className='grid grid-cols-1 sm:grid-cols-3 gap-4'>
+					<Stat
+						label='Sentiment Score'
+						value={<MetricValue metric='sentiment' value={coin.sentiment} />}
+						hint='Social media sentiment indicator (0-100)'
+					/>
+					<Stat
+						label='Galaxy Score'
+						value={
+							<MetricValue metric='galaxy_score' value={coin.galaxy_score} />
+						}
+						hint={describeChange(coin.galaxy_score, coin.galaxy_score_previous)}
+					/>
+					<Stat
+						label='AltRank'
+						value={coin.alt_rank ?? 'N/A'}
+						hint={describeChange(coin.alt_rank, coin.alt_rank_previous)}
+					/>
+				</section>
+
+				{/* Social and Market Share */}
+				<section className='grid grid-cols-1 sm:grid-cols-3 gap-4'>
+					<Stat
+						label='Social Dominance'
+						value={formatDominance(coin.social_dominance)}
+						hint='Share of all crypto social volume'
+					/>
+					<Stat
+						label='Market Dominance'
+						value={formatDominance(coin.market_dominance)}
+						hint={`Previously ${formatDominance(coin.market_dominance_prev)}`}
+						className={
+							coin.market_dominance_prev == null
+								? ''
+								: coin.market_dominance >= coin.market_dominance_prev
+									? 'text-green-500'
+									: 'text-red-500'
+						}
+					/>
+					<Stat
+						label='Interactions (24h)'
+						value={formatNumber(coin.interactions_24h)}
+						hint={
+							coin.social_volume_24h != null
+								? `${formatNumber(coin.social_volume_24h)} posts`
+								: null
+						}
+					/>
+				</section>
+
+				{/* Market and Supply */}
+				<section className='grid grid-cols-2 sm:grid-cols-4 gap-4'>
+					<Stat
+						label='Market Cap'
+						value={`$${formatNumber(coin.market_cap)}`}
+					/>
+					<Stat
+						label='Volume (24h)'
+						value={`$${formatNumber(coin.volume_24h)}`}
+					/>
+					<Stat
+						label='Circulating Supply'
+						value={formatNumber(coin.circulating_supply)}
+					/>
+					<Stat
+						label='Max Supply'
+						value={coin.max_supply ? formatNumber(coin.max_supply) : 'No cap'}
+					/>
+				</section>
+
+				{/* Price and Sentiment History */}
+				<HistoryChart symbol={coin.symbol} />
+
+				{/* Categories */}
+				<section className='bg-gray-800/50 border border-gray-700/50 rounded-xl p-5'>
+					<h2 className='text-lg font-bold mb-3'>Categories</h2>
+					{categories.length === 0 ? (
+						<p className='text-sm text-gray-500'>No categories listed.</p>
+					) : (
+						<div className='flex flex-wrap gap-2'>
+							{categories.map((category) => (
+								<span
+									key={category}
+									className='text-xs bg-gray-700 px-2 py-1 rounded'>
+									{category}
+								</span>
+							))}
+						</div>
+					)}
+				</section>
+
+				{/* Blockchains and Contract Addresses */}
+				<section className='bg-gray-800/50 border border-gray-700/50 rounded-xl p-5'>
+					<h2 className='text-lg font-bold mb-3'>Blockchains</h2>
+					{blockchains.length === 0 ? (
+						<p className='text-sm text-gray-500'>
+							No blockchain details listed.
+						</p>
+					) : (
+						<ul className='divide-y divide-gray-700 text-sm'>
+							{blockchains.map((chain, index) => (
+								<li
+									key={`${chain.network}-${index}`}
+									className='py-2 flex flex-col sm:flex-row sm:justify-between gap-1'>
+									<span>
+										<span className='font-medium capitalize'>
+											{chain.network}
+										</span>
+										<span className='ml-2 text-xs text-gray-400'>
+											{chain.type}
+										</span>
+									</span>
+									<span className='font-mono text-xs text-gray-300 break-all'>
+										{chain.address || 'Native coin (no contract)'}
+									</span>
+								</li>
+							))}
+						</ul>
+					)}
+				</section>
+			</main>
+		</div>
+	);
+}
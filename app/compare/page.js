@@ -0,0 +1,168 @@
+/**
+ * Coin Comparison Page
+ * ====================
+ *
+ * Compares 2-5 coins side by side at /compare?symbols=BTC,ETH,SOL. The
+ * coins are picked on the dashboard, but the URL is all the page needs,
+ * so a comparison can be bookmarked or shared.
+ *
+ * Key concepts:
+ * 1. Server Component - data is fetched on the server (no API key in the browser)
+ * 2. The `symbols` parameter is validated with the same rules as the API routes
+ * 3. React `cache` - the page and its metadata share a single lookup
+ */
+
+import { cache } from 'react';
+import Link from 'next/link';
+import ComparisonTable from '../components/ComparisonTable';
+import RadarChart from '../components/RadarChart';
+import { loadCoinList } from '../services/providers';
+import { getMockData } from '../data/mockData';
+import { SIDE_BY_SIDE_LIMITS, DEFAULT_SORT_FIELD } from '../constants';
+import { parseQuery, symbolList } from '../utils/validation';
+import { buildRadarSeries, RADAR_METRICS } from '../utils/comparison';
+
+/**
+ * Loads the requested coins from the data providers, falling back to mock data
+ *
+ * @param {string} rawSymbols - The `symbols` parameter (e.g., "BTC,ETH")
+ * @returns {Promise<Object>} { coins, missing, usedMockData, error }
+ */
+const loadComparison = cache(async (rawSymbols) => {
+	// Step 1: Validate the symbols
+	let symbols;
+	try {
+		({ symbols } = parseQuery(new URLSearchParams({ symbols: rawSymbols }), {
+			symbols: symbolList({ max: SIDE_BY_SIDE_LIMITS.MAX }),
+		}));
+	} catch (error) {
+		return {
+			coins: [],
+			missing: [],
+			usedMockData: false,
+			error: error.message,
+		};
+	}
+
+	if (symbols.length < SIDE_BY_SIDE_LIMITS.MIN) {
+		return {
+			coins: [],
+			missing: [],
+			usedMockData: false,
+			error: `Pick at least ${SIDE_BY_SIDE_LIMITS.MIN} coins to compare.`,
+		};
+	}
+
+	// Step 2: Load them, live if possible
+	let loaded;
+	let usedMockData = false;
+	try {
+		const result = await loadCoinList({
+			symbols,
+			sort: DEFAULT_SORT_FIELD,
+			desc: false,
+		});
+		loaded = result.value.data;
+	} catch (error) {
+		console.error(
+			'Failed to fetch coins to compare, trying mock data:',
+			error.message
+		);
+		loaded = getMockData().data.filter((coin) => symbols.includes(coin.symbol));
+		usedMockData = true;
+	}
+
+	// Step 3: Keep the order from the URL
+	const bySymbol = new Map(
+		loaded.map((coin) => [coin.symbol.toUpperCase(), coin])
+	);
+	return {
+		coins: symbols.map((symbol) => bySymbol.get(symbol)).filter(Boolean),
+		missing: symbols.filter((symbol) => !bySymbol.has(symbol)),
+		usedMockData,
+		error: null,
+	};
+});
+
+/**
+ * Reads the `symbols` parameter (the last one wins if it's repeated)
+ */
+const getSymbolsParam = async (searchParams) => {
+	const { symbols = '' } = await searchParams;
+	return Array.isArray(symbols) ? symbols[symbols.length - 1] : symbols;
+};
+
+/**
+ * Names the compared coins in the title (e.g., "BTC vs ETH vs SOL")
+ */
+export async function generateMetadata({ searchParams }) {
+	const { coins } = await loadComparison(await getSymbolsParam(searchParams));
+	const title =
+		coins.length > 0
+			? `${coins.map((coin) => coin.symbol).join(' vs ')} | Crypto Sentiment Dashboard`
+			: 'Side by Side | Crypto Sentiment Dashboard';
+
+	return {
+		title,
+		description:
+			'Side-by-side comparison of social sentiment, Galaxy Score, AltRank and market data from LunarCrush.',
+	};
+}
+
+export default async function ComparePage({ searchParams }) {
+	const { coins, missing, usedMockData, error } = await loadComparison(
+		await getSymbolsParam(searchParams)
+	);
+
+	return (
+		<div className='min-h-screen bg-gradient-to-b from-gray-900 to-black text-gray-100'>
+			<main className='container mx-auto px-4 py-8 max-w-5xl space-y-6'>
+				<Link href='/' className='text-sm text-blue-400 hover:underline'>
+					← Back to dashboard
+				</Link>
+
+				<h1 className='text-3xl font-bold'>Side by Side</h1>
+
+				{error ? (
+					<p className='text-sm text-red-400 bg-red-900/20 border border-red-700/30 rounded-lg p-3'>
+						{error} Select coins with the ⇄ button on the dashboard, or list
+						them in the URL (e.g., /compare?symbols=BTC,ETH).
+					</p>
+				) : (
+					<>
+						{usedMockData && (
+							<p className='text-sm text-yellow-400 bg-yellow-900/20 border border-yellow-700/30 rounded-lg p-3'>
+								Showing sample data - live data from LunarCrush is unavailable.
+							</p>
+						)}
+						{missing.length > 0 && (
+							<p className='text-sm text-yellow-400 bg-yellow-900/20 border border-yellow-700/30 rounded-lg p-3'>
+								No data for {missing.join(', ')}.
+							</p>
+						)}
+
+						{coins.length > 0 && (
+							<>
+								<ComparisonTable coins={coins} />
+
+								{/* Radar Chart */}
+								<section className='bg-gray-800/50 border border-gray-700/50 rounded-xl p-5'>
+									<h2 className='text-lg font-bold mb-1'>At a Glance</h2>
+									<p className='text-xs text-gray-400 mb-4'>
+										Each axis is scaled so the outer edge is the best of these
+										coins (scores use their 0-100 range; market cap and
+										interactions use a log scale).
+									</p>
+									<RadarChart
+										axes={RADAR_METRICS.map((metric) => metric.label)}
+										series={buildRadarSeries(coins)}
+									/>
+								</section>
+							</>
+						)}
+					</>
+				)}
+			</main>
+		</div>
+	);
+}
@@ -0,0 +1,27 @@
+/**
+ * AlertsButton
+ * ============
+ *
+ * Opens the alerts panel, with a red badge counting the alerts that fired
+ * since the panel was last opened.
+ *
+ * @param {Object} props
+ * @param {number} props.unreadCount - Alerts since the panel was last opened
+ * @param {Function} props.onClick - Called to open the panel
+ */
+export default function AlertsButton({ unreadCount, onClick }) {
+	return (
+		<button
+			onClick={onClick}
+			className='relative px-4 py-2 rounded-md transition-all bg-gray-800 text-gray-300 hover:bg-gray-700'>
+			🔔 Alerts
+			{unreadCount > 0 && (
+				<span
+					aria-label={`${unreadCount} new alerts`}
+					className='absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full px-1.5'>
+					{unreadCount}
+				</span>
+			)}
+		</button>
+	);
+}
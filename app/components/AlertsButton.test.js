@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import AlertsButton from './AlertsButton';
+
+describe('AlertsButton', () => {
+	it('counts the unread alerts', () => {
+		render(<AlertsButton unreadCount={3} onClick={() => {}} />);
+
+		expect(screen.getByLabelText('3 new alerts').textContent).toBe('3');
+	});
+
+	it('hides the badge when nothing is unread', () => {
+		render(<AlertsButton unreadCount={0} onClick={() => {}} />);
+
+		expect(screen.queryByLabelText(/new alerts/)).toBeNull();
+	});
+});
@@ -0,0 +1,243 @@
+'use client';
+
+import { useState } from 'react';
+import {
+	ALERT_METRICS,
+	ALERT_CONDITIONS,
+	describeRule,
+	validateRule,
+} from '../utils/alerts';
+
+const EMPTY_RULE = {
+	symbol: '',
+	metric: 'sentiment',
+	condition: 'below',
+	value: '',
+};
+
+const inputClass =
+	'bg-gray-900/70 border border-gray-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * AlertsPanel
+ * ===========
+ *
+ * Modal for creating alert rules and reading the alert log.
+ * All state lives in the useAlerts hook; this component only renders it.
+ *
+ * @param {Object} props
+ * @param {Object} props.alerts - The object returned by useAlerts
+ * @param {Function} props.onClose - Closes the panel
+ */
+export default function AlertsPanel({ alerts, onClose }) {
+	const [draft, setDraft] = useState(EMPTY_RULE);
+	const [formError, setFormError] = useState(null);
+
+	/**
+	 * Validates the form and adds the rule
+	 */
+	const handleSubmit = (e) => {
+		e.preventDefault();
+
+		const rule = {
+			...draft,
+			symbol: draft.symbol.trim().toUpperCase(),
+			value: draft.value === '' ? NaN : Number(draft.value),
+		};
+
+		const error = validateRule(rule);
+		if (error) {
+			setFormError(error);
+			return;
+		}
+
+		alerts.addRule(rule);
+		setDraft(EMPTY_RULE);
+		setFormError(null);
+	};
+
+	return (
+		<div
+			className='fixed inset-0 bg-black/70 backdrop-blur-sm z-50 flex items-center justify-center p-4'
+			onClick={onClose}>
+			<div
+				className='bg-gray-800 border border-gray-700 rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto'
+				onClick={(e) => e.stopPropagation()} // Prevent clicks inside the panel from closing it
+			>
+				{/* Panel Header */}
+				<div className='flex justify-between items-center p-5 border-b border-gray-700 bg-gradient-to-r from-blue-900/20 to-purple-900/20'>
+					<h3 className='text-xl font-bold'>Alerts</h3>
+					<button
+						onClick={onClose}
+						className='bg-gray-700 hover:bg-gray-600 rounded-full p-1'
+						aria-label='Close alerts'>
+						<svg
+							xmlns='http://www.w3.org/2000/svg'
+							className='h-5 w-5'
+							fill='none'
+							viewBox='0 0 24 24'
+							stroke='currentColor'>
+							<path
+								strokeLinecap='round'
+								strokeLinejoin='round'
+								strokeWidth={2}
+								d='M6 18L18 6M6 6l12 12'
+							/>
+						</svg>
+					</button>
+				</div>
+
+				<div className='p-5 space-y-5'>
+					{/* Notification Permission */}
+					{alerts.notificationPermission !== 'granted' && (
+						<div className='flex items-center justify-between bg-gray-700/30 p-3 rounded-lg text-sm'>
+							<span className='text-gray-300'>
+								{alerts.notificationPermission === 'denied'
+									? 'Browser notifications are blocked. Alerts will only appear in the log below.'
+									: 'Get a browser notification when an alert fires.'}
+							</span>
+							{alerts.notificationPermission === 'default' && (
+								<button
+									onClick={alerts.requestNotifications}
+									className='ml-3 px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 text-white'>
+									Enable
+								</button>
+							)}
+						</div>
+					)}
+
+					{/* New Rule Form */}
+					<form
+						onSubmit={handleSubmit}
+						className='bg-gray-700/30 p-4 rounded-lg space-y-3'>
+						<p className='text-gray-400 text-sm'>New rule</p>
+						<div className='flex flex-wrap gap-2'>
+							<input
+								aria-label='Coin symbol'
+								placeholder='BTC or *'
+								value={draft.symbol}
+								onChange={(e) => setDraft({ ...draft, symbol: e.target.value })}
+								className={`${inputClass} w-24`}
+							/>
+							<select
+								aria-label='Metric'
+								value={draft.metric}
+								onChange={(e) => setDraft({ ...draft, metric: e.target.value })}
+								className={inputClass}>
+								{Object.entries(ALERT_METRICS).map(([key, metric]) => (
+									<option key={key} value={key}>
+										{metric.label}
+									</option>
+								))}
+							</select>
+							<select
+								aria-label='Condition'
+								value={draft.condition}
+								onChange={(e) =>
+									setDraft({ ...draft, condition: e.target.value })
+								}
+								className={inputClass}>
+								{Object.entries(ALERT_CONDITIONS).map(([key, condition]) => (
+									<option key={key} value={key}>
+										{condition.label}
+									</option>
+								))}
+							</select>
+							<input
+								aria-label='Value'
+								type='number'
+								step='any'
+								placeholder='Value'
+								value={draft.value}
+								onChange={(e) => setDraft({ ...draft, value: e.target.value })}
+								className={`${inputClass} w-24`}
+							/>
+							<button
+								type='submit'
+								className='px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 text-white text-sm'>
+								Add rule
+							</button>
+						</div>
+						{formError && <p className='text-xs text-red-400'>{formError}</p>}
+						<p className='text-xs text-gray-500'>
+							&quot;Rises&quot; and &quot;drops&quot; compare with the previous
+							value from LunarCrush (e.g., galaxy_score_previous) or with the
+							previous refresh.
+						</p>
+					</form>
+
+					{/* Rule List */}
+					<div>
+						<p className='text-gray-400 text-sm mb-2'>
+							Rules ({alerts.rules.length})
+						</p>
+						{alerts.rules.length === 0 ? (
+							<p className='text-sm text-gray-500'>No rules yet.</p>
+						) : (
+							<ul className='space-y-2'>
+								{alerts.rules.map((rule) => (
+									<li
+										key={rule.id}
+										className='flex items-center justify-between bg-gray-700/30 px-3 py-2 rounded-lg text-sm'>
+										<label className='flex items-center gap-2'>
+											<input
+												type='checkbox'
+												checked={rule.enabled}
+												onChange={(e) =>
+													alerts.updateRule(rule.id, {
+														enabled: e.target.checked,
+													})
+												}
+											/>
+											<span
+												className={
+													rule.enabled ? 'text-gray-100' : 'text-gray-500'
+												}>
+												{describeRule(rule)}
+											</span>
+										</label>
+										<button
+											onClick={() => alerts.removeRule(rule.id)}
+											className='text-xs text-red-400 hover:text-red-300'>
+											Delete
+										</button>
+									</li>
+								))}
+							</ul>
+						)}
+					</div>
+
+					{/* Alert Log */}
+					<div>
+						<div className='flex justify-between items-center mb-2'>
+							<p className='text-gray-400 text-sm'>Alert log</p>
+							{alerts.log.length > 0 && (
+								<button
+									onClick={alerts.clearLog}
+									className='text-xs text-gray-400 hover:text-gray-200'>
+									Clear
+								</button>
+							)}
+						</div>
+						{alerts.log.length === 0 ? (
+							<p className='text-sm text-gray-500'>No alerts yet.</p>
+						) : (
+							<ul className='space-y-1 max-h-60 overflow-y-auto'>
+								{alerts.log.map((entry) => (
+									<li
+										key={entry.id}
+										className='text-sm flex justify-between gap-3'>
+										<span className='text-gray-200'>{entry.message}</span>
+										<span className='text-xs text-gray-500 whitespace-nowrap'>
+											{new Date(entry.time).toLocaleTimeString()}
+										</span>
+									</li>
+								))}
+							</ul>
+						)}
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,109 @@
+// Slice colors (Tailwind 500 shades), used in order
+const SLICE_COLORS = [
+	'#3b82f6', // blue
+	'#22c55e', // green
+	'#eab308', // yellow
+	'#a855f7', // purple
+	'#ef4444', // red
+	'#06b6d4', // cyan
+	'#f97316', // orange
+	'#ec4899', // pink
+];
+const OTHER_COLOR = '#6b7280'; // gray
+
+/**
+ * Point on the circle for a fraction of a full turn (0 = 12 o'clock)
+ */
+const pointAt = (fraction, radius) => {
+	const angle = fraction * 2 * Math.PI - Math.PI / 2;
+	return [
+		(50 + radius * Math.cos(angle)).toFixed(3),
+		(50 + radius * Math.sin(angle)).toFixed(3),
+	];
+};
+
+/**
+ * AllocationPie
+ * =============
+ *
+ * A pie chart of how a portfolio is split between coins, drawn as SVG
+ * paths, with a legend. Anything past the largest few slices is grouped
+ * into "Other" so the chart stays readable.
+ *
+ * @param {Object} props
+ * @param {Object[]} props.slices - [{ label, value }] (values in any unit)
+ * @param {number} props.maxSlices - Most slices before grouping into "Other" (default: 7)
+ */
+export default function AllocationPie({ slices, maxSlices = 7 }) {
+	// Step 1: Largest first, with the small ones grouped into "Other"
+	const sorted = slices
+		.filter((slice) => slice.value > 0)
+		.sort((a, b) => b.value - a.value);
+	const shown = sorted.slice(0, maxSlices).map((slice, index) => ({
+		...slice,
+		color: SLICE_COLORS[index % SLICE_COLORS.length],
+	}));
+	const rest = sorted.slice(maxSlices);
+	if (rest.length > 0) {
+		shown.push({
+			label: 'Other',
+			value: rest.reduce((total, slice) => total + slice.value, 0),
+			color: OTHER_COLOR,
+		});
+	}
+
+	const total = shown.reduce((sum, slice) => sum + slice.value, 0);
+	if (total === 0) {
+		return <p className='text-sm text-gray-500'>Nothing to chart yet.</p>;
+	}
+
+	// Step 2: Turn each slice into an arc from where the last one ended
+	let start = 0;
+	const arcs = shown.map((slice) => {
+		const fraction = slice.value / total;
+		const [x1, y1] = pointAt(start, 45);
+		const [x2, y2] = pointAt(start + fraction, 45);
+		const largeArc = fraction > 0.5 ? 1 : 0;
+		start += fraction;
+		return {
+			...slice,
+			fraction,
+			path: `M50,50 L${x1},${y1} A45,45 0 ${largeArc} 1 ${x2},${y2} Z`,
+		};
+	});
+
+	return (
+		<div className='flex items-center gap-5'>
+			<svg
+				viewBox='0 0 100 100'
+				className='w-36 h-36 shrink-0'
+				role='img'
+				aria-label='Portfolio allocation'>
+				{arcs.map((arc) =>
+					// A single slice is a full circle, which an arc path can't draw
+					arc.fraction === 1 ? (
+						<circle key={arc.label} cx='50' cy='50' r='45' fill={arc.color} />
+					) : (
+						<path key={arc.label} d={arc.path} fill={arc.color} />
+					)
+				)}
+			</svg>
+
+			{/* Legend */}
+			<ul className='text-xs space-y-1'>
+				{arcs.map((arc) => (
+					<li key={arc.label} className='flex items-center gap-2'>
+						<span
+							className='w-3 h-3 rounded-sm'
+							style={{ backgroundColor: arc.color }}
+						/>
+						<span className='text-gray-300'>{arc.label}</span>
+						<span className='text-gray-500'>
+							{(arc.fraction * 100).toFixed(1)}%
+						</span>
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+}
@@ -0,0 +1,154 @@
+'use client';
+
+import Link from 'next/link';
+import CoinSparklines from './CoinSparklines';
+import CompareToggle from './CompareToggle';
+import MetricValue from './MetricValue';
+import SignalBadges from './SignalBadges';
+import StarButton from './StarButton';
+import { highlightClass } from '../utils/diff';
+import {
+	formatNumber,
+	formatPercentage,
+	formatPrice,
+} from '../utils/formatters';
+
+/**
+ * CoinCard
+ * ========
+ *
+ * One coin in the dashboard's grid view: name, price, sentiment and Galaxy
+ * scores, sparklines, 24h volume and change, and any signal badges.
+ * Clicking the card opens the coin's details; the star, compare toggle and
+ * name link don't.
+ *
+ * @param {Object} props
+ * @param {Object} props.coin - Normalized coin (with `signals` if computed)
+ * @param {React.Ref} props.ref - Attached to the card (used to measure its height)
+ * @param {Function} props.onSelect - Called with the coin when the card is clicked
+ * @param {boolean} props.watched - Whether the coin is starred
+ * @param {Function} props.onToggleWatch - Called when the star is clicked
+ * @param {boolean} props.compared - Whether the coin is picked for comparison
+ * @param {boolean} props.compareDisabled - True when the comparison is full
+ * @param {Function} props.onToggleCompare - Called when the compare toggle is clicked
+ * @param {string[]} props.changedFields - Fields that just changed on the live stream
+ */
+export default function CoinCard({
+	coin,
+	ref,
+	onSelect,
+	watched = false,
+	onToggleWatch,
+	compared = false,
+	compareDisabled = false,
+	onToggleCompare,
+	changedFields,
+}) {
+	const flash = (field) => highlightClass(changedFields, field);
+
+	return (
+		<div
+			ref={ref}
+			onClick={() => onSelect(coin)} // Open details modal when clicked
+			className='bg-gray-800/50 backdrop-blur-sm border border-gray-700/50 rounded-xl overflow-hidden shadow-lg hover:shadow-blue-900/20 transform hover:scale-[1.02] transition-all cursor-pointer group'>
+			{/* Card Header */}
+			<div className='p-5'>
+				{/* Coin name and price */}
+				<div className='flex justify-between items-start'>
+					<div>
+						<h2 className='text-xl font-bold'>
+							<StarButton
+								symbol={coin.symbol}
+								active={watched}
+								onToggle={onToggleWatch}
+								className='mr-2'
+							/>
+							<CompareToggle
+								symbol={coin.symbol}
+								active={compared}
+								disabled={compareDisabled}
+								onToggle={onToggleCompare}
+								className='mr-2 align-middle'
+							/>
+							{/* Link to the coin's own page (stops the modal from opening) */}
+							<Link
+								href={`/coin/${coin.symbol}`}
+								onClick={(e) => e.stopPropagation()}
+								className='hover:underline'>
+								{coin.name}
+							</Link>
+							<span className='ml-2 text-sm font-medium bg-gray-700 px-2 py-0.5 rounded'>
+								{coin.symbol}
+							</span>
+						</h2>
+						<p className='text-gray-400 text-sm mt-1'>Rank #{coin.rank}</p>
+						<SignalBadges flags={coin.signals?.flags} className='mt-2' />
+					</div>
+					{/* Price (uncolored - the scores below carry the sentiment colors) */}
+					<div className={`text-lg font-bold ${flash('price')}`}>
+						${formatPrice(coin.price)}
+					</div>
+				</div>
+
+				{/* Sentiment Scores Section */}
+				<div className='mt-4 grid grid-cols-2 gap-4'>
+					{/* Sentiment Score */}
+					<div className='bg-gray-700/30 p-3 rounded-lg'>
+						<p className='text-xs text-gray-400'>Sentiment Score</p>
+						<p className={`text-lg font-bold ${flash('sentiment')}`}>
+							<MetricValue metric='sentiment' value={coin.sentiment}>
+								{coin.sentiment?.toFixed(1)}
+							</MetricValue>
+						</p>
+					</div>
+					{/* Galaxy Score */}
+					<div className='bg-gray-700/30 p-3 rounded-lg'>
+						<p className='text-xs text-gray-400'>Galaxy Score</p>
+						<p className={`text-lg font-bold ${flash('galaxy_score')}`}>
+							<MetricValue metric='galaxy_score' value={coin.galaxy_score}>
+								{coin.galaxy_score?.toFixed(1)}
+							</MetricValue>
+						</p>
+					</div>
+				</div>
+
+				{/* Sentiment and Price Trends */}
+				<CoinSparklines symbol={coin.symbol} />
+
+				{/* Volume and Price Change */}
+				<div className='mt-4 pt-4 border-t border-gray-700/50'>
+					<div className='flex justify-between'>
+						{/* 24h Volume */}
+						<div>
+							<p className='text-xs text-gray-400'>24h Volume</p>
+							<p className={`font-medium ${flash('volume_24h')}`}>
+								${formatNumber(coin.volume_24h)}
+							</p>
+						</div>
+						{/* 24h Price Change */}
+						<div>
+							<p className='text-xs text-gray-400'>24h Change</p>
+							<p
+								className={`${
+									coin.percent_change_24h == null
+										? 'text-gray-400' // Gray when missing
+										: coin.percent_change_24h >= 0
+											? 'text-green-500' // Green for positive
+											: 'text-red-500' // Red for negative
+								} ${flash('percent_change_24h')}`}>
+								{formatPercentage(coin.percent_change_24h)}
+							</p>
+						</div>
+					</div>
+				</div>
+			</div>
+
+			{/* Card Footer */}
+			<div className='bg-gradient-to-r from-blue-900/20 to-purple-900/20 p-3 group-hover:bg-gradient-to-r group-hover:from-blue-800/30 group-hover:to-purple-800/30 transition-all'>
+				<p className='text-xs text-center text-gray-300'>
+					Click for more details
+				</p>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import CoinCard from './CoinCard';
+import { getMockData } from '../data/mockData';
+
+vi.mock('./CoinSparklines', () => ({ default: () => null }));
+
+const coin = {
+	...getMockData().data.find((item) => item.symbol === 'BTC'),
+	rank: 1,
+};
+
+describe('CoinCard', () => {
+	it('shows the price without the sentiment color', () => {
+		render(<CoinCard coin={coin} onSelect={() => {}} />);
+
+		const price = screen.getByText('$106,859.23');
+		expect(price.closest('[style]')).toBeNull();
+	});
+
+	it('colors the sentiment score', () => {
+		render(<CoinCard coin={coin} onSelect={() => {}} />);
+
+		expect(screen.getByText('65.7').getAttribute('style')).toMatch(/color/);
+	});
+
+	it('shows N/A for missing values', () => {
+		render(
+			<CoinCard
+				coin={{ ...coin, sentiment: null, percent_change_24h: null }}
+				onSelect={() => {}}
+			/>
+		);
+
+		expect(screen.getAllByText('N/A')).toHaveLength(2);
+	});
+});
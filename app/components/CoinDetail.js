@@ -0,0 +1,207 @@
+'use client';
+
+import Link from 'next/link';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { dracula } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import CompareToggle from './CompareToggle';
+import HistoryChart from './HistoryChart';
+import MetricValue from './MetricValue';
+import StarButton from './StarButton';
+import {
+	formatNumber,
+	formatPercentage,
+	formatPrice,
+} from '../utils/formatters';
+import { getProviderLabel } from '../utils/dataSource';
+
+/**
+ * One box in the modal (label, big value, optional explanation and provider)
+ */
+function DetailStat({ label, valueClass = '', note, source, children }) {
+	return (
+		<div className='bg-gray-700/30 p-4 rounded-lg'>
+			<p className='text-gray-400 text-sm'>{label}</p>
+			<p className={`text-xl font-bold ${valueClass}`}>{children}</p>
+			{note && <p className='text-xs text-gray-400 mt-1'>{note}</p>}
+			{source && <p className='text-xs text-gray-500 mt-1'>{source}</p>}
+		</div>
+	);
+}
+
+/**
+ * Names the provider a field came from (nothing for coins without
+ * `sources`, like the demo data)
+ */
+const describeFieldSource = (coin, field) => {
+	if (!coin.sources) return null;
+	const provider = coin.sources[field];
+	return provider
+		? `via ${getProviderLabel(provider)}`
+		: 'No provider had this value';
+};
+
+/**
+ * Green for a rise, red for a fall, gray when missing
+ */
+const changeColor = (value) =>
+	value == null
+		? 'text-gray-400'
+		: value >= 0
+			? 'text-green-500'
+			: 'text-red-500';
+
+/**
+ * CoinDetail
+ * ==========
+ *
+ * Modal with everything we know about one coin: price, market cap, scores,
+ * price changes, the history chart and the raw JSON. Each figure says which
+ * data provider it came from. Clicking outside the box (or the close
+ * button) calls `onClose`.
+ *
+ * @param {Object} props
+ * @param {Object} props.coin - The selected coin
+ * @param {Function} props.onClose - Called to close the modal
+ * @param {boolean} props.watched - Whether the coin is starred
+ * @param {Function} props.onToggleWatch - Called when the star is clicked
+ * @param {boolean} props.compared - Whether the coin is picked for comparison
+ * @param {boolean} props.compareDisabled - True when the comparison is full
+ * @param {Function} props.onToggleCompare - Called when the compare toggle is clicked
+ */
+export default function CoinDetail({
+	coin,
+	onClose,
+	watched = false,
+	onToggleWatch,
+	compared = false,
+	compareDisabled = false,
+	onToggleCompare,
+}) {
+	return (
+		<div
+			className='fixed inset-0 bg-black/70 backdrop-blur-sm z-50 flex items-center justify-center p-4'
+			onClick={onClose}>
+			{/* Modal Content Box */}
+			<div
+				className='bg-gray-800 border border-gray-700 rounded-xl shadow-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto'
+				onClick={(e) => e.stopPropagation()} // Prevent clicks inside modal from closing it
+			>
+				{/* Modal Header */}
+				<div className='flex justify-between items-center p-5 border-b border-gray-700 bg-gradient-to-r from-blue-900/20 to-purple-900/20'>
+					<h3 className='text-xl font-bold'>
+						<StarButton
+							symbol={coin.symbol}
+							active={watched}
+							onToggle={onToggleWatch}
+							className='mr-2'
+						/>
+						<CompareToggle
+							symbol={coin.symbol}
+							active={compared}
+							disabled={compareDisabled}
+							onToggle={onToggleCompare}
+							className='mr-2 align-middle'
+						/>
+						{coin.name} ({coin.symbol}) Details
+						<Link
+							href={`/coin/${coin.symbol}`}
+							className='ml-3 text-sm font-normal text-blue-400 hover:underline'>
+							Open page →
+						</Link>
+					</h3>
+					{/* Close Button */}
+					<button
+						onClick={onClose}
+						className='bg-gray-700 hover:bg-gray-600 rounded-full p-1'
+						aria-label='Close details'>
+						<svg
+							xmlns='http://www.w3.org/2000/svg'
+							className='h-5 w-5'
+							fill='none'
+							viewBox='0 0 24 24'
+							stroke='currentColor'>
+							<path
+								strokeLinecap='round'
+								strokeLinejoin='round'
+								strokeWidth={2}
+								d='M6 18L18 6M6 6l12 12'
+							/>
+						</svg>
+					</button>
+				</div>
+
+				{/* Modal Content */}
+				<div className='p-5'>
+					{/* Price and Market Cap */}
+					<div className='grid grid-cols-2 gap-4 mb-5'>
+						<DetailStat
+							label='Current Price'
+							source={describeFieldSource(coin, 'price')}>
+							${formatPrice(coin.price, { maximumFractionDigits: 8 })}
+						</DetailStat>
+						<DetailStat
+							label='Market Cap'
+							source={describeFieldSource(coin, 'market_cap')}>
+							${formatNumber(coin.market_cap)}
+						</DetailStat>
+					</div>
+
+					{/* Sentiment and Galaxy Scores */}
+					<div className='grid grid-cols-2 gap-4 mb-5'>
+						<DetailStat
+							label='Sentiment Score'
+							note='Social media sentiment indicator (0-100)'
+							source={describeFieldSource(coin, 'sentiment')}>
+							<MetricValue metric='sentiment' value={coin.sentiment}>
+								{coin.sentiment?.toFixed(1)}
+							</MetricValue>
+						</DetailStat>
+						<DetailStat
+							label='Galaxy Score'
+							note='Combined rating of multiple metrics (0-100)'
+							source={describeFieldSource(coin, 'galaxy_score')}>
+							<MetricValue metric='galaxy_score' value={coin.galaxy_score}>
+								{coin.galaxy_score?.toFixed(1)}
+							</MetricValue>
+						</DetailStat>
+					</div>
+
+					{/* Price Changes */}
+					<div className='grid grid-cols-2 gap-4 mb-5'>
+						<DetailStat
+							label='24h Change'
+							valueClass={changeColor(coin.percent_change_24h)}
+							source={describeFieldSource(coin, 'percent_change_24h')}>
+							{formatPercentage(coin.percent_change_24h)}
+						</DetailStat>
+						<DetailStat
+							label='7d Change'
+							valueClass={changeColor(coin.percent_change_7d)}
+							source={describeFieldSource(coin, 'percent_change_7d')}>
+							{formatPercentage(coin.percent_change_7d)}
+						</DetailStat>
+					</div>
+
+					{/* Historical Chart */}
+					<HistoryChart symbol={coin.symbol} />
+
+					{/* Raw JSON Data (for developers) */}
+					<div className='bg-gray-700/30 p-4 rounded-lg mb-5'>
+						<div className='flex justify-between items-center'>
+							<p className='text-gray-400 text-sm'>JSON Data</p>
+							<p className='text-xs text-gray-400'>For developers</p>
+						</div>
+						<div className='mt-2 max-h-60 overflow-y-auto'>
+							<SyntaxHighlighter
+								language='json'
+								style={dracula}
+								className='rounded text-xs'>
+								{JSON.stringify(coin, null, 2)}
+							</SyntaxHighlighter>
+						</div>
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,63 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import CoinDetail from './CoinDetail';
+import { getMockData } from '../data/mockData';
+
+vi.mock('./HistoryChart', () => ({ default: () => null }));
+
+const btc = getMockData().data.find((coin) => coin.symbol === 'BTC');
+
+// The big value under a stat's label (the raw JSON repeats every value)
+const statValue = (label) =>
+	screen.getByText(label).nextElementSibling.textContent;
+
+describe('CoinDetail', () => {
+	it("shows the coin's price, scores and changes", () => {
+		render(<CoinDetail coin={btc} onClose={() => {}} />);
+
+		expect(screen.getByText('Bitcoin (BTC) Details')).toBeTruthy();
+		expect(screen.getByText('$106,859.23')).toBeTruthy();
+		expect(statValue('Sentiment Score')).toBe('65.7');
+		expect(statValue('Galaxy Score')).toBe('75.6');
+		expect(screen.getByText('+1.47%').className).toMatch(/text-green-500/);
+	});
+
+	it('shows N/A in gray for missing changes', () => {
+		render(
+			<CoinDetail
+				coin={{ ...btc, percent_change_24h: null, percent_change_7d: null }}
+				onClose={() => {}}
+			/>
+		);
+
+		for (const value of screen.getAllByText('N/A')) {
+			expect(value.className).toMatch(/text-gray-400/);
+		}
+	});
+
+	it('names the provider of each value', () => {
+		render(
+			<CoinDetail
+				coin={{ ...btc, sources: { price: 'lunarcrush' } }}
+				onClose={() => {}}
+			/>
+		);
+
+		expect(screen.getByText('via LunarCrush')).toBeTruthy();
+		expect(
+			screen.getAllByText('No provider had this value').length
+		).toBeGreaterThan(0);
+	});
+
+	it('closes from the close button and the backdrop, not the box', () => {
+		const onClose = vi.fn();
+		const { container } = render(<CoinDetail coin={btc} onClose={onClose} />);
+
+		fireEvent.click(screen.getByText('Current Price'));
+		expect(onClose).not.toHaveBeenCalled();
+
+		fireEvent.click(screen.getByRole('button', { name: 'Close details' }));
+		fireEvent.click(container.firstChild);
+		expect(onClose).toHaveBeenCalledTimes(2);
+	});
+});
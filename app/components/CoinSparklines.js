@@ -0,0 +1,58 @@
+'use client';
+
+import Sparkline from './Sparkline';
+import { useCoinHistory } from '../hooks/useCoinHistory';
+import { SPARKLINE_INTERVAL } from '../constants';
+
+/**
+ * CoinSparklines
+ * ==============
+ *
+ * Shows small sentiment and price trend lines for a coin on the grid cards.
+ * Histories are cached in the browser per symbol and interval (see
+ * useCoinHistory), so cards scrolling back into view don't fetch again.
+ *
+ * @param {Object} props
+ * @param {string} props.symbol - Coin symbol (e.g., 'BTC')
+ */
+export default function CoinSparklines({ symbol }) {
+	const { points, loading } = useCoinHistory(symbol, SPARKLINE_INTERVAL);
+
+	// Price trend decides the line color (green if up over the range)
+	const closes = points.map((point) => point.close);
+	const priceUp =
+		closes.length > 1 ? closes[closes.length - 1] >= closes[0] : true;
+
+	return (
+		<div className='mt-4 grid grid-cols-2 gap-4'>
+			<div>
+				<p className='text-xs text-gray-400 mb-1'>
+					Sentiment ({SPARKLINE_INTERVAL})
+				</p>
+				{loading ? (
+					<div className='h-8 bg-gray-700/30 rounded animate-pulse' />
+				) : (
+					<Sparkline
+						values={points.map((point) => point.sentiment)}
+						className='text-purple-400'
+						label={`${symbol} sentiment trend`}
+					/>
+				)}
+			</div>
+			<div>
+				<p className='text-xs text-gray-400 mb-1'>
+					Price ({SPARKLINE_INTERVAL})
+				</p>
+				{loading ? (
+					<div className='h-8 bg-gray-700/30 rounded animate-pulse' />
+				) : (
+					<Sparkline
+						values={closes}
+						className={priceUp ? 'text-green-500' : 'text-red-500'}
+						label={`${symbol} price trend`}
+					/>
+				)}
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,245 @@
+'use client';
+
+import Link from 'next/link';
+import CompareToggle from './CompareToggle';
+import MetricValue from './MetricValue';
+import SignalBadges from './SignalBadges';
+import SortableHeader from './SortableHeader';
+import StarButton from './StarButton';
+import { highlightClass } from '../utils/diff';
+import { SIGNAL_FIELDS } from '../utils/signals';
+import {
+	formatNumber,
+	formatPercentage,
+	formatPrice,
+} from '../utils/formatters';
+
+// Table columns - columns with a `field` can be clicked to sort by it
+const TABLE_COLUMNS = [
+	{ label: 'Rank', align: 'left' },
+	{ label: 'Coin', align: 'left' },
+	{ label: 'Price' },
+	{ label: '24h %', field: 'percent_change_24h' },
+	{ label: '7d %', field: 'percent_change_7d' },
+	{ label: 'Volume', field: 'volume_24h' },
+	{ label: 'Market Cap', field: 'market_cap' },
+	{ label: 'Sentiment', field: 'sentiment' },
+	{ label: 'Galaxy Score', field: 'galaxy_score' },
+	{ label: 'AltRank', field: 'alt_rank' },
+	{ label: 'Social Dom.', field: 'social_dominance' },
+	{ label: 'Interactions', field: 'interactions_24h' },
+	// Derived signals (sorted in the browser - see utils/signals.js)
+	...Object.entries(SIGNAL_FIELDS).map(([field, { label }]) => ({
+		label,
+		field,
+	})),
+	{ label: 'Signals', align: 'left' },
+];
+
+// Classes shared by the right-aligned number cells
+const CELL = 'px-6 py-4 whitespace-nowrap text-sm text-right';
+
+/**
+ * Green for a rise, red for a fall, gray when missing
+ */
+const changeColor = (value) =>
+	value == null
+		? 'text-gray-400'
+		: value >= 0
+			? 'text-green-500'
+			: 'text-red-500';
+
+/**
+ * CoinTable
+ * =========
+ *
+ * The dashboard's table view: one sortable row per coin, including the
+ * derived signal columns. Clicking a sortable header calls `onSort`, and
+ * clicking a row calls `onSelect`.
+ *
+ * For long lists, pass the result of useVirtualRows as `virtualRows` along
+ * with just the coins near the viewport; spacer rows stand in for the rest.
+ *
+ * @param {Object} props
+ * @param {Object[]} props.coins - Rows to render (with `signals`)
+ * @param {string} props.sortField - Field the list is sorted by
+ * @param {boolean} props.isDescending - Sort direction
+ * @param {Function} props.onSort - Called with a column's field when its header is clicked
+ * @param {Function} props.onSelect - Called with a coin when its row is clicked
+ * @param {Function} props.isWatched - Returns true if a symbol is starred
+ * @param {Function} props.onToggleWatch - Called with a symbol when its star is clicked
+ * @param {string[]} props.compareSymbols - Coins picked for comparison
+ * @param {boolean} props.compareDisabled - True when the comparison is full
+ * @param {Function} props.onToggleCompare - Called with a symbol when its compare toggle is clicked
+ * @param {Object} props.highlights - Symbol -> fields that just changed on the live stream
+ * @param {Object} props.virtualRows - From useVirtualRows (containerRef, measureRef, paddingTop, paddingBottom)
+ */
+export default function CoinTable({
+	coins,
+	sortField,
+	isDescending,
+	onSort,
+	onSelect,
+	isWatched,
+	onToggleWatch,
+	compareSymbols = [],
+	compareDisabled = false,
+	onToggleCompare,
+	highlights = {},
+	virtualRows = {},
+}) {
+	const {
+		containerRef,
+		measureRef,
+		paddingTop = 0,
+		paddingBottom = 0,
+	} = virtualRows;
+
+	return (
+		<div className='overflow-x-auto bg-gray-800/30 rounded-xl border border-gray-700/50 shadow-lg'>
+			<table className='min-w-full divide-y divide-gray-700'>
+				{/* Table Header */}
+				<thead className='bg-gray-800/80'>
+					<tr>
+						{TABLE_COLUMNS.map((column) => (
+							<SortableHeader
+								key={column.label}
+								{...column}
+								sortField={sortField}
+								isDescending={isDescending}
+								onSort={onSort}
+							/>
+						))}
+					</tr>
+				</thead>
+				{/* Table Body */}
+				<tbody
+					ref={containerRef}
+					className='bg-gray-800/20 backdrop-blur-sm divide-y divide-gray-700'>
+					{/* Stands in for the rows scrolled past */}
+					{paddingTop > 0 && (
+						<tr aria-hidden='true' style={{ height: paddingTop }} />
+					)}
+					{coins.map((coin, index) => {
+						const flash = (field) =>
+							highlightClass(highlights[coin.symbol], field);
+
+						return (
+							<tr
+								key={coin.symbol}
+								ref={index === 0 ? measureRef : undefined} // Measures the row height
+								onClick={() => onSelect(coin)} // Open details modal when clicked
+								className='hover:bg-gray-700/30 cursor-pointer transition-colors'>
+								{/* Rank */}
+								<td className='px-6 py-4 whitespace-nowrap text-sm text-gray-300'>
+									{coin.rank}
+								</td>
+								{/* Coin Name and Symbol */}
+								<td className='px-6 py-4 whitespace-nowrap'>
+									<div className='flex items-center'>
+										<StarButton
+											symbol={coin.symbol}
+											active={isWatched(coin.symbol)}
+											onToggle={() => onToggleWatch(coin.symbol)}
+											className='mr-3'
+										/>
+										<CompareToggle
+											symbol={coin.symbol}
+											active={compareSymbols.includes(coin.symbol)}
+											disabled={compareDisabled}
+											onToggle={() => onToggleCompare(coin.symbol)}
+											className='mr-3'
+										/>
+										<div>
+											<Link
+												href={`/coin/${coin.symbol}`}
+												onClick={(e) => e.stopPropagation()}
+												className='text-sm font-medium text-gray-100 hover:underline'>
+												{coin.name}
+											</Link>
+											<div className='text-xs text-gray-400'>{coin.symbol}</div>
+										</div>
+									</div>
+								</td>
+								{/* Price */}
+								<td className={`${CELL} ${flash('price')}`}>
+									${formatPrice(coin.price)}
+								</td>
+								{/* 24h Price Change */}
+								<td
+									className={`${CELL} ${changeColor(
+										coin.percent_change_24h
+									)} ${flash('percent_change_24h')}`}>
+									{formatPercentage(coin.percent_change_24h)}
+								</td>
+								{/* 7d Price Change */}
+								<td
+									className={`${CELL} ${changeColor(coin.percent_change_7d)}`}>
+									{formatPercentage(coin.percent_change_7d)}
+								</td>
+								{/* Volume */}
+								<td className={`${CELL} text-gray-300 ${flash('volume_24h')}`}>
+									${formatNumber(coin.volume_24h)}
+								</td>
+								{/* Market Cap */}
+								<td className={`${CELL} text-gray-300`}>
+									${formatNumber(coin.market_cap)}
+								</td>
+								{/* Sentiment Score */}
+								<td className={`${CELL} font-medium ${flash('sentiment')}`}>
+									<MetricValue metric='sentiment' value={coin.sentiment}>
+										{coin.sentiment?.toFixed(1)}
+									</MetricValue>
+								</td>
+								{/* Galaxy Score */}
+								<td className={`${CELL} font-medium ${flash('galaxy_score')}`}>
+									<MetricValue metric='galaxy_score' value={coin.galaxy_score}>
+										{coin.galaxy_score?.toFixed(1)}
+									</MetricValue>
+								</td>
+								{/* AltRank */}
+								<td className={`${CELL} text-gray-300`}>
+									{coin.alt_rank ?? 'N/A'}
+								</td>
+								{/* Social Dominance */}
+								<td className={`${CELL} text-gray-300`}>
+									{coin.social_dominance != null
+										? `${coin.social_dominance.toFixed(2)}%`
+										: 'N/A'}
+								</td>
+								{/* Interactions */}
+								<td className={`${CELL} text-gray-300`}>
+									{formatNumber(coin.interactions_24h)}
+								</td>
+								{/* Derived Signals */}
+								{Object.entries(SIGNAL_FIELDS).map(([field, signal]) => {
+									const value = coin.signals?.[field];
+									return (
+										<td
+											key={field}
+											title={signal.description}
+											className={`${CELL} ${
+												!signal.signed || !value
+													? 'text-gray-300'
+													: changeColor(value)
+											}`}>
+											{value != null ? signal.format(value) : 'N/A'}
+										</td>
+									);
+								})}
+								{/* Signal Badges */}
+								<td className='px-6 py-4'>
+									<SignalBadges flags={coin.signals?.flags} />
+								</td>
+							</tr>
+						);
+					})}
+					{/* Stands in for the rows not reached yet */}
+					{paddingBottom > 0 && (
+						<tr aria-hidden='true' style={{ height: paddingBottom }} />
+					)}
+				</tbody>
+			</table>
+		</div>
+	);
+}
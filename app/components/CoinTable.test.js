@@ -0,0 +1,78 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import CoinTable from './CoinTable';
+import { getMockData } from '../data/mockData';
+
+const coins = getMockData().data.map((coin, index) => ({
+	...coin,
+	rank: index + 1,
+}));
+
+const renderTable = (props = {}) =>
+	render(
+		<CoinTable
+			coins={coins}
+			sortField='alt_rank'
+			isDescending={false}
+			onSort={() => {}}
+			onSelect={() => {}}
+			isWatched={() => false}
+			onToggleWatch={() => {}}
+			onToggleCompare={() => {}}
+			{...props}
+		/>
+	);
+
+const rowFor = (symbol) =>
+	screen.getByText(symbol, { selector: 'div' }).closest('tr');
+
+describe('CoinTable', () => {
+	it('renders one row per coin', () => {
+		renderTable();
+
+		// One header row plus the coins
+		expect(screen.getAllByRole('row')).toHaveLength(coins.length + 1);
+	});
+
+	it('formats prices, changes and dominance', () => {
+		renderTable();
+		const row = within(rowFor('BTC'));
+
+		expect(row.getByText('$106,859.23')).toBeTruthy();
+		expect(row.getByText('+1.47%')).toBeTruthy();
+		expect(row.getByText('35.28%')).toBeTruthy();
+	});
+
+	it('sorts by a column when its header is clicked', () => {
+		const onSort = vi.fn();
+		renderTable({ onSort });
+
+		fireEvent.click(screen.getByText('Sentiment'));
+
+		expect(onSort).toHaveBeenCalledWith('sentiment');
+	});
+
+	it('selects a coin when its row is clicked', () => {
+		const onSelect = vi.fn();
+		renderTable({ onSelect });
+
+		fireEvent.click(rowFor('ETH'));
+
+		expect(onSelect).toHaveBeenCalledWith(
+			expect.objectContaining({ symbol: 'ETH' })
+		);
+	});
+
+	it('stars a coin without selecting it', () => {
+		const onSelect = vi.fn();
+		const onToggleWatch = vi.fn();
+		renderTable({ onSelect, onToggleWatch });
+
+		fireEvent.click(
+			within(rowFor('BTC')).getByRole('button', { name: /watchlist/i })
+		);
+
+		expect(onToggleWatch).toHaveBeenCalledWith('BTC');
+		expect(onSelect).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,48 @@
+/**
+ * CompareToggle
+ * =============
+ *
+ * Toggle button that adds or removes a coin from the side-by-side
+ * comparison. Stops click propagation so it can sit inside clickable cards
+ * and rows, like StarButton.
+ *
+ * @param {Object} props
+ * @param {string} props.symbol - Coin symbol (used in the accessible label)
+ * @param {boolean} props.active - Whether the coin is currently selected
+ * @param {boolean} props.disabled - True when the comparison is full
+ * @param {Function} props.onToggle - Called when the button is clicked
+ * @param {string} props.className - Extra Tailwind classes
+ */
+export default function CompareToggle({
+	symbol,
+	active,
+	disabled = false,
+	onToggle,
+	className = '',
+}) {
+	return (
+		<button
+			type='button'
+			onClick={(e) => {
+				e.stopPropagation(); // Don't open the detail view
+				onToggle();
+			}}
+			disabled={disabled && !active}
+			aria-pressed={active}
+			aria-label={
+				active
+					? `Remove ${symbol} from side by side`
+					: `Add ${symbol} to side by side`
+			}
+			title={
+				disabled && !active ? 'Side by side is full' : 'Compare side by side'
+			}
+			className={`text-sm leading-none px-1.5 py-0.5 rounded border transition-colors disabled:opacity-30 disabled:cursor-not-allowed ${
+				active
+					? 'border-blue-400 text-blue-300 bg-blue-500/20'
+					: 'border-gray-600 text-gray-500 hover:text-blue-300'
+			} ${className}`}>
+			⇄
+		</button>
+	);
+}
@@ -0,0 +1,56 @@
+import Link from 'next/link';
+import { SIDE_BY_SIDE_LIMITS } from '../constants';
+import { getCompareHref } from '../utils/comparison';
+
+/**
+ * CompareTray
+ * ===========
+ *
+ * Bar pinned to the bottom of the dashboard while coins are picked for the
+ * side-by-side view. Lists the picks and opens /compare once there are
+ * enough. (Not to be confused with the Compare tab, which diffs recorded
+ * snapshots.)
+ *
+ * @param {Object} props
+ * @param {string[]} props.symbols - Selected coin symbols
+ * @param {Function} props.onRemove - Called with a symbol to drop it
+ * @param {Function} props.onClear - Drops every selected coin
+ */
+export default function CompareTray({ symbols, onRemove, onClear }) {
+	const ready = symbols.length >= SIDE_BY_SIDE_LIMITS.MIN;
+
+	return (
+		<div className='fixed bottom-4 inset-x-0 z-40 flex justify-center px-4'>
+			<div className='bg-gray-800 border border-gray-700 rounded-xl shadow-2xl px-4 py-3 flex flex-wrap items-center gap-3'>
+				<span className='text-sm text-gray-400'>
+					Side by side ({symbols.length}/{SIDE_BY_SIDE_LIMITS.MAX}):
+				</span>
+				{symbols.map((symbol) => (
+					<button
+						key={symbol}
+						onClick={() => onRemove(symbol)}
+						className='text-xs bg-gray-700 hover:bg-gray-600 px-2 py-1 rounded'
+						aria-label={`Remove ${symbol} from side by side`}>
+						{symbol} ✕
+					</button>
+				))}
+				{ready ? (
+					<Link
+						href={getCompareHref(symbols)}
+						className='px-3 py-1.5 rounded-md text-sm bg-blue-600 hover:bg-blue-500 text-white'>
+						Side by side →
+					</Link>
+				) : (
+					<span className='text-xs text-gray-500'>
+						Pick at least {SIDE_BY_SIDE_LIMITS.MIN} coins
+					</span>
+				)}
+				<button
+					onClick={onClear}
+					className='text-xs text-gray-400 hover:text-gray-200'>
+					Clear
+				</button>
+			</div>
+		</div>
+	);
+}
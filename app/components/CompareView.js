@@ -0,0 +1,288 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import Link from 'next/link';
+import { SORT_OPTIONS } from '../constants';
+import { fetchSnapshot, fetchSnapshotList } from '../services/snapshots';
+import { compareSnapshots } from '../utils/diff';
+
+const selectClass =
+	'bg-gray-800/70 border border-gray-700 rounded px-2 py-1 text-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Describes the query a snapshot was taken with (e.g., "AltRank ↑, top 30")
+ */
+const describeQuery = ({ sort, desc, limit, page }) => {
+	const label =
+		SORT_OPTIONS.find((option) => option.value === sort)?.label || sort;
+	return `${label} ${desc ? '↓' : '↑'}, top ${limit}${
+		page ? ` (page ${page + 1})` : ''
+	}`;
+};
+
+const queryKey = ({ sort, desc, limit, page }) =>
+	[sort, desc, limit, page].join(':');
+
+const describeSnapshot = (snapshot) =>
+	`${new Date(snapshot.generated * 1000).toLocaleString()} · ${describeQuery(
+		snapshot.query
+	)}`;
+
+/**
+ * Shows a signed change in green (good) or red (bad)
+ */
+function Change({ value, decimals = 0 }) {
+	if (value == null || value === 0) {
+		return <span className='text-gray-500'>–</span>;
+	}
+	return (
+		<span className={value > 0 ? 'text-green-500' : 'text-red-500'}>
+			{value > 0 ? '▲' : '▼'}
+			{Math.abs(value).toFixed(decimals)}
+		</span>
+	);
+}
+
+/**
+ * CompareView
+ * ===========
+ *
+ * Compare mode: pick two snapshots recorded by the server and see how each
+ * coin moved between them - list position, sentiment, AltRank, plus the
+ * coins that entered or dropped out of the list.
+ *
+ * Snapshots only exist when the server has SNAPSHOT_FILE configured;
+ * otherwise this view explains how to turn recording on.
+ */
+export default function CompareView() {
+	const [snapshots, setSnapshots] = useState([]);
+	const [enabled, setEnabled] = useState(true);
+	const [olderId, setOlderId] = useState('');
+	const [newerId, setNewerId] = useState('');
+	const [comparison, setComparison] = useState(null);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
+
+	/**
+	 * Loads the snapshot list and picks the two newest matching snapshots
+	 */
+	const loadList = useCallback(async () => {
+		setLoading(true);
+		setError(null);
+		try {
+			const result = await fetchSnapshotList();
+			setEnabled(result.enabled);
+			setSnapshots(result.snapshots);
+
+			const [newest] = result.snapshots;
+			const previous = result.snapshots.find(
+				(snapshot) =>
+					snapshot !== newest &&
+					queryKey(snapshot.query) === queryKey(newest.query)
+			);
+			setNewerId(newest?.id || '');
+			setOlderId(previous?.id || '');
+		} catch (err) {
+			console.error('❌ Error loading snapshots:', err);
+			setError('Could not load snapshots from the server.');
+		} finally {
+			setLoading(false);
+		}
+	}, []);
+
+	useEffect(() => {
+		loadList();
+	}, [loadList]);
+
+	// Diff the two chosen snapshots whenever the selection changes
+	useEffect(() => {
+		if (!olderId || !newerId) {
+			setComparison(null);
+			return;
+		}
+
+		let cancelled = false;
+		Promise.all([fetchSnapshot(olderId), fetchSnapshot(newerId)])
+			.then(([older, newer]) => {
+				if (!cancelled) setComparison(compareSnapshots(older.data, newer.data));
+			})
+			.catch((err) => {
+				console.error('❌ Error loading snapshot:', err);
+				if (!cancelled) setError('Could not load the selected snapshots.');
+			});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [olderId, newerId]);
+
+	const newer = snapshots.find((snapshot) => snapshot.id === newerId);
+
+	// Only offer "before" snapshots taken earlier with the same query
+	const olderChoices = newer
+		? snapshots.filter(
+				(snapshot) =>
+					snapshot.generated < newer.generated &&
+					queryKey(snapshot.query) === queryKey(newer.query)
+			)
+		: [];
+
+	if (loading) {
+		return (
+			<p className='text-gray-400 text-center py-10'>Loading snapshots...</p>
+		);
+	}
+
+	if (!enabled) {
+		return (
+			<div className='bg-gray-800/50 border border-gray-700/50 rounded-xl p-6 text-sm text-gray-300 space-y-2'>
+				<p className='font-bold text-lg'>Snapshot recording is off</p>
+				<p>
+					Add{' '}
+					<code className='text-blue-400'>
+						SNAPSHOT_FILE=./data/snapshots.jsonl
+					</code>{' '}
+					to <code>.env.local</code> and restart the server. Every new response
+					from LunarCrush will then be saved, and you can compare any two of
+					them here.
+				</p>
+			</div>
+		);
+	}
+
+	return (
+		<div className='space-y-4'>
+			{/* Snapshot Pickers */}
+			<div className='flex flex-wrap items-center gap-2 text-sm'>
+				<label className='text-gray-400'>Compare</label>
+				<select
+					aria-label='Earlier snapshot'
+					value={olderId}
+					onChange={(e) => setOlderId(e.target.value)}
+					className={selectClass}>
+					<option value=''>Choose an earlier snapshot</option>
+					{olderChoices.map((snapshot) => (
+						<option key={snapshot.id} value={snapshot.id}>
+							{describeSnapshot(snapshot)}
+						</option>
+					))}
+				</select>
+				<span className='text-gray-400'>with</span>
+				<select
+					aria-label='Later snapshot'
+					value={newerId}
+					onChange={(e) => {
+						setNewerId(e.target.value);
+						setOlderId('');
+					}}
+					className={selectClass}>
+					{snapshots.map((snapshot) => (
+						<option key={snapshot.id} value={snapshot.id}>
+							{describeSnapshot(snapshot)}
+						</option>
+					))}
+				</select>
+				<button
+					onClick={loadList}
+					className='px-3 py-1 rounded bg-gray-800/70 border border-gray-700 text-gray-300 hover:bg-gray-700'>
+					Reload
+				</button>
+			</div>
+
+			{error && <p className='text-sm text-red-400'>{error}</p>}
+
+			{snapshots.length < 2 || !comparison ? (
+				<p className='text-gray-400 text-center py-10'>
+					{snapshots.length < 2
+						? `${snapshots.length} snapshot recorded so far. Keep the dashboard running - a new one is saved each time LunarCrush updates.`
+						: 'Choose an earlier snapshot to compare with.'}
+				</p>
+			) : (
+				<>
+					{/* Entrants and Dropouts */}
+					<div className='grid grid-cols-1 md:grid-cols-2 gap-4 text-sm'>
+						<div className='bg-green-900/20 border border-green-700/30 rounded-lg p-3'>
+							<p className='text-green-400 font-medium'>
+								New entrants ({comparison.entrants.length})
+							</p>
+							<p className='text-gray-300 mt-1'>
+								{comparison.entrants.join(', ') || 'None'}
+							</p>
+						</div>
+						<div className='bg-red-900/20 border border-red-700/30 rounded-lg p-3'>
+							<p className='text-red-400 font-medium'>
+								Dropouts ({comparison.dropouts.length})
+							</p>
+							<p className='text-gray-300 mt-1'>
+								{comparison.dropouts.join(', ') || 'None'}
+							</p>
+						</div>
+					</div>
+
+					{/* Per-coin Changes */}
+					<div className='overflow-x-auto rounded-xl border border-gray-700/50 shadow-xl'>
+						<table className='min-w-full divide-y divide-gray-700 text-sm'>
+							<thead className='bg-gray-800/70'>
+								<tr className='text-xs font-medium text-gray-400 uppercase tracking-wider'>
+									<th className='px-4 py-3 text-left'>Coin</th>
+									<th className='px-4 py-3 text-right'>Position</th>
+									<th className='px-4 py-3 text-right'>Movement</th>
+									<th className='px-4 py-3 text-right'>Sentiment</th>
+									<th className='px-4 py-3 text-right'>Δ Sentiment</th>
+									<th className='px-4 py-3 text-right'>AltRank</th>
+									<th className='px-4 py-3 text-right'>Δ AltRank</th>
+								</tr>
+							</thead>
+							<tbody className='bg-gray-800/20 divide-y divide-gray-700'>
+								{comparison.rows.map((row) => (
+									<tr
+										key={row.symbol}
+										className={row.status === 'dropped' ? 'opacity-60' : ''}>
+										<td className='px-4 py-2 whitespace-nowrap'>
+											<Link
+												href={`/coin/${row.symbol}`}
+												className='font-medium hover:underline'>
+												{row.symbol}
+											</Link>
+											<span className='ml-2 text-xs text-gray-400'>
+												{row.name}
+											</span>
+											{row.status !== 'kept' && (
+												<span
+													className={`ml-2 text-xs px-1.5 py-0.5 rounded ${
+														row.status === 'new'
+															? 'bg-green-900/40 text-green-400'
+															: 'bg-red-900/40 text-red-400'
+													}`}>
+													{row.status === 'new' ? 'NEW' : 'OUT'}
+												</span>
+											)}
+										</td>
+										<td className='px-4 py-2 text-right text-gray-300'>
+											{row.positionBefore ?? '–'} → {row.positionAfter ?? '–'}
+										</td>
+										<td className='px-4 py-2 text-right'>
+											<Change value={row.positionChange} />
+										</td>
+										<td className='px-4 py-2 text-right text-gray-300'>
+											{row.sentimentBefore ?? '–'} → {row.sentimentAfter ?? '–'}
+										</td>
+										<td className='px-4 py-2 text-right'>
+											<Change value={row.sentimentDelta} decimals={1} />
+										</td>
+										<td className='px-4 py-2 text-right text-gray-300'>
+											{row.altRankBefore ?? '–'} → {row.altRankAfter ?? '–'}
+										</td>
+										<td className='px-4 py-2 text-right'>
+											<Change value={row.altRankChange} />
+										</td>
+									</tr>
+								))}
+							</tbody>
+						</table>
+					</div>
+				</>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,75 @@
+import Link from 'next/link';
+import MetricValue from './MetricValue';
+import { buildComparison } from '../utils/comparison';
+
+/**
+ * ComparisonTable
+ * ===============
+ *
+ * Lines up the compared coins in columns, one metric per row, with the
+ * best value of each row highlighted (see COMPARISON_METRICS for which
+ * direction counts as better).
+ *
+ * @param {Object} props
+ * @param {Object[]} props.coins - The compared coins, in column order
+ */
+export default function ComparisonTable({ coins }) {
+	const rows = buildComparison(coins);
+
+	return (
+		<div className='overflow-x-auto bg-gray-800/50 border border-gray-700/50 rounded-xl'>
+			<table className='min-w-full text-sm'>
+				<thead className='bg-gray-800'>
+					<tr>
+						<th className='px-4 py-3 text-left text-xs font-medium text-gray-400 uppercase tracking-wider'>
+							Metric
+						</th>
+						{coins.map((coin) => (
+							<th key={coin.symbol} className='px-4 py-3 text-right'>
+								<Link
+									href={`/coin/${coin.symbol}`}
+									className='font-bold text-gray-100 hover:underline'>
+									{coin.name}
+								</Link>
+								<span className='ml-2 text-xs font-medium bg-gray-700 px-2 py-0.5 rounded'>
+									{coin.symbol}
+								</span>
+							</th>
+						))}
+					</tr>
+				</thead>
+				<tbody className='divide-y divide-gray-700'>
+					{rows.map(({ metric, cells }) => (
+						<tr key={metric.key}>
+							<td className='px-4 py-3 text-gray-400 whitespace-nowrap'>
+								{metric.label}
+							</td>
+							{cells.map((cell) => (
+								<td
+									key={cell.symbol}
+									className={`px-4 py-3 text-right whitespace-nowrap ${
+										cell.best ? 'bg-green-500/10 font-bold' : ''
+									}`}>
+									{metric.scaleMetric ? (
+										<MetricValue metric={metric.scaleMetric} value={cell.value}>
+											{cell.display}
+										</MetricValue>
+									) : (
+										cell.display
+									)}
+									{cell.best && (
+										<span
+											className='ml-2 text-xs text-green-400'
+											title={`Best ${metric.label}`}>
+											▲ best
+										</span>
+									)}
+								</td>
+							))}
+						</tr>
+					))}
+				</tbody>
+			</table>
+		</div>
+	);
+}
@@ -0,0 +1,521 @@
+'use client';
+
+/**
+ * Crypto Sentiment Dashboard
+ * =========================
+ *
+ * This is the main component for our Next.js application that displays
+ * cryptocurrency sentiment data from the LunarCrush API. It shows sentiment
+ * scores, price changes, and other metrics to help users understand market
+ * sentiment around cryptocurrencies.
+ *
+ * Key Features:
+ * - Displays cryptocurrency sentiment data in a grid or table view
+ * - Summarizes the loaded coins in a market overview strip (sentiment
+ *   bands, weighted sentiment, top movers, volume, social concentration)
+ * - Allows sorting by any metric (ascending or descending), including
+ *   clickable table column headers
+ * - Filters by search, categories, blockchains and metric ranges, with the
+ *   filters kept in the URL so a view can be shared
+ * - Shows detailed information when a cryptocurrency is selected, with a
+ *   link to its shareable /coin/[symbol] page
+ * - Lets users star coins into a persistent watchlist view
+ * - Picks 2-5 coins to compare side by side on the shareable /compare page
+ * - Checks user-defined alert rules on every data refresh
+ * - Derives trend signals (Galaxy momentum, AltRank velocity, social vs
+ *   market dominance) as sortable columns, with badges for divergences
+ * - Tracks a portfolio of holdings with value, P&L, allocation and
+ *   holdings-weighted sentiment
+ * - Loads more coins as you scroll (beyond the top 100), and only renders
+ *   the rows near the viewport so thousands of coins stay smooth
+ * - Exports the coins on screen as CSV, JSON or Excel
+ * - Compares two server-recorded snapshots in Compare mode
+ * - Refreshes automatically on a user-selected interval, or receives live
+ *   updates over Server-Sent Events and highlights the values that changed
+ * - Colors scores with user-configurable thresholds, bands or gradients,
+ *   and a colorblind-safe palette
+ * - Plots sentiment and price history as sparklines and a detail chart
+ * - Paints the first page of coins rendered on the server (see app/page.js),
+ *   and only shows a loading screen when that wasn't possible
+ * - Gracefully handles loading states and errors
+ * - Falls back to mock data when the API is unavailable (or, in live-only
+ *   mode, shows the real failure), and always says whether the data is
+ *   live, cached or demo data
+ */
+
+import { useEffect, useState, useCallback, useMemo } from 'react';
+import CoinCard from './CoinCard';
+import CoinTable from './CoinTable';
+import CoinDetail from './CoinDetail';
+import StatusScreen from './StatusScreen';
+import CompareTray from './CompareTray';
+import AlertsPanel from './AlertsPanel';
+import PortfolioPanel from './PortfolioPanel';
+import RefreshStatus from './RefreshStatus';
+import DataSourceStatus from './DataSourceStatus';
+import ExportMenu from './ExportMenu';
+import CompareView from './CompareView';
+import FilterBar from './FilterBar';
+import MarketSummary from './MarketSummary';
+import ScaleSettingsPanel from './ScaleSettingsPanel';
+import DashboardHeader from './DashboardHeader';
+import DashboardFooter from './DashboardFooter';
+import DemoDataBanner from './DemoDataBanner';
+import ViewTabs from './ViewTabs';
+import ListControls from './ListControls';
+import RefreshControls from './RefreshControls';
+import LoadMoreSentinel from './LoadMoreSentinel';
+import { useSentimentData } from '../hooks/useSentimentData';
+import { useWatchlist } from '../hooks/useWatchlist';
+import { useAlerts } from '../hooks/useAlerts';
+import { usePortfolio } from '../hooks/usePortfolio';
+import { useAutoRefresh } from '../hooks/useAutoRefresh';
+import { useUrlFilters } from '../hooks/useUrlFilters';
+import { useInfiniteScroll } from '../hooks/useInfiniteScroll';
+import { useVirtualRows, useGridColumns } from '../hooks/useVirtualRows';
+import { applyFilters, getFacets } from '../utils/filters';
+import { summarizeMarket } from '../utils/marketSummary';
+import { describeFailure } from '../utils/dataSource';
+import { toggleCompareSymbol } from '../utils/comparison';
+import { isSignalField, withSignals } from '../utils/signals';
+import { sortCoins } from '../utils/sorting';
+import {
+	DEFAULT_LIMIT,
+	DEFAULT_SORT_DESCENDING,
+	DEFAULT_SORT_FIELD,
+	VIEW_MODES,
+	REFRESH_INTERVALS,
+	STORAGE_KEYS,
+	VIRTUALIZATION,
+	SIDE_BY_SIDE_LIMITS,
+} from '../constants/index';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+
+/**
+ * Dashboard
+ * =========
+ *
+ * @param {Object} props
+ * @param {Object} props.initialData - First page of coins rendered on the server
+ *   ({ config, data, meta, rateLimit }), or null to load it in the browser
+ */
+export default function Dashboard({ initialData }) {
+	// ===== STATE MANAGEMENT =====
+
+	// UI states
+	const [activeTab, setActiveTab] = useState(VIEW_MODES.GRID); // Current view (grid, table or compare)
+	const [selectedCoin, setSelectedCoin] = useState(null); // Selected coin for detail view
+	const [sortField, setSortField] = useState(DEFAULT_SORT_FIELD); // Metric to sort by
+	const [isDescending, setIsDescending] = useState(DEFAULT_SORT_DESCENDING); // Sort direction
+	const [displayLimit, setDisplayLimit] = useState(DEFAULT_LIMIT); // Number of coins to display
+	const [showWatchlist, setShowWatchlist] = useState(false); // Show only starred coins
+
+	// Starred coins, persisted in localStorage (and on the server if enabled)
+	const {
+		symbols: watchlist,
+		isWatched,
+		toggle: toggleWatchlist,
+	} = useWatchlist();
+
+	// The coin list, with loading, refresh, paging, live updates and the
+	// mock data fallback (see hooks/useSentimentData.js)
+	const query = {
+		sort: sortField,
+		desc: isDescending,
+		limit: displayLimit,
+		// The watchlist view asks for exactly the starred coins
+		symbols: showWatchlist ? watchlist : undefined,
+	};
+	const {
+		data,
+		loading,
+		isRefreshing,
+		fetchStatus,
+		error,
+		lastFailure,
+		useMockData,
+		sourceMeta,
+		rateLimit,
+		lastUpdated,
+		lastRefreshAt,
+		hasMore,
+		loadingMore,
+		loadMoreError,
+		loadMore,
+		liveOnly,
+		setLiveOnly,
+		refresh,
+		retry,
+		isLive,
+		highlights,
+	} = useSentimentData(query, { initialData });
+
+	// Search, facet and range filters (kept in the URL query string)
+	const [filters, setFilters] = useUrlFilters();
+	const [signalSort, setSignalSort] = useState(null); // { field, desc } when sorted by a derived signal
+	const visibleData = useMemo(() => {
+		const filtered = withSignals(applyFilters(data, filters));
+		// LunarCrush can't sort by derived signals, so the loaded coins are sorted here
+		return signalSort
+			? sortCoins(
+					filtered,
+					(coin) => coin.signals[signalSort.field],
+					signalSort.desc
+				)
+			: filtered;
+	}, [data, filters, signalSort]);
+	const facets = useMemo(() => getFacets(data), [data]);
+	const marketSummary = useMemo(() => summarizeMarket(data), [data]); // Overview of every loaded coin
+
+	// Alert rules, checked every time `data` changes
+	const alerts = useAlerts(data);
+	const [showAlerts, setShowAlerts] = useState(false); // Alerts panel visibility
+	const [showColorSettings, setShowColorSettings] = useState(false); // Color settings panel visibility
+	const [showPortfolio, setShowPortfolio] = useState(false); // Portfolio panel visibility
+	const [compareSymbols, setCompareSymbols] = useState([]); // Coins picked for the side-by-side comparison
+
+	const [refreshInterval, setRefreshInterval] = useState(
+		REFRESH_INTERVALS.AUTO
+	); // Auto-refresh interval (0 = off)
+
+	// Where the last page loaded by scrolling starts in `data`. When the
+	// filters hide every coin on it, scrolling stops loading pages (see
+	// LoadMoreSentinel); changing the filters re-checks it.
+	const [lastPageStart, setLastPageStart] = useState(null);
+	const loadNextPage = useCallback(() => {
+		setLastPageStart(data.length);
+		loadMore();
+	}, [data.length, loadMore]);
+	const lastPageHidden = useMemo(() => {
+		if (lastPageStart === null || data.length <= lastPageStart) return false;
+		return applyFilters(data.slice(lastPageStart), filters).length === 0;
+	}, [data, filters, lastPageStart]);
+
+	// Load the next page when the end of the grid or table comes into view
+	const showSentinel =
+		activeTab !== VIEW_MODES.COMPARE &&
+		!showWatchlist &&
+		visibleData.length > 0;
+	const sentinelRef = useInfiniteScroll(loadNextPage, {
+		enabled:
+			showSentinel &&
+			hasMore &&
+			!lastPageHidden &&
+			!loading &&
+			!loadingMore &&
+			!loadMoreError,
+	});
+
+	// Only render the rows near the viewport once the list gets long
+	const virtualize = visibleData.length > VIRTUALIZATION.THRESHOLD;
+	const gridColumns = useGridColumns();
+	const gridRows = useVirtualRows({
+		count: Math.ceil(visibleData.length / gridColumns),
+		estimateSize: VIRTUALIZATION.GRID_ROW_HEIGHT,
+		gap: VIRTUALIZATION.GRID_GAP,
+		enabled: virtualize && activeTab === VIEW_MODES.GRID,
+	});
+	const tableRows = useVirtualRows({
+		count: visibleData.length,
+		estimateSize: VIRTUALIZATION.TABLE_ROW_HEIGHT,
+		enabled: virtualize && activeTab === VIEW_MODES.TABLE,
+	});
+	const gridCoins = visibleData.slice(
+		gridRows.start * gridColumns,
+		gridRows.end * gridColumns
+	);
+	const tableCoins = visibleData.slice(tableRows.start, tableRows.end);
+
+	/**
+	 * Adds a coin to the side-by-side comparison, or removes it
+	 */
+	const toggleCompare = useCallback(
+		(symbol) =>
+			setCompareSymbols((current) => toggleCompareSymbol(current, symbol)),
+		[]
+	);
+	const compareFull = compareSymbols.length >= SIDE_BY_SIDE_LIMITS.MAX;
+
+	// Portfolio holdings, valued against the loaded coins (held coins that
+	// aren't loaded are fetched by symbol while the panel is open)
+	const portfolio = usePortfolio(data, {
+		enabled: showPortfolio,
+		refreshKey: lastRefreshAt,
+		usedMockData: useMockData,
+	});
+
+	// Poll for new data on the chosen interval (not needed while the stream is live)
+	const { nextRefreshAt, failures, paused } = useAutoRefresh(refresh, {
+		interval: isLive ? 0 : refreshInterval,
+		lastRefreshAt,
+	});
+
+	// Restore the saved auto-refresh interval
+	useEffect(() => {
+		setRefreshInterval(
+			loadFromStorage(STORAGE_KEYS.REFRESH_INTERVAL, REFRESH_INTERVALS.AUTO)
+		);
+	}, []);
+
+	/**
+	 * Changes and saves the auto-refresh interval
+	 * @param {number} interval - New interval in ms (0 = off)
+	 */
+	const handleRefreshIntervalChange = (interval) => {
+		setRefreshInterval(interval);
+		saveToStorage(STORAGE_KEYS.REFRESH_INTERVAL, interval);
+	};
+
+	/**
+	 * Handles a click on a sortable table column
+	 * Clicking the active column flips the direction; clicking a new column
+	 * sorts by it, best values first.
+	 *
+	 * @param {string} field - The LunarCrush field (or derived signal) to sort by
+	 */
+	const handleSort = (field) => {
+		// Derived signals are sorted in the browser, without a new request
+		if (isSignalField(field)) {
+			setSignalSort({
+				field,
+				desc: signalSort?.field === field ? !signalSort.desc : true,
+			});
+			return;
+		}
+		setSignalSort(null);
+
+		if (field === sortField) {
+			setIsDescending(!isDescending);
+			return;
+		}
+
+		setSortField(field);
+		// AltRank 1 is the best, for every other metric higher is better
+		setIsDescending(field !== 'alt_rank');
+	};
+
+	// Why we're showing demo data (shown in the banner)
+	const mockReason = sourceMeta?.reason && describeFailure(sourceMeta.reason);
+
+	/**
+	 * Loading and error screens - shown instead of the dashboard while the
+	 * first load is running, or when it failed
+	 */
+	if (loading || error) {
+		return (
+			<StatusScreen
+				error={error}
+				fetchStatus={fetchStatus}
+				liveOnly={liveOnly}
+				onRetry={retry}
+				onUseDemoData={() => setLiveOnly(false)}
+			/>
+		);
+	}
+
+	return (
+		<>
+			<div className='min-h-screen bg-gradient-to-br from-gray-900 to-black text-gray-100'>
+				{/* ===== APP HEADER ===== */}
+				<DashboardHeader
+					banner={useMockData && <DemoDataBanner reason={mockReason} />}
+					tabs={
+						<ViewTabs
+							activeTab={activeTab}
+							onTabChange={setActiveTab}
+							unreadAlerts={alerts.unreadCount}
+							onOpenAlerts={() => {
+								setShowAlerts(true);
+								alerts.markRead();
+							}}
+							onOpenPortfolio={() => setShowPortfolio(true)}
+							onOpenColors={() => setShowColorSettings(true)}
+						/>
+					}>
+					{/* Watchlist Toggle, Sort Field Dropdown and Order Toggle */}
+					<ListControls
+						showWatchlist={showWatchlist}
+						onShowWatchlistChange={setShowWatchlist}
+						watchlistCount={watchlist.length}
+						sortField={sortField}
+						onSortFieldChange={(field) => {
+							setSortField(field);
+							setSignalSort(null);
+						}}
+						isDescending={isDescending}
+						onDescendingChange={setIsDescending}
+					/>
+
+					{/* Page Size, Auto-refresh, Refresh Button, Export and Data Status */}
+					<RefreshControls
+						displayLimit={displayLimit}
+						onDisplayLimitChange={setDisplayLimit}
+						limitDisabled={showWatchlist} // The watchlist always shows every starred coin
+						refreshInterval={refreshInterval}
+						onRefreshIntervalChange={handleRefreshIntervalChange}
+						onRefresh={refresh}
+						loading={loading}
+						isRefreshing={isRefreshing}>
+						{/* Export the coins on screen */}
+						<ExportMenu coins={visibleData} query={query} />
+
+						{/* Live, Cached or Demo Data, and the Live-only Switch */}
+						<DataSourceStatus
+							meta={sourceMeta}
+							failure={lastFailure}
+							liveOnly={liveOnly}
+							onLiveOnlyChange={setLiveOnly}
+						/>
+
+						{/* Last Updated and Next Refresh Countdown */}
+						<RefreshStatus
+							live={isLive}
+							lastUpdated={lastUpdated}
+							nextRefreshAt={nextRefreshAt}
+							failures={failures}
+							paused={paused}
+							rateLimit={rateLimit}
+						/>
+					</RefreshControls>
+				</DashboardHeader>
+
+				{/* ===== MAIN CONTENT AREA ===== */}
+				<main className='container mx-auto px-4 py-8'>
+					{/* Market Overview (all loaded coins, before filters) */}
+					{activeTab !== VIEW_MODES.COMPARE && data.length > 0 && (
+						<MarketSummary summary={marketSummary} />
+					)}
+
+					{/* Search, Facets and Range Sliders */}
+					{activeTab !== VIEW_MODES.COMPARE && (
+						<FilterBar
+							filters={filters}
+							onChange={setFilters}
+							facets={facets}
+							shown={visibleData.length}
+							total={data.length}
+						/>
+					)}
+
+					{/* Empty Watchlist Message */}
+					{showWatchlist &&
+						data.length === 0 &&
+						activeTab !== VIEW_MODES.COMPARE && (
+							<p className='text-center text-gray-400 py-12'>
+								Your watchlist is empty. Click the ☆ on any coin to add it.
+							</p>
+						)}
+
+					{/* No Filter Matches Message */}
+					{data.length > 0 &&
+						visibleData.length === 0 &&
+						activeTab !== VIEW_MODES.COMPARE && (
+							<p className='text-center text-gray-400 py-12'>
+								No coins match your filters.
+							</p>
+						)}
+
+					{/* Compare Mode (diffs two recorded snapshots), or the Grid View Layout */}
+					{activeTab === VIEW_MODES.COMPARE ? (
+						<CompareView />
+					) : activeTab === VIEW_MODES.GRID ? (
+						<div
+							ref={gridRows.containerRef}
+							className='grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6'
+							style={{
+								paddingTop: gridRows.paddingTop,
+								paddingBottom: gridRows.paddingBottom,
+							}}>
+							{/* Map through each coin near the viewport and create a card */}
+							{gridCoins.map((coin, index) => (
+								<CoinCard
+									key={coin.symbol + '_' + coin.id}
+									ref={index === 0 ? gridRows.measureRef : undefined} // Measures the card height
+									coin={coin}
+									onSelect={setSelectedCoin}
+									watched={isWatched(coin.symbol)}
+									onToggleWatch={() => toggleWatchlist(coin.symbol)}
+									compared={compareSymbols.includes(coin.symbol)}
+									compareDisabled={compareFull}
+									onToggleCompare={() => toggleCompare(coin.symbol)}
+									changedFields={highlights[coin.symbol]}
+								/>
+							))}
+						</div>
+					) : (
+						/* Table View Layout */
+						<CoinTable
+							coins={tableCoins}
+							sortField={signalSort?.field ?? sortField}
+							isDescending={signalSort ? signalSort.desc : isDescending}
+							onSort={handleSort}
+							onSelect={setSelectedCoin}
+							isWatched={isWatched}
+							onToggleWatch={toggleWatchlist}
+							compareSymbols={compareSymbols}
+							compareDisabled={compareFull}
+							onToggleCompare={toggleCompare}
+							highlights={highlights}
+							virtualRows={tableRows}
+						/>
+					)}
+
+					{/* Infinite Scroll - the next page loads as this comes into view */}
+					{showSentinel && (
+						<LoadMoreSentinel
+							ref={sentinelRef}
+							loadingMore={loadingMore}
+							error={loadMoreError}
+							paused={lastPageHidden}
+							onLoadMore={loadNextPage}
+							hasMore={hasMore}
+							loadedCount={data.length}
+						/>
+					)}
+
+					{/* ===== COIN DETAIL MODAL ===== */}
+					{selectedCoin && (
+						<CoinDetail
+							coin={selectedCoin}
+							onClose={() => setSelectedCoin(null)}
+							watched={isWatched(selectedCoin.symbol)}
+							onToggleWatch={() => toggleWatchlist(selectedCoin.symbol)}
+							compared={compareSymbols.includes(selectedCoin.symbol)}
+							compareDisabled={compareFull}
+							onToggleCompare={() => toggleCompare(selectedCoin.symbol)}
+						/>
+					)}
+					{/* ===== ALERTS PANEL ===== */}
+					{showAlerts && (
+						<AlertsPanel alerts={alerts} onClose={() => setShowAlerts(false)} />
+					)}
+
+					{/* ===== COMPARE TRAY (coins picked for /compare) ===== */}
+					{compareSymbols.length > 0 && (
+						<CompareTray
+							symbols={compareSymbols}
+							onRemove={toggleCompare}
+							onClear={() => setCompareSymbols([])}
+						/>
+					)}
+
+					{/* ===== PORTFOLIO PANEL ===== */}
+					{showPortfolio && (
+						<PortfolioPanel
+							portfolio={portfolio}
+							onClose={() => setShowPortfolio(false)}
+						/>
+					)}
+
+					{/* ===== COLOR SETTINGS PANEL ===== */}
+					{showColorSettings && (
+						<ScaleSettingsPanel onClose={() => setShowColorSettings(false)} />
+					)}
+				</main>
+
+				{/* ===== FOOTER ===== */}
+				<DashboardFooter />
+			</div>
+		</>
+	);
+}
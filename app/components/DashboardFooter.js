@@ -0,0 +1,26 @@
+/**
+ * DashboardFooter
+ * ===============
+ *
+ * Credits and a short explanation of the scores for first-time visitors.
+ */
+export default function DashboardFooter() {
+	return (
+		<footer className='py-6 border-t border-gray-800 bg-black/30'>
+			<div className='container mx-auto px-4'>
+				<div className='flex flex-col items-center justify-center gap-2'>
+					<p className='text-center text-gray-400 text-sm'>
+						Crypto Sentiment Dashboard • Powered by LunarCrush API •{' '}
+						{new Date().getFullYear()}
+					</p>
+					{/* Added helpful information for beginners */}
+					<p className='text-xs text-gray-500 text-center max-w-md'>
+						This dashboard displays cryptocurrency sentiment data from social
+						media. Higher sentiment scores (green) generally indicate positive
+						market sentiment.
+					</p>
+				</div>
+			</div>
+		</footer>
+	);
+}
@@ -0,0 +1,34 @@
+/**
+ * DashboardHeader
+ * ===============
+ *
+ * Sticky header at the top of the dashboard: an optional banner, the title
+ * with the tab bar next to it, and a row of controls underneath.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.banner - Shown above everything (e.g., DemoDataBanner), or null
+ * @param {React.ReactNode} props.tabs - Shown next to the title (e.g., ViewTabs)
+ * @param {React.ReactNode} props.children - The controls row
+ */
+export default function DashboardHeader({ banner, tabs, children }) {
+	return (
+		<header className='sticky top-0 z-10 backdrop-blur-md bg-black/50 border-b border-gray-800'>
+			{banner}
+
+			<div className='container mx-auto px-4 py-5'>
+				{/* Title and Tab Bar */}
+				<div className='flex flex-col md:flex-row items-center justify-between mb-4'>
+					<h1 className='text-3xl md:text-4xl font-bold bg-gradient-to-r from-blue-500 to-purple-600 bg-clip-text text-transparent'>
+						Crypto Sentiment Dashboard
+					</h1>
+					{tabs}
+				</div>
+
+				{/* Controls */}
+				<div className='flex flex-col sm:flex-row items-center justify-between gap-4 pb-2'>
+					{children}
+				</div>
+			</div>
+		</header>
+	);
+}
@@ -0,0 +1,87 @@
+'use client';
+
+import {
+	DATA_SOURCES,
+	getFailedProviders,
+	getProviderLabel,
+} from '../utils/dataSource';
+
+// Badge colors for each data source
+const SOURCE_STYLES = {
+	live: 'bg-green-500/15 text-green-300 border-green-500/30',
+	cached: 'bg-blue-500/15 text-blue-300 border-blue-500/30',
+	static: 'bg-purple-500/15 text-purple-300 border-purple-500/30',
+	mock: 'bg-amber-500/15 text-amber-300 border-amber-500/30',
+};
+
+/**
+ * DataSourceStatus
+ * ================
+ *
+ * Shows where the coins on screen came from (live, cached, static file or
+ * demo data), which data providers didn't answer, why the last request
+ * failed if it did, and the "Live only" switch that turns off the demo
+ * data fallback.
+ *
+ * @param {Object} props
+ * @param {Object} props.meta - `meta` from getSentimentData ({ source, age, stale, providers }), or null
+ * @param {Object} props.failure - The last failure from describeFailure, or null
+ * @param {boolean} props.liveOnly - Whether the demo data fallback is off
+ * @param {Function} props.onLiveOnlyChange - Called with the new liveOnly value
+ */
+export default function DataSourceStatus({
+	meta,
+	failure,
+	liveOnly,
+	onLiveOnlyChange,
+}) {
+	const source = DATA_SOURCES[meta?.source];
+	const failedProviders = getFailedProviders(meta);
+
+	return (
+		<div className='flex items-center gap-2 text-xs'>
+			{/* Source Badge */}
+			{source && (
+				<span
+					title={source.description}
+					className={`px-2 py-0.5 rounded border ${SOURCE_STYLES[meta.source]}`}>
+					{source.label}
+					{meta.source === 'cached' &&
+						(meta.stale ? ' (stale)' : meta.age > 0 && ` (${meta.age}s old)`)}
+				</span>
+			)}
+
+			{/* Partial Data (some providers failed, the others filled in) */}
+			{failedProviders.length > 0 && (
+				<span
+					title={failedProviders
+						.map(({ id, code }) => `${getProviderLabel(id)}: ${code}`)
+						.join('\n')}
+					className={`px-2 py-0.5 rounded border ${SOURCE_STYLES.mock}`}>
+					Partial data -{' '}
+					{failedProviders.map(({ id }) => getProviderLabel(id)).join(', ')}{' '}
+					unavailable
+				</span>
+			)}
+
+			{/* Last Failure (a failed refresh keeps the old data on screen) */}
+			{failure && (
+				<span className='text-red-400' title={failure.message}>
+					{failure.title}
+				</span>
+			)}
+
+			{/* Live-only Switch */}
+			<label
+				className='flex items-center gap-1 text-gray-300'
+				title='Show errors instead of falling back to demo data'>
+				<input
+					type='checkbox'
+					checked={liveOnly}
+					onChange={(e) => onLiveOnlyChange(e.target.checked)}
+				/>
+				Live only
+			</label>
+		</div>
+	);
+}
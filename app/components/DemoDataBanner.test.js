@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import DemoDataBanner from './DemoDataBanner';
+
+describe('DemoDataBanner', () => {
+	it('says why demo data is shown', () => {
+		render(
+			<DemoDataBanner
+				reason={{ title: 'Rate limited', hint: 'Try again in a minute.' }}
+			/>
+		);
+
+		expect(screen.getByRole('status').textContent).toBe(
+			'Using Demo Data - Rate limited. Try again in a minute.'
+		);
+	});
+
+	it('points at the API key when the reason is unknown', () => {
+		render(<DemoDataBanner reason={null} />);
+
+		expect(screen.getByRole('status').textContent).toContain(
+			'Please check your API key'
+		);
+	});
+});
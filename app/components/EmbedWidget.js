@@ -0,0 +1,244 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import MetricValue from './MetricValue';
+import { useSentimentData } from '../hooks/useSentimentData';
+import { useAutoRefresh } from '../hooks/useAutoRefresh';
+import { useHostMessages } from '../hooks/useHostMessages';
+import { formatEmbedMetric, getEmbedMetric } from '../utils/embed';
+import { formatTimeSince } from '../utils/formatters';
+import { SITE_URL } from '../constants';
+
+// Tailwind classes for each theme in EMBED_THEMES
+const THEME_STYLES = {
+	dark: {
+		container: 'bg-gray-900 text-gray-100',
+		muted: 'text-gray-400',
+		border: 'border-gray-700',
+		badge: 'bg-gray-700 text-gray-200',
+	},
+	light: {
+		container: 'bg-white text-gray-900',
+		muted: 'text-gray-500',
+		border: 'border-gray-200',
+		badge: 'bg-gray-100 text-gray-700',
+	},
+};
+
+/**
+ * A coin's value for one metric, colored like on the dashboard
+ */
+function MetricCell({ metricKey, coin }) {
+	const metric = getEmbedMetric(metricKey);
+	const value = coin[metricKey];
+	const text = formatEmbedMetric(metricKey, value);
+
+	if (metric.scaleMetric) {
+		return (
+			<MetricValue metric={metric.scaleMetric} value={value}>
+				{text}
+			</MetricValue>
+		);
+	}
+	if (metric.signed && value) {
+		return (
+			<span className={value > 0 ? 'text-green-500' : 'text-red-500'}>
+				{text}
+			</span>
+		);
+	}
+	return text;
+}
+
+/**
+ * Single-coin layout: one coin's metrics as large figures
+ */
+function SingleCoin({ coin, metrics, theme }) {
+	return (
+		<div>
+			<p className='text-lg font-bold'>
+				{coin.name}{' '}
+				<span
+					className={`text-xs font-medium px-1.5 py-0.5 rounded ${theme.badge}`}>
+					{coin.symbol}
+				</span>
+			</p>
+			<dl className='mt-3 grid grid-cols-2 gap-3'>
+				{metrics.map((key) => (
+					<div key={key}>
+						<dt className={`text-xs ${theme.muted}`}>
+							{getEmbedMetric(key).label}
+						</dt>
+						<dd className='text-xl font-bold'>
+							<MetricCell metricKey={key} coin={coin} />
+						</dd>
+					</div>
+				))}
+			</dl>
+		</div>
+	);
+}
+
+/**
+ * List layout: one compact row per coin
+ */
+function CoinList({ coins, metrics, theme }) {
+	return (
+		<table className='w-full text-sm'>
+			<thead>
+				<tr className={`text-xs ${theme.muted}`}>
+					<th className='text-left font-medium pb-1'>Coin</th>
+					{metrics.map((key) => (
+						<th key={key} className='text-right font-medium pb-1 pl-3'>
+							{getEmbedMetric(key).label}
+						</th>
+					))}
+				</tr>
+			</thead>
+			<tbody>
+				{coins.map((coin) => (
+					<tr key={coin.symbol} className={`border-t ${theme.border}`}>
+						<td className='py-1.5 font-medium' title={coin.name}>
+							{coin.symbol}
+						</td>
+						{metrics.map((key) => (
+							<td
+								key={key}
+								className='py-1.5 pl-3 text-right whitespace-nowrap'>
+								<MetricCell metricKey={key} coin={coin} />
+							</td>
+						))}
+					</tr>
+				))}
+			</tbody>
+		</table>
+	);
+}
+
+/**
+ * EmbedWidget
+ * ===========
+ *
+ * Compact coin widget for iframes on other sites (wikis, status pages).
+ * Shows either the top coins for a sort field or a fixed list of symbols -
+ * one symbol gets a larger single-coin layout - and refreshes on its own
+ * through the same /api/sentiment path as the dashboard.
+ *
+ * The host page can change the symbols, metrics or theme, or ask for a
+ * refresh, with postMessage (see utils/embed.js). The widget tells the host
+ * when it's ready, after every load, on errors, and whenever its height
+ * changes so the iframe can be resized.
+ *
+ * @param {Object} props
+ * @param {Object} props.config - From parseEmbedQuery ({ sort, desc, limit, symbols, metrics, theme, refresh })
+ * @param {string[]|null} props.allowedOrigins - Sites that may send commands (null = any)
+ */
+export default function EmbedWidget({ config, allowedOrigins }) {
+	// Settings the host page can change after load
+	const [symbols, setSymbols] = useState(config.symbols);
+	const [metrics, setMetrics] = useState(config.metrics);
+	const [themeName, setThemeName] = useState(config.theme);
+	const theme = THEME_STYLES[themeName];
+
+	const {
+		data,
+		loading,
+		error,
+		useMockData,
+		lastUpdated,
+		lastRefreshAt,
+		refresh,
+	} = useSentimentData(
+		{
+			sort: config.sort,
+			desc: config.desc,
+			limit: config.limit,
+			symbols,
+		},
+		// Widgets refresh on their own schedule instead of keeping a stream open
+		{ stream: false }
+	);
+	const coins = data;
+
+	useAutoRefresh(refresh, {
+		interval: config.refresh * 1000,
+		lastRefreshAt,
+	});
+
+	// Step 1: Apply commands from the host page
+	const handleCommand = useCallback(
+		({ type, value }) => {
+			if (type === 'setSymbols')
+				setSymbols(value.length > 0 ? value : undefined);
+			if (type === 'setMetrics' && value.length > 0) setMetrics(value);
+			if (type === 'setTheme') setThemeName(value);
+			if (type === 'refresh') refresh();
+		},
+		[refresh]
+	);
+	const post = useHostMessages(handleCommand, { allowedOrigins });
+
+	// Step 2: Tell the host page what's happening
+	useEffect(() => {
+		post('ready', { config });
+	}, [post, config]);
+
+	useEffect(() => {
+		if (lastRefreshAt) {
+			post('update', {
+				symbols: coins.map((coin) => coin.symbol),
+				generated: lastUpdated ? Math.floor(lastUpdated / 1000) : null,
+				usedMockData: useMockData,
+			});
+		}
+		// Only after a load (coins and flags are set in the same update)
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [lastRefreshAt]);
+
+	useEffect(() => {
+		if (error) post('error', { kind: error.kind, message: error.message });
+	}, [post, error]);
+
+	// Step 3: Report the widget's height so the host can size the iframe
+	const containerRef = useRef(null);
+	useEffect(() => {
+		const observer = new ResizeObserver(([entry]) =>
+			post('resize', { height: Math.ceil(entry.target.offsetHeight) })
+		);
+		observer.observe(containerRef.current);
+		return () => observer.disconnect();
+	}, [post]);
+
+	return (
+		<div className={`min-h-screen text-sm ${theme.container}`}>
+			<div ref={containerRef} className='p-3'>
+				{loading ? (
+					<p className={theme.muted}>Loading...</p>
+				) : error ? (
+					<p className='text-red-500'>{error.title}</p>
+				) : coins.length === 0 ? (
+					<p className={theme.muted}>No coins found.</p>
+				) : symbols?.length === 1 ? (
+					<SingleCoin coin={coins[0]} metrics={metrics} theme={theme} />
+				) : (
+					<CoinList coins={coins} metrics={metrics} theme={theme} />
+				)}
+
+				{/* Footer: source, age, and a link to the full dashboard */}
+				<p className={`mt-3 flex justify-between gap-2 text-xs ${theme.muted}`}>
+					<a
+						href={SITE_URL}
+						target='_blank'
+						rel='noreferrer'
+						className='hover:underline'>
+						Crypto Sentiment • LunarCrush
+					</a>
+					<span>
+						{useMockData && 'Demo data • '}
+						{lastUpdated && formatTimeSince(lastUpdated)}
+					</span>
+				</p>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,143 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import {
+	API_ENDPOINTS,
+	DEFAULT_EXPORT_COLUMNS,
+	EXPORT_COLUMNS,
+	EXPORT_FORMATS,
+	STORAGE_KEYS,
+} from '../constants';
+import { buildExport } from '../utils/export';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+
+/**
+ * ExportMenu
+ * ==========
+ *
+ * Dropdown for downloading the coins currently on screen as CSV, JSON or
+ * Excel. The file is built in the browser from `coins`, so it matches the
+ * current sort, limit and watchlist exactly. The chosen columns are
+ * remembered between visits.
+ *
+ * @param {Object} props
+ * @param {Object[]} props.coins - Coins to export, in display order
+ * @param {Object} props.query - Current list parameters ({ sort, desc, limit, symbols }),
+ *   used to build the matching /api/sentiment/export link for scripts
+ */
+export default function ExportMenu({ coins, query }) {
+	const [open, setOpen] = useState(false);
+	const [format, setFormat] = useState('csv');
+	const [columns, setColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+
+	// Restore the saved column choice after mount (localStorage is browser-only)
+	useEffect(() => {
+		setColumns(
+			loadFromStorage(STORAGE_KEYS.EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS)
+		);
+	}, []);
+
+	/**
+	 * Adds or removes a column, keeping the EXPORT_COLUMNS order
+	 */
+	const toggleColumn = (key) => {
+		const next = EXPORT_COLUMNS.map((column) => column.key).filter((k) =>
+			k === key ? !columns.includes(k) : columns.includes(k)
+		);
+		setColumns(next);
+		saveToStorage(STORAGE_KEYS.EXPORT_COLUMNS, next);
+	};
+
+	/**
+	 * Builds the file and hands it to the browser as a download
+	 */
+	const handleDownload = () => {
+		const file = buildExport(coins, { format, columns });
+		const url = URL.createObjectURL(
+			new Blob([file.body], { type: file.mimeType })
+		);
+
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = file.filename;
+		link.click();
+
+		URL.revokeObjectURL(url);
+		setOpen(false);
+	};
+
+	// Same export, served by the API (handy for scripts and spreadsheets)
+	const apiParams = new URLSearchParams({
+		format,
+		columns: columns.join(','),
+		sort: query.sort,
+		limit: String(query.limit),
+	});
+	if (query.desc) apiParams.append('desc', '1');
+	if (query.symbols) apiParams.set('symbols', query.symbols.join(','));
+	const apiUrl = `${API_ENDPOINTS.EXPORT}?${apiParams.toString()}`;
+
+	return (
+		<div className='relative'>
+			<button
+				onClick={() => setOpen(!open)}
+				disabled={coins.length === 0}
+				aria-expanded={open}
+				className='px-3 py-1 rounded text-sm bg-gray-800/70 border border-gray-700 text-gray-300 hover:bg-gray-700 disabled:opacity-50'>
+				Export ▾
+			</button>
+
+			{open && (
+				<div className='absolute right-0 mt-2 w-72 bg-gray-800 border border-gray-700 rounded-lg shadow-2xl z-40 p-4 space-y-4 text-sm'>
+					{/* Format Choice */}
+					<div>
+						<p className='text-gray-400 mb-2'>Format</p>
+						<div className='flex gap-2'>
+							{Object.entries(EXPORT_FORMATS).map(([key, option]) => (
+								<button
+									key={key}
+									onClick={() => setFormat(key)}
+									className={`px-3 py-1 rounded ${
+										format === key
+											? 'bg-blue-600 text-white'
+											: 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+									}`}>
+									{option.label}
+								</button>
+							))}
+						</div>
+					</div>
+
+					{/* Column Picker */}
+					<div>
+						<p className='text-gray-400 mb-2'>Columns</p>
+						<div className='grid grid-cols-2 gap-1 max-h-48 overflow-y-auto'>
+							{EXPORT_COLUMNS.map((column) => (
+								<label key={column.key} className='flex items-center gap-2'>
+									<input
+										type='checkbox'
+										checked={columns.includes(column.key)}
+										onChange={() => toggleColumn(column.key)}
+									/>
+									<span className='text-gray-300'>{column.label}</span>
+								</label>
+							))}
+						</div>
+					</div>
+
+					<button
+						onClick={handleDownload}
+						disabled={columns.length === 0}
+						className='w-full px-3 py-2 rounded bg-blue-600 hover:bg-blue-500 text-white disabled:opacity-50'>
+						Download {coins.length} coins
+					</button>
+					<a
+						href={apiUrl}
+						className='block text-center text-xs text-blue-400 hover:underline'>
+						Download from the API instead
+					</a>
+				</div>
+			)}
+		</div>
+	);
+}
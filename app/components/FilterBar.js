@@ -0,0 +1,213 @@
+'use client';
+
+import { FILTER_RANGES } from '../constants';
+import { EMPTY_FILTERS, hasActiveFilters } from '../utils/filters';
+
+const inputClass =
+	'bg-gray-800/70 border border-gray-700 rounded px-2 py-1 text-sm text-gray-200 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const compact = new Intl.NumberFormat('en', { notation: 'compact' });
+
+/**
+ * Converts between filter values and slider positions
+ * Log-scale ranges (market cap) move in powers of ten.
+ */
+const toSlider = (value, range) =>
+	range.scale === 'log' ? Math.log10(value) : value;
+const fromSlider = (position, range) =>
+	range.scale === 'log'
+		? Number((10 ** position).toPrecision(2)) // Round to 2 significant digits
+		: position;
+
+/**
+ * Formats a range bound for display (e.g., "$1.2B" or "60")
+ */
+const formatBound = (value, range) =>
+	range.key === 'market_cap' ? `$${compact.format(value)}` : String(value);
+
+/**
+ * Describes a range filter (e.g., "≥ 60", "10 – 40" or "Any")
+ */
+const describeRange = ({ min, max } = {}, range) => {
+	if (min != null && max != null) {
+		return `${formatBound(min, range)} – ${formatBound(max, range)}`;
+	}
+	if (min != null) return `≥ ${formatBound(min, range)}`;
+	if (max != null) return `≤ ${formatBound(max, range)}`;
+	return 'Any';
+};
+
+/**
+ * A dropdown of checkboxes for one facet (e.g., categories)
+ */
+function FacetMenu({ label, options, selected, onChange }) {
+	const toggle = (value) =>
+		onChange(
+			selected.includes(value)
+				? selected.filter((item) => item !== value)
+				: [...selected, value]
+		);
+
+	return (
+		<details className='relative'>
+			<summary
+				className={`${inputClass} cursor-pointer list-none ${
+					selected.length > 0 ? 'border-blue-500 text-blue-300' : ''
+				}`}>
+				{label}
+				{selected.length > 0 && ` (${selected.length})`} ▾
+			</summary>
+			<div className='absolute left-0 mt-2 w-56 max-h-64 overflow-y-auto bg-gray-800 border border-gray-700 rounded-lg shadow-2xl z-40 p-3 space-y-1 text-sm'>
+				{options.length === 0 ? (
+					<p className='text-gray-500'>Nothing to filter by.</p>
+				) : (
+					options.map((option) => (
+						<label key={option.value} className='flex items-center gap-2'>
+							<input
+								type='checkbox'
+								checked={selected.includes(option.value)}
+								onChange={() => toggle(option.value)}
+							/>
+							<span className='text-gray-300 flex-1'>{option.value}</span>
+							<span className='text-xs text-gray-500'>{option.count}</span>
+						</label>
+					))
+				)}
+			</div>
+		</details>
+	);
+}
+
+/**
+ * Min/max sliders for one numeric range filter
+ */
+function RangeFilter({ range, value = {}, onChange }) {
+	const sliderMin = toSlider(range.min, range);
+	const sliderMax = toSlider(range.max, range);
+
+	/**
+	 * Moves one handle - back at the end of the track means "no limit"
+	 */
+	const update = (side, position) => {
+		const atEnd =
+			side === 'min' ? position <= sliderMin : position >= sliderMax;
+		onChange({
+			...value,
+			[side]: atEnd ? undefined : fromSlider(position, range),
+		});
+	};
+
+	return (
+		<div className='text-xs text-gray-400 w-44'>
+			<div className='flex justify-between'>
+				<span>{range.label}</span>
+				<span className='text-gray-200'>{describeRange(value, range)}</span>
+			</div>
+			<input
+				type='range'
+				aria-label={`Minimum ${range.label}`}
+				min={sliderMin}
+				max={sliderMax}
+				step={range.step}
+				value={value.min != null ? toSlider(value.min, range) : sliderMin}
+				onChange={(e) => update('min', Number(e.target.value))}
+				className='w-full accent-blue-500'
+			/>
+			<input
+				type='range'
+				aria-label={`Maximum ${range.label}`}
+				min={sliderMin}
+				max={sliderMax}
+				step={range.step}
+				value={value.max != null ? toSlider(value.max, range) : sliderMax}
+				onChange={(e) => update('max', Number(e.target.value))}
+				className='w-full accent-blue-500'
+			/>
+		</div>
+	);
+}
+
+/**
+ * FilterBar
+ * =========
+ *
+ * Search box, facet dropdowns and range sliders for the coin list.
+ * The filter state itself lives in the useUrlFilters hook.
+ *
+ * @param {Object} props
+ * @param {Object} props.filters - Current filter state
+ * @param {Function} props.onChange - Called with the new filter state
+ * @param {Object} props.facets - Facet options from getFacets
+ * @param {number} props.shown - Number of coins that match
+ * @param {number} props.total - Number of coins loaded
+ */
+export default function FilterBar({ filters, onChange, facets, shown, total }) {
+	/**
+	 * Removes a range when both sides are back to "no limit"
+	 */
+	const setRange = (key, range) => {
+		const ranges = { ...filters.ranges, [key]: range };
+		if (range.min == null && range.max == null) delete ranges[key];
+		onChange({ ...filters, ranges });
+	};
+
+	return (
+		<div className='bg-gray-800/30 p-4 rounded-lg mb-6 space-y-3'>
+			<div className='flex flex-wrap items-center gap-2'>
+				{/* Search */}
+				<input
+					type='search'
+					aria-label='Search coins'
+					placeholder='Search symbol, name or topic'
+					value={filters.search}
+					onChange={(e) => onChange({ ...filters, search: e.target.value })}
+					className={`${inputClass} w-64`}
+				/>
+
+				{/* Facets */}
+				<FacetMenu
+					label='Category'
+					options={facets.categories}
+					selected={filters.categories}
+					onChange={(categories) => onChange({ ...filters, categories })}
+				/>
+				<FacetMenu
+					label='Network'
+					options={facets.networks}
+					selected={filters.networks}
+					onChange={(networks) => onChange({ ...filters, networks })}
+				/>
+				<FacetMenu
+					label='Chain Type'
+					options={facets.types}
+					selected={filters.types}
+					onChange={(types) => onChange({ ...filters, types })}
+				/>
+
+				{/* Result Count and Reset */}
+				<span className='text-sm text-gray-400 ml-auto'>
+					Showing {shown} of {total} coins
+				</span>
+				{hasActiveFilters(filters) && (
+					<button
+						onClick={() => onChange(EMPTY_FILTERS)}
+						className='px-3 py-1 rounded text-sm bg-gray-800/70 border border-gray-700 text-gray-300 hover:bg-gray-700'>
+						Clear filters
+					</button>
+				)}
+			</div>
+
+			{/* Range Sliders */}
+			<div className='flex flex-wrap gap-6'>
+				{FILTER_RANGES.map((range) => (
+					<RangeFilter
+						key={range.key}
+						range={range}
+						value={filters.ranges[range.key]}
+						onChange={(value) => setRange(range.key, value)}
+					/>
+				))}
+			</div>
+		</div>
+	);
+}
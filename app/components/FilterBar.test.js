@@ -0,0 +1,77 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import FilterBar from './FilterBar';
+import { getMockData } from '../data/mockData';
+import { EMPTY_FILTERS, getFacets } from '../utils/filters';
+
+const coins = getMockData().data;
+const facets = getFacets(coins);
+
+const renderBar = (props = {}) =>
+	render(
+		<FilterBar
+			filters={EMPTY_FILTERS}
+			onChange={() => {}}
+			facets={facets}
+			shown={coins.length}
+			total={coins.length}
+			{...props}
+		/>
+	);
+
+describe('FilterBar', () => {
+	it('counts the coins that match', () => {
+		renderBar({ shown: 2 });
+
+		expect(screen.getByText(`Showing 2 of ${coins.length} coins`)).toBeTruthy();
+	});
+
+	it('updates the search', () => {
+		const onChange = vi.fn();
+		renderBar({ onChange });
+
+		fireEvent.change(screen.getByLabelText('Search coins'), {
+			target: { value: 'btc' },
+		});
+
+		expect(onChange).toHaveBeenCalledWith({ ...EMPTY_FILTERS, search: 'btc' });
+	});
+
+	it('lists the categories in the loaded coins', () => {
+		const onChange = vi.fn();
+		renderBar({ onChange });
+		const [first] = facets.categories;
+
+		fireEvent.click(
+			screen.getByRole('checkbox', { name: new RegExp(`^${first.value}`) })
+		);
+
+		expect(onChange).toHaveBeenCalledWith({
+			...EMPTY_FILTERS,
+			categories: [first.value],
+		});
+	});
+
+	it('sets a range from its slider', () => {
+		const onChange = vi.fn();
+		renderBar({ onChange });
+
+		fireEvent.change(screen.getByLabelText('Minimum Sentiment'), {
+			target: { value: '60' },
+		});
+
+		expect(onChange).toHaveBeenCalledWith({
+			...EMPTY_FILTERS,
+			ranges: { sentiment: { min: 60 } },
+		});
+	});
+
+	it('clears active filters', () => {
+		const onChange = vi.fn();
+		renderBar({ filters: { ...EMPTY_FILTERS, search: 'eth' }, onChange });
+
+		fireEvent.click(screen.getByRole('button', { name: 'Clear filters' }));
+
+		expect(onChange).toHaveBeenCalledWith(EMPTY_FILTERS);
+	});
+});
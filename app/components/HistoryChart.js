@@ -0,0 +1,177 @@
+'use client';
+
+import { useState } from 'react';
+import { useCoinHistory } from '../hooks/useCoinHistory';
+import { HISTORY_INTERVALS, DEFAULT_HISTORY_INTERVAL } from '../constants';
+import { formatNumber, formatPrice } from '../utils/formatters';
+
+// Metrics the chart can plot, keyed by time-series field name
+const CHART_METRICS = {
+	close: {
+		label: 'Price',
+		color: 'text-blue-400',
+		format: (value) => `$${formatPrice(value)}`,
+	},
+	sentiment: {
+		label: 'Sentiment',
+		color: 'text-purple-400',
+		format: (value) => value.toFixed(1),
+	},
+	galaxy_score: {
+		label: 'Galaxy Score',
+		color: 'text-green-400',
+		format: (value) => value.toFixed(1),
+	},
+	volume_24h: {
+		label: 'Volume',
+		color: 'text-yellow-400',
+		format: (value) => `$${formatNumber(value)}`,
+	},
+};
+
+const WIDTH = 600;
+const HEIGHT = 200;
+
+/**
+ * HistoryChart
+ * ============
+ *
+ * Interactive time-series chart used in the coin detail view.
+ * Users can switch the metric and time range, and hover to read exact values.
+ *
+ * @param {Object} props
+ * @param {string} props.symbol - Coin symbol (e.g., 'BTC')
+ */
+export default function HistoryChart({ symbol }) {
+	const [range, setRange] = useState(DEFAULT_HISTORY_INTERVAL);
+	const [metric, setMetric] = useState('close');
+	const [hoverIndex, setHoverIndex] = useState(null);
+
+	const { points, loading, usedMockData, error } = useCoinHistory(
+		symbol,
+		range
+	);
+
+	// Only keep points that have a value for the selected metric
+	const series = points.filter((point) => point[metric] != null);
+	const { label, color, format } = CHART_METRICS[metric];
+
+	// Step 1: Scale values into the SVG coordinate space
+	const values = series.map((point) => point[metric]);
+	const min = Math.min(...values);
+	const max = Math.max(...values);
+	const spread = max - min || 1;
+
+	const toX = (index) => (index / Math.max(series.length - 1, 1)) * WIDTH;
+	const toY = (value) => HEIGHT - ((value - min) / spread) * (HEIGHT - 10) - 5;
+
+	const path = series
+		.map((point, index) => `${toX(index)},${toY(point[metric])}`)
+		.join(' ');
+
+	/**
+	 * Maps the mouse position to the nearest data point
+	 */
+	const handleMouseMove = (event) => {
+		const rect = event.currentTarget.getBoundingClientRect();
+		const ratio = (event.clientX - rect.left) / rect.width;
+		const index = Math.round(ratio * (series.length - 1));
+		setHoverIndex(Math.min(Math.max(index, 0), series.length - 1));
+	};
+
+	const hovered = hoverIndex != null ? series[hoverIndex] : null;
+
+	return (
+		<div className='bg-gray-700/30 p-4 rounded-lg mb-5'>
+			{/* Metric and interval selectors */}
+			<div className='flex flex-wrap justify-between items-center gap-2 mb-3'>
+				<div className='flex flex-wrap gap-1'>
+					{Object.entries(CHART_METRICS).map(([key, option]) => (
+						<button
+							key={key}
+							onClick={() => setMetric(key)}
+							className={`px-2 py-1 rounded text-xs transition-all ${
+								metric === key
+									? 'bg-blue-600 text-white'
+									: 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+							}`}>
+							{option.label}
+						</button>
+					))}
+				</div>
+				<div className='flex flex-wrap gap-1'>
+					{HISTORY_INTERVALS.map((option) => (
+						<button
+							key={option}
+							onClick={() => setRange(option)}
+							className={`px-2 py-1 rounded text-xs transition-all ${
+								range === option
+									? 'bg-purple-600 text-white'
+									: 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+							}`}>
+							{option}
+						</button>
+					))}
+				</div>
+			</div>
+
+			{/* Hover readout */}
+			<div className='flex justify-between text-xs text-gray-400 mb-1 h-4'>
+				<span>
+					{hovered
+						? new Date(hovered.time * 1000).toLocaleString()
+						: `${label} (${range})`}
+				</span>
+				<span className={hovered ? color : ''}>
+					{hovered ? format(hovered[metric]) : usedMockData ? 'Demo data' : ''}
+				</span>
+			</div>
+
+			{/* Chart area */}
+			{loading ? (
+				<div className='h-[200px] bg-gray-800/50 rounded animate-pulse' />
+			) : series.length < 2 ? (
+				<div className='h-[200px] flex items-center justify-center text-sm text-gray-400'>
+					{error || 'No history available for this range'}
+				</div>
+			) : (
+				<svg
+					viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+					preserveAspectRatio='none'
+					className={`w-full h-[200px] ${color}`}
+					onMouseMove={handleMouseMove}
+					onMouseLeave={() => setHoverIndex(null)}
+					role='img'
+					aria-label={`${symbol} ${label} history`}>
+					<polyline
+						points={path}
+						fill='none'
+						stroke='currentColor'
+						strokeWidth='2'
+						vectorEffect='non-scaling-stroke'
+						strokeLinejoin='round'
+					/>
+					{hovered && (
+						<line
+							x1={toX(hoverIndex)}
+							x2={toX(hoverIndex)}
+							y1='0'
+							y2={HEIGHT}
+							stroke='currentColor'
+							strokeOpacity='0.3'
+							vectorEffect='non-scaling-stroke'
+						/>
+					)}
+				</svg>
+			)}
+
+			{/* Range labels */}
+			{!loading && series.length > 1 && (
+				<div className='flex justify-between text-xs text-gray-500 mt-1'>
+					<span>Low: {format(min)}</span>
+					<span>High: {format(max)}</span>
+				</div>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,92 @@
+import { SORT_OPTIONS } from '../constants';
+
+/**
+ * A pair of buttons where one is always selected
+ */
+function ToggleGroup({ options, value, onChange }) {
+	return (
+		<div className='flex items-center bg-gray-800/70 rounded-lg p-1'>
+			{options.map((option) => (
+				<button
+					key={option.label}
+					onClick={() => onChange(option.value)}
+					aria-pressed={value === option.value}
+					className={`px-3 py-1 rounded transition-all text-sm ${
+						value === option.value
+							? 'bg-blue-600 text-white'
+							: 'text-gray-300 hover:bg-gray-700'
+					}`}>
+					{option.label}
+				</button>
+			))}
+		</div>
+	);
+}
+
+/**
+ * ListControls
+ * ============
+ *
+ * Picks which coins the dashboard lists and in what order: all coins or
+ * the watchlist, the sort field, and ascending or descending.
+ *
+ * @param {Object} props
+ * @param {boolean} props.showWatchlist - Whether only starred coins are listed
+ * @param {Function} props.onShowWatchlistChange - Called with the new showWatchlist value
+ * @param {number} props.watchlistCount - Number of starred coins
+ * @param {string} props.sortField - Field the list is sorted by
+ * @param {Function} props.onSortFieldChange - Called with the picked field
+ * @param {boolean} props.isDescending - Whether the highest values come first
+ * @param {Function} props.onDescendingChange - Called with the new direction
+ */
+export default function ListControls({
+	showWatchlist,
+	onShowWatchlistChange,
+	watchlistCount,
+	sortField,
+	onSortFieldChange,
+	isDescending,
+	onDescendingChange,
+}) {
+	return (
+		<div className='flex flex-wrap items-center gap-2'>
+			{/* All Coins / Watchlist Toggle */}
+			<ToggleGroup
+				options={[
+					{ value: false, label: 'All Coins' },
+					{ value: true, label: `★ Watchlist (${watchlistCount})` },
+				]}
+				value={showWatchlist}
+				onChange={onShowWatchlistChange}
+			/>
+
+			{/* Sort Field Dropdown */}
+			<div className='flex items-center space-x-2'>
+				<label htmlFor='sort-select' className='text-sm text-gray-300'>
+					Sort by:
+				</label>
+				<select
+					id='sort-select'
+					value={sortField}
+					onChange={(e) => onSortFieldChange(e.target.value)}
+					className='bg-gray-800/70 border border-gray-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500'>
+					{SORT_OPTIONS.map((option) => (
+						<option key={option.value} value={option.value}>
+							{option.label}
+						</option>
+					))}
+				</select>
+			</div>
+
+			{/* Order Toggle */}
+			<ToggleGroup
+				options={[
+					{ value: false, label: 'Ascending' },
+					{ value: true, label: 'Descending' },
+				]}
+				value={isDescending}
+				onChange={onDescendingChange}
+			/>
+		</div>
+	);
+}
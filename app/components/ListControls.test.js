@@ -0,0 +1,50 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import ListControls from './ListControls';
+
+const renderControls = (props = {}) => {
+	const handlers = {
+		onShowWatchlistChange: vi.fn(),
+		onSortFieldChange: vi.fn(),
+		onDescendingChange: vi.fn(),
+	};
+	render(
+		<ListControls
+			showWatchlist={false}
+			watchlistCount={2}
+			sortField='alt_rank'
+			isDescending={false}
+			{...handlers}
+			{...props}
+		/>
+	);
+	return handlers;
+};
+
+describe('ListControls', () => {
+	it('switches to the watchlist', () => {
+		const { onShowWatchlistChange } = renderControls();
+
+		fireEvent.click(screen.getByRole('button', { name: '★ Watchlist (2)' }));
+
+		expect(onShowWatchlistChange).toHaveBeenCalledWith(true);
+	});
+
+	it('changes the sort field', () => {
+		const { onSortFieldChange } = renderControls();
+
+		fireEvent.change(screen.getByLabelText('Sort by:'), {
+			target: { value: 'galaxy_score' },
+		});
+
+		expect(onSortFieldChange).toHaveBeenCalledWith('galaxy_score');
+	});
+
+	it('changes the sort direction', () => {
+		const { onDescendingChange } = renderControls();
+
+		fireEvent.click(screen.getByRole('button', { name: 'Descending' }));
+
+		expect(onDescendingChange).toHaveBeenCalledWith(true);
+	});
+});
@@ -0,0 +1,57 @@
+/**
+ * LoadMoreSentinel
+ * ================
+ *
+ * Strip under the grid or table that loads the next page when it scrolls
+ * into view (see useInfiniteScroll). Also says when more coins are
+ * loading, when loading failed, and when every coin is loaded.
+ *
+ * When the filters hid every coin on the last page, scrolling stops
+ * loading pages (each would be fetched without showing anything) and a
+ * "Load more" button loads them one at a time instead.
+ *
+ * @param {Object} props
+ * @param {Object} props.ref - The ref from useInfiniteScroll
+ * @param {boolean} props.loadingMore - True while the next page loads
+ * @param {string} props.error - Why the last page failed to load, or null
+ * @param {boolean} props.paused - True when the filters hid every coin on the last page
+ * @param {Function} props.onLoadMore - Loads the next page (used by "Try again" and "Load more")
+ * @param {boolean} props.hasMore - Whether there are more pages
+ * @param {number} props.loadedCount - Coins loaded so far
+ */
+export default function LoadMoreSentinel({
+	ref,
+	loadingMore,
+	error,
+	paused = false,
+	onLoadMore,
+	hasMore,
+	loadedCount,
+}) {
+	return (
+		<div ref={ref} className='py-6 text-center text-sm text-gray-400'>
+			{loadingMore && 'Loading more coins...'}
+			{error && (
+				<>
+					{error}{' '}
+					<button
+						onClick={onLoadMore}
+						className='text-blue-400 hover:underline'>
+						Try again
+					</button>
+				</>
+			)}
+			{paused && hasMore && !loadingMore && !error && (
+				<>
+					No coins on the last page match your filters.{' '}
+					<button
+						onClick={onLoadMore}
+						className='text-blue-400 hover:underline'>
+						Load more
+					</button>
+				</>
+			)}
+			{!hasMore && `All ${loadedCount} coins loaded`}
+		</div>
+	);
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import LoadMoreSentinel from './LoadMoreSentinel';
+
+describe('LoadMoreSentinel', () => {
+	it('retries after a failed page', () => {
+		const onLoadMore = vi.fn();
+		render(
+			<LoadMoreSentinel
+				error='Could not load more coins.'
+				onLoadMore={onLoadMore}
+				hasMore
+				loadedCount={30}
+			/>
+		);
+
+		fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+
+		expect(onLoadMore).toHaveBeenCalledOnce();
+	});
+
+	it('offers to load more when the filters hid the last page', () => {
+		const onLoadMore = vi.fn();
+		render(
+			<LoadMoreSentinel
+				paused
+				onLoadMore={onLoadMore}
+				hasMore
+				loadedCount={60}
+			/>
+		);
+
+		fireEvent.click(screen.getByRole('button', { name: 'Load more' }));
+
+		expect(onLoadMore).toHaveBeenCalledOnce();
+	});
+
+	it('says when every coin is loaded', () => {
+		render(<LoadMoreSentinel hasMore={false} loadedCount={120} />);
+
+		expect(screen.getByText('All 120 coins loaded')).toBeTruthy();
+	});
+
+	it('attaches the ref', () => {
+		const ref = vi.fn();
+		render(<LoadMoreSentinel ref={ref} hasMore loadedCount={30} />);
+
+		expect(ref).toHaveBeenCalledWith(expect.any(HTMLDivElement));
+	});
+});
@@ -0,0 +1,149 @@
+'use client';
+
+import MetricValue from './MetricValue';
+import { SENTIMENT_BANDS } from '../utils/marketSummary';
+import { formatNumber, formatPercentage } from '../utils/formatters';
+
+// Bar colors for each sentiment band, best first
+const BAND_COLORS = {
+	high: 'bg-green-500',
+	medium: 'bg-blue-500',
+	low: 'bg-yellow-500',
+	poor: 'bg-red-500',
+	unknown: 'bg-gray-600',
+};
+
+/**
+ * One box in the strip
+ */
+function SummaryCard({ label, children }) {
+	return (
+		<div className='bg-gray-800/50 border border-gray-700/50 rounded-xl p-4'>
+			<p className='text-xs text-gray-400 mb-2'>{label}</p>
+			{children}
+		</div>
+	);
+}
+
+/**
+ * A short list of coins with one value each (e.g., top gainers)
+ */
+function MoverList({ movers, format, valueClass }) {
+	if (movers.length === 0) {
+		return <p className='text-sm text-gray-500'>None</p>;
+	}
+
+	return (
+		<ul className='space-y-1 text-sm'>
+			{movers.map((mover) => (
+				<li key={mover.symbol} className='flex justify-between gap-3'>
+					<span className='text-gray-300' title={mover.name}>
+						{mover.symbol}
+					</span>
+					<span className={valueClass}>{format(mover.value)}</span>
+				</li>
+			))}
+		</ul>
+	);
+}
+
+/**
+ * MarketSummary
+ * =============
+ *
+ * Strip of market-wide figures shown above the coin list: coins per
+ * sentiment band, market-cap-weighted sentiment, top gainers and losers,
+ * the biggest AltRank climbers, total volume, and the top 10's share of
+ * social dominance.
+ *
+ * @param {Object} props
+ * @param {Object} props.summary - The result of summarizeMarket
+ */
+export default function MarketSummary({ summary }) {
+	const { sentimentBands, count } = summary;
+	const bands = [
+		...SENTIMENT_BANDS,
+		{ key: 'unknown', label: 'No score' },
+	].filter((band) => sentimentBands[band.key] > 0);
+
+	return (
+		<section
+			aria-label='Market overview'
+			className='grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-4 mb-6'>
+			{/* Sentiment Bands */}
+			<SummaryCard label={`Sentiment (${count} coins)`}>
+				<div className='flex h-2 rounded overflow-hidden mb-2'>
+					{bands.map((band) => (
+						<div
+							key={band.key}
+							className={BAND_COLORS[band.key]}
+							style={{ width: `${(sentimentBands[band.key] / count) * 100}%` }}
+						/>
+					))}
+				</div>
+				<ul className='text-xs space-y-0.5'>
+					{bands.map((band) => (
+						<li key={band.key} className='flex justify-between'>
+							<span className='text-gray-400'>{band.label}</span>
+							<span className='text-gray-200'>{sentimentBands[band.key]}</span>
+						</li>
+					))}
+				</ul>
+			</SummaryCard>
+
+			{/* Weighted Sentiment */}
+			<SummaryCard label='Market-Cap-Weighted Sentiment'>
+				<p className='text-2xl font-bold'>
+					<MetricValue metric='sentiment' value={summary.weightedSentiment}>
+						{summary.weightedSentiment?.toFixed(1)}
+					</MetricValue>
+				</p>
+			</SummaryCard>
+
+			{/* Top Gainers */}
+			<SummaryCard label='Top Gainers (24h)'>
+				<MoverList
+					movers={summary.topGainers}
+					format={formatPercentage}
+					valueClass='text-green-500'
+				/>
+			</SummaryCard>
+
+			{/* Top Losers */}
+			<SummaryCard label='Top Losers (24h)'>
+				<MoverList
+					movers={summary.topLosers}
+					format={formatPercentage}
+					valueClass='text-red-500'
+				/>
+			</SummaryCard>
+
+			{/* AltRank Climbers */}
+			<SummaryCard label='AltRank Climbers'>
+				<MoverList
+					movers={summary.topClimbers}
+					format={(value) => `+${value.toLocaleString()}`}
+					valueClass='text-blue-400'
+				/>
+			</SummaryCard>
+
+			{/* Volume and Social Concentration */}
+			<SummaryCard label='Total Volume (24h)'>
+				<p className='text-2xl font-bold'>
+					{summary.totalVolume != null
+						? `$${formatNumber(summary.totalVolume)}`
+						: 'N/A'}
+				</p>
+				<p className='text-xs text-gray-400 mt-2'>
+					Top {summary.socialConcentration.top} hold{' '}
+					<span className='text-gray-200'>
+						{summary.socialConcentration.dominance != null
+							? `${summary.socialConcentration.dominance.toFixed(1)}%`
+							: 'N/A'}
+					</span>{' '}
+					of all crypto social volume
+				</p>
+			</SummaryCard>
+		</section>
+	);
+}
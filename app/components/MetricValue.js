@@ -0,0 +1,26 @@
+'use client';
+
+import { useScaleSettings } from './ScaleSettingsProvider';
+
+/**
+ * MetricValue
+ * ===========
+ *
+ * Shows a metric value in the color the user's scale settings give it.
+ * Lets server-rendered pages (like /coin/[symbol]) use the same coloring
+ * as the dashboard.
+ *
+ * @param {Object} props
+ * @param {string} props.metric - A key of SCALE_METRICS (e.g., 'sentiment')
+ * @param {number} props.value - The value to color
+ * @param {React.ReactNode} props.children - What to show (defaults to the value, or N/A)
+ */
+export default function MetricValue({ metric, value, children }) {
+	const { colorFor } = useScaleSettings();
+
+	return (
+		<span style={{ color: colorFor(metric, value) }}>
+			{children ?? value ?? 'N/A'}
+		</span>
+	);
+}
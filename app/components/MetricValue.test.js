@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import MetricValue from './MetricValue';
+import { getMockData } from '../data/mockData';
+import { NO_DATA_COLOR, PALETTES } from '../utils/colorScale';
+
+const [poor, , , best] = PALETTES.standard.colors;
+const btc = getMockData().data.find((coin) => coin.symbol === 'BTC');
+const meta = getMockData().data.find((coin) => coin.symbol === 'META');
+
+// jsdom reports inline colors as rgb()
+const rgb = (hex) =>
+	`rgb(${[1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16)).join(', ')})`;
+
+describe('MetricValue', () => {
+	it('colors a value with the default scale outside a provider', () => {
+		render(<MetricValue metric='galaxy_score' value={btc.galaxy_score} />);
+
+		expect(screen.getByText('75.6').style.color).toBe(rgb(best));
+	});
+
+	it('colors a low value as poor', () => {
+		render(<MetricValue metric='galaxy_score' value={meta.galaxy_score} />);
+
+		expect(screen.getByText('16.6').style.color).toBe(rgb(poor));
+	});
+
+	it('shows its children instead of the raw value', () => {
+		render(
+			<MetricValue metric='sentiment' value={btc.sentiment}>
+				{btc.sentiment.toFixed(0)}
+			</MetricValue>
+		);
+
+		expect(screen.getByText('66')).toBeTruthy();
+	});
+
+	it('shows N/A in the no-data color for a missing value', () => {
+		render(<MetricValue metric='sentiment' value={null} />);
+
+		expect(screen.getByText('N/A').style.color).toBe(rgb(NO_DATA_COLOR));
+	});
+});
@@ -0,0 +1,399 @@
+'use client';
+
+import { useRef, useState } from 'react';
+import AllocationPie from './AllocationPie';
+import MetricValue from './MetricValue';
+import {
+	holdingsToCSV,
+	holdingsToJSON,
+	normalizeHolding,
+	parseHoldings,
+	validateHolding,
+} from '../utils/portfolio';
+import { formatPercentage, formatPrice } from '../utils/formatters';
+
+const EMPTY_HOLDING = { symbol: '', quantity: '', costBasis: '' };
+
+const inputClass =
+	'bg-gray-900/70 border border-gray-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Formats a dollar amount (e.g., "$1,234.56"), or N/A
+ */
+const formatUsd = (value) =>
+	value == null
+		? 'N/A'
+		: `$${formatPrice(value, { maximumFractionDigits: 2 })}`;
+
+/**
+ * Formats a dollar change with its sign (e.g., "+$12.50")
+ */
+const formatUsdChange = (value) =>
+	value == null
+		? 'N/A'
+		: `${value >= 0 ? '+' : '-'}${formatUsd(Math.abs(value))}`;
+
+/**
+ * Green for gains, red for losses
+ */
+const changeClass = (value) =>
+	value == null
+		? 'text-gray-400'
+		: value >= 0
+			? 'text-green-500'
+			: 'text-red-500';
+
+/**
+ * Hands a text file to the browser as a download
+ */
+const download = (text, filename, mimeType) => {
+	const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	URL.revokeObjectURL(url);
+};
+
+/**
+ * One figure in the summary grid
+ */
+function SummaryStat({ label, children }) {
+	return (
+		<div className='bg-gray-700/30 p-3 rounded-lg'>
+			<p className='text-xs text-gray-400'>{label}</p>
+			<p className='text-lg font-bold'>{children}</p>
+		</div>
+	);
+}
+
+/**
+ * PortfolioPanel
+ * ==============
+ *
+ * Modal for entering holdings and seeing what they're worth: total value,
+ * profit and loss, 24h / 7d moves, an allocation pie, and the portfolio's
+ * sentiment and Galaxy Score weighted by how much of each coin is held.
+ * All state lives in the usePortfolio hook; this component only renders it.
+ *
+ * @param {Object} props
+ * @param {Object} props.portfolio - The object returned by usePortfolio
+ * @param {Function} props.onClose - Closes the panel
+ */
+export default function PortfolioPanel({ portfolio, onClose }) {
+	const [draft, setDraft] = useState(EMPTY_HOLDING);
+	const [formError, setFormError] = useState(null);
+	const [importMessage, setImportMessage] = useState(null);
+	const fileInput = useRef(null);
+	const { summary } = portfolio;
+
+	/**
+	 * Validates the form and adds (or replaces) the holding
+	 */
+	const handleSubmit = (e) => {
+		e.preventDefault();
+
+		const holding = normalizeHolding(draft);
+		const error = validateHolding(holding);
+		if (error) {
+			setFormError(error);
+			return;
+		}
+
+		portfolio.saveHolding(holding);
+		setDraft(EMPTY_HOLDING);
+		setFormError(null);
+	};
+
+	/**
+	 * Replaces the holdings with the contents of a JSON or CSV file
+	 */
+	const handleImport = async (e) => {
+		const file = e.target.files[0];
+		e.target.value = ''; // Let the same file be picked again
+		if (!file) return;
+
+		try {
+			const holdings = parseHoldings(await file.text());
+			portfolio.replaceHoldings(holdings);
+			setImportMessage(`Imported ${holdings.length} holdings.`);
+		} catch (error) {
+			setImportMessage(`Import failed - ${error.message}`);
+		}
+	};
+
+	const date = new Date().toISOString().slice(0, 10);
+
+	return (
+		<div
+			className='fixed inset-0 bg-black/70 backdrop-blur-sm z-50 flex items-center justify-center p-4'
+			onClick={onClose}>
+			<div
+				className='bg-gray-800 border border-gray-700 rounded-xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto'
+				onClick={(e) => e.stopPropagation()} // Prevent clicks inside the panel from closing it
+			>
+				{/* Panel Header */}
+				<div className='flex justify-between items-center p-5 border-b border-gray-700 bg-gradient-to-r from-blue-900/20 to-purple-900/20'>
+					<h3 className='text-xl font-bold'>Portfolio</h3>
+					<button
+						onClick={onClose}
+						className='bg-gray-700 hover:bg-gray-600 rounded-full p-1'
+						aria-label='Close portfolio'>
+						<svg
+							xmlns='http://www.w3.org/2000/svg'
+							className='h-5 w-5'
+							fill='none'
+							viewBox='0 0 24 24'
+							stroke='currentColor'>
+							<path
+								strokeLinecap='round'
+								strokeLinejoin='round'
+								strokeWidth={2}
+								d='M6 18L18 6M6 6l12 12'
+							/>
+						</svg>
+					</button>
+				</div>
+
+				<div className='p-5 space-y-5'>
+					{/* Summary */}
+					<div className='grid grid-cols-2 sm:grid-cols-3 gap-3'>
+						<SummaryStat label='Total Value'>
+							{formatUsd(summary.totalValue)}
+						</SummaryStat>
+						<SummaryStat label='Profit / Loss'>
+							<span className={changeClass(summary.pnl)}>
+								{formatUsdChange(summary.pnl)}
+								{summary.pnlPercent != null && (
+									<span className='text-sm ml-1'>
+										({formatPercentage(summary.pnlPercent)})
+									</span>
+								)}
+							</span>
+						</SummaryStat>
+						<SummaryStat label='24h / 7d Change'>
+							<span className={changeClass(summary.change24h)}>
+								{formatPercentage(summary.change24hPercent)}
+							</span>
+							<span className='text-gray-500'> / </span>
+							<span className={changeClass(summary.change7d)}>
+								{formatPercentage(summary.change7dPercent)}
+							</span>
+						</SummaryStat>
+						<SummaryStat label='Weighted Sentiment'>
+							<MetricValue metric='sentiment' value={summary.sentiment}>
+								{summary.sentiment?.toFixed(1)}
+							</MetricValue>
+						</SummaryStat>
+						<SummaryStat label='Weighted Galaxy Score'>
+							<MetricValue metric='galaxy_score' value={summary.galaxyScore}>
+								{summary.galaxyScore?.toFixed(1)}
+							</MetricValue>
+						</SummaryStat>
+						<SummaryStat label='Cost Basis'>
+							{formatUsd(summary.totalCost)}
+						</SummaryStat>
+					</div>
+
+					{/* Allocation */}
+					<div className='bg-gray-700/30 p-4 rounded-lg'>
+						<p className='text-gray-400 text-sm mb-3'>Allocation</p>
+						<AllocationPie
+							slices={summary.positions.map((position) => ({
+								label: position.symbol,
+								value: position.value ?? 0,
+							}))}
+						/>
+					</div>
+
+					{/* Holdings */}
+					<div>
+						<p className='text-gray-400 text-sm mb-2'>
+							Holdings ({portfolio.holdings.length})
+							{portfolio.loadingPrices && ' - loading prices...'}
+						</p>
+						{portfolio.holdings.length === 0 ? (
+							<p className='text-sm text-gray-500'>
+								No holdings yet. Add one below or import a file.
+							</p>
+						) : (
+							<div className='overflow-x-auto'>
+								<table className='min-w-full text-sm'>
+									<thead className='text-xs text-gray-400'>
+										<tr>
+											<th className='text-left py-1 pr-3'>Coin</th>
+											<th className='text-right py-1 px-3'>Quantity</th>
+											<th className='text-right py-1 px-3'>Avg. Cost</th>
+											<th className='text-right py-1 px-3'>Price</th>
+											<th className='text-right py-1 px-3'>Value</th>
+											<th className='text-right py-1 px-3'>P&amp;L</th>
+											<th className='text-right py-1 px-3'>Sentiment</th>
+											<th />
+										</tr>
+									</thead>
+									<tbody className='divide-y divide-gray-700'>
+										{summary.positions.map((position) => (
+											<tr key={position.symbol}>
+												<td className='py-2 pr-3'>
+													<span className='font-medium'>{position.symbol}</span>
+													<span className='ml-2 text-xs text-gray-400'>
+														{position.name}
+													</span>
+												</td>
+												<td className='py-2 px-3 text-right'>
+													{position.quantity.toLocaleString()}
+												</td>
+												<td className='py-2 px-3 text-right text-gray-300'>
+													{formatUsd(position.costBasis)}
+												</td>
+												<td className='py-2 px-3 text-right text-gray-300'>
+													{position.price != null
+														? `$${formatPrice(position.price)}`
+														: 'N/A'}
+												</td>
+												<td className='py-2 px-3 text-right'>
+													{formatUsd(position.value)}
+												</td>
+												<td
+													className={`py-2 px-3 text-right ${changeClass(
+														position.pnl
+													)}`}>
+													{formatUsdChange(position.pnl)}
+												</td>
+												<td className='py-2 px-3 text-right'>
+													<MetricValue
+														metric='sentiment'
+														value={position.coin?.sentiment}
+													/>
+												</td>
+												<td className='py-2 pl-3 text-right whitespace-nowrap'>
+													<button
+														onClick={() =>
+															setDraft({
+																symbol: position.symbol,
+																quantity: String(position.quantity),
+																costBasis: position.costBasis ?? '',
+															})
+														}
+														className='text-xs text-blue-400 hover:text-blue-300 mr-2'>
+														Edit
+													</button>
+													<button
+														onClick={() =>
+															portfolio.removeHolding(position.symbol)
+														}
+														className='text-xs text-red-400 hover:text-red-300'>
+														Delete
+													</button>
+												</td>
+											</tr>
+										))}
+									</tbody>
+								</table>
+							</div>
+						)}
+						{summary.missing.length > 0 && !portfolio.loadingPrices && (
+							<p className='text-xs text-amber-400 mt-2'>
+								No price for {summary.missing.join(', ')} - left out of the
+								totals.
+								{portfolio.priceError &&
+									` Live prices couldn't be loaded: ${portfolio.priceError}.`}
+							</p>
+						)}
+					</div>
+
+					{/* Add / Edit Holding Form */}
+					<form
+						onSubmit={handleSubmit}
+						className='bg-gray-700/30 p-4 rounded-lg space-y-3'>
+						<p className='text-gray-400 text-sm'>Add or update a holding</p>
+						<div className='flex flex-wrap gap-2'>
+							<input
+								aria-label='Coin symbol'
+								placeholder='BTC'
+								value={draft.symbol}
+								onChange={(e) => setDraft({ ...draft, symbol: e.target.value })}
+								className={`${inputClass} w-24`}
+							/>
+							<input
+								aria-label='Quantity'
+								type='number'
+								step='any'
+								placeholder='Quantity'
+								value={draft.quantity}
+								onChange={(e) =>
+									setDraft({ ...draft, quantity: e.target.value })
+								}
+								className={`${inputClass} w-32`}
+							/>
+							<input
+								aria-label='Average cost per coin (USD)'
+								type='number'
+								step='any'
+								placeholder='Avg. cost ($/coin)'
+								value={draft.costBasis}
+								onChange={(e) =>
+									setDraft({ ...draft, costBasis: e.target.value })
+								}
+								className={`${inputClass} w-40`}
+							/>
+							<button
+								type='submit'
+								className='px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 text-white text-sm'>
+								Save holding
+							</button>
+						</div>
+						{formError && <p className='text-xs text-red-400'>{formError}</p>}
+						<p className='text-xs text-gray-500'>
+							Saving a coin you already hold replaces it. Leave the cost empty
+							to track value without P&amp;L.
+						</p>
+					</form>
+
+					{/* Import and Export */}
+					<div className='flex flex-wrap items-center gap-2 text-sm'>
+						<button
+							onClick={() => fileInput.current.click()}
+							className='px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-300'>
+							Import JSON / CSV
+						</button>
+						<input
+							ref={fileInput}
+							type='file'
+							accept='.json,.csv,application/json,text/csv'
+							onChange={handleImport}
+							className='hidden'
+						/>
+						<button
+							onClick={() =>
+								download(
+									holdingsToJSON(portfolio.holdings),
+									`portfolio-${date}.json`,
+									'application/json'
+								)
+							}
+							disabled={portfolio.holdings.length === 0}
+							className='px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-300 disabled:opacity-50'>
+							Export JSON
+						</button>
+						<button
+							onClick={() =>
+								download(
+									holdingsToCSV(portfolio.holdings),
+									`portfolio-${date}.csv`,
+									'text/csv'
+								)
+							}
+							disabled={portfolio.holdings.length === 0}
+							className='px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-300 disabled:opacity-50'>
+							Export CSV
+						</button>
+						{importMessage && (
+							<span className='text-xs text-gray-400'>{importMessage}</span>
+						)}
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,123 @@
+// Series colors (Tailwind 500 shades), one per compared coin
+const SERIES_COLORS = ['#3b82f6', '#22c55e', '#eab308', '#a855f7', '#ef4444'];
+
+const CENTER = 120;
+const RADIUS = 80;
+const RINGS = [0.25, 0.5, 0.75, 1];
+
+/**
+ * Point for a 0-1 value on one of the chart's axes (axis 0 = 12 o'clock)
+ */
+const pointAt = (axis, axisCount, value) => {
+	const angle = (axis / axisCount) * 2 * Math.PI - Math.PI / 2;
+	return [
+		(CENTER + RADIUS * value * Math.cos(angle)).toFixed(2),
+		(CENTER + RADIUS * value * Math.sin(angle)).toFixed(2),
+	];
+};
+
+/**
+ * Joins points into an SVG polygon `points` attribute
+ */
+const toPolygon = (points) => points.map((point) => point.join(',')).join(' ');
+
+/**
+ * RadarChart
+ * ==========
+ *
+ * Overlays several coins on one spider chart, drawn as SVG. Every axis runs
+ * from 0 at the center to 1 at the edge, so values must be scaled first
+ * (see buildRadarSeries in utils/comparison.js).
+ *
+ * @param {Object} props
+ * @param {string[]} props.axes - Axis labels, clockwise from the top
+ * @param {Object[]} props.series - [{ symbol, name, points: [0-1 per axis] }]
+ */
+export default function RadarChart({ axes, series }) {
+	const axisCount = axes.length;
+
+	return (
+		<div className='flex flex-col sm:flex-row items-center gap-6'>
+			<svg
+				viewBox='-40 0 320 240' // Extra width for the axis labels
+				className='w-full max-w-sm'
+				role='img'
+				aria-label={`Radar chart comparing ${series
+					.map((item) => item.symbol)
+					.join(', ')}`}>
+				{/* Step 1: Grid rings and axis lines */}
+				{RINGS.map((ring) => (
+					<polygon
+						key={ring}
+						points={toPolygon(
+							axes.map((_, axis) => pointAt(axis, axisCount, ring))
+						)}
+						fill='none'
+						stroke='#374151'
+						strokeWidth='0.5'
+					/>
+				))}
+				{axes.map((label, axis) => {
+					const [x, y] = pointAt(axis, axisCount, 1);
+					const [labelX, labelY] = pointAt(axis, axisCount, 1.22);
+					return (
+						<g key={label}>
+							<line
+								x1={CENTER}
+								y1={CENTER}
+								x2={x}
+								y2={y}
+								stroke='#374151'
+								strokeWidth='0.5'
+							/>
+							<text
+								x={labelX}
+								y={labelY}
+								textAnchor='middle'
+								dominantBaseline='middle'
+								fill='#9ca3af'
+								fontSize='8'>
+								{label}
+							</text>
+						</g>
+					);
+				})}
+
+				{/* Step 2: One translucent shape per coin */}
+				{series.map((item, index) => {
+					const color = SERIES_COLORS[index % SERIES_COLORS.length];
+					return (
+						<polygon
+							key={item.symbol}
+							points={toPolygon(
+								item.points.map((value, axis) =>
+									pointAt(axis, axisCount, value)
+								)
+							)}
+							fill={color}
+							fillOpacity='0.15'
+							stroke={color}
+							strokeWidth='1.5'
+						/>
+					);
+				})}
+			</svg>
+
+			{/* Legend */}
+			<ul className='text-sm space-y-1'>
+				{series.map((item, index) => (
+					<li key={item.symbol} className='flex items-center gap-2'>
+						<span
+							className='w-3 h-3 rounded-sm'
+							style={{
+								backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length],
+							}}
+						/>
+						<span className='text-gray-300'>{item.name}</span>
+						<span className='text-gray-500'>{item.symbol}</span>
+					</li>
+				))}
+			</ul>
+		</div>
+	);
+}
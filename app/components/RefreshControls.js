@@ -0,0 +1,96 @@
+import { AUTO_REFRESH_OPTIONS, AVAILABLE_DISPLAY_LIMITS } from '../constants';
+
+const SELECT =
+	'bg-gray-800/70 border border-gray-700 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * RefreshControls
+ * ===============
+ *
+ * Page size and auto-refresh dropdowns, the manual refresh button and a
+ * small spinner while a refresh runs. Anything passed as children (export
+ * menu, data source and refresh status) is shown after them.
+ *
+ * @param {Object} props
+ * @param {number} props.displayLimit - Coins per page
+ * @param {Function} props.onDisplayLimitChange - Called with the new page size
+ * @param {boolean} props.limitDisabled - True when the page size doesn't apply (the watchlist)
+ * @param {number} props.refreshInterval - Auto-refresh interval in ms (0 = off)
+ * @param {Function} props.onRefreshIntervalChange - Called with the new interval
+ * @param {Function} props.onRefresh - Called by the refresh button
+ * @param {boolean} props.loading - True while the first load runs
+ * @param {boolean} props.isRefreshing - True while a refresh runs
+ * @param {React.ReactNode} props.children - Extra controls and status
+ */
+export default function RefreshControls({
+	displayLimit,
+	onDisplayLimitChange,
+	limitDisabled = false,
+	refreshInterval,
+	onRefreshIntervalChange,
+	onRefresh,
+	loading = false,
+	isRefreshing = false,
+	children,
+}) {
+	return (
+		<div className='flex flex-wrap items-center gap-2'>
+			{/* Page Size Dropdown (more pages load on scroll) */}
+			<div className='flex items-center space-x-2'>
+				<label htmlFor='limit-select' className='text-sm text-gray-300'>
+					Page size:
+				</label>
+				<select
+					id='limit-select'
+					value={displayLimit}
+					onChange={(e) => onDisplayLimitChange(Number(e.target.value))}
+					disabled={limitDisabled}
+					className={`disabled:opacity-50 ${SELECT}`}>
+					{AVAILABLE_DISPLAY_LIMITS.map((limit) => (
+						<option key={limit} value={limit}>
+							{limit} coins
+						</option>
+					))}
+				</select>
+			</div>
+
+			{/* Auto-refresh Interval Dropdown */}
+			<div className='flex items-center space-x-2'>
+				<label htmlFor='refresh-select' className='text-sm text-gray-300'>
+					Auto-refresh:
+				</label>
+				<select
+					id='refresh-select'
+					value={refreshInterval}
+					onChange={(e) => onRefreshIntervalChange(Number(e.target.value))}
+					className={SELECT}>
+					{AUTO_REFRESH_OPTIONS.map((option) => (
+						<option key={option.value} value={option.value}>
+							{option.label}
+						</option>
+					))}
+				</select>
+			</div>
+
+			{/* Manual Refresh Button */}
+			<button
+				onClick={onRefresh}
+				disabled={loading || isRefreshing}
+				className='px-3 py-1 rounded text-sm bg-gray-800/70 border border-gray-700 text-gray-300 hover:bg-gray-700 disabled:opacity-50'>
+				Refresh
+			</button>
+
+			{children}
+
+			{/* Small loading spinner for refreshes */}
+			{(loading || isRefreshing) && (
+				<div className='flex items-center'>
+					<div className='w-4 h-4 border-2 border-blue-500 border-t-transparent rounded-full animate-spin'></div>
+					<span className='ml-2 text-xs text-blue-400'>
+						{isRefreshing ? 'Refreshing...' : 'Loading...'}
+					</span>
+				</div>
+			)}
+		</div>
+	);
+}
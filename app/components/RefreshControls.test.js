@@ -0,0 +1,50 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import RefreshControls from './RefreshControls';
+
+const renderControls = (props = {}) => {
+	const handlers = {
+		onDisplayLimitChange: vi.fn(),
+		onRefreshIntervalChange: vi.fn(),
+		onRefresh: vi.fn(),
+	};
+	render(
+		<RefreshControls
+			displayLimit={30}
+			refreshInterval={0}
+			{...handlers}
+			{...props}>
+			<span>Export</span>
+		</RefreshControls>
+	);
+	return handlers;
+};
+
+describe('RefreshControls', () => {
+	it('passes the page size and interval as numbers', () => {
+		const { onDisplayLimitChange, onRefreshIntervalChange } = renderControls();
+
+		fireEvent.change(screen.getByLabelText('Page size:'), {
+			target: { value: '50' },
+		});
+		fireEvent.change(screen.getByLabelText('Auto-refresh:'), {
+			target: { value: '60000' },
+		});
+
+		expect(onDisplayLimitChange).toHaveBeenCalledWith(50);
+		expect(onRefreshIntervalChange).toHaveBeenCalledWith(60000);
+	});
+
+	it('disables refreshing while a refresh runs', () => {
+		renderControls({ isRefreshing: true });
+
+		expect(screen.getByRole('button', { name: 'Refresh' }).disabled).toBe(true);
+		expect(screen.getByText('Refreshing...')).toBeTruthy();
+	});
+
+	it('shows its children', () => {
+		renderControls();
+
+		expect(screen.getByText('Export')).toBeTruthy();
+	});
+});
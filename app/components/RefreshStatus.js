@@ -0,0 +1,82 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { UPSTREAM_SETTINGS } from '../constants';
+import { formatTimeSince } from '../utils/formatters';
+
+/**
+ * RefreshStatus
+ * =============
+ *
+ * Shows when the data was generated and counts down to the next automatic
+ * refresh, plus how much LunarCrush quota is left when the API reports it.
+ * Re-renders itself once a second so the page doesn't have to.
+ *
+ * @param {Object} props
+ * @param {boolean} props.live - True while live stream updates are arriving
+ * @param {number} props.lastUpdated - When the data was generated (ms timestamp)
+ * @param {number} props.nextRefreshAt - When the next refresh is due (ms timestamp), or null
+ * @param {number} props.failures - Consecutive failed refreshes
+ * @param {boolean} props.paused - True while the tab is hidden
+ * @param {Object} props.rateLimit - { limit, remaining, resetAt } from the API, or null
+ */
+export default function RefreshStatus({
+	live,
+	lastUpdated,
+	nextRefreshAt,
+	failures,
+	paused,
+	rateLimit,
+}) {
+	const [, setTick] = useState(0);
+
+	// Tick every second to update the countdown and "time ago" text
+	useEffect(() => {
+		const timer = setInterval(() => setTick((tick) => tick + 1), 1000);
+		return () => clearInterval(timer);
+	}, []);
+
+	const secondsLeft = nextRefreshAt
+		? Math.max(0, Math.ceil((nextRefreshAt - Date.now()) / 1000))
+		: null;
+
+	// Warn when the quota is nearly used up
+	const lowQuota =
+		rateLimit &&
+		(rateLimit.remaining === 0 ||
+			(rateLimit.limit &&
+				rateLimit.remaining / rateLimit.limit < UPSTREAM_SETTINGS.LOW_QUOTA));
+	const resetsIn =
+		rateLimit?.resetAt && rateLimit.resetAt > Date.now()
+			? Math.ceil((rateLimit.resetAt - Date.now()) / 1000)
+			: null;
+
+	return (
+		<div className='text-xs text-gray-400 flex flex-col items-end'>
+			{/* Rendered on the server at a different time (ISR pages can be a minute old) */}
+			<span suppressHydrationWarning>
+				Last updated: {formatTimeSince(lastUpdated)}
+			</span>
+			{live ? (
+				<span className='text-green-400'>● Live</span>
+			) : paused ? (
+				<span>Auto-refresh paused</span>
+			) : (
+				secondsLeft != null && (
+					<span className={failures > 0 ? 'text-amber-400' : ''}>
+						{failures > 0 ? 'Retrying' : 'Next refresh'} in {secondsLeft}s
+					</span>
+				)
+			)}
+			{rateLimit && (
+				<span className={lowQuota ? 'text-amber-400' : ''}>
+					API quota: {rateLimit.remaining.toLocaleString()}
+					{rateLimit.limit != null &&
+						` / ${rateLimit.limit.toLocaleString()}`}{' '}
+					left
+					{lowQuota && resetsIn != null && ` (resets in ${resetsIn}s)`}
+				</span>
+			)}
+		</div>
+	);
+}
@@ -0,0 +1,225 @@
+'use client';
+
+import { useState } from 'react';
+import {
+	DEFAULT_SCALE_SETTINGS,
+	PALETTES,
+	SCALE_METRICS,
+	SCALE_MODES,
+	getScaleColor,
+	validateThresholds,
+} from '../utils/colorScale';
+import { useScaleSettings } from './ScaleSettingsProvider';
+
+const inputClass =
+	'bg-gray-900/70 border border-gray-700 rounded px-2 py-1 text-sm w-20 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const THRESHOLD_FIELDS = ['low', 'medium', 'high'];
+
+/**
+ * A strip showing how every value from min to max would be colored
+ */
+function ScalePreview({ metric, settings }) {
+	const { min, max } = SCALE_METRICS[metric];
+	const steps = 50;
+
+	return (
+		<div className='flex h-3 rounded overflow-hidden mt-2'>
+			{Array.from({ length: steps }, (_, i) => {
+				const value = min + ((max - min) * (i + 0.5)) / steps;
+				return (
+					<div
+						key={i}
+						className='flex-1'
+						style={{ backgroundColor: getScaleColor(metric, value, settings) }}
+					/>
+				);
+			})}
+		</div>
+	);
+}
+
+/**
+ * Toggle buttons for a small set of options
+ */
+function OptionButtons({ options, value, onChange }) {
+	return (
+		<div className='flex gap-2'>
+			{Object.entries(options).map(([key, option]) => (
+				<button
+					key={key}
+					type='button'
+					onClick={() => onChange(key)}
+					className={`px-3 py-1 rounded text-sm ${
+						value === key
+							? 'bg-blue-600 text-white'
+							: 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+					}`}>
+					{option.label}
+				</button>
+			))}
+		</div>
+	);
+}
+
+/**
+ * ScaleSettingsPanel
+ * ==================
+ *
+ * Modal for choosing how scores are colored: per-metric thresholds,
+ * bands or gradient, and the palette. Changes are previewed live and only
+ * saved when the user clicks Save.
+ *
+ * @param {Object} props
+ * @param {Function} props.onClose - Closes the panel
+ */
+export default function ScaleSettingsPanel({ onClose }) {
+	const { settings, updateSettings } = useScaleSettings();
+	const [draft, setDraft] = useState(settings);
+	const [formError, setFormError] = useState(null);
+
+	/**
+	 * Updates one threshold in the draft (empty input becomes NaN until fixed)
+	 */
+	const setThreshold = (metric, field, raw) =>
+		setDraft({
+			...draft,
+			thresholds: {
+				...draft.thresholds,
+				[metric]: {
+					...draft.thresholds[metric],
+					[field]: raw === '' ? NaN : Number(raw),
+				},
+			},
+		});
+
+	/**
+	 * Validates every metric and saves
+	 */
+	const handleSave = () => {
+		const error = Object.keys(SCALE_METRICS)
+			.map((metric) => validateThresholds(metric, draft.thresholds[metric]))
+			.find(Boolean);
+		if (error) {
+			setFormError(error);
+			return;
+		}
+
+		updateSettings(draft);
+		onClose();
+	};
+
+	// Only preview thresholds that make sense
+	const previewSettings = {
+		...draft,
+		thresholds: Object.fromEntries(
+			Object.keys(SCALE_METRICS).map((metric) => [
+				metric,
+				validateThresholds(metric, draft.thresholds[metric])
+					? settings.thresholds[metric]
+					: draft.thresholds[metric],
+			])
+		),
+	};
+
+	return (
+		<div
+			className='fixed inset-0 bg-black/70 backdrop-blur-sm z-50 flex items-center justify-center p-4'
+			onClick={onClose}>
+			<div
+				className='bg-gray-800 border border-gray-700 rounded-xl shadow-2xl max-w-lg w-full max-h-[90vh] overflow-y-auto'
+				onClick={(e) => e.stopPropagation()} // Prevent clicks inside the panel from closing it
+			>
+				{/* Panel Header */}
+				<div className='flex justify-between items-center p-5 border-b border-gray-700 bg-gradient-to-r from-blue-900/20 to-purple-900/20'>
+					<h3 className='text-xl font-bold'>Color Settings</h3>
+					<button
+						onClick={onClose}
+						className='bg-gray-700 hover:bg-gray-600 rounded-full p-1'
+						aria-label='Close color settings'>
+						<svg
+							xmlns='http://www.w3.org/2000/svg'
+							className='h-5 w-5'
+							fill='none'
+							viewBox='0 0 24 24'
+							stroke='currentColor'>
+							<path
+								strokeLinecap='round'
+								strokeLinejoin='round'
+								strokeWidth={2}
+								d='M6 18L18 6M6 6l12 12'
+							/>
+						</svg>
+					</button>
+				</div>
+
+				<div className='p-5 space-y-5 text-sm'>
+					{/* Mode and Palette */}
+					<div className='space-y-2'>
+						<p className='text-gray-400'>Style</p>
+						<OptionButtons
+							options={SCALE_MODES}
+							value={draft.mode}
+							onChange={(mode) => setDraft({ ...draft, mode })}
+						/>
+					</div>
+					<div className='space-y-2'>
+						<p className='text-gray-400'>Palette</p>
+						<OptionButtons
+							options={PALETTES}
+							value={draft.palette}
+							onChange={(palette) => setDraft({ ...draft, palette })}
+						/>
+					</div>
+
+					{/* Per-metric Thresholds */}
+					{Object.entries(SCALE_METRICS).map(([metric, { label }]) => (
+						<div key={metric} className='bg-gray-700/30 p-4 rounded-lg'>
+							<p className='text-gray-300 font-medium mb-2'>{label}</p>
+							<div className='flex gap-3'>
+								{THRESHOLD_FIELDS.map((field) => (
+									<label key={field} className='text-xs text-gray-400'>
+										<span className='block capitalize mb-1'>{field}</span>
+										<input
+											type='number'
+											step='any'
+											value={
+												isNaN(draft.thresholds[metric][field])
+													? ''
+													: draft.thresholds[metric][field]
+											}
+											onChange={(e) =>
+												setThreshold(metric, field, e.target.value)
+											}
+											className={inputClass}
+										/>
+									</label>
+								))}
+							</div>
+							<ScalePreview metric={metric} settings={previewSettings} />
+						</div>
+					))}
+
+					{formError && <p className='text-xs text-red-400'>{formError}</p>}
+
+					{/* Actions */}
+					<div className='flex justify-between'>
+						<button
+							onClick={() => {
+								setDraft(DEFAULT_SCALE_SETTINGS);
+								setFormError(null);
+							}}
+							className='px-3 py-1 rounded bg-gray-700 hover:bg-gray-600 text-gray-300'>
+							Reset to defaults
+						</button>
+						<button
+							onClick={handleSave}
+							className='px-3 py-1 rounded bg-blue-600 hover:bg-blue-500 text-white'>
+							Save
+						</button>
+					</div>
+				</div>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,84 @@
+'use client';
+
+import {
+	createContext,
+	useCallback,
+	useContext,
+	useEffect,
+	useState,
+} from 'react';
+import { STORAGE_KEYS } from '../constants';
+import {
+	DEFAULT_SCALE_SETTINGS,
+	getScaleColor,
+	normalizeScaleSettings,
+} from '../utils/colorScale';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+
+const ScaleSettingsContext = createContext(null);
+
+/**
+ * ScaleSettingsProvider
+ * =====================
+ *
+ * Holds the user's color scale settings for the whole app (it wraps every
+ * page in app/layout.js) and saves them in localStorage, so each user keeps
+ * their own thresholds, mode and palette.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - The page
+ */
+export default function ScaleSettingsProvider({ children }) {
+	const [settings, setSettings] = useState(DEFAULT_SCALE_SETTINGS);
+
+	// Load saved settings after mount (localStorage is browser-only)
+	useEffect(() => {
+		setSettings(
+			normalizeScaleSettings(loadFromStorage(STORAGE_KEYS.SCALE_SETTINGS, {}))
+		);
+	}, []);
+
+	/**
+	 * Replaces the settings and saves them
+	 */
+	const updateSettings = useCallback((next) => {
+		setSettings(next);
+		saveToStorage(STORAGE_KEYS.SCALE_SETTINGS, next);
+	}, []);
+
+	/**
+	 * Color for a metric value under the current settings
+	 */
+	const colorFor = useCallback(
+		(metric, value) => getScaleColor(metric, value, settings),
+		[settings]
+	);
+
+	return (
+		<ScaleSettingsContext.Provider
+			value={{ settings, updateSettings, colorFor }}>
+			{children}
+		</ScaleSettingsContext.Provider>
+	);
+}
+
+/**
+ * React hook for reading the color scale settings
+ *
+ * Outside a provider it falls back to the default settings, so components
+ * still render sensibly on their own.
+ *
+ * @returns {Object} { settings, updateSettings, colorFor }
+ * @example
+ * const { colorFor } = useScaleSettings();
+ * <p style={{ color: colorFor('sentiment', coin.sentiment) }}>...</p>
+ */
+export function useScaleSettings() {
+	return (
+		useContext(ScaleSettingsContext) || {
+			settings: DEFAULT_SCALE_SETTINGS,
+			updateSettings: () => {},
+			colorFor: (metric, value) => getScaleColor(metric, value),
+		}
+	);
+}
@@ -0,0 +1,60 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { act, render, renderHook, screen } from '@testing-library/react';
+import MetricValue from './MetricValue';
+import ScaleSettingsProvider, {
+	useScaleSettings,
+} from './ScaleSettingsProvider';
+import { getMockData } from '../data/mockData';
+import { STORAGE_KEYS } from '../constants';
+import { DEFAULT_SCALE_SETTINGS, PALETTES } from '../utils/colorScale';
+
+const [poor, mid, , best] = PALETTES.standard.colors;
+const btc = getMockData().data.find((coin) => coin.symbol === 'BTC');
+
+// jsdom reports inline colors as rgb()
+const rgb = (hex) =>
+	`rgb(${[1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16)).join(', ')})`;
+
+const strictSentiment = {
+	...DEFAULT_SCALE_SETTINGS,
+	thresholds: {
+		...DEFAULT_SCALE_SETTINGS.thresholds,
+		sentiment: { low: 70, medium: 80, high: 90 },
+	},
+};
+
+describe('ScaleSettingsProvider', () => {
+	beforeEach(() => {
+		window.localStorage.clear();
+	});
+
+	it('colors values with the saved custom thresholds', () => {
+		window.localStorage.setItem(
+			STORAGE_KEYS.SCALE_SETTINGS,
+			JSON.stringify(strictSentiment)
+		);
+
+		render(
+			<ScaleSettingsProvider>
+				<MetricValue metric='sentiment' value={btc.sentiment} />
+			</ScaleSettingsProvider>
+		);
+
+		// 65.7 would be medium-high by default, but it's below the custom "low"
+		expect(screen.getByText('65.7').style.color).toBe(rgb(poor));
+	});
+
+	it('saves updated thresholds and recolors with them', () => {
+		const { result } = renderHook(() => useScaleSettings(), {
+			wrapper: ScaleSettingsProvider,
+		});
+		expect(result.current.colorFor('sentiment', 75)).toBe(best);
+
+		act(() => result.current.updateSettings(strictSentiment));
+
+		expect(result.current.colorFor('sentiment', 75)).toBe(mid);
+		expect(
+			JSON.parse(window.localStorage.getItem(STORAGE_KEYS.SCALE_SETTINGS))
+		).toEqual(strictSentiment);
+	});
+});
@@ -0,0 +1,39 @@
+import { SIGNAL_FLAGS } from '../utils/signals';
+
+// Badge colors for each flag tone
+const TONE_STYLES = {
+	green: 'bg-green-500/15 text-green-300 border-green-500/30',
+	red: 'bg-red-500/15 text-red-300 border-red-500/30',
+	blue: 'bg-blue-500/15 text-blue-300 border-blue-500/30',
+	amber: 'bg-amber-500/15 text-amber-300 border-amber-500/30',
+};
+
+/**
+ * SignalBadges
+ * ============
+ *
+ * Small badges for the flags a coin's derived signals raise (e.g.,
+ * "Galaxy ↑ Price ↓"). Renders nothing when there are no flags.
+ *
+ * @param {Object} props
+ * @param {string[]} props.flags - Keys of SIGNAL_FLAGS (from computeSignals)
+ * @param {string} props.className - Extra Tailwind classes
+ */
+export default function SignalBadges({ flags = [], className = '' }) {
+	if (flags.length === 0) return null;
+
+	return (
+		<div className={`flex flex-wrap gap-1 ${className}`}>
+			{flags.map((flag) => (
+				<span
+					key={flag}
+					title={SIGNAL_FLAGS[flag].description}
+					className={`text-xs px-1.5 py-0.5 rounded border whitespace-nowrap ${
+						TONE_STYLES[SIGNAL_FLAGS[flag].tone]
+					}`}>
+					{SIGNAL_FLAGS[flag].label}
+				</span>
+			))}
+		</div>
+	);
+}
@@ -0,0 +1,56 @@
+/**
+ * SortableHeader
+ * ==============
+ *
+ * A table header cell that sorts the coin list when clicked.
+ * Columns without a `field` render as plain, non-clickable headers.
+ *
+ * @param {Object} props
+ * @param {string} props.label - Text shown in the header
+ * @param {string} props.field - LunarCrush field this column sorts by (optional)
+ * @param {string} props.align - 'left' or 'right'
+ * @param {string} props.sortField - Field the list is currently sorted by
+ * @param {boolean} props.isDescending - Current sort direction
+ * @param {Function} props.onSort - Called with the column's field when clicked
+ */
+export default function SortableHeader({
+	label,
+	field,
+	align = 'right',
+	sortField,
+	isDescending,
+	onSort,
+}) {
+	const isActive = field && field === sortField;
+	const alignClass = align === 'left' ? 'text-left' : 'text-right';
+
+	// aria-sort tells screen readers which column is sorted and how
+	const ariaSort = isActive
+		? isDescending
+			? 'descending'
+			: 'ascending'
+		: undefined;
+
+	return (
+		<th
+			scope='col'
+			aria-sort={ariaSort}
+			className={`px-6 py-4 ${alignClass} text-xs font-medium uppercase tracking-wider ${
+				isActive ? 'text-blue-400' : 'text-gray-300'
+			}`}>
+			{field ? (
+				<button
+					onClick={() => onSort(field)}
+					className='uppercase tracking-wider hover:text-white transition-colors'>
+					{label}
+					{/* Arrow shows the direction of the active sort column */}
+					<span className='ml-1'>
+						{isActive ? (isDescending ? '▼' : '▲') : ''}
+					</span>
+				</button>
+			) : (
+				label
+			)}
+		</th>
+	);
+}
@@ -0,0 +1,60 @@
+/**
+ * Sparkline
+ * =========
+ *
+ * A tiny line chart with no axes or labels, drawn as an SVG polyline.
+ * It stretches to fill the width of its container.
+ *
+ * @param {Object} props
+ * @param {number[]} props.values - The series to draw (oldest first)
+ * @param {number} props.height - Height in pixels (default: 32)
+ * @param {string} props.className - Tailwind classes, e.g. a text color used for the stroke
+ * @param {string} props.label - Accessible label describing the chart
+ */
+export default function Sparkline({
+	values = [],
+	height = 32,
+	className = '',
+	label,
+}) {
+	// Ignore missing values so gaps don't pull the line to zero
+	const series = values.filter((value) => value != null && !isNaN(value));
+
+	if (series.length < 2) {
+		return <div style={{ height }} className='w-full' aria-hidden='true' />;
+	}
+
+	// Step 1: Scale the series into a 100 x height box
+	const min = Math.min(...series);
+	const max = Math.max(...series);
+	const range = max - min || 1; // Avoid dividing by zero on flat lines
+
+	// Step 2: Build the SVG points string ("x1,y1 x2,y2 ...")
+	const points = series
+		.map((value, index) => {
+			const x = (index / (series.length - 1)) * 100;
+			const y = height - ((value - min) / range) * (height - 2) - 1;
+			return `${x.toFixed(2)},${y.toFixed(2)}`;
+		})
+		.join(' ');
+
+	return (
+		<svg
+			viewBox={`0 0 100 ${height}`}
+			preserveAspectRatio='none'
+			className={`w-full ${className}`}
+			style={{ height }}
+			role='img'
+			aria-label={label}>
+			<polyline
+				points={points}
+				fill='none'
+				stroke='currentColor'
+				strokeWidth='1.5'
+				vectorEffect='non-scaling-stroke'
+				strokeLinejoin='round'
+				strokeLinecap='round'
+			/>
+		</svg>
+	);
+}
@@ -0,0 +1,39 @@
+/**
+ * StarButton
+ * ==========
+ *
+ * Toggle button that adds or removes a coin from the watchlist.
+ * Stops click propagation so it can sit inside clickable cards and rows.
+ *
+ * @param {Object} props
+ * @param {string} props.symbol - Coin symbol (used in the accessible label)
+ * @param {boolean} props.active - Whether the coin is currently starred
+ * @param {Function} props.onToggle - Called when the star is clicked
+ * @param {string} props.className - Extra Tailwind classes
+ */
+export default function StarButton({
+	symbol,
+	active,
+	onToggle,
+	className = '',
+}) {
+	return (
+		<button
+			type='button'
+			onClick={(e) => {
+				e.stopPropagation(); // Don't open the detail view
+				onToggle();
+			}}
+			aria-pressed={active}
+			aria-label={
+				active
+					? `Remove ${symbol} from watchlist`
+					: `Add ${symbol} to watchlist`
+			}
+			className={`text-lg leading-none transition-colors ${
+				active ? 'text-yellow-400' : 'text-gray-500 hover:text-yellow-300'
+			} ${className}`}>
+			{active ? '★' : '☆'}
+		</button>
+	);
+}
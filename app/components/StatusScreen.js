@@ -0,0 +1,102 @@
+/**
+ * StatusScreen
+ * ============
+ *
+ * Full-page screen shown instead of the dashboard while the first load is
+ * running, or when it failed. The error screen says what went wrong and
+ * how to fix it, with buttons to try again or (in live-only mode) fall
+ * back to demo data.
+ *
+ * @param {Object} props
+ * @param {Object} props.error - Failure to show ({ title, message, hint }), or null while loading
+ * @param {string} props.fetchStatus - Status of data fetching (picks the loading message)
+ * @param {boolean} props.liveOnly - Whether live-only mode is on
+ * @param {Function} props.onRetry - Called by "Try again"
+ * @param {Function} props.onUseDemoData - Called by "Show demo data instead"
+ */
+export default function StatusScreen({
+	error,
+	fetchStatus,
+	liveOnly = false,
+	onRetry,
+	onUseDemoData,
+}) {
+	/**
+	 * Error state - displayed when data fetching fails
+	 * This provides useful information to help users fix the problem
+	 */
+	if (error) {
+		return (
+			<div className='flex items-center justify-center min-h-screen bg-gradient-to-br from-gray-900 to-black'>
+				<div className='p-6 bg-gray-800 rounded-lg shadow-xl border border-red-500/20'>
+					{/* Error header with icon */}
+					<div className='flex items-center mb-4'>
+						<svg
+							xmlns='http://www.w3.org/2000/svg'
+							className='h-8 w-8 text-red-500 mr-3'
+							fill='none'
+							viewBox='0 0 24 24'
+							stroke='currentColor'>
+							<path
+								strokeLinecap='round'
+								strokeLinejoin='round'
+								strokeWidth={2}
+								d='M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z'
+							/>
+						</svg>
+						<h2 className='text-xl font-bold text-red-400'>{error.title}</h2>
+					</div>
+
+					{/* Error message */}
+					<p className='text-gray-300'>{error.message}</p>
+
+					{/* Help text for this kind of failure */}
+					<p className='mt-4 text-sm text-gray-400'>{error.hint}</p>
+
+					{/* Actions */}
+					<div className='mt-5 flex gap-2'>
+						<button
+							onClick={onRetry}
+							className='px-3 py-1 rounded text-sm bg-blue-600 hover:bg-blue-500 text-white'>
+							Try again
+						</button>
+						{liveOnly && (
+							<button
+								onClick={onUseDemoData}
+								className='px-3 py-1 rounded text-sm bg-gray-700 hover:bg-gray-600 text-gray-300'>
+								Show demo data instead
+							</button>
+						)}
+					</div>
+				</div>
+			</div>
+		);
+	}
+
+	/**
+	 * Loading state - displayed while data is being fetched
+	 * This gives users feedback that the application is working
+	 */
+	return (
+		<div className='flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-gray-900 to-black'>
+			{/* Spinning loader animation */}
+			<div className='w-16 h-16 border-4 border-blue-500 border-t-transparent rounded-full animate-spin'></div>
+
+			{/* Main loading message */}
+			<p className='mt-4 text-lg font-medium text-blue-400'>
+				Loading cryptocurrency data...
+			</p>
+
+			{/* Status messages to provide more context */}
+			<div className='mt-2'>
+				<p className='text-sm text-blue-300'>
+					{/* Show different messages based on current status */}
+					{fetchStatus === 'using-stale-data' &&
+						'Using stored data while refreshing...'}
+					{fetchStatus === 'processing' && 'Processing data...'}
+					{fetchStatus === 'using-mock-data' && 'Using demo data...'}
+				</p>
+			</div>
+		</div>
+	);
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import StatusScreen from './StatusScreen';
+import { describeFailure } from '../utils/dataSource';
+
+const failure = describeFailure({
+	code: 'MISSING_API_KEY',
+	message: 'LUNARCRUSH_API_TOKEN is not set',
+});
+
+describe('StatusScreen', () => {
+	it('shows a loading message for the fetch status', () => {
+		render(<StatusScreen error={null} fetchStatus='using-mock-data' />);
+
+		expect(screen.getByText('Loading cryptocurrency data...')).toBeTruthy();
+		expect(screen.getByText('Using demo data...')).toBeTruthy();
+	});
+
+	it('explains a failure and retries', () => {
+		const onRetry = vi.fn();
+		render(<StatusScreen error={failure} onRetry={onRetry} />);
+
+		expect(screen.getByText(failure.title)).toBeTruthy();
+		expect(screen.getByText(failure.message)).toBeTruthy();
+		expect(screen.getByText(failure.hint)).toBeTruthy();
+
+		fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+		expect(onRetry).toHaveBeenCalled();
+	});
+
+	it('offers demo data only in live-only mode', () => {
+		const onUseDemoData = vi.fn();
+		const { rerender } = render(
+			<StatusScreen error={failure} onUseDemoData={onUseDemoData} />
+		);
+		expect(screen.queryByText('Show demo data instead')).toBeNull();
+
+		rerender(
+			<StatusScreen error={failure} liveOnly onUseDemoData={onUseDemoData} />
+		);
+		fireEvent.click(screen.getByText('Show demo data instead'));
+		expect(onUseDemoData).toHaveBeenCalled();
+	});
+});
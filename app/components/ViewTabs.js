@@ -0,0 +1,59 @@
+import AlertsButton from './AlertsButton';
+import { VIEW_MODES } from '../constants';
+
+// The dashboard's views, in tab order
+const TABS = [
+	{ mode: VIEW_MODES.GRID, label: 'Grid View' },
+	{ mode: VIEW_MODES.TABLE, label: 'Table View' },
+	{ mode: VIEW_MODES.COMPARE, label: 'Compare' },
+];
+
+const BUTTON = 'px-4 py-2 rounded-md transition-all';
+const INACTIVE = 'bg-gray-800 text-gray-300 hover:bg-gray-700';
+
+/**
+ * ViewTabs
+ * ========
+ *
+ * The dashboard's tab bar: switches between the grid, table and compare
+ * views, and opens the alerts, portfolio and color settings panels.
+ *
+ * @param {Object} props
+ * @param {string} props.activeTab - The current view (a VIEW_MODES value)
+ * @param {Function} props.onTabChange - Called with the picked view
+ * @param {number} props.unreadAlerts - Alerts since the alerts panel was last opened
+ * @param {Function} props.onOpenAlerts - Opens the alerts panel
+ * @param {Function} props.onOpenPortfolio - Opens the portfolio panel
+ * @param {Function} props.onOpenColors - Opens the color settings panel
+ */
+export default function ViewTabs({
+	activeTab,
+	onTabChange,
+	unreadAlerts,
+	onOpenAlerts,
+	onOpenPortfolio,
+	onOpenColors,
+}) {
+	return (
+		<div className='flex items-center space-x-2 mt-4 md:mt-0'>
+			{TABS.map(({ mode, label }) => (
+				<button
+					key={mode}
+					onClick={() => onTabChange(mode)}
+					aria-pressed={activeTab === mode}
+					className={`${BUTTON} ${
+						activeTab === mode ? 'bg-blue-600 text-white' : INACTIVE
+					}`}>
+					{label}
+				</button>
+			))}
+			<AlertsButton unreadCount={unreadAlerts} onClick={onOpenAlerts} />
+			<button onClick={onOpenPortfolio} className={`${BUTTON} ${INACTIVE}`}>
+				💼 Portfolio
+			</button>
+			<button onClick={onOpenColors} className={`${BUTTON} ${INACTIVE}`}>
+				🎨 Colors
+			</button>
+		</div>
+	);
+}
@@ -0,0 +1,57 @@
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import ViewTabs from './ViewTabs';
+import { VIEW_MODES } from '../constants';
+
+const renderTabs = (props = {}) => {
+	const handlers = {
+		onTabChange: vi.fn(),
+		onOpenAlerts: vi.fn(),
+		onOpenPortfolio: vi.fn(),
+		onOpenColors: vi.fn(),
+	};
+	render(
+		<ViewTabs
+			activeTab={VIEW_MODES.GRID}
+			unreadAlerts={0}
+			{...handlers}
+			{...props}
+		/>
+	);
+	return handlers;
+};
+
+describe('ViewTabs', () => {
+	it('marks the active view as pressed', () => {
+		renderTabs({ activeTab: VIEW_MODES.TABLE });
+
+		expect(screen.getByRole('button', { name: 'Table View' })).toHaveProperty(
+			'ariaPressed',
+			'true'
+		);
+		expect(screen.getByRole('button', { name: 'Grid View' })).toHaveProperty(
+			'ariaPressed',
+			'false'
+		);
+	});
+
+	it('switches views', () => {
+		const { onTabChange } = renderTabs();
+
+		fireEvent.click(screen.getByRole('button', { name: 'Compare' }));
+
+		expect(onTabChange).toHaveBeenCalledWith(VIEW_MODES.COMPARE);
+	});
+
+	it('opens the alerts, portfolio and color panels', () => {
+		const handlers = renderTabs();
+
+		fireEvent.click(screen.getByRole('button', { name: /Alerts/ }));
+		fireEvent.click(screen.getByRole('button', { name: /Portfolio/ }));
+		fireEvent.click(screen.getByRole('button', { name: /Colors/ }));
+
+		expect(handlers.onOpenAlerts).toHaveBeenCalledOnce();
+		expect(handlers.onOpenPortfolio).toHaveBeenCalledOnce();
+		expect(handlers.onOpenColors).toHaveBeenCalledOnce();
+	});
+});
@@ -8,14 +8,124 @@
  */
 
 export const API_TOKEN = process.env.LUNARCRUSH_API_TOKEN;
-export const BASE_URL = 'https://lunarcrush.com/api4/public/';
+// Set LUNARCRUSH_BASE_URL to point at the local stand-in (scripts/mock-lunarcrush.mjs)
+export const BASE_URL =
+	process.env.LUNARCRUSH_BASE_URL || 'https://lunarcrush.com/api4/public/';
+
+// Public URL of the deployed dashboard (used for OpenGraph links and images)
+export const SITE_URL = 'https://nextjs-lunarcrush-sentimentv2.vercel.app';
 
 // Default display settings
 export const DEFAULT_LIMIT = 30;
 export const DEFAULT_SORT_DESCENDING = false;
 export const AVAILABLE_DISPLAY_LIMITS = [10, 20, 30, 50, 100];
+export const MAX_LIMIT = 100; // Larger limits are clamped by the API route
+export const MAX_SYMBOLS = 50; // Most coins that can be requested by symbol at once
+
+// How many coins the side-by-side view (/compare) can show
+export const SIDE_BY_SIDE_LIMITS = {
+	MIN: 2,
+	MAX: 5,
+};
+
+// Embeddable widget (/embed) - refresh times are in seconds, as in its URL
+export const EMBED_SETTINGS = {
+	DEFAULT_LIMIT: 5, // Coins shown when no symbols are given
+	MAX_COINS: 20, // Most coins one widget can show
+	DEFAULT_REFRESH: 60, // Seconds between refreshes (0 = never)
+	MIN_REFRESH: 15, // Shortest refresh allowed, so widgets don't hammer the API
+	MAX_REFRESH: 3600,
+};
+
+// Widget color themes (the first one is the default)
+export const EMBED_THEMES = ['dark', 'light'];
+
+// Metrics a widget can show (key = LunarCrush field name)
+export const EMBED_METRICS = [
+	{ key: 'price', label: 'Price' },
+	{ key: 'percent_change_24h', label: '24h' },
+	{ key: 'percent_change_7d', label: '7d' },
+	{ key: 'sentiment', label: 'Sentiment' },
+	{ key: 'galaxy_score', label: 'Galaxy' },
+	{ key: 'alt_rank', label: 'AltRank' },
+	{ key: 'market_cap', label: 'Mkt Cap' },
+	{ key: 'volume_24h', label: 'Volume' },
+	{ key: 'social_dominance', label: 'Social Dom.' },
+];
+
+// Metrics shown when the widget URL doesn't pick any
+export const DEFAULT_EMBED_METRICS = [
+	'price',
+	'percent_change_24h',
+	'sentiment',
+	'galaxy_score',
+];
+
+// Infinite scroll: the "Show" dropdown sets the page size, and further pages
+// load as the user scrolls towards the end of the list
+export const INFINITE_SCROLL = {
+	MAX_COINS: 5000, // Stop loading pages after this many coins
+	ROOT_MARGIN: '800px', // Start loading this far before the end is visible
+};
+
+// Row virtualization: long lists only render the rows near the viewport
+export const VIRTUALIZATION = {
+	THRESHOLD: 100, // Virtualize lists with more rows than this
+	OVERSCAN: 6, // Extra rows rendered above and below the viewport
+	TABLE_ROW_HEIGHT: 73, // Estimated table row height (px) until measured
+	GRID_ROW_HEIGHT: 440, // Estimated grid card row height (px) until measured
+	GRID_GAP: 24, // Matches the grid's gap-6
+};
+
+// Metrics the coin list can be sorted by (value = LunarCrush field name)
+export const SORT_OPTIONS = [
+	{ value: 'alt_rank', label: 'AltRank' },
+	{ value: 'sentiment', label: 'Sentiment' },
+	{ value: 'galaxy_score', label: 'Galaxy Score' },
+	{ value: 'market_cap', label: 'Market Cap' },
+	{ value: 'volume_24h', label: '24h Volume' },
+	{ value: 'percent_change_24h', label: '24h Change' },
+	{ value: 'percent_change_7d', label: '7d Change' },
+	{ value: 'social_dominance', label: 'Social Dominance' },
+	{ value: 'interactions_24h', label: 'Interactions (24h)' },
+];
+
+// Fields the API route accepts for `sort`
+export const SORT_FIELDS = SORT_OPTIONS.map((option) => option.value);
+export const DEFAULT_SORT_FIELD = 'alt_rank';
+
+// Limits for the derived signal flags (see utils/signals.js)
+export const SIGNAL_THRESHOLDS = {
+	MOMENTUM: 2, // Galaxy Score points gained/lost to count as rising/falling
+	PRICE_MOVE: 2, // 24h price change (%) to count as up/down
+	VELOCITY: 100, // AltRank places climbed to count as rising fast
+	HYPE_RATIO: 10, // Social dominance this many times market dominance is hype
+};
+
+// Range sliders in the filter bar (market cap uses a log scale so small
+// caps aren't squeezed into the first pixel). Moving a handle back to the
+// end of its track removes that side of the filter.
+export const FILTER_RANGES = [
+	{ key: 'sentiment', label: 'Sentiment', min: 0, max: 100, step: 1 },
+	{ key: 'galaxy_score', label: 'Galaxy Score', min: 0, max: 100, step: 1 },
+	{
+		key: 'market_cap',
+		label: 'Market Cap',
+		min: 1e4,
+		max: 1e13,
+		step: 0.1, // In powers of ten
+		scale: 'log',
+	},
+	{
+		key: 'percent_change_24h',
+		label: '24h Change (%)',
+		min: -50,
+		max: 50,
+		step: 1,
+	},
+];
 
-// Sentiment score thresholds for color coding
+// Default score thresholds for color coding (users can change them in Color Settings)
 export const SENTIMENT_THRESHOLDS = {
 	HIGH: 70, // High (Green)
 	MEDIUM: 50, // Medium-high (Blue)
@@ -26,19 +136,185 @@ export const SENTIMENT_THRESHOLDS = {
 // API-related constants
 export const API_ENDPOINTS = {
 	SENTIMENT: '/api/sentiment',
+	WATCHLIST: '/api/watchlist',
+	STREAM: '/api/sentiment/stream',
+	EXPORT: '/api/sentiment/export',
+	SNAPSHOTS: '/api/snapshots',
+};
+
+// Browser localStorage keys
+export const STORAGE_KEYS = {
+	WATCHLIST: 'crypto-dashboard:watchlist',
+	ALERT_RULES: 'crypto-dashboard:alert-rules',
+	ALERT_LOG: 'crypto-dashboard:alert-log',
+	REFRESH_INTERVAL: 'crypto-dashboard:refresh-interval',
+	EXPORT_COLUMNS: 'crypto-dashboard:export-columns',
+	SCALE_SETTINGS: 'crypto-dashboard:scale-settings',
+	LIVE_ONLY: 'crypto-dashboard:live-only',
+	PORTFOLIO: 'crypto-dashboard:portfolio',
+};
+
+// Most alert log entries kept in the browser (oldest are dropped first)
+export const MAX_ALERT_LOG_ENTRIES = 100;
+
+// Optional server-side JSON file for a shared team watchlist
+// Set WATCHLIST_FILE in .env.local (e.g., ./data/watchlist.json) to enable it
+export const WATCHLIST_FILE = process.env.WATCHLIST_FILE;
+
+// Optional comma-separated list of sites allowed to control the widget via postMessage
+// Set EMBED_ALLOWED_ORIGINS in .env.local (e.g., https://wiki.example.com); unset = any site
+export const EMBED_ALLOWED_ORIGINS = process.env.EMBED_ALLOWED_ORIGINS;
+
+// Mock data used when the API can't be reached (see data/mockGenerator.js)
+// Set NEXT_PUBLIC_MOCK_COINS in .env.local (e.g., 500) to generate that many coins
+// instead of the built-in sample, with NEXT_PUBLIC_MOCK_SEED and NEXT_PUBLIC_MOCK_SCENARIO
+// (normal, crash, euphoria, missing-fields or nulls)
+export const MOCK_SETTINGS = {
+	COINS: Number(process.env.NEXT_PUBLIC_MOCK_COINS) || 0,
+	SEED: Number(process.env.NEXT_PUBLIC_MOCK_SEED) || 1,
+	SCENARIO: process.env.NEXT_PUBLIC_MOCK_SCENARIO || 'normal',
+};
+
+// Optional JSON file of coins used as a second data provider (see services/providers/staticFile.js)
+// Set STATIC_COINS_FILE in .env.local (e.g., ./data/coins.json) to enable it
+export const STATIC_COINS_FILE = process.env.STATIC_COINS_FILE;
+
+// Optional JSON-lines file where every new /api/sentiment response is recorded
+// Set SNAPSHOT_FILE in .env.local (e.g., ./data/snapshots.jsonl) to enable Compare mode
+export const SNAPSHOT_FILE = process.env.SNAPSHOT_FILE;
+
+// How many snapshots the file keeps, and how often each query is recorded
+export const SNAPSHOT_SETTINGS = {
+	MAX_ENTRIES: 500, // The oldest snapshots are dropped past this
+	ROTATE_BATCH: 50, // Extra snapshots allowed before the file is trimmed back to MAX_ENTRIES
+	MIN_INTERVAL: 15 * 60, // Seconds (of `config.generated`) between two snapshots of one query
+};
+
+// Coin fields kept in each snapshot (enough to compare, small enough to keep many)
+export const SNAPSHOT_FIELDS = [
+	'symbol',
+	'name',
+	'price',
+	'sentiment',
+	'galaxy_score',
+	'alt_rank',
+	'market_cap',
+	'market_dominance',
+	'social_dominance',
+	'percent_change_24h',
+];
+
+// Historical time-series settings
+// Intervals accepted by the LunarCrush coin time-series endpoint
+export const HISTORY_INTERVALS = ['1d', '1w', '1m', '3m', '6m', '1y', 'all'];
+export const DEFAULT_HISTORY_INTERVAL = '1w';
+export const SPARKLINE_INTERVAL = '1w'; // Range shown in grid card sparklines
+
+// Browser-side cache of coin histories, so grid cards that scroll in and out
+// of view (or show the same coin) don't fetch the same history again
+export const HISTORY_CACHE = {
+	TTL: 5 * 60000, // Reuse a loaded history for 5 minutes
+	MAX_ENTRIES: 500, // Most symbol/interval pairs kept at once
+};
+
+// Columns available when exporting coin data (key = LunarCrush field name)
+export const EXPORT_COLUMNS = [
+	{ key: 'symbol', label: 'Symbol' },
+	{ key: 'name', label: 'Name' },
+	{ key: 'price', label: 'Price (USD)' },
+	{ key: 'percent_change_1h', label: '1h Change (%)' },
+	{ key: 'percent_change_24h', label: '24h Change (%)' },
+	{ key: 'percent_change_7d', label: '7d Change (%)' },
+	{ key: 'volume_24h', label: '24h Volume' },
+	{ key: 'market_cap', label: 'Market Cap' },
+	{ key: 'market_cap_rank', label: 'Market Cap Rank' },
+	{ key: 'circulating_supply', label: 'Circulating Supply' },
+	{ key: 'sentiment', label: 'Sentiment' },
+	{ key: 'galaxy_score', label: 'Galaxy Score' },
+	{ key: 'alt_rank', label: 'AltRank' },
+	{ key: 'social_dominance', label: 'Social Dominance' },
+	{ key: 'market_dominance', label: 'Market Dominance' },
+	{ key: 'interactions_24h', label: 'Interactions (24h)' },
+	{ key: 'categories', label: 'Categories' },
+];
+
+// Columns selected by default (and used by the export API when `columns` is omitted)
+export const DEFAULT_EXPORT_COLUMNS = [
+	'symbol',
+	'name',
+	'price',
+	'percent_change_24h',
+	'volume_24h',
+	'market_cap',
+	'sentiment',
+	'galaxy_score',
+	'alt_rank',
+];
+
+// Export file formats
+export const EXPORT_FORMATS = {
+	csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv; charset=utf-8' },
+	json: {
+		label: 'JSON',
+		extension: 'json',
+		mimeType: 'application/json; charset=utf-8',
+	},
+	xlsx: {
+		label: 'Excel',
+		extension: 'xlsx',
+		mimeType:
+			'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+	},
 };
 
 // UI-related constants
 export const VIEW_MODES = {
 	GRID: 'grid',
 	TABLE: 'table',
+	COMPARE: 'compare',
+};
+
+// Server-side response cache settings (in milliseconds)
+// TTL can be tuned with SENTIMENT_CACHE_TTL in .env.local
+export const CACHE_SETTINGS = {
+	TTL: Number(process.env.SENTIMENT_CACHE_TTL) || 60000, // Fresh for 1 minute
+	STALE_TTL: 30 * 60000, // Keep stale copies for 30 minutes as an outage fallback
+	MAX_ENTRIES: 200, // Upper bound on distinct cached requests
+};
+
+// How the server calls LunarCrush (times in milliseconds)
+// The per-request timeout can be tuned with LUNARCRUSH_TIMEOUT in .env.local
+export const UPSTREAM_SETTINGS = {
+	TIMEOUT: Number(process.env.LUNARCRUSH_TIMEOUT) || 10000, // Give up on one attempt after 10 seconds
+	MAX_RETRIES: 2, // Retries after the first attempt (5xx, 429, timeouts, network errors)
+	BASE_DELAY: 500, // First backoff delay, doubled on each retry
+	MAX_DELAY: 8000, // Longest wait between attempts (longer Retry-After values fail fast)
+	LOW_QUOTA: 0.1, // Warn in the UI when less than 10% of the rate limit is left
 };
 
 // Data refresh intervals (in milliseconds)
 export const REFRESH_INTERVALS = {
 	AUTO: 60000, // 1 minute auto-refresh
+	MAX_BACKOFF: 10 * 60000, // Longest wait between retries after failures
 };
 
+// How often the live stream polls LunarCrush, and how often it sends
+// keep-alive pings so proxies don't close idle connections
+export const STREAM_SETTINGS = {
+	POLL_INTERVAL: REFRESH_INTERVALS.AUTO,
+	KEEP_ALIVE: 15000,
+	HIGHLIGHT_DURATION: 2000, // How long changed values stay highlighted in the UI
+};
+
+// Choices for the auto-refresh dropdown (0 turns polling off)
+export const AUTO_REFRESH_OPTIONS = [
+	{ value: 0, label: 'Off' },
+	{ value: 30000, label: '30s' },
+	{ value: REFRESH_INTERVALS.AUTO, label: '1m' },
+	{ value: 5 * 60000, label: '5m' },
+	{ value: 15 * 60000, label: '15m' },
+];
+
 // Helpful descriptions for metrics (for tooltips or explanations)
 export const METRIC_DESCRIPTIONS = {
 	SENTIMENT:
@@ -8,7 +8,8 @@
  * 2. The API is unavailable or returns an error
  * 3. You're developing without an internet connection
  *
- * The data structure follows the LunarCrush API format with fields like:
+ * The data structure follows the LunarCrush API format, which is also the
+ * internal coin model (see utils/coinModel.js), with fields like:
  * - id: Unique identifier for the cryptocurrency
  * - symbol: Trading symbol (e.g., BTC, ETH)
  * - name: Full name of the cryptocurrency
@@ -17,7 +18,14 @@
  * - market_cap: Total market capitalization
  * - sentiment: Social media sentiment score (0-100)
  * - galaxy_score: Combined score from various metrics (0-100)
+ *
+ * For more coins (or a market crash, missing fields, ...), set
+ * NEXT_PUBLIC_MOCK_COINS and getMockData returns generated coins instead
+ * (see mockGenerator.js).
  */
+import { MOCK_SCENARIOS, generateMockCoins } from './mockGenerator';
+import { MOCK_SETTINGS } from '../constants';
+
 export const mockData = {
 	config: {
 		generated: 1749002977,
@@ -215,3 +223,35 @@ export const mockData = {
 		},
 	],
 };
+
+// Generated list, built on first use
+let generatedMockData = null;
+
+/**
+ * Picks the configured scenario, or the normal one if it's misspelled
+ * (getMockData is the fallback when fetching fails, so it must not throw)
+ */
+const getScenario = () => {
+	if (MOCK_SCENARIOS[MOCK_SETTINGS.SCENARIO]) return MOCK_SETTINGS.SCENARIO;
+
+	console.warn(
+		`Unknown NEXT_PUBLIC_MOCK_SCENARIO "${MOCK_SETTINGS.SCENARIO}" - using "normal" (use one of: ${Object.keys(MOCK_SCENARIOS).join(', ')})`
+	);
+	return 'normal';
+};
+
+/**
+ * Returns the mock coin list the app falls back to
+ *
+ * @returns {Object} Generated coins when MOCK_SETTINGS.COINS is set, otherwise mockData
+ */
+export function getMockData() {
+	if (!MOCK_SETTINGS.COINS) return mockData;
+
+	generatedMockData ??= generateMockCoins({
+		count: MOCK_SETTINGS.COINS,
+		seed: MOCK_SETTINGS.SEED,
+		scenario: getScenario(),
+	});
+	return generatedMockData;
+}
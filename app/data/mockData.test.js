@@ -0,0 +1,21 @@
+import { describe, expect, it, vi } from 'vitest';
+
+vi.mock('../constants', async (importOriginal) => ({
+	...(await importOriginal()),
+	MOCK_SETTINGS: { COINS: 20, SEED: 1, SCENARIO: 'crahs' },
+}));
+
+const { getMockData } = await import('./mockData');
+
+describe('getMockData', () => {
+	it('falls back to the normal scenario when the configured one is unknown', () => {
+		const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+		const { config, data } = getMockData();
+
+		expect(config.scenario).toBe('normal');
+		expect(data).toHaveLength(20);
+		expect(warn).toHaveBeenCalledWith(expect.stringContaining('"crahs"'));
+		warn.mockRestore();
+	});
+});
@@ -0,0 +1,461 @@
+/**
+ * MOCK COIN GENERATOR FOR DEVELOPMENT AND TESTING
+ *
+ * This file generates any number of coins in the LunarCrush coins/list/v1
+ * format, so grids, sorting, filters and infinite scroll can be tried
+ * offline with realistic data instead of the five coins in mockData.js.
+ *
+ * The output is deterministic: the same count, seed and scenario always
+ * produce the same coins. It's used by the client's mock data fallback
+ * (see getMockData in mockData.js) and by the local LunarCrush stand-in
+ * server (scripts/mock-lunarcrush.mjs), so this file must not import
+ * anything.
+ *
+ * Values follow the shapes seen in real data:
+ * - market cap falls off with rank (a few giants, a long tail of small caps)
+ * - volume, interactions and social volume scale with market cap, with noise
+ * - small caps move more (wider price changes, higher volatility)
+ * - *_previous and *_prev fields drift a little from the current values
+ *
+ * Scenario presets (MOCK_SCENARIOS) shift the distributions (a crash, a
+ * euphoric rally) or break the data the way a flaky API would (fields
+ * left out, or sent as null).
+ */
+
+// Timestamp of the generated data unless one is passed in (matches mockData.js)
+const DEFAULT_GENERATED = 1749002977;
+
+// Market cap of the largest coin; the rest follow a power law by rank
+const TOP_MARKET_CAP = 1.3e12;
+const MARKET_CAP_FALLOFF = 1.35;
+
+// Most coins a single call will generate
+export const MAX_MOCK_COINS = 5000;
+
+/**
+ * Scenario presets
+ *
+ * Each distribution is { mean, spread } (normal distribution). `volume`
+ * multiplies trading volume; `missingRate` / `nullRate` are the chance that
+ * each optional field is left out / set to null.
+ */
+const NORMAL_MARKET = {
+	change24h: { mean: 0.5, spread: 4 },
+	change7d: { mean: 1.5, spread: 10 },
+	sentiment: { mean: 72, spread: 12 },
+	galaxyScore: { mean: 52, spread: 11 },
+	volume: 1,
+	missingRate: 0,
+	nullRate: 0,
+};
+
+export const MOCK_SCENARIOS = {
+	normal: {
+		label: 'Normal market',
+		...NORMAL_MARKET,
+	},
+	crash: {
+		label: 'Market crash',
+		...NORMAL_MARKET,
+		change24h: { mean: -18, spread: 7 },
+		change7d: { mean: -35, spread: 12 },
+		sentiment: { mean: 32, spread: 14 },
+		galaxyScore: { mean: 38, spread: 10 },
+		volume: 3,
+	},
+	euphoria: {
+		label: 'Euphoria',
+		...NORMAL_MARKET,
+		change24h: { mean: 14, spread: 8 },
+		change7d: { mean: 40, spread: 20 },
+		sentiment: { mean: 90, spread: 6 },
+		galaxyScore: { mean: 66, spread: 10 },
+		volume: 2.5,
+	},
+	'missing-fields': {
+		label: 'Missing fields',
+		...NORMAL_MARKET,
+		missingRate: 0.15,
+	},
+	nulls: {
+		label: 'Null values',
+		...NORMAL_MARKET,
+		nullRate: 0.15,
+	},
+};
+
+// Well-known coins at the top of the list: [symbol, name, price, network]
+// (no price = stablecoin pegged to $1)
+const KNOWN_COINS = [
+	['BTC', 'Bitcoin', 67000, 'bitcoin'],
+	['ETH', 'Ethereum', 3500, 'ethereum'],
+	['USDT', 'Tether', null, 'ethereum'],
+	['BNB', 'BNB', 590, 'bsc'],
+	['SOL', 'Solana', 165, 'solana'],
+	['USDC', 'USDC', null, 'ethereum'],
+	['XRP', 'XRP', 0.52, 'ripple'],
+	['DOGE', 'Dogecoin', 0.16, 'dogecoin'],
+	['TON', 'Toncoin', 7.2, 'ton'],
+	['ADA', 'Cardano', 0.45, 'cardano'],
+	['AVAX', 'Avalanche', 35, 'avalanche'],
+	['TRX', 'TRON', 0.12, 'tron'],
+	['LINK', 'Chainlink', 17, 'ethereum'],
+	['DOT', 'Polkadot', 7, 'polkadot'],
+	['LTC', 'Litecoin', 82, 'litecoin'],
+];
+
+const CATEGORIES = [
+	'layer-1',
+	'layer-2',
+	'defi',
+	'meme',
+	'gaming',
+	'ai',
+	'nft',
+	'pow',
+	'exchange-tokens',
+];
+
+// Networks that generated tokens live on
+const TOKEN_NETWORKS = ['ethereum', 'bsc', 'solana', 'base', 'arbitrum'];
+
+// Pieces of made-up coin names
+const NAME_SYLLABLES = [
+	'ar',
+	'bel',
+	'cor',
+	'dex',
+	'fi',
+	'gal',
+	'hex',
+	'ion',
+	'jet',
+	'kai',
+	'lum',
+	'mor',
+	'nex',
+	'or',
+	'pix',
+	'qua',
+	'ra',
+	'sol',
+	'tri',
+	'vo',
+	'xen',
+	'zen',
+];
+const NAME_SUFFIXES = [
+	'',
+	'',
+	' Protocol',
+	' Network',
+	' Finance',
+	' Coin',
+	' AI',
+];
+
+// Fields every coin keeps, whatever the scenario: the identity fields (see
+// COIN_FIELDS.identity in utils/coinModel.js) and price, which the UI uses
+// to key and value coins
+export const REQUIRED_FIELDS = [
+	'id',
+	'symbol',
+	'name',
+	'logo',
+	'topic',
+	'categories',
+	'blockchains',
+	'price',
+];
+
+/**
+ * Creates a seeded random number generator (mulberry32)
+ *
+ * @param {number} seed - Any integer
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+function createRandom(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Adds distribution helpers to a random number generator
+ */
+function createSampler(random) {
+	const normal = (mean, spread) => {
+		// Box-Muller transform (1 - random() avoids log(0))
+		const u = 1 - random();
+		const v = random();
+		return (
+			mean + spread * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+		);
+	};
+
+	return {
+		random,
+		normal,
+		// Multiplier around 1, skewed like prices and volumes are
+		logNormal: (spread) => Math.exp(normal(0, spread)),
+		between: (min, max) => min + (max - min) * random(),
+		chance: (probability) => random() < probability,
+		pick: (items) => items[Math.floor(random() * items.length)],
+	};
+}
+
+/**
+ * Keeps a score within the 0-100 range used by LunarCrush
+ */
+const clampScore = (value) => Math.min(100, Math.max(0, value));
+
+/**
+ * Rounds to a number of decimal places
+ */
+const round = (value, places) => Number(value.toFixed(places));
+
+/**
+ * Makes up a coin name and a symbol that isn't taken yet
+ */
+function inventCoin(sample, takenSymbols) {
+	const syllables = Array.from(
+		{ length: 2 + Math.floor(sample.random() * 2) },
+		() => sample.pick(NAME_SYLLABLES)
+	).join('');
+	const name =
+		syllables[0].toUpperCase() +
+		syllables.slice(1) +
+		sample.pick(NAME_SUFFIXES);
+
+	const base =
+		syllables
+			.replace(/[aeiou]/g, '')
+			.toUpperCase()
+			.slice(0, 4) || syllables.toUpperCase().slice(0, 3);
+	let symbol = base;
+	for (let suffix = 2; takenSymbols.has(symbol); suffix++) {
+		symbol = `${base}${suffix}`;
+	}
+	takenSymbols.add(symbol);
+
+	return { symbol, name };
+}
+
+/**
+ * Builds one coin's market and social metrics
+ *
+ * @param {Object} sample - From createSampler
+ * @param {Object} scenario - A MOCK_SCENARIOS entry
+ * @param {Object} identity - { id, symbol, name, price, network, stable, rank }
+ */
+function buildCoin(
+	sample,
+	scenario,
+	{ id, symbol, name, price, network, stable, rank }
+) {
+	// Small caps swing harder than large caps
+	const swing = 1 + Math.log10(rank) / 2;
+
+	// Step 1: Market size - market cap by rank, supply from the price
+	const marketCap =
+		TOP_MARKET_CAP * rank ** -MARKET_CAP_FALLOFF * sample.logNormal(0.1);
+	const coinPrice = stable
+		? 1 + sample.normal(0, 0.0005)
+		: (price ?? 10 ** sample.between(-6, 1.7)) * sample.logNormal(0.02);
+	const circulatingSupply = marketCap / coinPrice;
+
+	// Step 2: Price changes for the scenario (stablecoins barely move,
+	// and nothing loses more than 99%)
+	const change = (distribution) =>
+		stable
+			? sample.normal(0, 0.05)
+			: Math.max(
+					-99,
+					sample.normal(distribution.mean, distribution.spread * swing)
+				);
+	const change24h = change(scenario.change24h);
+	const change7d = change(scenario.change7d);
+
+	// Step 3: Social activity grows with market cap
+	const interactions = Math.round(3e7 * rank ** -1.1 * sample.logNormal(0.6));
+	const galaxyScore = clampScore(
+		sample.normal(scenario.galaxyScore.mean, scenario.galaxyScore.spread)
+	);
+
+	const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+	const isKnown = KNOWN_COINS.some(([known]) => known === symbol);
+	const isToken = !isKnown && sample.chance(0.7);
+
+	return {
+		id,
+		symbol,
+		name,
+		price: coinPrice,
+		price_btc: null, // Filled in once Bitcoin's price is known
+		volume_24h: round(
+			marketCap * 0.05 * sample.logNormal(0.8) * scenario.volume,
+			2
+		),
+		volatility: stable
+			? 0.0001
+			: round(Math.abs(sample.normal(0.02, 0.015)) * swing, 4),
+		circulating_supply: circulatingSupply,
+		max_supply: sample.chance(0.4)
+			? null
+			: Math.round(circulatingSupply * sample.between(1, 3)),
+		percent_change_1h: change({
+			mean: scenario.change24h.mean / 24,
+			spread: scenario.change24h.spread / 5,
+		}),
+		percent_change_24h: change24h,
+		percent_change_7d: change7d,
+		market_cap: round(marketCap, 2),
+		market_cap_rank: rank,
+		interactions_24h: interactions,
+		social_volume_24h: Math.max(
+			1,
+			Math.round(interactions / sample.between(20, 200))
+		),
+		social_dominance: null, // Shares of the total are filled in afterwards
+		market_dominance: null,
+		market_dominance_prev: null,
+		galaxy_score: round(galaxyScore, 1),
+		galaxy_score_previous: round(
+			clampScore(galaxyScore + sample.normal(0, 3)),
+			1
+		),
+		alt_rank: null, // Ranked once every coin exists
+		alt_rank_previous: null,
+		sentiment: Math.round(
+			clampScore(
+				sample.normal(scenario.sentiment.mean, scenario.sentiment.spread)
+			)
+		),
+		categories: stable
+			? 'stablecoin'
+			: isKnown
+				? 'layer-1'
+				: [...new Set([sample.pick(CATEGORIES), sample.pick(CATEGORIES)])].join(
+						','
+					),
+		blockchains: [
+			isToken
+				? {
+						type: sample.pick(['erc20', 'token']),
+						network: sample.pick(TOKEN_NETWORKS),
+						address: `0x${Array.from({ length: 40 }, () =>
+							Math.floor(sample.random() * 16).toString(16)
+						).join('')}`,
+						decimals: 18,
+					}
+				: {
+						type: 'layer1',
+						network: network ?? slug,
+						address: null,
+						decimals: null,
+					},
+		],
+		topic: `${symbol.toLowerCase()} ${name.toLowerCase()}`,
+		logo: `https://cdn.lunarcrush.com/${slug}.png`,
+	};
+}
+
+/**
+ * Generates a mock coin list in the LunarCrush coins/list/v1 format
+ *
+ * @param {Object} options
+ * @param {number} options.count - How many coins (1 to MAX_MOCK_COINS, default 100)
+ * @param {number} options.seed - Any integer; the same seed gives the same coins (default 1)
+ * @param {string} options.scenario - A key of MOCK_SCENARIOS (default 'normal')
+ * @param {number} options.generated - Unix timestamp for `config.generated`
+ * @returns {Object} { config: { generated, seed, scenario }, data } with coins in market cap rank order
+ * @throws {Error} When the scenario is unknown
+ * @example
+ * const { data } = generateMockCoins({ count: 500, seed: 42, scenario: 'crash' });
+ */
+export function generateMockCoins({
+	count = 100,
+	seed = 1,
+	scenario = 'normal',
+	generated = DEFAULT_GENERATED,
+} = {}) {
+	const preset = MOCK_SCENARIOS[scenario];
+	if (!preset) {
+		throw new Error(
+			`Unknown mock scenario "${scenario}" - use one of: ${Object.keys(MOCK_SCENARIOS).join(', ')}`
+		);
+	}
+
+	const sample = createSampler(createRandom(seed));
+	const total = Math.min(MAX_MOCK_COINS, Math.max(1, Math.floor(count)));
+	const takenSymbols = new Set(KNOWN_COINS.map(([symbol]) => symbol));
+
+	// Step 1: Well-known coins first, then made-up ones
+	const coins = Array.from({ length: total }, (_, index) => {
+		const known = KNOWN_COINS[index];
+		const identity = known
+			? {
+					symbol: known[0],
+					name: known[1],
+					price: known[2],
+					network: known[3],
+					stable: known[2] === null,
+				}
+			: inventCoin(sample, takenSymbols);
+
+		return buildCoin(sample, preset, {
+			id: index + 1,
+			rank: index + 1,
+			...identity,
+		});
+	});
+
+	// Step 2: Fields that depend on the whole list (shares, BTC price, AltRank)
+	const totalMarketCap = coins.reduce((sum, coin) => sum + coin.market_cap, 0);
+	const totalInteractions = coins.reduce(
+		(sum, coin) => sum + coin.interactions_24h,
+		0
+	);
+	const btcPrice = coins[0].symbol === 'BTC' ? coins[0].price : 67000;
+
+	// AltRank favors a high Galaxy Score, with some shuffling
+	const altScores = new Map(
+		coins.map((coin) => [coin, coin.galaxy_score + sample.normal(0, 10)])
+	);
+	const altOrder = [...coins].sort(
+		(a, b) => altScores.get(b) - altScores.get(a)
+	);
+	altOrder.forEach((coin, index) => {
+		coin.alt_rank = index + 1;
+		coin.alt_rank_previous = Math.max(
+			1,
+			Math.round((index + 1) * sample.logNormal(0.3))
+		);
+	});
+
+	coins.forEach((coin) => {
+		coin.price_btc = coin.price / btcPrice;
+		coin.market_dominance = (coin.market_cap / totalMarketCap) * 100;
+		coin.market_dominance_prev =
+			coin.market_dominance / (1 + coin.percent_change_24h / 100);
+		coin.social_dominance = (coin.interactions_24h / totalInteractions) * 100;
+	});
+
+	// Step 3: Break the data the way the scenario asks
+	const optionalFields = Object.keys(coins[0]).filter(
+		(field) => !REQUIRED_FIELDS.includes(field)
+	);
+	coins.forEach((coin) => {
+		optionalFields.forEach((field) => {
+			if (sample.chance(preset.missingRate)) delete coin[field];
+			else if (sample.chance(preset.nullRate)) coin[field] = null;
+		});
+	});
+
+	return { config: { generated, seed, scenario }, data: coins };
+}
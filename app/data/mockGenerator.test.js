@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import {
+	MOCK_SCENARIOS,
+	REQUIRED_FIELDS,
+	generateMockCoins,
+} from './mockGenerator';
+
+describe('generateMockCoins', () => {
+	it('gives the same coins for the same seed', () => {
+		const first = generateMockCoins({ count: 50, seed: 7, scenario: 'nulls' });
+		const second = generateMockCoins({ count: 50, seed: 7, scenario: 'nulls' });
+
+		expect(second).toEqual(first);
+	});
+
+	it('gives different coins for another seed', () => {
+		const first = generateMockCoins({ count: 50, seed: 7 });
+		const second = generateMockCoins({ count: 50, seed: 8 });
+
+		expect(second.data).not.toEqual(first.data);
+	});
+
+	it.each(Object.keys(MOCK_SCENARIOS))(
+		'keeps the fields the UI needs in the %s scenario',
+		(scenario) => {
+			const { data } = generateMockCoins({ count: 200, seed: 3, scenario });
+
+			for (const coin of data) {
+				for (const field of REQUIRED_FIELDS) {
+					expect(coin[field], `${coin.symbol}.${field}`).not.toBeNull();
+					expect(coin[field], `${coin.symbol}.${field}`).toBeDefined();
+				}
+			}
+			expect(new Set(data.map((coin) => coin.id)).size).toBe(data.length);
+			expect(new Set(data.map((coin) => coin.symbol)).size).toBe(data.length);
+		}
+	);
+
+	it('breaks other fields in the missing-fields and nulls scenarios', () => {
+		const missing = generateMockCoins({
+			count: 50,
+			scenario: 'missing-fields',
+		});
+		const nulls = generateMockCoins({ count: 50, scenario: 'nulls' });
+
+		expect(missing.data.some((coin) => !('sentiment' in coin))).toBe(true);
+		expect(nulls.data.some((coin) => coin.sentiment === null)).toBe(true);
+	});
+});
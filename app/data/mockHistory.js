@@ -0,0 +1,113 @@
+/**
+ * MOCK TIME-SERIES DATA FOR DEVELOPMENT AND TESTING
+ *
+ * This file builds sample historical data that mimics the structure of the
+ * LunarCrush coin time-series endpoint. It's used as a fallback in the same
+ * situations as mockData.js (missing API key, API errors, offline work).
+ *
+ * Instead of storing thousands of hand-written points, each series is
+ * generated from the mock coins (see getMockData). The values are deterministic:
+ * the same coin and timestamp always produce the same point, so charts
+ * don't jump around between reloads.
+ *
+ * Each point follows the LunarCrush time-series format with fields like:
+ * - time: Unix timestamp (seconds) for the start of the bucket
+ * - open / close / high / low: Price in USD
+ * - volume_24h / market_cap: Market metrics
+ * - sentiment / galaxy_score / alt_rank: Social metrics
+ */
+import { getMockData } from './mockData';
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+// How far back each interval reaches, and the bucket size it uses
+const INTERVAL_RANGES = {
+	'1d': { span: DAY, bucket: HOUR },
+	'1w': { span: 7 * DAY, bucket: HOUR },
+	'1m': { span: 30 * DAY, bucket: DAY },
+	'3m': { span: 90 * DAY, bucket: DAY },
+	'6m': { span: 180 * DAY, bucket: DAY },
+	'1y': { span: 365 * DAY, bucket: DAY },
+	all: { span: 730 * DAY, bucket: DAY },
+};
+
+/**
+ * Returns a repeatable pseudo-random number between -1 and 1
+ * for a given coin id and timestamp
+ */
+const noise = (id, time) => {
+	const x = Math.sin(id * 12.9898 + time * 0.000078233) * 43758.5453;
+	return (x - Math.floor(x)) * 2 - 1;
+};
+
+/**
+ * Keeps a score within the 0-100 range used by LunarCrush
+ */
+const clampScore = (value) => Math.min(100, Math.max(0, value));
+
+/**
+ * Builds a single time-series point for a coin
+ */
+const buildPoint = (coin, time) => {
+	const wave = Math.sin(time / (3 * DAY) + coin.id);
+	const jitter = noise(coin.id, time);
+	const priceFactor = 1 + wave * 0.04 + jitter * 0.015;
+	const close = coin.price * priceFactor;
+
+	return {
+		time,
+		open: close * (1 - jitter * 0.005),
+		close,
+		high: close * (1 + Math.abs(jitter) * 0.01),
+		low: close * (1 - Math.abs(jitter) * 0.01),
+		volume_24h: coin.volume_24h * (1 + jitter * 0.2),
+		market_cap: coin.market_cap * priceFactor,
+		sentiment: clampScore(coin.sentiment + wave * 8 + jitter * 4),
+		galaxy_score: clampScore(coin.galaxy_score + wave * 5 + jitter * 3),
+		alt_rank: Math.max(1, Math.round(coin.alt_rank * (1 - wave * 0.1))),
+		interactions: Math.round(coin.interactions_24h * (1 + jitter * 0.3)),
+		social_dominance: coin.social_dominance * (1 + jitter * 0.1),
+	};
+};
+
+/**
+ * Generates mock time-series data for a coin
+ *
+ * @param {string} symbol - Coin symbol (e.g., 'BTC')
+ * @param {Object} params - Range parameters
+ * @param {string} params.interval - One of the supported intervals (e.g., '1w')
+ * @param {number} params.start - Optional start time (Unix seconds)
+ * @param {number} params.end - Optional end time (Unix seconds)
+ * @returns {Object|null} Data in the LunarCrush time-series format, or null for unknown symbols
+ */
+export function getMockHistory(symbol, params = {}) {
+	const mockData = getMockData();
+	const coin = mockData.data.find(
+		(item) => item.symbol.toUpperCase() === String(symbol).toUpperCase()
+	);
+
+	if (!coin) return null;
+
+	const range = INTERVAL_RANGES[params.interval] || INTERVAL_RANGES['1w'];
+	const end = params.end || mockData.config.generated;
+	const start = params.start || end - range.span;
+
+	// Align to bucket boundaries so overlapping ranges share the same points
+	const first = Math.ceil(start / range.bucket) * range.bucket;
+	const data = [];
+	for (let time = first; time <= end; time += range.bucket) {
+		data.push(buildPoint(coin, time));
+	}
+
+	return {
+		config: {
+			symbol: coin.symbol,
+			interval: params.interval || '1w',
+			start,
+			end,
+			generated: mockData.config.generated,
+		},
+		data,
+	};
+}
@@ -0,0 +1,67 @@
+/**
+ * Embeddable Widget Page
+ * ======================
+ *
+ * A compact coin widget meant to be shown in an iframe on other sites:
+ *
+ *   <iframe src="https://dashboard.example.com/embed?symbols=BTC,ETH&theme=light"
+ *     width="360" height="200" style="border: 0"></iframe>
+ *
+ * Everything is configured in the query string:
+ * - symbols: coins to show (e.g., "BTC" for a single-coin widget); omit for the top list
+ * - sort, desc: how the top list is sorted (default: AltRank, best first)
+ * - limit: how many coins the top list shows (1-20, default 5)
+ * - metrics: columns to show (e.g., "price,sentiment,galaxy_score")
+ * - theme: "dark" or "light"
+ * - refresh: seconds between refreshes (0 = off, otherwise at least 15)
+ *
+ * Key concepts:
+ * 1. The URL is checked on the server with the same rules as the API routes
+ * 2. Data is loaded in the browser through /api/sentiment, like the dashboard
+ * 3. The host page can change the widget later with postMessage (see utils/embed.js)
+ */
+
+import EmbedWidget from '../components/EmbedWidget';
+import { parseEmbedQuery, ValidationError } from '../utils/validation';
+import { parseAllowedOrigins } from '../utils/embed';
+import { EMBED_ALLOWED_ORIGINS } from '../constants';
+
+export const metadata = {
+	title: 'Crypto Sentiment Widget',
+	robots: { index: false },
+};
+
+/**
+ * Turns Next.js searchParams into URLSearchParams (the last value wins if
+ * a parameter is repeated)
+ */
+const toSearchParams = (params) =>
+	new URLSearchParams(
+		Object.entries(params).map(([key, value]) => [
+			key,
+			Array.isArray(value) ? value[value.length - 1] : value,
+		])
+	);
+
+export default async function EmbedPage({ searchParams }) {
+	// Step 1: Read the widget's configuration from the URL
+	let config;
+	try {
+		config = parseEmbedQuery(toSearchParams(await searchParams));
+	} catch (error) {
+		if (!(error instanceof ValidationError)) throw error;
+		return (
+			<div className='min-h-screen p-3 text-sm bg-gray-900 text-red-400'>
+				Invalid widget settings - {error.message}
+			</div>
+		);
+	}
+
+	// Step 2: Hand it to the widget, with the sites allowed to control it
+	return (
+		<EmbedWidget
+			config={config}
+			allowedOrigins={parseAllowedOrigins(EMBED_ALLOWED_ORIGINS)}
+		/>
+	);
+}
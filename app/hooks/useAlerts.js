@@ -0,0 +1,134 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { STORAGE_KEYS, MAX_ALERT_LOG_ENTRIES } from '../constants';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+import { evaluateRules, findUndecidedKeys } from '../utils/alerts';
+
+/**
+ * Shows a browser notification if the user has allowed them
+ */
+const notify = (message) => {
+	if (typeof window === 'undefined' || !('Notification' in window)) return;
+	if (Notification.permission !== 'granted') return;
+	new Notification('Crypto Sentiment Alert', { body: message });
+};
+
+/**
+ * React hook that owns alert rules and checks them on every data refresh
+ *
+ * Rules and the alert log are saved to localStorage. A rule only alerts when
+ * it *starts* matching a coin - it won't fire again on every refresh while
+ * the condition stays true. Each coin's state is kept by symbol: coins missing
+ * a rule's metric, or missing from the list altogether (after switching to
+ * the watchlist, another sort or a shorter list), keep whatever state they
+ * had, so they don't alert again when they come back, and change-based
+ * rules compare against the coin's own last value.
+ *
+ * @param {Object[]} coins - The latest coin data (missing values are null)
+ * @returns {Object} { rules, addRule, updateRule, removeRule, log, clearLog,
+ *   unreadCount, markRead, notificationPermission, requestNotifications }
+ */
+export function useAlerts(coins) {
+	const [rules, setRules] = useState([]);
+	const [log, setLog] = useState([]);
+	const [unreadCount, setUnreadCount] = useState(0);
+	const [notificationPermission, setNotificationPermission] =
+		useState('default');
+
+	// Symbol -> the coin as last seen (baseline for change-based rules)
+	const previousCoins = useRef(new Map());
+	// Rule/coin pairs that matched on the last check
+	const activeKeys = useRef(new Set());
+
+	// Load saved rules and log once on mount
+	useEffect(() => {
+		setRules(loadFromStorage(STORAGE_KEYS.ALERT_RULES, []));
+		setLog(loadFromStorage(STORAGE_KEYS.ALERT_LOG, []));
+		if ('Notification' in window) {
+			setNotificationPermission(Notification.permission);
+		}
+	}, []);
+
+	// Check the rules whenever new data arrives or the rules change
+	useEffect(() => {
+		if (coins.length === 0) return;
+
+		// Step 1: Find every rule/coin pair that currently matches
+		const matches = evaluateRules(rules, coins, [
+			...previousCoins.current.values(),
+		]);
+
+		// Step 2: Keep only the ones that weren't matching last time
+		const fresh = matches.filter((match) => !activeKeys.current.has(match.key));
+		activeKeys.current = new Set([
+			...matches.map((match) => match.key),
+			...findUndecidedKeys(activeKeys.current, rules, coins),
+		]);
+		for (const coin of coins) previousCoins.current.set(coin.symbol, coin);
+
+		if (fresh.length === 0) return;
+
+		// Step 3: Record and announce the new alerts
+		const now = Date.now();
+		const entries = fresh.map((match) => ({
+			id: `${match.key}:${now}`,
+			ruleId: match.ruleId,
+			symbol: match.symbol,
+			message: match.message,
+			time: now,
+		}));
+
+		setLog((current) => {
+			const next = [...entries, ...current].slice(0, MAX_ALERT_LOG_ENTRIES);
+			saveToStorage(STORAGE_KEYS.ALERT_LOG, next);
+			return next;
+		});
+		setUnreadCount((count) => count + entries.length);
+		entries.forEach((entry) => notify(entry.message));
+	}, [coins, rules]);
+
+	/**
+	 * Replaces the rule list and saves it
+	 */
+	const saveRules = useCallback((next) => {
+		setRules(next);
+		saveToStorage(STORAGE_KEYS.ALERT_RULES, next);
+	}, []);
+
+	const addRule = (rule) =>
+		saveRules([...rules, { ...rule, id: `rule-${Date.now()}`, enabled: true }]);
+
+	const updateRule = (id, changes) =>
+		saveRules(
+			rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule))
+		);
+
+	const removeRule = (id) => saveRules(rules.filter((rule) => rule.id !== id));
+
+	const clearLog = () => {
+		setLog([]);
+		saveToStorage(STORAGE_KEYS.ALERT_LOG, []);
+	};
+
+	/**
+	 * Asks the browser for permission to show notifications
+	 */
+	const requestNotifications = async () => {
+		if (!('Notification' in window)) return;
+		setNotificationPermission(await Notification.requestPermission());
+	};
+
+	return {
+		rules,
+		addRule,
+		updateRule,
+		removeRule,
+		log,
+		clearLog,
+		unreadCount,
+		markRead: () => setUnreadCount(0),
+		notificationPermission,
+		requestNotifications,
+	};
+}
@@ -0,0 +1,66 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { renderHook, waitFor } from '@testing-library/react';
+import { useAlerts } from './useAlerts';
+import { getMockData } from '../data/mockData';
+import { STORAGE_KEYS } from '../constants';
+
+const coin = (symbol) =>
+	getMockData().data.find((item) => item.symbol === symbol);
+const btc = coin('BTC');
+const eth = coin('ETH');
+
+const saveRules = (rules) =>
+	window.localStorage.setItem(
+		STORAGE_KEYS.ALERT_RULES,
+		JSON.stringify(rules.map((rule) => ({ enabled: true, ...rule })))
+	);
+
+describe('useAlerts', () => {
+	beforeEach(() => {
+		window.localStorage.clear();
+	});
+
+	it("doesn't alert again for a coin that left the list and came back", async () => {
+		saveRules([
+			{
+				id: 'r1',
+				symbol: 'BTC',
+				metric: 'sentiment',
+				condition: 'below',
+				value: 70,
+			},
+		]);
+		const { result, rerender } = renderHook(({ coins }) => useAlerts(coins), {
+			initialProps: { coins: [btc, eth] },
+		});
+		await waitFor(() => expect(result.current.log).toHaveLength(1));
+
+		// e.g., switched to a watchlist without BTC, then back
+		rerender({ coins: [eth] });
+		rerender({ coins: [btc, eth] });
+
+		expect(result.current.log).toHaveLength(1);
+	});
+
+	it("compares change rules against the coin's own last value", async () => {
+		saveRules([
+			{
+				id: 'r1',
+				symbol: 'BTC',
+				metric: 'price',
+				condition: 'drops_by',
+				value: 10,
+			},
+		]);
+		const { result, rerender } = renderHook(({ coins }) => useAlerts(coins), {
+			initialProps: { coins: [btc] },
+		});
+		await waitFor(() => expect(result.current.rules).toHaveLength(1));
+
+		rerender({ coins: [eth] });
+		rerender({ coins: [{ ...btc, price: btc.price * 0.8 }] });
+
+		await waitFor(() => expect(result.current.log).toHaveLength(1));
+		expect(result.current.log[0].symbol).toBe('BTC');
+	});
+});
@@ -0,0 +1,108 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { REFRESH_INTERVALS } from '../constants';
+
+/**
+ * Works out how long to wait before the next refresh
+ *
+ * Each consecutive failure doubles the wait (exponential backoff), up to
+ * REFRESH_INTERVALS.MAX_BACKOFF, so a broken API isn't hammered.
+ *
+ * @param {number} interval - Normal polling interval (ms)
+ * @param {number} failures - Consecutive failed refreshes
+ * @returns {number} Delay in milliseconds
+ */
+export const getRefreshDelay = (interval, failures) =>
+	Math.max(
+		interval,
+		Math.min(interval * 2 ** failures, REFRESH_INTERVALS.MAX_BACKOFF)
+	);
+
+/**
+ * React hook that polls for fresh data on a timer
+ *
+ * - Pauses while the browser tab is hidden and catches up when it's shown again
+ * - Backs off after consecutive failures
+ * - Restarts the countdown whenever data is refreshed by any other means
+ *   (manual refresh, changing filters), so we never refresh twice in a row
+ *
+ * @param {Function} refresh - Async function that returns true if the refresh succeeded
+ * @param {Object} options
+ * @param {number} options.interval - Polling interval in ms (0 = off)
+ * @param {number} options.lastRefreshAt - When data was last refreshed (ms timestamp)
+ * @returns {Object} { nextRefreshAt, failures, paused }
+ */
+export function useAutoRefresh(refresh, { interval, lastRefreshAt }) {
+	const [nextRefreshAt, setNextRefreshAt] = useState(null);
+	const [failures, setFailures] = useState(0);
+	const [paused, setPaused] = useState(false);
+
+	// Keep the latest values without restarting the timer
+	const refreshRef = useRef(refresh);
+	const failuresRef = useRef(0);
+	const lastRefreshRef = useRef(lastRefreshAt);
+	const timerRef = useRef(null);
+	const restartRef = useRef(() => {});
+
+	useEffect(() => {
+		refreshRef.current = refresh;
+	}, [refresh]);
+
+	// Pause polling while the tab is in the background
+	useEffect(() => {
+		const handleVisibility = () => setPaused(document.hidden);
+		handleVisibility();
+		document.addEventListener('visibilitychange', handleVisibility);
+		return () =>
+			document.removeEventListener('visibilitychange', handleVisibility);
+	}, []);
+
+	// Run the polling loop
+	useEffect(() => {
+		if (!interval || paused) {
+			setNextRefreshAt(null);
+			return;
+		}
+
+		let active = true;
+
+		const schedule = (delay) => {
+			clearTimeout(timerRef.current);
+			setNextRefreshAt(Date.now() + delay);
+			timerRef.current = setTimeout(run, delay);
+		};
+
+		const run = async () => {
+			setNextRefreshAt(null);
+			const ok = await refreshRef.current();
+
+			failuresRef.current = ok ? 0 : failuresRef.current + 1;
+			setFailures(failuresRef.current);
+			if (active) schedule(getRefreshDelay(interval, failuresRef.current));
+		};
+
+		restartRef.current = () =>
+			schedule(getRefreshDelay(interval, failuresRef.current));
+
+		// If we were paused past the due time, this refreshes right away
+		const elapsed = Date.now() - (lastRefreshRef.current || Date.now());
+		schedule(
+			Math.max(0, getRefreshDelay(interval, failuresRef.current) - elapsed)
+		);
+
+		return () => {
+			active = false;
+			clearTimeout(timerRef.current);
+			restartRef.current = () => {};
+		};
+	}, [interval, paused]);
+
+	// Any other refresh (manual, filter change) restarts the countdown
+	useEffect(() => {
+		lastRefreshRef.current = lastRefreshAt;
+		if (lastRefreshAt) restartRef.current();
+	}, [lastRefreshAt]);
+
+	return { nextRefreshAt, failures, paused };
+}
@@ -0,0 +1,126 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { getCoinHistory } from '../services/lunarcrush';
+import { HISTORY_CACHE } from '../constants';
+
+// Histories loaded (or loading) in this browser tab, shared by every
+// component: "SYMBOL:interval" -> { promise, result, time }
+const historyCache = new Map();
+
+/**
+ * Returns a cached history that's still fresh, or undefined
+ */
+const getCached = (key) => {
+	const entry = historyCache.get(key);
+	return entry && Date.now() - entry.time < HISTORY_CACHE.TTL
+		? entry
+		: undefined;
+};
+
+/**
+ * Loads a coin's history, at most once per symbol and interval
+ *
+ * Components that ask while a request is running share it, and later ones
+ * reuse the result until it's HISTORY_CACHE.TTL old. Mock fallbacks and
+ * failures aren't kept, so the next component tries again.
+ *
+ * @param {string} symbol - Coin symbol (e.g., 'BTC')
+ * @param {string} interval - Time range (e.g., '1w')
+ * @returns {Promise<Object>} The response from getCoinHistory
+ */
+function loadCoinHistory(symbol, interval) {
+	const key = `${symbol}:${interval}`;
+	const cached = getCached(key);
+	if (cached) return cached.promise;
+
+	const entry = { promise: null, result: null, time: Date.now() };
+	const forget = () => {
+		if (historyCache.get(key) === entry) historyCache.delete(key);
+	};
+	entry.promise = getCoinHistory(symbol, { interval }).then(
+		(result) => {
+			if (result.usedMockData) forget();
+			else entry.result = result;
+			return result;
+		},
+		(error) => {
+			forget();
+			throw error;
+		}
+	);
+
+	// Re-insert so the Map stays oldest-first, then drop the oldest when full
+	historyCache.delete(key);
+	historyCache.set(key, entry);
+	if (historyCache.size > HISTORY_CACHE.MAX_ENTRIES) {
+		historyCache.delete(historyCache.keys().next().value);
+	}
+	return entry.promise;
+}
+
+/**
+ * Turns a history response into the hook's state
+ */
+const toState = (result) => ({
+	points: result.data || [],
+	loading: false,
+	usedMockData: Boolean(result.usedMockData),
+	error: null,
+});
+
+/**
+ * React hook that loads time-series data for a coin
+ *
+ * Re-fetches whenever the symbol or interval changes and ignores responses
+ * that arrive after the component has moved on to another request. Loaded
+ * histories are cached for the whole page (see loadCoinHistory), so a
+ * history that's already here shows without a loading state.
+ *
+ * @param {string} symbol - Coin symbol (e.g., 'BTC')
+ * @param {string} interval - Time range (e.g., '1w')
+ * @returns {Object} { points, loading, usedMockData, error }
+ */
+export function useCoinHistory(symbol, interval) {
+	const [state, setState] = useState(() => {
+		const cached = getCached(`${symbol}:${interval}`)?.result;
+		return cached
+			? toState(cached)
+			: { points: [], loading: true, usedMockData: false, error: null };
+	});
+
+	useEffect(() => {
+		// Step 1: Show a cached history straight away
+		const cached = getCached(`${symbol}:${interval}`)?.result;
+		if (cached) {
+			setState(toState(cached));
+			return;
+		}
+
+		// Step 2: Otherwise load it (or join the request already running)
+		let cancelled = false;
+		setState((prev) => ({ ...prev, loading: true }));
+
+		loadCoinHistory(symbol, interval)
+			.then((result) => {
+				if (!cancelled) setState(toState(result));
+			})
+			.catch((err) => {
+				// Only invalid requests reach here - everything else falls back to mock data
+				if (cancelled) return;
+				setState({
+					points: [],
+					loading: false,
+					usedMockData: false,
+					error: err.message,
+				});
+			});
+
+		// Cleanup - ignore the response if symbol/interval changed meanwhile
+		return () => {
+			cancelled = true;
+		};
+	}, [symbol, interval]);
+
+	return state;
+}
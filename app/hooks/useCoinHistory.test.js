@@ -0,0 +1,57 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { renderHook, waitFor } from '@testing-library/react';
+import { getCoinHistory } from '../services/lunarcrush';
+import { useCoinHistory } from './useCoinHistory';
+
+vi.mock('../services/lunarcrush', () => ({ getCoinHistory: vi.fn() }));
+
+const history = (close) => ({ config: {}, data: [{ time: 1, close }] });
+
+describe('useCoinHistory', () => {
+	beforeEach(() => {
+		getCoinHistory.mockReset();
+	});
+
+	it('shares one request between components showing the same coin', async () => {
+		getCoinHistory.mockResolvedValue(history(100));
+
+		const first = renderHook(() => useCoinHistory('DEDUPE', '1w'));
+		const second = renderHook(() => useCoinHistory('DEDUPE', '1w'));
+
+		await waitFor(() => expect(first.result.current.loading).toBe(false));
+		await waitFor(() => expect(second.result.current.loading).toBe(false));
+		expect(getCoinHistory).toHaveBeenCalledTimes(1);
+		expect(second.result.current.points).toEqual([{ time: 1, close: 100 }]);
+	});
+
+	it('shows a loaded history without loading it again', async () => {
+		getCoinHistory.mockResolvedValue(history(200));
+		const first = renderHook(() => useCoinHistory('CACHED', '1w'));
+		await waitFor(() => expect(first.result.current.loading).toBe(false));
+
+		const later = renderHook(() => useCoinHistory('CACHED', '1w'));
+
+		expect(later.result.current.loading).toBe(false);
+		expect(later.result.current.points).toEqual([{ time: 1, close: 200 }]);
+		expect(getCoinHistory).toHaveBeenCalledTimes(1);
+	});
+
+	it('loads each interval separately', async () => {
+		getCoinHistory.mockResolvedValue(history(300));
+
+		renderHook(() => useCoinHistory('RANGES', '1w'));
+		renderHook(() => useCoinHistory('RANGES', '1m'));
+
+		await waitFor(() => expect(getCoinHistory).toHaveBeenCalledTimes(2));
+	});
+
+	it("doesn't keep mock fallbacks", async () => {
+		getCoinHistory.mockResolvedValue({ ...history(1), usedMockData: true });
+		const first = renderHook(() => useCoinHistory('MOCKED', '1w'));
+		await waitFor(() => expect(first.result.current.usedMockData).toBe(true));
+
+		renderHook(() => useCoinHistory('MOCKED', '1w'));
+
+		await waitFor(() => expect(getCoinHistory).toHaveBeenCalledTimes(2));
+	});
+});
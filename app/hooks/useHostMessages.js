@@ -0,0 +1,74 @@
+'use client';
+
+import { useCallback, useEffect, useRef } from 'react';
+import {
+	createWidgetMessage,
+	isAllowedOrigin,
+	parseHostMessage,
+} from '../utils/embed';
+
+/**
+ * React hook that connects an embedded widget to the page hosting its iframe
+ *
+ * Listens for commands from the host (see utils/embed.js for the protocol),
+ * ignores sites outside `allowedOrigins`, and answers invalid commands with
+ * an `error` message instead of applying them. Does nothing when the page
+ * isn't inside an iframe.
+ *
+ * @param {Function} onCommand - Called with `{ type, value }` for each valid command
+ * @param {Object} options
+ * @param {string[]|null} options.allowedOrigins - Sites that may send commands (null = any)
+ * @returns {Function} post(type, payload) - Sends a message to the host page
+ */
+export function useHostMessages(onCommand, { allowedOrigins }) {
+	// Keep the latest handler without re-adding the listener
+	const onCommandRef = useRef(onCommand);
+	useEffect(() => {
+		onCommandRef.current = onCommand;
+	}, [onCommand]);
+
+	/**
+	 * Sends a message to the host page
+	 * With allowed origins, it's only delivered if the host is one of them.
+	 */
+	const post = useCallback(
+		(type, payload) => {
+			if (window.parent === window) return;
+
+			const message = createWidgetMessage(type, payload);
+			for (const origin of allowedOrigins ?? ['*']) {
+				window.parent.postMessage(message, origin);
+			}
+		},
+		[allowedOrigins]
+	);
+
+	useEffect(() => {
+		if (window.parent === window) return;
+
+		const handleMessage = (event) => {
+			// Step 1: Only listen to the host page, and only to allowed sites
+			if (event.source !== window.parent) return;
+			if (!isAllowedOrigin(event.origin, allowedOrigins)) return;
+
+			// Step 2: Check the command and apply it, or report what's wrong
+			try {
+				const command = parseHostMessage(event.data);
+				if (command) onCommandRef.current(command);
+			} catch (error) {
+				event.source.postMessage(
+					createWidgetMessage('error', {
+						field: error.field,
+						message: error.message,
+					}),
+					event.origin
+				);
+			}
+		};
+
+		window.addEventListener('message', handleMessage);
+		return () => window.removeEventListener('message', handleMessage);
+	}, [allowedOrigins]);
+
+	return post;
+}
@@ -0,0 +1,54 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { INFINITE_SCROLL } from '../constants';
+
+/**
+ * React hook that calls `onLoadMore` when the end of a list scrolls into view
+ *
+ * Attach the returned ref to an element placed after the list (a
+ * "sentinel"). An IntersectionObserver watches it, so nothing runs on every
+ * scroll event. The observer is recreated whenever `enabled` flips back on,
+ * so if the sentinel is still visible after a page loads, the next page
+ * loads too - short pages keep loading until the screen is full.
+ *
+ * @param {Function} onLoadMore - Loads the next page
+ * @param {Object} options
+ * @param {boolean} options.enabled - Set to false while loading or when there's nothing more
+ * @param {string} options.rootMargin - How far ahead of the viewport to trigger
+ * @returns {Function} Callback ref for the sentinel element
+ * @example
+ * const sentinelRef = useInfiniteScroll(loadMore, { enabled: hasMore && !loadingMore });
+ * <div ref={sentinelRef} />
+ */
+export function useInfiniteScroll(
+	onLoadMore,
+	{ enabled, rootMargin = INFINITE_SCROLL.ROOT_MARGIN }
+) {
+	const [sentinel, setSentinel] = useState(null);
+
+	// Keep the latest callback without recreating the observer
+	const onLoadMoreRef = useRef(onLoadMore);
+	useEffect(() => {
+		onLoadMoreRef.current = onLoadMore;
+	}, [onLoadMore]);
+
+	useEffect(() => {
+		if (!enabled || !sentinel || typeof IntersectionObserver === 'undefined') {
+			return;
+		}
+
+		const observer = new IntersectionObserver(
+			(entries) => {
+				if (entries.some((entry) => entry.isIntersecting)) {
+					onLoadMoreRef.current();
+				}
+			},
+			{ rootMargin }
+		);
+		observer.observe(sentinel);
+		return () => observer.disconnect();
+	}, [enabled, sentinel, rootMargin]);
+
+	return setSentinel;
+}
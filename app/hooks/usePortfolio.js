@@ -0,0 +1,134 @@
+'use client';
+
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_SORT_FIELD, MAX_SYMBOLS, STORAGE_KEYS } from '../constants';
+import { getSentimentData, ApiError } from '../services/lunarcrush';
+import { describeFailure } from '../utils/dataSource';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+import { computePortfolio, upsertHolding } from '../utils/portfolio';
+
+const NO_COINS = [];
+
+/**
+ * React hook that owns the portfolio holdings and values them
+ *
+ * Holdings are saved to localStorage. They're valued against the coins the
+ * dashboard already has; holdings outside that list (e.g., a small cap when
+ * only the top 30 are loaded) are fetched on their own by symbol, and
+ * fetched again whenever `refreshKey` changes. Holdings are never valued at
+ * demo prices: while the dashboard shows mock data every holding is fetched
+ * this way, and the fetches are live-only, so a failure shows up as
+ * `priceError` and leaves the holdings unpriced.
+ *
+ * @param {Object[]} coins - The coins loaded by the dashboard
+ * @param {Object} options
+ * @param {boolean} options.enabled - Only fetch missing coins while the portfolio is on screen
+ * @param {number} options.refreshKey - Changes whenever the dashboard refreshes (e.g., lastRefreshAt)
+ * @param {boolean} options.usedMockData - True when `coins` are demo data (default: false)
+ * @returns {Object} { holdings, saveHolding, removeHolding, replaceHoldings,
+ *   summary, loadingPrices, priceError }
+ */
+export function usePortfolio(
+	coins,
+	{ enabled, refreshKey, usedMockData = false }
+) {
+	const [holdings, setHoldings] = useState([]);
+	const [extraCoins, setExtraCoins] = useState([]); // Held coins fetched by symbol
+	const [loadingPrices, setLoadingPrices] = useState(false);
+	const [priceError, setPriceError] = useState(null); // Why held coins couldn't be fetched
+
+	// Load saved holdings once on mount
+	useEffect(() => {
+		setHoldings(loadFromStorage(STORAGE_KEYS.PORTFOLIO, []));
+	}, []);
+
+	// Held coins that aren't in the dashboard's list (all of them when the
+	// list is demo data)
+	const liveCoins = usedMockData ? NO_COINS : coins;
+	const loaded = useMemo(
+		() => new Set(liveCoins.map((coin) => coin.symbol.toUpperCase())),
+		[liveCoins]
+	);
+	const missingKey = holdings
+		.map((holding) => holding.symbol)
+		.filter((symbol) => !loaded.has(symbol))
+		.join(',');
+
+	// Fetch those coins by symbol, MAX_SYMBOLS at a time
+	useEffect(() => {
+		if (!enabled || !missingKey) return;
+
+		let cancelled = false;
+		const symbols = missingKey.split(',');
+		const batches = [];
+		for (let i = 0; i < symbols.length; i += MAX_SYMBOLS) {
+			batches.push(symbols.slice(i, i + MAX_SYMBOLS));
+		}
+
+		setLoadingPrices(true);
+		Promise.all(
+			batches.map((batch) =>
+				getSentimentData(
+					{ symbols: batch, sort: DEFAULT_SORT_FIELD },
+					{ liveOnly: true } // Never value holdings at demo prices
+				)
+			)
+		)
+			.then((results) => {
+				if (cancelled) return;
+				setExtraCoins(results.flatMap((result) => result.data));
+				setPriceError(null);
+			})
+			.catch((error) => {
+				console.error('Failed to load portfolio coins:', error);
+				if (cancelled) return;
+				setPriceError(
+					error instanceof ApiError
+						? describeFailure(error).title
+						: 'Could not load prices'
+				);
+			})
+			.finally(() => {
+				if (!cancelled) setLoadingPrices(false);
+			});
+
+		return () => {
+			cancelled = true;
+		};
+	}, [enabled, missingKey, refreshKey]);
+
+	/**
+	 * Replaces the holdings and saves them
+	 */
+	const replaceHoldings = useCallback((next) => {
+		setHoldings(next);
+		saveToStorage(STORAGE_KEYS.PORTFOLIO, next);
+	}, []);
+
+	// Adding a coin that's already held replaces that holding
+	const saveHolding = (holding) =>
+		replaceHoldings(upsertHolding(holdings, holding));
+
+	const removeHolding = (symbol) =>
+		replaceHoldings(holdings.filter((holding) => holding.symbol !== symbol));
+
+	// The dashboard's coins take priority over the separately fetched ones
+	const summary = useMemo(
+		() =>
+			computePortfolio(holdings, [
+				...liveCoins,
+				...extraCoins.filter((coin) => !loaded.has(coin.symbol.toUpperCase())),
+			]),
+		[holdings, liveCoins, extraCoins, loaded]
+	);
+
+	return {
+		holdings,
+		saveHolding,
+		removeHolding,
+		replaceHoldings,
+		summary,
+		loadingPrices,
+		priceError,
+	};
+}
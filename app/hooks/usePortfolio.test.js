@@ -0,0 +1,63 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { renderHook, waitFor } from '@testing-library/react';
+import { ApiError, getSentimentData } from '../services/lunarcrush';
+import { usePortfolio } from './usePortfolio';
+import { getMockData } from '../data/mockData';
+import { STORAGE_KEYS } from '../constants';
+
+vi.mock('../services/lunarcrush', async (importOriginal) => ({
+	...(await importOriginal()),
+	getSentimentData: vi.fn(),
+}));
+
+const coins = getMockData().data;
+const options = { enabled: true, refreshKey: 0 };
+
+describe('usePortfolio', () => {
+	beforeEach(() => {
+		getSentimentData.mockReset();
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		window.localStorage.setItem(
+			STORAGE_KEYS.PORTFOLIO,
+			JSON.stringify([{ symbol: 'BTC', quantity: 2, costBasis: 50000 }])
+		);
+	});
+
+	it("values holdings at the dashboard's live prices", async () => {
+		const { result } = renderHook(() => usePortfolio(coins, options));
+
+		await waitFor(() => expect(result.current.holdings).toHaveLength(1));
+		expect(result.current.summary.totalValue).toBe(2 * 106859.23);
+		expect(getSentimentData).not.toHaveBeenCalled();
+	});
+
+	it('fetches every holding live-only while the dashboard shows demo data', async () => {
+		getSentimentData.mockResolvedValue({
+			data: [{ symbol: 'BTC', price: 100000 }],
+		});
+
+		const { result } = renderHook(() =>
+			usePortfolio(coins, { ...options, usedMockData: true })
+		);
+
+		await waitFor(() => expect(result.current.summary.totalValue).toBe(200000));
+		expect(getSentimentData).toHaveBeenCalledWith(
+			expect.objectContaining({ symbols: ['BTC'] }),
+			{ liveOnly: true }
+		);
+	});
+
+	it('leaves holdings unpriced when live prices fail', async () => {
+		getSentimentData.mockRejectedValue(
+			new ApiError({ code: 'NETWORK_ERROR', message: 'offline' })
+		);
+
+		const { result } = renderHook(() =>
+			usePortfolio(coins, { ...options, usedMockData: true })
+		);
+
+		await waitFor(() => expect(result.current.priceError).not.toBeNull());
+		expect(result.current.summary.missing).toEqual(['BTC']);
+		expect(result.current.summary.totalValue).toBe(0);
+	});
+});
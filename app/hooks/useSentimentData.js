@@ -0,0 +1,451 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getSentimentData, ApiError } from '../services/lunarcrush';
+import { useSentimentStream } from './useSentimentStream';
+import { changedFields } from '../utils/diff';
+import { describeFailure } from '../utils/dataSource';
+import {
+	appendPage,
+	replaceFirstPage,
+	hasMorePages,
+} from '../utils/pagination';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+import { INFINITE_SCROLL, STORAGE_KEYS, STREAM_SETTINGS } from '../constants';
+
+/**
+ * Gives a coin from the API a rank for the UI
+ *
+ * Missing metrics stay null (not 0), so the summary, signals and alerts
+ * leave them out and the UI shows N/A instead of a made-up score.
+ *
+ * @param {Object} coin - Coin object from the API
+ * @param {number} index - Position in the list (rank fallback)
+ * @returns {Object} Coin with a rank
+ */
+const normalizeCoin = (coin, index) => ({
+	...coin,
+	// Ensure coins have a rank (use market cap rank, or alt rank, or index)
+	rank: coin.market_cap_rank || coin.alt_rank || index + 1,
+});
+
+/**
+ * Turns a query into the params sent to getSentimentData
+ */
+const toParams = ({ sort, desc, limit, symbols }) => ({
+	sort,
+	desc: desc ? 1 : 0,
+	limit,
+	symbols,
+});
+
+/**
+ * React hook that loads the coin list and keeps it up to date
+ *
+ * Owns everything between the API and the screen: the first load, refetching
+ * when the query changes, refreshes that keep later pages, infinite-scroll
+ * pages, live stream snapshots and diffs, the mock data fallback and the
+ * live-only setting. Every coin gets a rank (see normalizeCoin) before it
+ * reaches `data`.
+ *
+ * @param {Object} query - What to load
+ * @param {string} query.sort - Field to sort by
+ * @param {boolean} query.desc - Sort highest first if true
+ * @param {number} query.limit - Coins per page
+ * @param {string[]} query.symbols - Load exactly these coins instead (e.g., the watchlist)
+ * @param {Object} options
+ * @param {boolean} options.stream - Subscribe to live updates (default: true)
+ * @param {Object} options.initialData - First page for `query` loaded on the server
+ *   ({ config, data, meta, rateLimit }); skips the first fetch
+ * @returns {Object} {
+ *   data, loading, isRefreshing, fetchStatus, error, lastFailure,
+ *   useMockData, sourceMeta, rateLimit, lastUpdated, lastRefreshAt,
+ *   hasMore, loadingMore, loadMoreError, loadMore,
+ *   liveOnly, setLiveOnly, refresh, retry,
+ *   isLive, highlights (symbol -> fields that just changed on the stream)
+ * }
+ * @example
+ * const { data, loading, error } = useSentimentData({ sort: 'alt_rank', desc: false, limit: 30 });
+ */
+export function useSentimentData(
+	query,
+	{ stream = true, initialData = null } = {}
+) {
+	// Core data states (starting from the server-rendered page, if there is one)
+	const [data, setData] = useState(
+		() => initialData?.data.map(normalizeCoin) ?? []
+	); // The cryptocurrency data
+	const [loading, setLoading] = useState(!initialData); // Initial loading state
+	const [isRefreshing, setIsRefreshing] = useState(false); // For manual refresh
+	const [fetchStatus, setFetchStatus] = useState(
+		initialData ? 'complete' : 'idle'
+	); // Status of data fetching
+	const [error, setError] = useState(null); // Failure shown instead of the dashboard ({ title, message, hint })
+	const [lastFailure, setLastFailure] = useState(null); // Why the last fetch failed, if it did
+	const [useMockData, setUseMockData] = useState(false); // Whether we're using mock data
+	const [sourceMeta, setSourceMeta] = useState(initialData?.meta ?? null); // Where the data came from ({ source, age, stale, reason })
+	const [rateLimit, setRateLimit] = useState(initialData?.rateLimit ?? null); // LunarCrush quota left ({ limit, remaining, resetAt })
+	const [liveOnly, setLiveOnlyState] = useState(false); // Show failures instead of falling back to mock data
+	const [lastUpdated, setLastUpdated] = useState(
+		initialData?.config?.generated * 1000 || null
+	); // When the API generated the data (ms)
+	const [lastRefreshAt, setLastRefreshAt] = useState(() =>
+		initialData ? Date.now() : null
+	); // When we last finished fetching (ms)
+
+	// Infinite scroll states (query.limit is the page size)
+	const [page, setPage] = useState(0); // Last page loaded (zero-based)
+	const [hasMore, setHasMore] = useState(
+		() =>
+			initialData != null &&
+			hasMorePages(
+				initialData.data.length,
+				query.limit,
+				initialData.data.length,
+				INFINITE_SCROLL.MAX_COINS
+			)
+	); // Whether another page may exist
+	const [loadingMore, setLoadingMore] = useState(false); // Loading the next page
+	const [loadMoreError, setLoadMoreError] = useState(null); // Why the next page failed
+
+	// Latest live-only setting, read by the fetch functions
+	const liveOnlyRef = useRef(liveOnly);
+
+	// The params of the list on screen, to avoid unnecessary fetches
+	const currentParams = useRef(toParams(query));
+
+	// Latest data, for merging stream diffs and pages
+	const dataRef = useRef(data);
+	useEffect(() => {
+		dataRef.current = data;
+	}, [data]);
+
+	/**
+	 * Fetches cryptocurrency data from the API
+	 * @param {Object} params - Query parameters (sort, desc, limit, symbols)
+	 * @param {Object} options - Additional options
+	 * @returns {Promise<boolean>} True if live data was loaded (false for errors or mock data)
+	 */
+	const fetchCryptoData = useCallback(
+		async (params = {}, options = {}) => {
+			// Track whether this is a manual refresh or initial load
+			const { forceRefresh = false } = options;
+
+			// Update UI states based on whether this is a refresh or initial load
+			if (forceRefresh) {
+				setIsRefreshing(true);
+				console.log('🔄 Refreshing data...');
+			} else {
+				setLoading(true);
+				console.log('🔍 Loading initial data...');
+			}
+
+			// Reset error state and update fetch status
+			setError(null);
+			setFetchStatus('fetching');
+
+			// Track performance
+			const startTime = Date.now();
+
+			try {
+				// Step 1: Fetch data from our service
+				const result = await getSentimentData(params, {
+					liveOnly: liveOnlyRef.current,
+				});
+
+				// Step 2: Check if we're using mock data (happens when API key is missing)
+				setUseMockData(Boolean(result.usedMockData));
+				if (result.usedMockData) {
+					console.log('⚠️ Using mock data (API key missing or error occurred)');
+				}
+				setSourceMeta(result.meta ?? null);
+				setLastFailure(null);
+				if (result.rateLimit) setRateLimit(result.rateLimit);
+
+				// Step 3: Process data to ensure all required fields have values
+				const processedData = result.data.map(normalizeCoin);
+
+				// Step 4: Log performance and update state
+				const endTime = Date.now();
+				console.log(`✅ Data loaded in ${endTime - startTime}ms`);
+
+				if (forceRefresh && !params.symbols) {
+					// Refreshes only reload the first page - keep the pages loaded after it
+					setData((previous) =>
+						replaceFirstPage(previous, processedData, params.limit)
+					);
+				} else {
+					// New query: start again from the first page
+					setData(processedData);
+					setPage(0);
+					setHasMore(
+						!params.symbols &&
+							hasMorePages(
+								processedData.length,
+								params.limit,
+								processedData.length,
+								INFINITE_SCROLL.MAX_COINS
+							)
+					);
+					setLoadMoreError(null);
+				}
+				// config.generated is in seconds; fall back to "now" if it's missing
+				setLastUpdated(
+					result.config?.generated ? result.config.generated * 1000 : Date.now()
+				);
+				setLastRefreshAt(Date.now());
+				setLoading(false);
+				setIsRefreshing(false);
+				setFetchStatus('complete');
+				return !result.usedMockData;
+			} catch (err) {
+				// Step 5: Handle errors
+				// The error code says what went wrong: no API key, LunarCrush down, network...
+				console.error('❌ Error loading data:', err);
+				const failure = describeFailure(err);
+				if (err.field) failure.message = `${err.field}: ${err.message}`;
+				setLastFailure(failure);
+				// A failed refresh keeps the data we already have on screen
+				if (!forceRefresh) {
+					setError(failure);
+				}
+				setLoading(false);
+				setIsRefreshing(false);
+				setFetchStatus('error');
+				return false;
+			}
+		},
+		[] // No dependencies to prevent unnecessary re-creation
+	);
+
+	/**
+	 * Re-fetches the current view without showing the full-page loader
+	 * Used by the Refresh button and by auto-refresh.
+	 */
+	const refresh = useCallback(
+		() => fetchCryptoData(currentParams.current, { forceRefresh: true }),
+		[fetchCryptoData]
+	);
+
+	/**
+	 * Loads the current view again from the first page (e.g., after an error)
+	 */
+	const retry = useCallback(
+		() => fetchCryptoData(currentParams.current),
+		[fetchCryptoData]
+	);
+
+	/**
+	 * Loads the next page of coins and appends it to the list
+	 * Called by infinite scroll when the end of the list comes into view.
+	 */
+	const loadMore = useCallback(async () => {
+		const params = currentParams.current;
+		const nextPage = page + 1;
+
+		setLoadingMore(true);
+		setLoadMoreError(null);
+		console.log(`📄 Loading page ${nextPage + 1}...`);
+
+		try {
+			const result = await getSentimentData(
+				{ ...params, page: nextPage },
+				{ liveOnly: liveOnlyRef.current }
+			);
+
+			// Mock coins can't be mixed into live data (or the other way round)
+			if (Boolean(result.usedMockData) !== useMockData) {
+				throw new Error('Data source changed while loading more coins');
+			}
+
+			// Drop the page if the sort or limit changed while it was loading
+			if (currentParams.current !== params) return;
+
+			const coins = result.data.map((coin, index) =>
+				normalizeCoin(coin, nextPage * params.limit + index)
+			);
+			const next = appendPage(dataRef.current, coins);
+			setData(next);
+			setPage(nextPage);
+			setHasMore(
+				hasMorePages(
+					coins.length,
+					params.limit,
+					next.length,
+					INFINITE_SCROLL.MAX_COINS
+				)
+			);
+		} catch (err) {
+			console.error('❌ Error loading more coins:', err);
+			setLoadMoreError(
+				err instanceof ApiError
+					? `${describeFailure(err).title}.`
+					: 'Could not load more coins.'
+			);
+		} finally {
+			setLoadingMore(false);
+		}
+	}, [page, useMockData]);
+
+	// ===== LIVE UPDATES =====
+
+	const [highlights, setHighlights] = useState({}); // symbol -> fields that just changed
+	const highlightTimer = useRef(null);
+
+	/**
+	 * Puts a fresh first page from the stream into the list
+	 * The stream only covers the first page, so later pages are kept.
+	 *
+	 * @param {Object[]} firstPage - Normalized coins in the server's order
+	 * @param {Object} meta - Where the server got them (see describeSource)
+	 */
+	const mergeStreamPage = useCallback((firstPage, meta) => {
+		const { limit, symbols } = currentParams.current;
+		setData(
+			symbols ? firstPage : replaceFirstPage(dataRef.current, firstPage, limit)
+		);
+
+		// Stream updates come from the server's providers, never mock data
+		setUseMockData(false);
+		setSourceMeta(meta ?? { source: 'live' });
+		setLastFailure(null);
+	}, []);
+
+	/**
+	 * Replaces the first page with a full snapshot from the stream
+	 */
+	const handleStreamSnapshot = useCallback(
+		(result) => {
+			mergeStreamPage(result.data.map(normalizeCoin), result.meta);
+			setLastUpdated(result.config?.generated * 1000 || Date.now());
+			setLastRefreshAt(Date.now());
+		},
+		[mergeStreamPage]
+	);
+
+	/**
+	 * Merges a stream diff into the list and highlights what changed
+	 * @param {Object} diff - { config, meta, changed, removed, order }
+	 */
+	const handleStreamDiff = useCallback(
+		({ config, meta, changed, order }) => {
+			// Step 1: Index the current coins and overlay the changed ones
+			const bySymbol = new Map(
+				dataRef.current.map((coin) => [coin.symbol, coin])
+			);
+			const changedBySymbol = new Map(
+				changed.map((coin) => [coin.symbol, coin])
+			);
+
+			// Step 2: Rebuild the list in the server's order, noting changed fields
+			const updates = {};
+			const next = order
+				.map((symbol, index) => {
+					const previous = bySymbol.get(symbol);
+					if (!changedBySymbol.has(symbol)) return previous;
+
+					const coin = normalizeCoin(changedBySymbol.get(symbol), index);
+					updates[symbol] = changedFields(previous, coin);
+					return coin;
+				})
+				.filter(Boolean);
+
+			mergeStreamPage(next, meta);
+			setLastUpdated(config?.generated * 1000 || Date.now());
+			setLastRefreshAt(Date.now());
+
+			// Step 3: Highlight the changed values for a moment
+			setHighlights(updates);
+			clearTimeout(highlightTimer.current);
+			highlightTimer.current = setTimeout(
+				() => setHighlights({}),
+				STREAM_SETTINGS.HIGHLIGHT_DURATION
+			);
+		},
+		[mergeStreamPage]
+	);
+
+	// Subscribe to live updates for the current view
+	const { connected: isLive } = useSentimentStream(query, {
+		onSnapshot: handleStreamSnapshot,
+		onDiff: handleStreamDiff,
+		enabled: stream && !(query.symbols && query.symbols.length === 0),
+	});
+
+	// ===== LIVE-ONLY MODE =====
+
+	// Restore the saved live-only setting (before the initial load below,
+	// so it uses the saved setting)
+	useEffect(() => {
+		liveOnlyRef.current = loadFromStorage(STORAGE_KEYS.LIVE_ONLY, false);
+		setLiveOnlyState(liveOnlyRef.current);
+	}, []);
+
+	/**
+	 * Turns live-only mode on or off, saves it, and reloads the data
+	 * @param {boolean} enabled - True to show failures instead of mock data
+	 */
+	const setLiveOnly = useCallback(
+		(enabled) => {
+			liveOnlyRef.current = enabled;
+			setLiveOnlyState(enabled);
+			saveToStorage(STORAGE_KEYS.LIVE_ONLY, enabled);
+			fetchCryptoData(currentParams.current);
+		},
+		[fetchCryptoData]
+	);
+
+	// ===== LOADING =====
+
+	// Refetch from the first page whenever the query changes
+	const symbolsKey = query.symbols && String(query.symbols);
+	useEffect(() => {
+		// Compare with previous params to avoid unnecessary fetches
+		const newParams = toParams(query);
+
+		const paramsChanged =
+			newParams.sort !== currentParams.current.sort ||
+			newParams.desc !== currentParams.current.desc ||
+			newParams.limit !== currentParams.current.limit ||
+			String(newParams.symbols) !== String(currentParams.current.symbols);
+
+		if (paramsChanged && !loading && !isRefreshing) {
+			// Update stored params
+			currentParams.current = newParams;
+
+			// Fetch with new parameters
+			fetchCryptoData(newParams);
+		}
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, [query.sort, query.desc, query.limit, symbolsKey, loading, isRefreshing]); // Don't include fetchCryptoData here
+
+	// Initial data load (not needed when the server already rendered it)
+	useEffect(() => {
+		if (!initialData) fetchCryptoData(currentParams.current);
+		// eslint-disable-next-line react-hooks/exhaustive-deps
+	}, []); // Empty dependency array means this runs only once on mount
+
+	return {
+		data,
+		loading,
+		isRefreshing,
+		fetchStatus,
+		error,
+		lastFailure,
+		useMockData,
+		sourceMeta,
+		rateLimit,
+		lastUpdated,
+		lastRefreshAt,
+		hasMore,
+		loadingMore,
+		loadMoreError,
+		loadMore,
+		liveOnly,
+		setLiveOnly,
+		refresh,
+		retry,
+		isLive,
+		highlights,
+	};
+}
@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { useSentimentData } from './useSentimentData';
+import { getMockData } from '../data/mockData';
+import { STORAGE_KEYS } from '../constants';
+
+vi.mock('./useSentimentStream', () => ({
+	useSentimentStream: () => ({ connected: false }),
+}));
+
+const query = { sort: 'alt_rank', desc: false, limit: 10 };
+
+// What /api/sentiment answers with live data
+const liveResponse = () =>
+	new Response(JSON.stringify({ ...getMockData(), meta: { source: 'live' } }), {
+		status: 200,
+		headers: { 'Content-Type': 'application/json' },
+	});
+
+describe('useSentimentData', () => {
+	beforeEach(() => {
+		// The hook logs every load
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		window.localStorage.clear();
+	});
+
+	afterEach(() => {
+		vi.unstubAllGlobals();
+		vi.restoreAllMocks();
+	});
+
+	it('loads live coins and ranks them', async () => {
+		const fetch = vi.fn(() => Promise.resolve(liveResponse()));
+		vi.stubGlobal('fetch', fetch);
+
+		const { result } = renderHook(() => useSentimentData(query));
+		await waitFor(() => expect(result.current.loading).toBe(false));
+
+		expect(fetch).toHaveBeenCalledWith(
+			'/api/sentiment?sort=alt_rank&desc=0&limit=10'
+		);
+		expect(result.current.useMockData).toBe(false);
+		expect(result.current.sourceMeta).toEqual({ source: 'live' });
+		expect(result.current.data).toHaveLength(getMockData().data.length);
+		expect(result.current.data.find((coin) => coin.symbol === 'BTC')).toEqual(
+			expect.objectContaining({ rank: 1, price: 106859.23 })
+		);
+	});
+
+	it('falls back to mock data when the server is unreachable', async () => {
+		vi.stubGlobal(
+			'fetch',
+			vi.fn(() => Promise.reject(new TypeError('offline')))
+		);
+
+		const { result } = renderHook(() => useSentimentData(query));
+		await waitFor(() => expect(result.current.loading).toBe(false));
+
+		expect(result.current.error).toBeNull();
+		expect(result.current.useMockData).toBe(true);
+		expect(result.current.sourceMeta.source).toBe('mock');
+		expect(result.current.data.map((coin) => coin.symbol)).toEqual(
+			[...getMockData().data]
+				.sort((a, b) => a.alt_rank - b.alt_rank)
+				.map((coin) => coin.symbol)
+		);
+	});
+
+	it('shows the failure instead of mock data in live-only mode', async () => {
+		window.localStorage.setItem(STORAGE_KEYS.LIVE_ONLY, 'true');
+		vi.stubGlobal(
+			'fetch',
+			vi.fn(() => Promise.reject(new TypeError('offline')))
+		);
+
+		const { result } = renderHook(() => useSentimentData(query));
+		await waitFor(() => expect(result.current.loading).toBe(false));
+
+		expect(result.current.liveOnly).toBe(true);
+		expect(result.current.useMockData).toBe(false);
+		expect(result.current.data).toEqual([]);
+		expect(result.current.error).toEqual(
+			expect.objectContaining({ kind: 'network' })
+		);
+	});
+
+	it('reloads live-only when the setting is turned on', async () => {
+		const fetch = vi.fn(() => Promise.reject(new TypeError('offline')));
+		vi.stubGlobal('fetch', fetch);
+		const { result } = renderHook(() => useSentimentData(query));
+		await waitFor(() => expect(result.current.useMockData).toBe(true));
+
+		fetch.mockImplementation(() => Promise.resolve(liveResponse()));
+		await act(() => result.current.setLiveOnly(true));
+
+		expect(window.localStorage.getItem(STORAGE_KEYS.LIVE_ONLY)).toBe('true');
+		expect(result.current.useMockData).toBe(false);
+		expect(result.current.sourceMeta).toEqual({ source: 'live' });
+	});
+});
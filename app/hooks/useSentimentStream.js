@@ -0,0 +1,76 @@
+'use client';
+
+import { useEffect, useRef, useState } from 'react';
+import { API_ENDPOINTS } from '../constants';
+
+/**
+ * React hook that subscribes to the live sentiment stream
+ *
+ * Opens an EventSource to /api/sentiment/stream for the given query and
+ * calls back with full snapshots and partial diffs. Browsers without
+ * EventSource support are reported via `supported: false`, so the page can
+ * keep using the regular fetch + polling path.
+ *
+ * @param {Object} params - Query parameters (sort, desc, limit, symbols)
+ * @param {Object} handlers
+ * @param {Function} handlers.onSnapshot - Called with a full `{ config, data, meta }` response
+ * @param {Function} handlers.onDiff - Called with `{ config, meta, changed, removed, order }`
+ * @param {boolean} handlers.enabled - Set to false to close the stream
+ * @returns {Object} { supported, connected }
+ */
+export function useSentimentStream(params, { onSnapshot, onDiff, enabled }) {
+	const [supported, setSupported] = useState(true);
+	const [connected, setConnected] = useState(false);
+
+	// Keep the latest handlers without reopening the connection
+	const handlers = useRef({ onSnapshot, onDiff });
+	useEffect(() => {
+		handlers.current = { onSnapshot, onDiff };
+	}, [onSnapshot, onDiff]);
+
+	// Build a stable query string so the effect only re-runs on real changes
+	const query = new URLSearchParams();
+	if (params.sort) query.append('sort', params.sort);
+	query.append('desc', params.desc ? '1' : '0');
+	if (params.limit) query.append('limit', String(params.limit));
+	if (params.symbols) query.append('symbols', params.symbols.join(','));
+	const queryString = query.toString();
+
+	useEffect(() => {
+		// Step 1: Fall back to fetching if the browser has no EventSource
+		if (typeof window.EventSource === 'undefined') {
+			setSupported(false);
+			return;
+		}
+		if (!enabled) {
+			setConnected(false);
+			return;
+		}
+
+		// Step 2: Open the stream and listen for each event type
+		const source = new EventSource(`${API_ENDPOINTS.STREAM}?${queryString}`);
+
+		source.addEventListener('snapshot', (event) => {
+			setConnected(true);
+			handlers.current.onSnapshot(JSON.parse(event.data));
+		});
+		source.addEventListener('diff', (event) => {
+			setConnected(true);
+			handlers.current.onDiff(JSON.parse(event.data));
+		});
+
+		// The server is up but LunarCrush isn't - let polling take over for now
+		source.addEventListener('upstream-error', () => setConnected(false));
+
+		// EventSource reconnects on its own; we just report the outage meanwhile
+		source.onerror = () => setConnected(false);
+
+		// Step 3: Close the connection when the query changes or we unmount
+		return () => {
+			source.close();
+			setConnected(false);
+		};
+	}, [queryString, enabled]);
+
+	return { supported, connected };
+}
@@ -0,0 +1,48 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import {
+	EMPTY_FILTERS,
+	filtersFromQuery,
+	filtersToQuery,
+} from '../utils/filters';
+
+/**
+ * React hook that keeps the filter bar state in the URL query string
+ *
+ * On mount it reads any filters from the URL (so shared links open with the
+ * same filters), and every change rewrites the URL in place. replaceState
+ * is used instead of pushState so typing in the search box doesn't fill the
+ * browser history.
+ *
+ * @returns {Array} [filters, setFilters]
+ */
+export function useUrlFilters() {
+	const [filters, setFilters] = useState(EMPTY_FILTERS);
+
+	// Read the URL after mount (window doesn't exist during server rendering)
+	useEffect(() => {
+		setFilters(filtersFromQuery(new URLSearchParams(window.location.search)));
+	}, []);
+
+	/**
+	 * Updates the filters and the URL together
+	 */
+	const updateFilters = useCallback((next) => {
+		setFilters(next);
+
+		// Keep any unrelated query parameters
+		const params = filtersToQuery(
+			next,
+			new URLSearchParams(window.location.search)
+		);
+		const query = params.toString();
+		window.history.replaceState(
+			null,
+			'',
+			query ? `?${query}` : window.location.pathname
+		);
+	}, []);
+
+	return [filters, updateFilters];
+}
@@ -0,0 +1,141 @@
+'use client';
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { VIRTUALIZATION } from '../constants';
+
+/**
+ * React hook that works out which rows of a long list are near the viewport
+ *
+ * Only those rows are rendered; the rest are replaced by padding of the same
+ * height, so the scrollbar behaves as if every row were there. The list
+ * scrolls with the page (no inner scroll box), and rows are assumed to be
+ * the same height - the first rendered row is measured to get it.
+ *
+ * @param {Object} options
+ * @param {number} options.count - Total number of rows
+ * @param {number} options.estimateSize - Row height (px) to use until a row is measured
+ * @param {number} options.gap - Space between rows (px), e.g. a CSS grid gap
+ * @param {number} options.overscan - Extra rows to render above and below the viewport
+ * @param {boolean} options.enabled - Set to false to render every row
+ * @returns {Object} {
+ *   containerRef: ref for the element holding the rows,
+ *   measureRef: ref for the first rendered row,
+ *   start, end: the rows to render (end is exclusive),
+ *   paddingTop, paddingBottom: space (px) standing in for the other rows
+ * }
+ * @example
+ * const rows = useVirtualRows({ count: coins.length, estimateSize: 73, enabled: true });
+ * coins.slice(rows.start, rows.end).map(...)
+ */
+export function useVirtualRows({
+	count,
+	estimateSize,
+	gap = 0,
+	overscan = VIRTUALIZATION.OVERSCAN,
+	enabled,
+}) {
+	const containerRef = useRef(null);
+	const [rowSize, setRowSize] = useState(estimateSize + gap);
+	const [range, setRange] = useState({ start: 0, end: 0 });
+
+	/**
+	 * Measures a rendered row (setting the same size again is a no-op)
+	 */
+	const measureRef = useCallback(
+		(element) => {
+			const height = element?.getBoundingClientRect().height;
+			if (height) setRowSize(Math.round(height) + gap);
+		},
+		[gap]
+	);
+
+	// Recalculate the visible rows on scroll and resize (once per frame)
+	useEffect(() => {
+		if (!enabled) return;
+
+		let frame = null;
+		const update = () => {
+			frame = null;
+			if (!containerRef.current) return;
+
+			// Step 1: Find where the viewport is relative to the list
+			const top = containerRef.current.getBoundingClientRect().top;
+			const firstVisible = Math.floor(Math.max(0, -top) / rowSize);
+			const lastVisible = Math.ceil((window.innerHeight - top) / rowSize);
+
+			// Step 2: Add the overscan and keep the range inside the list
+			const start = Math.min(count, Math.max(0, firstVisible - overscan));
+			const end = Math.min(count, Math.max(start, lastVisible + overscan));
+			setRange((previous) =>
+				previous.start === start && previous.end === end
+					? previous
+					: { start, end }
+			);
+		};
+		const schedule = () => {
+			if (frame === null) frame = requestAnimationFrame(update);
+		};
+
+		update();
+		window.addEventListener('scroll', schedule, { passive: true });
+		window.addEventListener('resize', schedule);
+		return () => {
+			window.removeEventListener('scroll', schedule);
+			window.removeEventListener('resize', schedule);
+			if (frame !== null) cancelAnimationFrame(frame);
+		};
+	}, [enabled, count, rowSize, overscan]);
+
+	if (!enabled) {
+		return {
+			containerRef,
+			measureRef,
+			start: 0,
+			end: count,
+			paddingTop: 0,
+			paddingBottom: 0,
+		};
+	}
+
+	// The range can briefly lag behind a shrinking list
+	const end = Math.min(range.end, count);
+	const start = Math.min(range.start, end);
+	return {
+		containerRef,
+		measureRef,
+		start,
+		end,
+		paddingTop: start * rowSize,
+		paddingBottom: (count - end) * rowSize,
+	};
+}
+
+// Tailwind breakpoints used by the grid view (sm:grid-cols-2 lg:grid-cols-3)
+const GRID_BREAKPOINTS = [
+	{ minWidth: 1024, columns: 3 },
+	{ minWidth: 640, columns: 2 },
+];
+
+/**
+ * React hook returning how many columns the responsive coin grid has
+ * Needed to virtualize the grid one row of cards at a time.
+ *
+ * @returns {number} 1, 2 or 3
+ */
+export function useGridColumns() {
+	const [columns, setColumns] = useState(1);
+
+	useEffect(() => {
+		const update = () =>
+			setColumns(
+				GRID_BREAKPOINTS.find(({ minWidth }) => window.innerWidth >= minWidth)
+					?.columns ?? 1
+			);
+
+		update();
+		window.addEventListener('resize', update);
+		return () => window.removeEventListener('resize', update);
+	}, []);
+
+	return columns;
+}
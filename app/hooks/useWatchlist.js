@@ -0,0 +1,68 @@
+'use client';
+
+import { useCallback, useEffect, useState } from 'react';
+import { STORAGE_KEYS, MAX_SYMBOLS } from '../constants';
+import { loadFromStorage, saveToStorage } from '../utils/storage';
+import {
+	fetchServerWatchlist,
+	saveServerWatchlist,
+} from '../services/watchlist';
+
+/**
+ * React hook that manages the starred coins (watchlist)
+ *
+ * On mount it reads the list from localStorage, then asks the server for the
+ * shared list. If the server store is enabled its list wins, and every later
+ * change is saved to both places.
+ *
+ * @returns {Object} { symbols, isWatched, toggle, serverSync }
+ */
+export function useWatchlist() {
+	const [symbols, setSymbols] = useState([]);
+	const [serverSync, setServerSync] = useState(false); // True when the server store is enabled
+
+	// Load the stored watchlist once on mount
+	useEffect(() => {
+		setSymbols(loadFromStorage(STORAGE_KEYS.WATCHLIST, []));
+
+		fetchServerWatchlist().then((serverSymbols) => {
+			if (!serverSymbols) return;
+			setServerSync(true);
+			setSymbols(serverSymbols);
+			saveToStorage(STORAGE_KEYS.WATCHLIST, serverSymbols);
+		});
+	}, []);
+
+	/**
+	 * Checks whether a coin is starred
+	 */
+	const isWatched = useCallback(
+		(symbol) => symbols.includes(symbol.toUpperCase()),
+		[symbols]
+	);
+
+	/**
+	 * Stars or un-stars a coin
+	 */
+	const toggle = useCallback(
+		(symbol) => {
+			const normalized = symbol.toUpperCase();
+			const next = symbols.includes(normalized)
+				? symbols.filter((item) => item !== normalized)
+				: [...symbols, normalized];
+
+			// Keep the list within what the API can request at once
+			if (next.length > MAX_SYMBOLS) {
+				console.warn(`Watchlist is limited to ${MAX_SYMBOLS} coins`);
+				return;
+			}
+
+			setSymbols(next);
+			saveToStorage(STORAGE_KEYS.WATCHLIST, next);
+			if (serverSync) saveServerWatchlist(next);
+		},
+		[symbols, serverSync]
+	);
+
+	return { symbols, isWatched, toggle, serverSync };
+}
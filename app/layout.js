@@ -1,5 +1,6 @@
 import { Geist, Geist_Mono } from 'next/font/google';
 import './globals.css';
+import ScaleSettingsProvider from './components/ScaleSettingsProvider';
 
 const geistSans = Geist({
 	variable: '--font-geist-sans',
@@ -46,7 +47,7 @@ export default function RootLayout({ children }) {
 		<html lang='en'>
 			<body
 				className={`${geistSans.variable} ${geistMono.variable} antialiased`}>
-				{children}
+				<ScaleSettingsProvider>{children}</ScaleSettingsProvider>
 			</body>
 		</html>
 	);
@@ -1,4 +1,9 @@
-import { mockData } from '../data/mockData';
+import { getMockData } from '../data/mockData';
+import { getMockHistory } from '../data/mockHistory';
+import { sortCoins } from '../utils/sorting';
+import { getPage } from '../utils/pagination';
+import { parseRateLimit } from '../utils/upstream';
+import { DEFAULT_SORT_FIELD } from '../constants';
 
 /**
  * LunarCrush API Service
@@ -15,11 +20,86 @@ import { mockData } from '../data/mockData';
  *    securely forwards the request to LunarCrush with proper authentication.
  *
  * 2. Mock Data: For development or when API access fails, we provide mock
- *    data that mimics the structure of real API responses.
+ *    data that mimics the structure of real API responses. Every result
+ *    says where it came from in `meta.source` ("live", "cached", "static"
+ *    or "mock"), and mock results include the failure that caused them in
+ *    `meta.reason`.
+ *    Pass `liveOnly: true` to get the failure thrown instead. Set
+ *    NEXT_PUBLIC_MOCK_COINS to get a larger generated list (see getMockData).
  *
  * 3. Error Handling: All API calls are wrapped in try/catch blocks to
  *    ensure the application doesn't crash if the API is unavailable.
+ *    Invalid requests (400 responses) are the exception: they are thrown as
+ *    an ApiError so the UI can tell the user what to fix. Failures always
+ *    become an ApiError with a code - the route's own (e.g.,
+ *    UPSTREAM_RATE_LIMITED), or NETWORK_ERROR when our server couldn't be
+ *    reached - so the UI can tell them apart.
+ *
+ * 4. Rate Limits: The route's X-RateLimit-* headers are returned as
+ *    `rateLimit`, so the UI can show how much LunarCrush quota is left.
+ */
+
+/**
+ * Error thrown when our API route responds with a structured error
+ *
+ * The route responds with `{ error: { code, field, message } }` (`field`
+ * only for invalid parameters); those values are copied onto the error so
+ * the UI can display them.
+ */
+export class ApiError extends Error {
+	constructor({ code, field, message }, status) {
+		super(message);
+		this.name = 'ApiError';
+		this.code = code;
+		this.field = field;
+		this.status = status;
+	}
+}
+
+/**
+ * Throws an ApiError for a failed response
+ *
+ * Structured errors (validation or upstream) keep their code; anything
+ * else becomes SERVER_ERROR.
+ *
+ * @param {Response} response - A failed fetch response
+ */
+async function throwResponseError(response) {
+	const body = await response.json().catch(() => null);
+
+	if (body?.error?.code) {
+		throw new ApiError(body.error, response.status);
+	}
+
+	throw new ApiError(
+		{
+			code: 'SERVER_ERROR',
+			message:
+				typeof body?.error === 'string'
+					? body.error
+					: `API Error: ${response.status}`,
+		},
+		response.status
+	);
+}
+
+/**
+ * Turns any failure into an ApiError
+ * fetch() itself only rejects when the request never got an answer.
+ *
+ * @param {Error} error - What was caught
+ * @returns {ApiError}
  */
+const toApiError = (error) =>
+	error instanceof ApiError
+		? error
+		: new ApiError(
+				{
+					code: 'NETWORK_ERROR',
+					message: 'Could not reach the dashboard server',
+				},
+				0
+			);
 
 /**
  * Fetches cryptocurrency sentiment data from our API endpoint
@@ -29,18 +109,35 @@ import { mockData } from '../data/mockData';
  * back to using mock data for demonstration purposes.
  *
  * @param {Object} params - Query parameters
+ * @param {string} params.sort - Field to sort by (e.g., 'alt_rank', 'sentiment', 'market_cap')
  * @param {boolean} params.desc - Sort in descending order if true (1 = descending, 0 = ascending)
  * @param {number} params.limit - Number of results to return (e.g., 10, 30, 100)
- * @returns {Promise<Object>} The cryptocurrency data with structure matching the LunarCrush API
+ * @param {number} params.page - Zero-based page of `limit` results (optional)
+ * @param {string[]} params.symbols - Load exactly these coins instead of the top list (optional)
+ * @param {Object} options
+ * @param {boolean} options.liveOnly - Throw failures instead of falling back to mock data
+ * @returns {Promise<Object>} The cryptocurrency data with structure matching the LunarCrush API,
+ *   plus `meta` ({ source, ... }) and `rateLimit` ({ limit, remaining, resetAt }) when the route reports one
+ * @throws {ApiError} When the route rejects the parameters as invalid, or on any failure with `liveOnly`
  * @example
  * // Fetch the top 20 cryptocurrencies sorted by sentiment (highest first)
- * const data = await getSentimentData({ desc: 1, limit: 20 });
+ * const data = await getSentimentData({ sort: 'sentiment', desc: 1, limit: 20 });
  */
-export async function getSentimentData(params = {}) {
+export async function getSentimentData(params = {}, { liveOnly = false } = {}) {
+	// An empty watchlist needs no request at all
+	if (params.symbols && params.symbols.length === 0) {
+		return { config: {}, data: [], meta: { source: 'live' } };
+	}
+
 	try {
 		// Step 1: Build the query string from parameters
 		const queryParams = new URLSearchParams();
 
+		// Add sort field if provided
+		if (params.sort !== undefined) {
+			queryParams.append('sort', params.sort);
+		}
+
 		// Add sorting parameter (1 = descending, 0 = ascending)
 		if (params.desc !== undefined) {
 			queryParams.append('desc', params.desc ? '1' : '0');
@@ -51,6 +148,16 @@ export async function getSentimentData(params = {}) {
 			queryParams.append('limit', params.limit.toString());
 		}
 
+		// Add page parameter if provided
+		if (params.page !== undefined) {
+			queryParams.append('page', params.page.toString());
+		}
+
+		// Add specific coin symbols if provided (e.g., the watchlist)
+		if (params.symbols) {
+			queryParams.append('symbols', params.symbols.join(','));
+		}
+
 		// Step 2: Construct the full URL with query parameters
 		const url = `/api/sentiment${
 			queryParams.toString() ? `?${queryParams.toString()}` : ''
@@ -62,41 +169,123 @@ export async function getSentimentData(params = {}) {
 
 		// Step 4: Check if the response is successful
 		if (!response.ok) {
-			throw new Error(`API Error: ${response.status}`);
+			await throwResponseError(response);
+		}
+
+		// Step 5: Parse and return JSON data, with the quota left if known
+		const result = await response.json();
+		const rateLimit = parseRateLimit(response.headers);
+		return rateLimit ? { ...result, rateLimit } : result;
+	} catch (caught) {
+		const error = toApiError(caught);
+
+		// Invalid parameters won't be fixed by mock data - let the UI show them,
+		// along with any failure when the user asked for live data only
+		if (error.status === 400 || liveOnly) {
+			throw error;
 		}
 
-		// Step 5: Parse and return JSON data
-		return await response.json();
-	} catch (error) {
 		// Error handling - use mock data as fallback
-		console.error('Failed to fetch sentiment data:', error);
+		console.error('Failed to fetch sentiment data:', caught);
 		console.warn(
 			'Using mock data as fallback - this helps during development or when API access is unavailable'
 		);
 
 		// Step 1: Create a copy of mock data with a flag indicating it's mock data
+		// and the reason, so the UI can say why it isn't showing real data
 		let result = {
-			...mockData,
+			...getMockData(),
 			usedMockData: true, // This flag helps the UI show a notification
+			meta: {
+				source: 'mock',
+				reason: { code: error.code, message: error.message },
+			},
 		};
 
-		// Step 2: Sort the mock data if descending parameter was provided
-		if (params.desc) {
+		// Step 2: Keep only the requested coins when symbols were provided
+		if (params.symbols) {
 			result = {
 				...result,
-				// Create a new sorted array without modifying the original
-				data: [...result.data].reverse(),
+				data: result.data.filter((coin) =>
+					params.symbols.includes(coin.symbol.toUpperCase())
+				),
 			};
 		}
 
-		// Step 3: Apply limit to the mock data if requested
-		if (params.limit) {
+		// Step 3: Sort the mock data the same way the API would
+		// sortCoins returns a new array, so the original mock data is untouched
+		result = {
+			...result,
+			data: sortCoins(
+				result.data,
+				params.sort || DEFAULT_SORT_FIELD,
+				Boolean(params.desc)
+			),
+		};
+
+		// Step 4: Return the requested page of the mock data
+		if (params.limit && !params.symbols) {
 			result = {
 				...result,
-				data: result.data.slice(0, params.limit),
+				data: getPage(result.data, params.limit, params.page),
 			};
 		}
 
 		return result;
 	}
 }
+
+/**
+ * Fetches historical time-series data for a single coin
+ *
+ * Works like getSentimentData: it calls our backend endpoint and falls back
+ * to generated mock history if the request fails.
+ *
+ * @param {string} symbol - Coin symbol (e.g., 'BTC')
+ * @param {Object} params - Query parameters
+ * @param {string} params.interval - Time range (1d, 1w, 1m, 3m, 6m, 1y, all)
+ * @param {number} params.start - Optional start time (Unix seconds)
+ * @param {number} params.end - Optional end time (Unix seconds)
+ * @returns {Promise<Object>} Time-series data with structure matching the LunarCrush API
+ * @throws {ApiError} When the route rejects the parameters as invalid
+ * @example
+ * // Fetch one week of Bitcoin history
+ * const history = await getCoinHistory('BTC', { interval: '1w' });
+ */
+export async function getCoinHistory(symbol, params = {}) {
+	try {
+		// Step 1: Build the query string from parameters
+		const queryParams = new URLSearchParams();
+
+		if (params.interval) queryParams.append('interval', params.interval);
+		if (params.start) queryParams.append('start', params.start.toString());
+		if (params.end) queryParams.append('end', params.end.toString());
+
+		// Step 2: Construct the full URL with query parameters
+		const url = `/api/sentiment/${encodeURIComponent(symbol)}/history${
+			queryParams.toString() ? `?${queryParams.toString()}` : ''
+		}`;
+
+		// Step 3: Make the API request and check the response
+		const response = await fetch(url);
+
+		if (!response.ok) {
+			await throwResponseError(response);
+		}
+
+		return await response.json();
+	} catch (error) {
+		if (error instanceof ApiError && error.status === 400) {
+			throw error;
+		}
+
+		// Error handling - use generated mock history as fallback
+		console.error(`Failed to fetch history for ${symbol}:`, error);
+
+		const mockHistory = getMockHistory(symbol, params);
+		return {
+			...(mockHistory || { config: {}, data: [] }),
+			usedMockData: true,
+		};
+	}
+}
@@ -0,0 +1,239 @@
+/**
+ * LunarCrush Server Client
+ * ========================
+ *
+ * Server-only helpers for calling the LunarCrush API. Every API route (and
+ * the live stream) goes through here, so they all share one response cache
+ * and one place that knows about the API token.
+ *
+ * Each request times out after UPSTREAM_SETTINGS.TIMEOUT, and rate limits
+ * (429), server errors (5xx), timeouts and network errors are retried with
+ * exponential backoff, honoring Retry-After. Failures are thrown as an
+ * UpstreamError with a code per cause (see utils/upstream.js).
+ *
+ * Don't import this file from client components - it reads the secret
+ * API token and would leak it into the browser bundle.
+ */
+
+import { API_TOKEN, BASE_URL, UPSTREAM_SETTINGS } from '../constants';
+import { createCache } from '../utils/cache';
+import { sortCoins } from '../utils/sorting';
+import {
+	UpstreamError,
+	getBackoffDelay,
+	getErrorCode,
+	isRetryableStatus,
+	parseRateLimit,
+	parseRetryAfter,
+} from '../utils/upstream';
+
+/**
+ * Shared response cache
+ * Lives for as long as the server process, so all visitors share it.
+ */
+const cache = createCache();
+
+/**
+ * The rate limit reported by the most recent LunarCrush response
+ * Shared by all routes, since they all spend the same API key's quota.
+ */
+let latestRateLimit = null;
+
+/**
+ * Returns the last known rate limit, or null if LunarCrush hasn't sent one
+ *
+ * @returns {Object|null} { limit, remaining, resetAt }
+ */
+export const getRateLimit = () => latestRateLimit;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Makes one LunarCrush request, retrying transient failures
+ *
+ * @param {string} path - Path relative to BASE_URL, including any query string
+ * @returns {Promise<Object>} The parsed JSON response
+ * @throws {UpstreamError} When every attempt fails, or the failure isn't retryable
+ */
+async function requestWithRetry(path) {
+	for (let attempt = 0; ; attempt++) {
+		let error;
+
+		try {
+			// Step 1: Make the request, giving up after the timeout
+			const response = await fetch(`${BASE_URL}${path}`, {
+				headers: {
+					Authorization: `Bearer ${API_TOKEN}`,
+					'Content-Type': 'application/json',
+				},
+				signal: AbortSignal.timeout(UPSTREAM_SETTINGS.TIMEOUT),
+			});
+
+			// Step 2: Remember how much quota is left (sent on errors too)
+			latestRateLimit = parseRateLimit(response.headers) ?? latestRateLimit;
+
+			if (response.ok) {
+				return await response.json();
+			}
+
+			// Step 3: Describe the failure; only rate limits and server errors are retried
+			error = new UpstreamError(getErrorCode(response.status), {
+				upstreamStatus: response.status,
+				retryAfter: parseRetryAfter(response.headers.get('Retry-After')),
+			});
+			if (!isRetryableStatus(response.status)) throw error;
+		} catch (caught) {
+			if (caught instanceof UpstreamError) throw caught;
+
+			// Timeouts and network errors are worth another try
+			error = new UpstreamError(
+				caught.name === 'TimeoutError'
+					? 'UPSTREAM_TIMEOUT'
+					: 'UPSTREAM_NETWORK_ERROR'
+			);
+		}
+
+		// Step 4: Give up when out of retries, or when asked to wait too long
+		const delay = error.retryAfter ?? getBackoffDelay(attempt);
+		if (
+			attempt >= UPSTREAM_SETTINGS.MAX_RETRIES ||
+			delay > UPSTREAM_SETTINGS.MAX_DELAY
+		) {
+			throw error;
+		}
+
+		console.warn(
+			`LunarCrush request failed (${error.code}), retrying in ${delay}ms`
+		);
+		await sleep(delay);
+	}
+}
+
+/**
+ * Calls a LunarCrush endpoint through the shared cache
+ *
+ * @param {string} path - Path relative to BASE_URL, including any query string
+ * @returns {Promise<Object>} { value, status, age } from the cache
+ * @throws {UpstreamError} When the API token is missing or the request fails
+ */
+export const fetchLunarCrush = (path) => {
+	if (!API_TOKEN) {
+		return Promise.reject(new UpstreamError('MISSING_API_KEY'));
+	}
+
+	return cache.resolve(path, () => requestWithRetry(path));
+};
+
+/**
+ * Loads a single coin's current metrics
+ *
+ * @param {string} symbol - Coin symbol (e.g., 'BTC')
+ * @returns {Promise<Object>} { value, status, age } where value.data is the coin
+ */
+export const fetchCoin = (symbol) =>
+	fetchLunarCrush(`coins/${encodeURIComponent(symbol.toLowerCase())}/v1`);
+
+// Cache key prefix of coin list pages (see fetchCoinList)
+const COIN_LIST_PATH = 'coins/list/v1?';
+
+/**
+ * Finds coins in the coin list pages that are already cached
+ *
+ * @param {string[]} symbols - Coin symbols to look for
+ * @returns {Map} symbol -> { coin, age }, from the newest page that has it
+ */
+const findCachedCoins = (symbols) => {
+	const wanted = new Set(symbols);
+	const found = new Map();
+	for (const { value, age } of cache.fresh(COIN_LIST_PATH)) {
+		for (const coin of value.data ?? []) {
+			const symbol = coin.symbol?.toUpperCase();
+			if (wanted.has(symbol) && !found.has(symbol)) {
+				found.set(symbol, { coin, age });
+			}
+		}
+	}
+	return found;
+};
+
+/**
+ * Loads specific coins (used by the watchlist)
+ *
+ * The coin list endpoint can't filter by symbol, so coins are taken from
+ * cached coin list pages where possible, and only the rest are requested
+ * from their own endpoint one by one. Each of those is cached separately,
+ * and coins that fail to load are skipped as long as at least one succeeds.
+ *
+ * @param {string[]} symbols - Coin symbols to load
+ * @param {string} sort - Field to sort the result by
+ * @param {boolean} desc - Sort highest first if true
+ * @returns {Promise<Object>} { value, status, age } shaped like a cached coin list
+ */
+const fetchCoinsBySymbol = async (symbols, sort, desc) => {
+	// Step 1: Take what the cached list pages already have
+	const cached = findCachedCoins(symbols);
+	const fromLists = [...cached.values()].map(({ coin, age }) => ({
+		value: { data: coin },
+		status: 'HIT',
+		age,
+	}));
+
+	// Step 2: Request the rest one by one
+	const missing = symbols.filter((symbol) => !cached.has(symbol));
+	const results = await Promise.allSettled(missing.map(fetchCoin));
+
+	const loaded = [
+		...fromLists,
+		...results
+			.filter((result) => result.status === 'fulfilled')
+			.map((result) => result.value),
+	];
+	if (symbols.length > 0 && loaded.length === 0) {
+		throw results[0].reason;
+	}
+
+	// Step 3: Report the "worst" cache status of the individual coins
+	const statuses = loaded.map((coin) => coin.status);
+	const status = statuses.includes('STALE')
+		? 'STALE'
+		: statuses.includes('MISS')
+			? 'MISS'
+			: 'HIT';
+
+	return {
+		value: {
+			config: { generated: Math.floor(Date.now() / 1000), symbols },
+			data: sortCoins(
+				loaded.map((coin) => coin.value.data),
+				sort,
+				desc
+			),
+		},
+		status,
+		age: Math.max(0, ...loaded.map((coin) => coin.age)),
+	};
+};
+
+/**
+ * Loads a coin list - either a page of the full list, or specific symbols
+ *
+ * @param {Object} params - Validated query (see parseSentimentQuery)
+ * @param {string} params.sort - Field to sort by
+ * @param {boolean} params.desc - Sort highest first if true
+ * @param {number} params.limit - Coins per page
+ * @param {number} params.page - Zero-based page number
+ * @param {string[]} params.symbols - Load exactly these coins instead (optional)
+ * @returns {Promise<Object>} { value, status, age } where value is the LunarCrush response
+ */
+export function fetchCoinList({ sort, desc, limit, page, symbols }) {
+	if (symbols) {
+		return fetchCoinsBySymbol(symbols, sort, desc);
+	}
+
+	// The normalized query string doubles as the cache key
+	const query = new URLSearchParams({ sort, limit: String(limit) });
+	if (desc) query.append('desc', '1');
+	if (page) query.append('page', String(page));
+
+	return fetchLunarCrush(`${COIN_LIST_PATH}${query.toString()}`);
+}
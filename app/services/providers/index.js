@@ -0,0 +1,112 @@
+/**
+ * Data Providers
+ * ==============
+ *
+ * Server-only registry of the places coin data can come from. Every route
+ * that returns coins loads them through loadCoinList, which joins what the
+ * providers return by symbol (see utils/coinModel.js).
+ *
+ * A provider is an object with:
+ * - id: short name used in `meta.providers` and coin `sources` (add a label
+ *   for it to DATA_PROVIDERS in utils/dataSource.js)
+ * - enabled: whether it's configured
+ * - fetchCoins(params): loads a page of coins, or specific `symbols`, and
+ *   resolves to { value: { config, data }, status, age } with model coins,
+ *   plus a `source` (a DATA_SOURCES key) when the coins aren't live
+ *   LunarCrush data
+ *
+ * Key concepts:
+ * 1. PROVIDERS is in priority order: the first provider that answers
+ *    decides which coins are listed, and for every field the first
+ *    provider with a value wins
+ * 2. When a provider fails the others still answer, so market data keeps
+ *    working while a sentiment provider is down; only when every provider
+ *    fails is the first one's error thrown
+ */
+
+import { lunarcrushProvider } from './lunarcrush';
+import { staticFileProvider } from './staticFile';
+import { joinCoins } from '../../utils/coinModel';
+
+export const PROVIDERS = [lunarcrushProvider, staticFileProvider];
+
+/**
+ * Loads a coin list from every enabled provider and joins it by symbol
+ *
+ * @param {Object} params - Validated query (see parseSentimentQuery)
+ * @param {string} params.sort - Field to sort by
+ * @param {boolean} params.desc - Sort highest first if true
+ * @param {number} params.limit - Coins per page
+ * @param {number} params.page - Zero-based page number
+ * @param {string[]} params.symbols - Load exactly these coins instead (optional)
+ * @returns {Promise<Object>} { value, status, age, source, providers } where
+ *   `value` is { config, data }, `source` is the listing provider's (if it
+ *   has one) and `providers` is [{ id, ok, code }] in priority order
+ * @throws {Error} The first provider's error, when no provider answers
+ */
+export async function loadCoinList(params) {
+	const providers = PROVIDERS.filter((provider) => provider.enabled);
+	const outcomes = new Map();
+
+	// Step 1: The first provider that answers lists the coins
+	let listed = null;
+	for (const provider of providers) {
+		try {
+			listed = { provider, result: await provider.fetchCoins(params) };
+			outcomes.set(provider.id, { coins: listed.result.value.data });
+			break;
+		} catch (error) {
+			outcomes.set(provider.id, { error });
+		}
+	}
+	if (!listed) throw outcomes.get(providers[0].id).error;
+
+	// Step 2: The providers after it fill in fields for the same coins
+	const symbols = listed.result.value.data.map((coin) => coin.symbol);
+	const rest = providers.slice(providers.indexOf(listed.provider) + 1);
+	if (symbols.length > 0) {
+		await Promise.all(
+			rest.map(async (provider) => {
+				try {
+					const { value } = await provider.fetchCoins({ ...params, symbols });
+					outcomes.set(provider.id, { coins: value.data });
+				} catch (error) {
+					outcomes.set(provider.id, { error });
+				}
+			})
+		);
+	}
+
+	// Step 3: Join the answers, and say which providers failed
+	const answered = providers.filter(
+		(provider) => outcomes.get(provider.id)?.coins
+	);
+	const data = joinCoins(
+		answered.map((provider) => ({
+			provider: provider.id,
+			coins: outcomes.get(provider.id).coins,
+		}))
+	);
+
+	const statuses = providers
+		.filter((provider) => outcomes.has(provider.id))
+		.map((provider) => {
+			const { error } = outcomes.get(provider.id);
+			if (!error) return { id: provider.id, ok: true };
+
+			console.warn(`Data provider ${provider.id} failed:`, error.message);
+			return {
+				id: provider.id,
+				ok: false,
+				code: error.code ?? 'PROVIDER_ERROR',
+			};
+		});
+
+	return {
+		value: { config: listed.result.value.config, data },
+		status: listed.result.status,
+		age: listed.result.age,
+		source: listed.result.source,
+		providers: statuses,
+	};
+}
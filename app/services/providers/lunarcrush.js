@@ -0,0 +1,38 @@
+/**
+ * LunarCrush Provider
+ * ===================
+ *
+ * Adapter from the LunarCrush client (services/lunarcrushServer.js) to the
+ * provider interface. LunarCrush has both market and social metrics, and
+ * can sort and page the whole coin list on its side, so it comes first.
+ */
+
+import { fetchCoinList } from '../lunarcrushServer';
+import { toCoinModel } from '../../utils/coinModel';
+
+export const lunarcrushProvider = {
+	id: 'lunarcrush',
+	enabled: true,
+
+	/**
+	 * Loads a page of coins (or specific symbols) through the shared cache
+	 *
+	 * @param {Object} params - Validated query (see parseSentimentQuery)
+	 * @returns {Promise<Object>} { value: { config, data }, status, age } with model coins
+	 * @throws {UpstreamError} When the API token is missing or LunarCrush fails
+	 */
+	async fetchCoins(params) {
+		const result = await fetchCoinList(params);
+
+		// The model uses LunarCrush's field names, so nothing needs renaming
+		return {
+			...result,
+			value: {
+				config: result.value.config,
+				data: result.value.data
+					.map((coin) => toCoinModel(coin))
+					.filter(Boolean),
+			},
+		};
+	},
+};
@@ -0,0 +1,79 @@
+/**
+ * Static File Provider
+ * ====================
+ *
+ * Reads coins from the JSON file in STATIC_COINS_FILE. Useful as a backup
+ * for price and market data when LunarCrush is down, or to plug in another
+ * feed (e.g., a CoinGecko-style market export) without writing an adapter.
+ *
+ * The file is shaped like an /api/sentiment response, plus an optional
+ * `fields` map for feeds that name things differently:
+ *
+ *   {
+ *     "config": { "generated": 1718000000 },
+ *     "fields": { "price": "current_price", "volume_24h": "total_volume" },
+ *     "data": [{ "symbol": "btc", "name": "Bitcoin", "current_price": 67000 }]
+ *   }
+ *
+ * A plain array of coins works too. The file is read on every request, so
+ * it can be replaced while the server runs.
+ */
+
+import { STATIC_COINS_FILE } from '../../constants';
+import { readJsonFile } from '../../utils/fileStore';
+import { toCoinModel } from '../../utils/coinModel';
+import { sortCoins } from '../../utils/sorting';
+import { getPage } from '../../utils/pagination';
+
+/**
+ * Reads the file into model coins
+ *
+ * @returns {Promise<Object>} { generated, coins }
+ * @throws {Error} When the file is missing or isn't a list of coins
+ */
+async function readCoins() {
+	const file = await readJsonFile(STATIC_COINS_FILE, null);
+	const records = Array.isArray(file) ? file : file?.data;
+	if (!Array.isArray(records)) {
+		throw new Error(`${STATIC_COINS_FILE} is missing or has no coin list`);
+	}
+
+	return {
+		generated: file.config?.generated ?? Math.floor(Date.now() / 1000),
+		coins: records
+			.map((record) => toCoinModel(record, file.fields))
+			.filter(Boolean),
+	};
+}
+
+export const staticFileProvider = {
+	id: 'static',
+	enabled: Boolean(STATIC_COINS_FILE),
+
+	/**
+	 * Loads a page of coins (or specific symbols), sorted like LunarCrush would
+	 *
+	 * @param {Object} params - Validated query (see parseSentimentQuery)
+	 * @returns {Promise<Object>} { value: { config, data }, status, age, source }
+	 *   with model coins (`source` is always 'static', see describeSource)
+	 * @throws {Error} When the file can't be read
+	 */
+	async fetchCoins({ sort, desc, limit, page = 0, symbols }) {
+		const { generated, coins } = await readCoins();
+
+		const data = symbols
+			? sortCoins(
+					coins.filter((coin) => symbols.includes(coin.symbol)),
+					sort,
+					desc
+				)
+			: getPage(sortCoins(coins, sort, desc), limit, page);
+
+		return {
+			value: { config: { generated }, data },
+			status: 'MISS',
+			age: 0,
+			source: 'static',
+		};
+	},
+};
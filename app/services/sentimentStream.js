@@ -0,0 +1,137 @@
+/**
+ * Live Sentiment Stream
+ * =====================
+ *
+ * Server-only hub behind /api/sentiment/stream. Instead of every browser
+ * polling LunarCrush, the server polls once per distinct query and pushes
+ * the result to every connected client.
+ *
+ * Clients receive three kinds of events:
+ * - snapshot: the full coin list (sent when a client connects)
+ * - diff: only the coins that changed since the previous poll
+ * - upstream-error: the latest poll failed (clients keep their current data)
+ *
+ * Snapshots and diffs carry the same `meta` block as /api/sentiment (see
+ * describeSource), so clients can say whether the data is live, cached or
+ * from a fallback provider.
+ */
+
+import { STREAM_SETTINGS } from '../constants';
+import { loadCoinList } from './providers';
+import { describeSource } from '../utils/dataSource';
+import { recordSnapshot } from './snapshotStore';
+import { diffCoinLists } from '../utils/diff';
+
+// One channel per normalized query: key -> { subscribers, snapshot, meta, timer }
+const channels = new Map();
+
+/**
+ * Sends an event to every subscriber of a channel
+ */
+const broadcast = (channel, event) => {
+	channel.subscribers.forEach((listener) => listener(event));
+};
+
+/**
+ * Polls LunarCrush once and tells subscribers what changed
+ */
+const poll = async (channel, params) => {
+	try {
+		const result = await loadCoinList(params);
+		const { value } = result;
+		const previous = channel.snapshot;
+		channel.snapshot = value;
+		channel.meta = describeSource(result);
+
+		// Keep a copy for Compare mode, like /api/sentiment does
+		recordSnapshot(params, value).catch((error) =>
+			console.error('Failed to record snapshot:', error)
+		);
+
+		// First successful poll - everyone gets the full list
+		if (!previous) {
+			broadcast(channel, {
+				type: 'snapshot',
+				data: { ...value, meta: channel.meta },
+			});
+			return;
+		}
+
+		// Later polls - only send what moved
+		const diff = diffCoinLists(previous.data, value.data);
+		const reordered =
+			diff.order.join(',') !==
+			previous.data.map((coin) => coin.symbol).join(',');
+
+		if (diff.changed.length > 0 || diff.removed.length > 0 || reordered) {
+			broadcast(channel, {
+				type: 'diff',
+				data: { config: value.config, meta: channel.meta, ...diff },
+			});
+		}
+	} catch (error) {
+		console.error('Live stream poll failed:', error);
+		broadcast(channel, {
+			type: 'upstream-error',
+			data: { error: error.message, code: error.code },
+		});
+	}
+};
+
+/**
+ * Starts the polling loop for a channel
+ * Uses setTimeout (not setInterval) so a slow request never overlaps the next one.
+ */
+const startPolling = (channel, params) => {
+	const loop = async () => {
+		await poll(channel, params);
+		if (channel.subscribers.size > 0) {
+			channel.timer = setTimeout(loop, STREAM_SETTINGS.POLL_INTERVAL);
+		}
+	};
+	loop();
+};
+
+/**
+ * Subscribes a listener to live updates for a query
+ *
+ * @param {Object} params - Validated query (see parseSentimentQuery)
+ * @param {Function} listener - Called with `{ type, data }` events
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(params, listener) {
+	const key = JSON.stringify(params);
+	let channel = channels.get(key);
+
+	// Step 1: Create the channel (and start polling) for the first subscriber
+	if (!channel) {
+		channel = {
+			subscribers: new Set(),
+			snapshot: null,
+			meta: null,
+			timer: null,
+		};
+		channels.set(key, channel);
+		channel.subscribers.add(listener);
+		startPolling(channel, params);
+	} else {
+		channel.subscribers.add(listener);
+
+		// Step 2: Late joiners get the current list straight away
+		if (channel.snapshot) {
+			listener({
+				type: 'snapshot',
+				data: { ...channel.snapshot, meta: channel.meta },
+			});
+		}
+	}
+
+	// Step 3: Stop polling when the last subscriber leaves
+	return () => {
+		channel.subscribers.delete(listener);
+		if (channel.subscribers.size === 0) {
+			clearTimeout(channel.timer);
+			channels.delete(key);
+		}
+	};
+}
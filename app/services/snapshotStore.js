@@ -0,0 +1,210 @@
+/**
+ * Snapshot Store
+ * ==============
+ *
+ * Server-only recorder that keeps a copy of every new coin list LunarCrush
+ * sends us. LunarCrush itself only offers "now" plus one `*_previous` value,
+ * so these snapshots are what the dashboard's Compare mode diffs against.
+ *
+ * Key concepts:
+ * 1. Snapshots are appended to a JSON-lines file (SNAPSHOT_FILE)
+ * 2. Each snapshot is keyed by `config.generated` plus the query, so the
+ *    same upstream response is only recorded once however often it's served
+ * 3. Only SNAPSHOT_FIELDS are kept for each coin, to keep the file small
+ * 4. Watchlist (symbols) requests aren't recorded - they don't carry a real
+ *    `generated` time from LunarCrush
+ * 5. Each query is recorded at most once per SNAPSHOT_SETTINGS.MIN_INTERVAL,
+ *    and only the newest SNAPSHOT_SETTINGS.MAX_ENTRIES snapshots are kept:
+ *    once ROTATE_BATCH more have piled up, the file is rewritten without the
+ *    oldest ones, so it isn't rewritten on every new snapshot
+ * 6. The file is read once into an in-memory index (summaries plus each
+ *    line's byte range), so listing snapshots doesn't touch the disk and
+ *    loading one reads just its line
+ */
+
+import {
+	SNAPSHOT_FILE,
+	SNAPSHOT_FIELDS,
+	SNAPSHOT_SETTINGS,
+} from '../constants';
+import {
+	appendJsonLine,
+	readJsonLineEntries,
+	readTextRange,
+	writeJsonLines,
+} from '../utils/fileStore';
+
+/**
+ * The index of the file, loaded on first use:
+ * { entries: [{ id, generated, query, count, offset, length }] oldest first }
+ * where offset and length are in bytes
+ */
+let indexPromise = null;
+
+/**
+ * Writes run one at a time, so the index always matches the file
+ */
+let writeQueue = Promise.resolve();
+
+/**
+ * Builds the part of a snapshot ID that names the query, like "alt_rank-asc-30-p0"
+ */
+const queryKey = ({ sort, desc, limit, page }) =>
+	`${sort}-${desc ? 'desc' : 'asc'}-${limit}-p${page}`;
+
+/**
+ * Builds a snapshot ID like "1749002977-alt_rank-asc-30-p0"
+ */
+const snapshotId = (generated, params) => `${generated}-${queryKey(params)}`;
+
+/**
+ * Turns a line from the file into an index entry
+ */
+const toIndexEntry = ({ id, generated, query, data }, offset, length) => ({
+	id,
+	generated,
+	query,
+	count: data.length,
+	offset,
+	length,
+});
+
+/**
+ * Reads the file into a new index
+ */
+const buildIndex = async () => {
+	const { entries } = await readJsonLineEntries(SNAPSHOT_FILE);
+	return {
+		entries: entries.map(({ value, offset, length }) =>
+			toIndexEntry(value, offset, length)
+		),
+	};
+};
+
+/**
+ * Returns the index, reading the file the first time
+ * A failed read isn't remembered, so the next call tries again.
+ */
+const loadIndex = () => {
+	indexPromise ??= buildIndex().catch((error) => {
+		indexPromise = null;
+		throw error;
+	});
+	return indexPromise;
+};
+
+/**
+ * Runs a write after the ones before it (whether they worked or not)
+ */
+const queueWrite = (task) => {
+	const run = writeQueue.then(task, task);
+	writeQueue = run.catch(() => {});
+	return run;
+};
+
+/**
+ * Drops the oldest snapshots once there are ROTATE_BATCH more than MAX_ENTRIES
+ */
+const rotate = async (index) => {
+	const { MAX_ENTRIES, ROTATE_BATCH } = SNAPSHOT_SETTINGS;
+	if (index.entries.length <= MAX_ENTRIES + ROTATE_BATCH) return;
+
+	// Step 1: Rewrite the file with the newest snapshots only
+	const { entries } = await readJsonLineEntries(SNAPSHOT_FILE);
+	await writeJsonLines(
+		SNAPSHOT_FILE,
+		entries.slice(-MAX_ENTRIES).map(({ value }) => value)
+	);
+
+	// Step 2: The byte ranges moved, so index the new file
+	indexPromise = null;
+	await loadIndex();
+};
+
+// Error message for the snapshot API routes when recording is switched off
+export const SNAPSHOTS_DISABLED_MESSAGE =
+	'Snapshots are disabled. Set SNAPSHOT_FILE in .env.local to start recording them.';
+
+/**
+ * True when the server has somewhere to keep snapshots
+ */
+export const snapshotsEnabled = () => Boolean(SNAPSHOT_FILE);
+
+/**
+ * Records a coin list response, unless it has been recorded before or the
+ * same query was recorded less than SNAPSHOT_SETTINGS.MIN_INTERVAL ago
+ *
+ * @param {Object} params - Validated query (see parseSentimentQuery)
+ * @param {Object} response - LunarCrush response ({ config, data })
+ * @returns {Promise<boolean>} True if a new snapshot was written
+ */
+export async function recordSnapshot(params, response) {
+	const generated = response.config?.generated;
+	if (!SNAPSHOT_FILE || params.symbols || !generated) return false;
+
+	return queueWrite(async () => {
+		const { sort, desc, limit, page } = params;
+		const id = snapshotId(generated, params);
+		const index = await loadIndex();
+
+		// Step 1: Skip responses we've already saved, and ones too soon after
+		// the last snapshot of the same query
+		if (index.entries.some((entry) => entry.id === id)) return false;
+		const key = queryKey(params);
+		const latest = index.entries.findLast(
+			(entry) => queryKey(entry.query) === key
+		);
+		if (
+			latest &&
+			generated - latest.generated < SNAPSHOT_SETTINGS.MIN_INTERVAL
+		) {
+			return false;
+		}
+
+		// Step 2: Keep only the fields Compare mode needs
+		const data = response.data.map((coin) =>
+			Object.fromEntries(SNAPSHOT_FIELDS.map((field) => [field, coin[field]]))
+		);
+		const snapshot = {
+			id,
+			generated,
+			query: { sort, desc, limit, page },
+			data,
+		};
+
+		// Step 3: Append it, index it, and drop the oldest if there are too many
+		const { offset, length } = await appendJsonLine(SNAPSHOT_FILE, snapshot);
+		index.entries.push(toIndexEntry(snapshot, offset, length));
+		await rotate(index);
+		return true;
+	});
+}
+
+/**
+ * Lists recorded snapshots without their coin data
+ *
+ * @returns {Promise<Object[]>} [{ id, generated, query, count }], newest first
+ */
+export async function listSnapshots() {
+	const { entries } = await loadIndex();
+	return entries
+		.map(({ id, generated, query, count }) => ({ id, generated, query, count }))
+		.sort((a, b) => b.generated - a.generated);
+}
+
+/**
+ * Loads one snapshot with its coin data
+ *
+ * @param {string} id - Snapshot ID from listSnapshots
+ * @returns {Promise<Object|null>} The snapshot, or null if there's no such ID
+ */
+export async function getSnapshot(id) {
+	const { entries } = await loadIndex();
+	const entry = entries.find((candidate) => candidate.id === id);
+	if (!entry) return null;
+
+	// Read just this snapshot's line (the index knows where it is)
+	return JSON.parse(
+		await readTextRange(SNAPSHOT_FILE, entry.offset, entry.length)
+	);
+}
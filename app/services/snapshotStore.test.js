@@ -0,0 +1,76 @@
+// @vitest-environment node
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+
+const file = path.join(os.tmpdir(), `snapshots-${process.pid}.jsonl`);
+
+vi.mock('../constants', async (importOriginal) => ({
+	...(await importOriginal()),
+	SNAPSHOT_FILE: file,
+	SNAPSHOT_SETTINGS: { MAX_ENTRIES: 3, ROTATE_BATCH: 1, MIN_INTERVAL: 60 },
+}));
+
+const { getSnapshot, listSnapshots, recordSnapshot } =
+	await import('./snapshotStore');
+
+const params = { sort: 'alt_rank', desc: false, limit: 30, page: 0 };
+const response = (generated, name = 'Bitcoin') => ({
+	config: { generated },
+	data: [{ symbol: 'BTC', name, price: 67000 }],
+});
+
+describe('snapshotStore', () => {
+	beforeAll(() => fs.rm(file, { force: true }));
+	afterAll(() => fs.rm(file, { force: true }));
+
+	it('records a response once', async () => {
+		expect(await recordSnapshot(params, response(1000))).toBe(true);
+		expect(await recordSnapshot(params, response(1000))).toBe(false);
+	});
+
+	it('records a query at most once per interval', async () => {
+		expect(await recordSnapshot(params, response(1030))).toBe(false);
+		expect(await recordSnapshot({ ...params, page: 1 }, response(1030))).toBe(
+			true
+		);
+		expect(await recordSnapshot(params, response(1060))).toBe(true);
+	});
+
+	it("doesn't record watchlist requests", async () => {
+		expect(
+			await recordSnapshot({ ...params, symbols: ['BTC'] }, response(5000))
+		).toBe(false);
+	});
+
+	it('reads a snapshot back from its line', async () => {
+		await recordSnapshot(params, response(1200, 'Bitcoin ₿'));
+
+		const snapshot = await getSnapshot('1200-alt_rank-asc-30-p0');
+
+		expect(snapshot.data).toEqual([
+			{ symbol: 'BTC', name: 'Bitcoin ₿', price: 67000 },
+		]);
+		expect(await getSnapshot('missing')).toBeNull();
+	});
+
+	it('lets a batch of snapshots pile up before rewriting the file', async () => {
+		expect(await listSnapshots()).toHaveLength(4);
+	});
+
+	it('keeps only the newest snapshots', async () => {
+		await recordSnapshot(params, response(1300));
+
+		const snapshots = await listSnapshots();
+		expect(snapshots.map((snapshot) => snapshot.id)).toEqual([
+			'1300-alt_rank-asc-30-p0',
+			'1200-alt_rank-asc-30-p0',
+			'1060-alt_rank-asc-30-p0',
+		]);
+
+		const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+		expect(lines).toHaveLength(3);
+		expect((await getSnapshot('1060-alt_rank-asc-30-p0')).generated).toBe(1060);
+	});
+});
@@ -0,0 +1,41 @@
+import { API_ENDPOINTS } from '../constants';
+
+/**
+ * Snapshot Service
+ * ================
+ *
+ * Reads the coin list snapshots the server has recorded (/api/snapshots)
+ * for the dashboard's Compare mode. Recording is optional on the server,
+ * so "disabled" is a normal result rather than an error.
+ */
+
+/**
+ * Lists the recorded snapshots, newest first
+ *
+ * @returns {Promise<Object>} { enabled, snapshots } - enabled is false when
+ *   the server has no SNAPSHOT_FILE configured
+ * @throws {Error} When the server can't be reached or fails
+ */
+export async function fetchSnapshotList() {
+	const response = await fetch(API_ENDPOINTS.SNAPSHOTS);
+	if (response.status === 501) return { enabled: false, snapshots: [] };
+	if (!response.ok) throw new Error(`API Error: ${response.status}`);
+
+	const { snapshots } = await response.json();
+	return { enabled: true, snapshots };
+}
+
+/**
+ * Loads one snapshot with its coin data
+ *
+ * @param {string} id - Snapshot ID from fetchSnapshotList
+ * @returns {Promise<Object>} { id, generated, query, data }
+ * @throws {Error} When the snapshot can't be loaded
+ */
+export async function fetchSnapshot(id) {
+	const response = await fetch(
+		`${API_ENDPOINTS.SNAPSHOTS}/${encodeURIComponent(id)}`
+	);
+	if (!response.ok) throw new Error(`API Error: ${response.status}`);
+	return response.json();
+}
@@ -0,0 +1,54 @@
+import { API_ENDPOINTS } from '../constants';
+
+/**
+ * Watchlist Service
+ * =================
+ *
+ * Talks to the optional server-side watchlist (/api/watchlist). The browser
+ * always keeps its own copy in localStorage; the server copy is only used
+ * when the server has a WATCHLIST_FILE configured.
+ *
+ * Both functions return null instead of throwing, so a missing or broken
+ * server store never stops the watchlist from working locally.
+ */
+
+/**
+ * Loads the shared watchlist from the server
+ *
+ * @returns {Promise<string[]|null>} Symbols, or null if the server store is unavailable
+ */
+export async function fetchServerWatchlist() {
+	try {
+		const response = await fetch(API_ENDPOINTS.WATCHLIST);
+		if (!response.ok) return null; // 501 = server store disabled
+
+		const { symbols } = await response.json();
+		return symbols;
+	} catch (error) {
+		console.warn('Server watchlist unavailable:', error);
+		return null;
+	}
+}
+
+/**
+ * Saves the watchlist to the server
+ *
+ * @param {string[]} symbols - Coin symbols to store
+ * @returns {Promise<string[]|null>} The saved symbols, or null if saving failed
+ */
+export async function saveServerWatchlist(symbols) {
+	try {
+		const response = await fetch(API_ENDPOINTS.WATCHLIST, {
+			method: 'PUT',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify({ symbols }),
+		});
+		if (!response.ok) return null;
+
+		const result = await response.json();
+		return result.symbols;
+	} catch (error) {
+		console.warn('Could not save watchlist to server:', error);
+		return null;
+	}
+}
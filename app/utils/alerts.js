@@ -0,0 +1,250 @@
+/**
+ * Alert Rules Engine
+ * ==================
+ *
+ * Pure functions for checking user-defined alert rules against coin data.
+ * Nothing in here touches React, storage or the network, so it works the
+ * same against live data and mockData.
+ *
+ * A rule looks like this:
+ *
+ *   {
+ *     id: 'r1',
+ *     symbol: 'BTC',        // or '*' for every coin
+ *     metric: 'sentiment',  // a key of ALERT_METRICS
+ *     condition: 'below',   // a key of ALERT_CONDITIONS
+ *     value: 40,
+ *     enabled: true,
+ *   }
+ *
+ * Change-based conditions (rises_by, improves_by, ...) compare against a
+ * baseline: the coin's own `*_previous` field when LunarCrush provides one,
+ * otherwise the value from the previous data refresh.
+ */
+
+// Metrics a rule can watch
+export const ALERT_METRICS = {
+	sentiment: { label: 'Sentiment' },
+	galaxy_score: {
+		label: 'Galaxy Score',
+		previousField: 'galaxy_score_previous',
+	},
+	alt_rank: {
+		label: 'AltRank',
+		previousField: 'alt_rank_previous',
+		lowerIsBetter: true, // Rank 1 is the best
+	},
+	market_dominance: {
+		label: 'Market Dominance',
+		previousField: 'market_dominance_prev',
+	},
+	social_dominance: { label: 'Social Dominance' },
+	price: { label: 'Price' },
+	percent_change_24h: { label: '24h Change (%)' },
+};
+
+// Conditions a rule can test
+export const ALERT_CONDITIONS = {
+	above: { label: 'is above' },
+	below: { label: 'is below' },
+	rises_by: { label: 'rises by more than', usesBaseline: true },
+	drops_by: { label: 'drops by more than', usesBaseline: true },
+	improves_by: { label: 'improves by more than', usesBaseline: true },
+	worsens_by: { label: 'worsens by more than', usesBaseline: true },
+};
+
+/**
+ * Builds a readable sentence for a rule (e.g., "BTC Sentiment is below 40")
+ *
+ * @param {Object} rule - The alert rule
+ * @returns {string} Human-readable description
+ */
+export const describeRule = (rule) => {
+	const coin = rule.symbol === '*' ? 'Any coin' : rule.symbol;
+	const metric = ALERT_METRICS[rule.metric]?.label || rule.metric;
+	const condition = ALERT_CONDITIONS[rule.condition]?.label || rule.condition;
+	return `${coin} ${metric} ${condition} ${rule.value}`;
+};
+
+/**
+ * Checks that a rule has everything the evaluator needs
+ *
+ * @param {Object} rule - The alert rule
+ * @returns {string|null} An error message, or null if the rule is valid
+ */
+export const validateRule = (rule) => {
+	if (!rule.symbol || !/^(\*|[A-Z0-9]{1,20})$/.test(rule.symbol)) {
+		return 'Enter a coin symbol (e.g., BTC) or * for any coin';
+	}
+	if (!ALERT_METRICS[rule.metric]) return 'Choose a metric';
+	if (!ALERT_CONDITIONS[rule.condition]) return 'Choose a condition';
+	if (typeof rule.value !== 'number' || isNaN(rule.value)) {
+		return 'Enter a number to compare against';
+	}
+	return null;
+};
+
+/**
+ * Trims floating point noise (e.g., 60.699999999) for display
+ */
+const round = (value) => Number(value.toPrecision(6));
+
+/**
+ * Finds the value a change-based rule compares against
+ */
+const getBaseline = (metric, coin, previousCoin) => {
+	const { previousField } = ALERT_METRICS[metric];
+	if (previousField && coin[previousField] != null) {
+		return coin[previousField];
+	}
+	return previousCoin?.[metric] ?? null;
+};
+
+/**
+ * Tests a single rule against a single coin
+ *
+ * @returns {Object|null} Match details, or null if the rule didn't fire
+ */
+const evaluateRule = (rule, coin, previousCoin) => {
+	const current = coin[rule.metric];
+	if (current == null) return null;
+
+	const { lowerIsBetter } = ALERT_METRICS[rule.metric];
+	const { usesBaseline } = ALERT_CONDITIONS[rule.condition];
+	const baseline = usesBaseline
+		? getBaseline(rule.metric, coin, previousCoin)
+		: null;
+
+	// Change-based rules can't fire without something to compare against
+	if (usesBaseline && baseline == null) return null;
+
+	const change = current - baseline;
+	const improvement = lowerIsBetter ? -change : change;
+
+	const checks = {
+		above: () => current > rule.value,
+		below: () => current < rule.value,
+		rises_by: () => change > rule.value,
+		drops_by: () => -change > rule.value,
+		improves_by: () => improvement > rule.value,
+		worsens_by: () => -improvement > rule.value,
+	};
+
+	if (!checks[rule.condition]()) return null;
+
+	const label = describeRule({ ...rule, symbol: coin.symbol });
+
+	return {
+		key: `${rule.id}:${coin.symbol}`,
+		ruleId: rule.id,
+		symbol: coin.symbol,
+		value: current,
+		baseline,
+		message: usesBaseline
+			? `${label} (${round(baseline)} → ${round(current)})`
+			: `${label} (now ${round(current)})`,
+	};
+};
+
+/**
+ * Evaluates every enabled rule against a list of coins
+ *
+ * @param {Object[]} rules - Alert rules
+ * @param {Object[]} coins - Coin objects from the latest refresh (a missing
+ *   value is null or left out, and never matches)
+ * @param {Object[]} previousCoins - Coins from the refresh before (optional)
+ * @returns {Object[]} One match per rule/coin pair that fired
+ * @example
+ * const matches = evaluateRules(
+ *   [{ id: 'r1', symbol: 'BTC', metric: 'sentiment', condition: 'below', value: 70, enabled: true }],
+ *   mockData.data
+ * );
+ * // => [{ key: 'r1:BTC', symbol: 'BTC', value: 65.7, message: 'BTC Sentiment is below 70 (now 65.7)', ... }]
+ */
+export function evaluateRules(rules, coins, previousCoins = []) {
+	// Index the previous refresh by symbol for quick lookups
+	const previousBySymbol = new Map(
+		previousCoins.map((coin) => [coin.symbol, coin])
+	);
+
+	const matches = [];
+	for (const rule of rules) {
+		if (!rule.enabled || validateRule(rule)) continue;
+
+		for (const coin of coins) {
+			if (rule.symbol !== '*' && rule.symbol !== coin.symbol) continue;
+
+			const match = evaluateRule(rule, coin, previousBySymbol.get(coin.symbol));
+			if (match) matches.push(match);
+		}
+	}
+	return matches;
+}
+
+/**
+ * Lists the rule/coin pairs that couldn't be checked because the coin is
+ * missing the rule's metric
+ *
+ * Those pairs are neither matching nor not matching, so the caller can
+ * keep their last state instead of alerting again when the value returns.
+ *
+ * @param {Object[]} rules - Alert rules
+ * @param {Object[]} coins - Coin objects from the latest refresh
+ * @returns {string[]} Match keys (`ruleId:symbol`)
+ * @example
+ * findUncheckedKeys(
+ *   [{ id: 'r1', symbol: '*', metric: 'sentiment', condition: 'below', value: 40, enabled: true }],
+ *   [{ symbol: 'BTC', sentiment: null }, { symbol: 'ETH', sentiment: 55 }]
+ * );
+ * // => ['r1:BTC']
+ */
+export function findUncheckedKeys(rules, coins) {
+	const keys = [];
+	for (const rule of rules) {
+		if (!rule.enabled || validateRule(rule)) continue;
+
+		for (const coin of coins) {
+			if (rule.symbol !== '*' && rule.symbol !== coin.symbol) continue;
+			if (coin[rule.metric] == null) keys.push(`${rule.id}:${coin.symbol}`);
+		}
+	}
+	return keys;
+}
+
+/**
+ * Lists the active rule/coin pairs that the latest refresh can't decide
+ *
+ * A pair stays active while its coin isn't in `coins` at all (e.g., after
+ * switching to the watchlist or a shorter list) or is missing the rule's
+ * metric, so it doesn't alert again when the coin comes back. Pairs of
+ * rules that were removed or disabled are dropped.
+ *
+ * @param {Set<string>} activeKeys - Match keys that were active before this refresh
+ * @param {Object[]} rules - Alert rules
+ * @param {Object[]} coins - Coin objects from the latest refresh
+ * @returns {string[]} The match keys to keep active
+ * @example
+ * findUndecidedKeys(
+ *   new Set(['r1:BTC', 'r1:ETH']),
+ *   [{ id: 'r1', symbol: '*', metric: 'sentiment', condition: 'below', value: 40, enabled: true }],
+ *   [{ symbol: 'ETH', sentiment: 55 }]
+ * );
+ * // => ['r1:BTC'] (BTC wasn't loaded; ETH no longer matches)
+ */
+export function findUndecidedKeys(activeKeys, rules, coins) {
+	const listed = new Set(coins.map((coin) => coin.symbol));
+	const unchecked = new Set(findUncheckedKeys(rules, coins));
+	const ruleIds = new Set(
+		rules
+			.filter((rule) => rule.enabled && !validateRule(rule))
+			.map((rule) => rule.id)
+	);
+
+	return [...activeKeys].filter((key) => {
+		// Keys are `ruleId:symbol`, and symbols never contain a colon
+		const split = key.lastIndexOf(':');
+		const ruleId = key.slice(0, split);
+		const symbol = key.slice(split + 1);
+		return ruleIds.has(ruleId) && (!listed.has(symbol) || unchecked.has(key));
+	});
+}
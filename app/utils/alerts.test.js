@@ -0,0 +1,113 @@
+import { describe, expect, it } from 'vitest';
+import { evaluateRules, findUncheckedKeys, findUndecidedKeys } from './alerts';
+
+const rule = (changes) => ({
+	id: 'r1',
+	symbol: '*',
+	metric: 'sentiment',
+	condition: 'below',
+	value: 40,
+	enabled: true,
+	...changes,
+});
+
+describe('evaluateRules', () => {
+	it('matches coins that meet the condition', () => {
+		const matches = evaluateRules(
+			[rule()],
+			[
+				{ symbol: 'BTC', sentiment: 30 },
+				{ symbol: 'ETH', sentiment: 55 },
+			]
+		);
+
+		expect(matches.map((match) => match.key)).toEqual(['r1:BTC']);
+		expect(matches[0].message).toBe('BTC Sentiment is below 40 (now 30)');
+	});
+
+	it('never matches a missing value', () => {
+		const matches = evaluateRules(
+			[rule(), rule({ id: 'r2', metric: 'price', value: 1 })],
+			[{ symbol: 'BTC', sentiment: null, price: null }, { symbol: 'ETH' }]
+		);
+
+		expect(matches).toEqual([]);
+	});
+
+	it('compares change rules against the previous field, then the previous refresh', () => {
+		const rules = [
+			rule({ metric: 'galaxy_score', condition: 'rises_by', value: 5 }),
+			rule({ id: 'r2', metric: 'price', condition: 'drops_by', value: 10 }),
+		];
+		const matches = evaluateRules(
+			rules,
+			[
+				{
+					symbol: 'BTC',
+					galaxy_score: 70,
+					galaxy_score_previous: 60,
+					price: 80,
+				},
+			],
+			[{ symbol: 'BTC', galaxy_score: 69, price: 100 }]
+		);
+
+		expect(matches.map((match) => match.key)).toEqual(['r1:BTC', 'r2:BTC']);
+	});
+
+	it("doesn't fire change rules without a baseline", () => {
+		const matches = evaluateRules(
+			[rule({ metric: 'price', condition: 'drops_by', value: 10 })],
+			[{ symbol: 'BTC', price: 80 }],
+			[{ symbol: 'BTC', price: null }]
+		);
+
+		expect(matches).toEqual([]);
+	});
+
+	it('skips disabled rules and other coins', () => {
+		const matches = evaluateRules(
+			[rule({ enabled: false }), rule({ id: 'r2', symbol: 'ETH' })],
+			[{ symbol: 'BTC', sentiment: 10 }]
+		);
+
+		expect(matches).toEqual([]);
+	});
+});
+
+describe('findUncheckedKeys', () => {
+	it('lists the pairs whose coin is missing the metric', () => {
+		const keys = findUncheckedKeys(
+			[rule(), rule({ id: 'r2', symbol: 'ETH' })],
+			[
+				{ symbol: 'BTC', sentiment: null },
+				{ symbol: 'ETH' },
+				{ symbol: 'SOL', sentiment: 20 },
+			]
+		);
+
+		expect(keys).toEqual(['r1:BTC', 'r1:ETH', 'r2:ETH']);
+	});
+});
+
+describe('findUndecidedKeys', () => {
+	it('keeps pairs whose coin is not loaded or is missing the metric', () => {
+		const keys = findUndecidedKeys(
+			new Set(['r1:BTC', 'r1:ETH', 'r1:SOL']),
+			[rule()],
+			[{ symbol: 'ETH', sentiment: 55 }, { symbol: 'SOL' }]
+		);
+
+		expect(keys).toEqual(['r1:BTC', 'r1:SOL']);
+	});
+
+	it('drops pairs of removed or disabled rules', () => {
+		const keys = findUndecidedKeys(
+			new Set(['r1:BTC', 'r2:BTC', 'rule-3:BTC']),
+			[rule({ enabled: false }), rule({ id: 'rule-3' })],
+			[]
+		);
+
+		expect(keys).toEqual(['rule-3:BTC']);
+	});
+});
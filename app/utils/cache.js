@@ -0,0 +1,150 @@
+/**
+ * Response Cache
+ * ==============
+ *
+ * A small in-memory cache used by our API routes to avoid calling LunarCrush
+ * on every page load. It lives in server memory, so every browser that hits
+ * the same Next.js server shares it.
+ *
+ * Key concepts:
+ *
+ * 1. TTL: An entry is "fresh" for `ttl` milliseconds. Fresh entries are
+ *    served straight from memory (X-Cache: HIT).
+ *
+ * 2. Request Coalescing: If several identical requests arrive while an
+ *    upstream call is already running, they all wait for that one call
+ *    instead of starting their own.
+ *
+ * 3. Stale Fallback: Expired entries are kept for `staleTtl` milliseconds.
+ *    If the upstream call fails, we serve the stale copy (X-Cache: STALE)
+ *    rather than an error.
+ *
+ * 4. Peeking: `fresh(prefix)` lists the fresh entries under a key prefix
+ *    without loading anything, so a caller can reuse data another request
+ *    already paid for (e.g., coins from a cached list page).
+ */
+
+import { CACHE_SETTINGS } from '../constants';
+
+/**
+ * Creates a new cache instance
+ *
+ * @param {Object} options - Cache options
+ * @param {number} options.ttl - How long an entry stays fresh (ms)
+ * @param {number} options.staleTtl - How long an expired entry may still be served on failure (ms)
+ * @param {number} options.maxEntries - Maximum number of keys to keep
+ * @returns {Object} Cache with `resolve` and `fresh` methods
+ * @example
+ * const cache = createCache({ ttl: 60000 });
+ * const { value, status, age } = await cache.resolve('key', () => fetchData());
+ */
+export function createCache(options = {}) {
+	const {
+		ttl = CACHE_SETTINGS.TTL,
+		staleTtl = CACHE_SETTINGS.STALE_TTL,
+		maxEntries = CACHE_SETTINGS.MAX_ENTRIES,
+	} = options;
+
+	// key -> { value, storedAt }
+	const entries = new Map();
+	// key -> Promise of the running upstream call
+	const inFlight = new Map();
+
+	/**
+	 * Stores a value, evicting the oldest entry when the cache is full
+	 */
+	const store = (key, value) => {
+		entries.delete(key); // Re-insert so Map order reflects recency
+		entries.set(key, { value, storedAt: Date.now() });
+
+		if (entries.size > maxEntries) {
+			const oldestKey = entries.keys().next().value;
+			entries.delete(oldestKey);
+		}
+	};
+
+	/**
+	 * Runs the loader once per key, sharing the result with concurrent callers
+	 */
+	const load = (key, loader) => {
+		if (!inFlight.has(key)) {
+			const promise = Promise.resolve()
+				.then(loader)
+				.then((value) => {
+					store(key, value);
+					return value;
+				})
+				.finally(() => inFlight.delete(key));
+
+			inFlight.set(key, promise);
+		}
+
+		return inFlight.get(key);
+	};
+
+	/**
+	 * Returns a cached value or loads a new one
+	 *
+	 * @param {string} key - Normalized cache key
+	 * @param {Function} loader - Async function that fetches a fresh value
+	 * @returns {Promise<Object>} { value, status: 'HIT' | 'MISS' | 'STALE', age } where age is in seconds
+	 */
+	const resolve = async (key, loader) => {
+		const entry = entries.get(key);
+		const now = Date.now();
+
+		// Step 1: Serve fresh entries directly
+		if (entry && now - entry.storedAt < ttl) {
+			return {
+				value: entry.value,
+				status: 'HIT',
+				age: Math.floor((now - entry.storedAt) / 1000),
+			};
+		}
+
+		// Step 2: Drop entries that are too old to be used even as a fallback
+		if (entry && now - entry.storedAt >= ttl + staleTtl) {
+			entries.delete(key);
+		}
+
+		// Step 3: Load from upstream (shared with any concurrent callers)
+		try {
+			const value = await load(key, loader);
+			return { value, status: 'MISS', age: 0 };
+		} catch (error) {
+			// Step 4: Fall back to the stale copy if we still have one
+			const stale = entries.get(key);
+			if (stale) {
+				console.warn(`Serving stale cache entry for "${key}":`, error.message);
+				return {
+					value: stale.value,
+					status: 'STALE',
+					age: Math.floor((Date.now() - stale.storedAt) / 1000),
+				};
+			}
+			throw error;
+		}
+	};
+
+	/**
+	 * Lists the fresh entries whose key starts with `prefix`
+	 *
+	 * @param {string} prefix - Key prefix (e.g., 'coins/list/v1?')
+	 * @returns {Object[]} [{ key, value, age }], most recently stored first
+	 */
+	const fresh = (prefix) => {
+		const now = Date.now();
+		return [...entries]
+			.filter(
+				([key, entry]) => key.startsWith(prefix) && now - entry.storedAt < ttl
+			)
+			.reverse()
+			.map(([key, entry]) => ({
+				key,
+				value: entry.value,
+				age: Math.floor((now - entry.storedAt) / 1000),
+			}));
+	};
+
+	return { resolve, fresh };
+}
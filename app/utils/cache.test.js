@@ -0,0 +1,60 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createCache } from './cache';
+
+describe('createCache', () => {
+	afterEach(() => {
+		vi.useRealTimers();
+	});
+
+	it('serves fresh entries without loading again', async () => {
+		const cache = createCache({ ttl: 1000 });
+		const loader = vi.fn().mockResolvedValue('value');
+
+		await cache.resolve('key', loader);
+		const second = await cache.resolve('key', loader);
+
+		expect(second.status).toBe('HIT');
+		expect(loader).toHaveBeenCalledOnce();
+	});
+
+	it('shares one upstream call between concurrent requests', async () => {
+		const cache = createCache();
+		const loader = vi.fn().mockResolvedValue('value');
+
+		await Promise.all([
+			cache.resolve('key', loader),
+			cache.resolve('key', loader),
+		]);
+
+		expect(loader).toHaveBeenCalledOnce();
+	});
+
+	it('serves a stale copy when the upstream call fails', async () => {
+		vi.useFakeTimers();
+		const cache = createCache({ ttl: 1000, staleTtl: 5000 });
+		await cache.resolve('key', async () => 'old');
+		vi.advanceTimersByTime(2000);
+
+		const result = await cache.resolve('key', async () => {
+			throw new Error('down');
+		});
+
+		expect(result).toEqual({ value: 'old', status: 'STALE', age: 2 });
+	});
+
+	it('lists fresh entries under a prefix, newest first', async () => {
+		vi.useFakeTimers();
+		const cache = createCache({ ttl: 1000 });
+		await cache.resolve('list?page=0', async () => 'expired');
+		vi.advanceTimersByTime(1500);
+		await cache.resolve('list?page=1', async () => 'older');
+		await cache.resolve('coin/btc', async () => 'other');
+		vi.advanceTimersByTime(500);
+		await cache.resolve('list?page=2', async () => 'newer');
+
+		expect(cache.fresh('list?')).toEqual([
+			{ key: 'list?page=2', value: 'newer', age: 0 },
+			{ key: 'list?page=1', value: 'older', age: 0 },
+		]);
+	});
+});
@@ -0,0 +1,134 @@
+/**
+ * Coin Model
+ * ==========
+ *
+ * The internal shape of a coin, shared by every data provider (see
+ * services/providers/). Each provider turns its own records into this
+ * model, and the models from several providers are joined by symbol into
+ * the coins the API routes return.
+ *
+ * Key concepts:
+ * 1. Field names follow LunarCrush's (price, galaxy_score, alt_rank, ...),
+ *    so the UI reads the same fields whatever provider they came from
+ * 2. Missing values are left out rather than set to null, so a provider
+ *    further down the list can fill them in
+ * 3. Provenance - every joined coin has `sources`, naming the provider
+ *    each market and social field came from (e.g., { price: 'lunarcrush' })
+ */
+
+// Model fields, grouped by what they describe
+export const COIN_FIELDS = {
+	// Who the coin is (not tracked in `sources`)
+	identity: [
+		'id',
+		'symbol',
+		'name',
+		'logo',
+		'topic',
+		'categories',
+		'blockchains',
+	],
+	market: [
+		'price',
+		'percent_change_1h',
+		'percent_change_24h',
+		'percent_change_7d',
+		'volume_24h',
+		'market_cap',
+		'market_cap_rank',
+		'market_dominance',
+		'market_dominance_prev',
+		'circulating_supply',
+		'max_supply',
+		'volatility',
+	],
+	social: [
+		'sentiment',
+		'galaxy_score',
+		'galaxy_score_previous',
+		'alt_rank',
+		'alt_rank_previous',
+		'social_dominance',
+		'social_volume_24h',
+		'interactions_24h',
+	],
+};
+
+const MODEL_FIELDS = Object.values(COIN_FIELDS).flat();
+
+/**
+ * Builds a model coin from one provider record
+ *
+ * @param {Object} record - The provider's coin
+ * @param {Object} fieldMap - Model field -> the provider's name for it, for
+ *   fields the provider names differently (default: same names)
+ * @returns {Object|null} The coin with an upper-case symbol, or null if the record has no symbol
+ * @example
+ * // A CoinGecko-style /coins/markets record
+ * toCoinModel(
+ *   { symbol: 'btc', name: 'Bitcoin', current_price: 67000, total_volume: 2.1e10 },
+ *   { price: 'current_price', volume_24h: 'total_volume' }
+ * );
+ * // => { symbol: 'BTC', name: 'Bitcoin', price: 67000, volume_24h: 2.1e10 }
+ */
+export function toCoinModel(record, fieldMap = {}) {
+	if (typeof record?.symbol !== 'string' || !record.symbol) return null;
+
+	const coin = {};
+	for (const field of MODEL_FIELDS) {
+		const value = record[fieldMap[field] ?? field];
+		if (value != null) coin[field] = value;
+	}
+	coin.symbol = coin.symbol.toUpperCase();
+	return coin;
+}
+
+/**
+ * Joins the coins from several providers by symbol
+ *
+ * The first list decides which coins are returned, and in what order.
+ * Every field is taken from the first provider that has a value for it.
+ *
+ * @param {Object[]} lists - [{ provider, coins }] in priority order, where
+ *   `provider` is a provider ID and `coins` are model coins
+ * @returns {Object[]} The joined coins, each with `sources` ({ field: provider })
+ * @example
+ * joinCoins([
+ *   { provider: 'lunarcrush', coins: [{ symbol: 'BTC', sentiment: 81 }] },
+ *   { provider: 'static', coins: [{ symbol: 'BTC', price: 67000 }] },
+ * ]);
+ * // => [{ symbol: 'BTC', sentiment: 81, price: 67000,
+ * //       sources: { sentiment: 'lunarcrush', price: 'static' } }]
+ */
+export function joinCoins(lists) {
+	const [listed, ...others] = lists;
+	const lookups = others.map(({ provider, coins }) => ({
+		provider,
+		bySymbol: new Map(coins.map((coin) => [coin.symbol, coin])),
+	}));
+
+	return listed.coins.map((first) => {
+		const records = [
+			{ provider: listed.provider, coin: first },
+			...lookups.map(({ provider, bySymbol }) => ({
+				provider,
+				coin: bySymbol.get(first.symbol),
+			})),
+		];
+
+		// Step 1: Take each field from the first provider that has it
+		const coin = {};
+		const sources = {};
+		for (const { provider, coin: record } of records) {
+			if (!record) continue;
+			for (const [field, value] of Object.entries(record)) {
+				if (field in coin) continue;
+				coin[field] = value;
+				if (!COIN_FIELDS.identity.includes(field)) sources[field] = provider;
+			}
+		}
+
+		// Step 2: Say where the values came from
+		return { ...coin, sources };
+	});
+}
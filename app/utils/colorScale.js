@@ -0,0 +1,176 @@
+/**
+ * Metric Color Scales
+ * ===================
+ *
+ * Turns a metric value (e.g., a sentiment of 72) into a text color. Every
+ * view - grid, table, detail modal and coin page - colors scores through
+ * here, using the user's scale settings.
+ *
+ * Key concepts:
+ * 1. Thresholds - each metric has its own low / medium / high cut-offs
+ * 2. Modes - "bands" snaps to one of four colors, "gradient" blends
+ *    smoothly between them
+ * 3. Palettes - "standard" (red → green) or "colorblind" (vermillion → blue,
+ *    from the Okabe-Ito palette, which stays distinct for red-green
+ *    colorblindness)
+ *
+ * Colors are returned as hex strings for a `style={{ color }}` prop, because
+ * Tailwind can't build classes for colors blended at runtime.
+ */
+
+import { SENTIMENT_THRESHOLDS } from '../constants';
+
+// Color for missing values (Tailwind gray-400)
+export const NO_DATA_COLOR = '#9ca3af';
+
+// Four colors per palette: poor, medium, medium-high, high
+export const PALETTES = {
+	standard: {
+		label: 'Standard',
+		colors: ['#ef4444', '#eab308', '#3b82f6', '#22c55e'], // Tailwind red, yellow, blue, green
+	},
+	colorblind: {
+		label: 'Colorblind-safe',
+		colors: ['#d55e00', '#e69f00', '#56b4e9', '#0072b2'], // Okabe-Ito vermillion, orange, sky blue, blue
+	},
+};
+
+export const SCALE_MODES = {
+	bands: { label: 'Bands' },
+	gradient: { label: 'Gradient' },
+};
+
+// Metrics that can be colored, with the range their thresholds must fall in
+export const SCALE_METRICS = {
+	sentiment: { label: 'Sentiment', min: 0, max: 100 },
+	galaxy_score: { label: 'Galaxy Score', min: 0, max: 100 },
+};
+
+const defaultThresholds = {
+	low: SENTIMENT_THRESHOLDS.LOW,
+	medium: SENTIMENT_THRESHOLDS.MEDIUM,
+	high: SENTIMENT_THRESHOLDS.HIGH,
+};
+
+export const DEFAULT_SCALE_SETTINGS = {
+	mode: 'bands',
+	palette: 'standard',
+	thresholds: {
+		sentiment: defaultThresholds,
+		galaxy_score: defaultThresholds,
+	},
+};
+
+/**
+ * Checks that a metric's thresholds are numbers in order and in range
+ *
+ * @param {string} metric - A key of SCALE_METRICS
+ * @param {Object} thresholds - { low, medium, high }
+ * @returns {string|null} An error message, or null if the thresholds are valid
+ */
+export const validateThresholds = (metric, { low, medium, high }) => {
+	const { label, min, max } = SCALE_METRICS[metric];
+	if (
+		[low, medium, high].some(
+			(value) => typeof value !== 'number' || isNaN(value)
+		)
+	) {
+		return `${label}: enter a number for each threshold`;
+	}
+	if (!(low < medium && medium < high)) {
+		return `${label}: thresholds must go low < medium < high`;
+	}
+	if (low < min || high > max) {
+		return `${label}: thresholds must be between ${min} and ${max}`;
+	}
+	return null;
+};
+
+/**
+ * Fills in anything missing or invalid in stored settings with defaults
+ * (e.g., settings saved by an older version of the dashboard)
+ *
+ * @param {Object} stored - Settings from storage (may be partial)
+ * @returns {Object} Complete, valid settings
+ */
+export function normalizeScaleSettings(stored = {}) {
+	const thresholds = {};
+	for (const metric of Object.keys(SCALE_METRICS)) {
+		const candidate = stored.thresholds?.[metric];
+		thresholds[metric] =
+			candidate && !validateThresholds(metric, candidate)
+				? candidate
+				: DEFAULT_SCALE_SETTINGS.thresholds[metric];
+	}
+
+	return {
+		mode: SCALE_MODES[stored.mode] ? stored.mode : DEFAULT_SCALE_SETTINGS.mode,
+		palette: PALETTES[stored.palette]
+			? stored.palette
+			: DEFAULT_SCALE_SETTINGS.palette,
+		thresholds,
+	};
+}
+
+/**
+ * Blends two hex colors (t = 0 gives `from`, t = 1 gives `to`)
+ */
+const mix = (from, to, t) => {
+	const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+	return (
+		'#' +
+		[0, 1, 2]
+			.map((i) =>
+				Math.round(channel(from, i) + (channel(to, i) - channel(from, i)) * t)
+					.toString(16)
+					.padStart(2, '0')
+			)
+			.join('')
+	);
+};
+
+/**
+ * Picks the color for a metric value
+ *
+ * @param {string} metric - A key of SCALE_METRICS (e.g., 'sentiment')
+ * @param {number} value - The value to color
+ * @param {Object} settings - Scale settings (see DEFAULT_SCALE_SETTINGS)
+ * @returns {string} Hex color
+ * @example
+ * getScaleColor('sentiment', 72, DEFAULT_SCALE_SETTINGS); // => '#22c55e' (green)
+ * getScaleColor('sentiment', 72, { ...DEFAULT_SCALE_SETTINGS, palette: 'colorblind' }); // => '#0072b2' (blue)
+ */
+export function getScaleColor(
+	metric,
+	value,
+	settings = DEFAULT_SCALE_SETTINGS
+) {
+	if (value == null || !SCALE_METRICS[metric]) return NO_DATA_COLOR;
+
+	const { low, medium, high } = settings.thresholds[metric];
+	const [poor, mid, good, best] = PALETTES[settings.palette].colors;
+
+	// Discrete bands, same cut-offs as the original getSentimentColor
+	if (settings.mode === 'bands') {
+		if (value >= high) return best;
+		if (value >= medium) return good;
+		if (value >= low) return mid;
+		return poor;
+	}
+
+	// Gradient: poor at `low`, mid at `medium`, best at `high`, with `good`
+	// halfway between medium and high; clamped outside that range
+	const stops = [
+		[low, poor],
+		[medium, mid],
+		[(medium + high) / 2, good],
+		[high, best],
+	];
+	if (value <= low) return poor;
+	if (value >= high) return best;
+
+	const index = stops.findIndex(([at]) => value < at);
+	const [fromAt, fromColor] = stops[index - 1];
+	const [toAt, toColor] = stops[index];
+	return mix(fromColor, toColor, (value - fromAt) / (toAt - fromAt));
+}
@@ -0,0 +1,122 @@
+import { describe, expect, it } from 'vitest';
+import {
+	DEFAULT_SCALE_SETTINGS,
+	NO_DATA_COLOR,
+	PALETTES,
+	SCALE_METRICS,
+	getScaleColor,
+	normalizeScaleSettings,
+	validateThresholds,
+} from './colorScale';
+
+const [poor, mid, good, best] = PALETTES.standard.colors;
+const gradient = { ...DEFAULT_SCALE_SETTINGS, mode: 'gradient' };
+
+describe.each(Object.keys(SCALE_METRICS))('getScaleColor(%s)', (metric) => {
+	const { low, medium, high } = DEFAULT_SCALE_SETTINGS.thresholds[metric];
+	const { min, max } = SCALE_METRICS[metric];
+
+	it.each([
+		[low - 0.1, poor],
+		[low, mid],
+		[medium - 0.1, mid],
+		[medium, good],
+		[high - 0.1, good],
+		[high, best],
+	])('puts %s in the right band', (value, color) => {
+		expect(getScaleColor(metric, value)).toBe(color);
+	});
+
+	it('clamps values outside the metric range', () => {
+		expect(getScaleColor(metric, min - 20)).toBe(poor);
+		expect(getScaleColor(metric, max + 50)).toBe(best);
+		expect(getScaleColor(metric, min - 20, gradient)).toBe(poor);
+		expect(getScaleColor(metric, max + 50, gradient)).toBe(best);
+	});
+
+	it('has a no-data color for missing values', () => {
+		expect(getScaleColor(metric, null)).toBe(NO_DATA_COLOR);
+		expect(getScaleColor(metric, undefined, gradient)).toBe(NO_DATA_COLOR);
+	});
+
+	it('hits each palette color exactly at its gradient stop', () => {
+		expect(getScaleColor(metric, low, gradient)).toBe(poor);
+		expect(getScaleColor(metric, medium, gradient)).toBe(mid);
+		expect(getScaleColor(metric, (medium + high) / 2, gradient)).toBe(good);
+		expect(getScaleColor(metric, high, gradient)).toBe(best);
+	});
+});
+
+describe('getScaleColor', () => {
+	it('uses custom thresholds and palettes', () => {
+		const settings = {
+			...DEFAULT_SCALE_SETTINGS,
+			palette: 'colorblind',
+			thresholds: {
+				...DEFAULT_SCALE_SETTINGS.thresholds,
+				sentiment: { low: 10, medium: 20, high: 90 },
+			},
+		};
+		const colors = PALETTES.colorblind.colors;
+
+		expect(getScaleColor('sentiment', 20, settings)).toBe(colors[2]);
+		expect(getScaleColor('sentiment', 89, settings)).toBe(colors[2]);
+		expect(getScaleColor('sentiment', 90, settings)).toBe(colors[3]);
+		// Other metrics keep their own thresholds
+		expect(getScaleColor('galaxy_score', 20, settings)).toBe(colors[0]);
+	});
+
+	it('blends between stops in gradient mode', () => {
+		const color = getScaleColor('sentiment', 40, gradient);
+
+		expect(color).not.toBe(mid);
+		expect(color).not.toBe(poor);
+		expect(color).toMatch(/^#[0-9a-f]{6}$/);
+	});
+
+	it("doesn't color metrics without a scale", () => {
+		expect(getScaleColor('price', 67000)).toBe(NO_DATA_COLOR);
+	});
+});
+
+describe('validateThresholds', () => {
+	it('accepts ordered thresholds in range', () => {
+		expect(
+			validateThresholds('sentiment', { low: 0, medium: 50, high: 100 })
+		).toBeNull();
+	});
+
+	it('rejects missing, unordered and out-of-range thresholds', () => {
+		expect(
+			validateThresholds('sentiment', { low: NaN, medium: 50, high: 70 })
+		).toMatch(/enter a number/);
+		expect(
+			validateThresholds('sentiment', { low: 50, medium: 50, high: 70 })
+		).toMatch(/low < medium < high/);
+		expect(
+			validateThresholds('galaxy_score', { low: -1, medium: 50, high: 70 })
+		).toMatch(/between 0 and 100/);
+	});
+});
+
+describe('normalizeScaleSettings', () => {
+	it('replaces invalid stored settings with the defaults', () => {
+		const settings = normalizeScaleSettings({
+			mode: 'sparkles',
+			palette: 'colorblind',
+			thresholds: {
+				sentiment: { low: 80, medium: 50, high: 90 },
+				galaxy_score: { low: 10, medium: 20, high: 30 },
+			},
+		});
+
+		expect(settings).toEqual({
+			mode: 'bands',
+			palette: 'colorblind',
+			thresholds: {
+				sentiment: DEFAULT_SCALE_SETTINGS.thresholds.sentiment,
+				galaxy_score: { low: 10, medium: 20, high: 30 },
+			},
+		});
+	});
+});
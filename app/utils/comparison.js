@@ -0,0 +1,261 @@
+/**
+ * Coin Comparison
+ * ===============
+ *
+ * Pure functions for comparing 2-5 coins side by side: lining up their
+ * metrics, picking the best value of each, scaling them for the radar
+ * chart, and building the shareable /compare URL. Nothing in here touches
+ * React, storage or the network.
+ *
+ * Key concepts:
+ * 1. Each metric says whether higher or lower is better (`better`); metrics
+ *    without a direction (like price) are shown but never highlighted
+ * 2. Radar axes are scaled to 0-1 so coins of very different sizes fit on
+ *    one chart - scores use their fixed 0-100 range, everything else is
+ *    measured against the best of the compared coins
+ */
+
+import { SIDE_BY_SIDE_LIMITS } from '../constants';
+import { formatNumber, formatPrice } from './formatters';
+
+/**
+ * Formats a dominance, which LunarCrush already sends as a percentage
+ * (e.g., 35.2768 -> "35.28%")
+ */
+const formatDominance = (percent) =>
+	percent == null ? 'N/A' : `${percent.toFixed(2)}%`;
+
+// Metrics shown in the comparison, in display order
+//   better - 'high' or 'low' (omitted when no value is better than another)
+//   radar  - how the metric is scaled on the radar chart (omitted = not plotted)
+export const COMPARISON_METRICS = [
+	{
+		key: 'price',
+		label: 'Price',
+		format: (value) => `$${formatPrice(value)}`,
+	},
+	{
+		key: 'market_cap',
+		label: 'Market Cap',
+		better: 'high',
+		radar: 'log',
+		format: (value) => `$${formatNumber(value)}`,
+	},
+	{
+		key: 'sentiment',
+		label: 'Sentiment',
+		better: 'high',
+		radar: 'score',
+		scaleMetric: 'sentiment', // Colored with the user's scale settings
+	},
+	{
+		key: 'galaxy_score',
+		label: 'Galaxy Score',
+		better: 'high',
+		radar: 'score',
+		scaleMetric: 'galaxy_score',
+	},
+	{
+		key: 'alt_rank',
+		label: 'AltRank',
+		better: 'low', // Rank 1 is the best
+		radar: 'ratio',
+	},
+	{
+		key: 'alt_rank_movement',
+		label: 'AltRank Movement',
+		better: 'high',
+		// Places climbed since the previous AltRank (negative = fell)
+		getValue: (coin) =>
+			coin.alt_rank == null || coin.alt_rank_previous == null
+				? null
+				: coin.alt_rank_previous - coin.alt_rank,
+		format: (value) => `${value > 0 ? '+' : ''}${value.toLocaleString()}`,
+	},
+	{
+		key: 'social_dominance',
+		label: 'Social Dominance',
+		better: 'high',
+		radar: 'ratio',
+		format: formatDominance,
+	},
+	{
+		key: 'market_dominance',
+		label: 'Market Dominance',
+		better: 'high',
+		format: formatDominance,
+	},
+	{
+		key: 'interactions_24h',
+		label: 'Interactions (24h)',
+		better: 'high',
+		radar: 'log',
+		format: formatNumber,
+	},
+	{
+		key: 'volatility',
+		label: 'Volatility',
+		better: 'low', // Steadier prices are the safer bet
+		radar: 'ratio',
+		format: (value) => value.toFixed(4),
+	},
+];
+
+// Metrics plotted on the radar chart, in order around the circle
+export const RADAR_METRICS = COMPARISON_METRICS.filter(
+	(metric) => metric.radar
+);
+
+/**
+ * Reads a metric from a coin
+ *
+ * @param {Object} coin - Coin data
+ * @param {Object} metric - An entry of COMPARISON_METRICS
+ * @returns {number|null} The value, or null if the coin doesn't have it
+ */
+export const getMetricValue = (coin, metric) => {
+	const value = metric.getValue ? metric.getValue(coin) : coin[metric.key];
+	return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Formats a metric value for display
+ *
+ * @param {Object} metric - An entry of COMPARISON_METRICS
+ * @param {number|null} value - The value to format
+ * @returns {string} Formatted value, or N/A
+ */
+export const formatMetricValue = (metric, value) => {
+	if (value == null) return 'N/A';
+	return metric.format ? metric.format(value) : String(value);
+};
+
+/**
+ * Finds the best value of a metric among the compared coins
+ *
+ * Nothing is best when the metric has no direction, fewer than two coins
+ * have it, or every coin has the same value. Ties for best all count.
+ *
+ * @param {Object[]} coins - The compared coins
+ * @param {Object} metric - An entry of COMPARISON_METRICS
+ * @returns {number|null} The best value, or null
+ */
+export function findBestValue(coins, metric) {
+	if (!metric.better) return null;
+
+	const values = coins
+		.map((coin) => getMetricValue(coin, metric))
+		.filter((value) => value != null);
+	if (values.length < 2) return null;
+
+	const best =
+		metric.better === 'high' ? Math.max(...values) : Math.min(...values);
+	const worst =
+		metric.better === 'high' ? Math.min(...values) : Math.max(...values);
+	return best === worst ? null : best;
+}
+
+/**
+ * Lines up every metric for the compared coins
+ *
+ * @param {Object[]} coins - The compared coins, in display order
+ * @returns {Object[]} [{ metric, cells: [{ symbol, value, display, best }] }]
+ * @example
+ * buildComparison([{ symbol: 'BTC', sentiment: 80 }, { symbol: 'ETH', sentiment: 70 }]);
+ * // => [..., { metric: { key: 'sentiment', ... }, cells: [{ symbol: 'BTC', value: 80, best: true, ... }, ...] }, ...]
+ */
+export function buildComparison(coins) {
+	return COMPARISON_METRICS.map((metric) => {
+		const best = findBestValue(coins, metric);
+
+		return {
+			metric,
+			cells: coins.map((coin) => {
+				const value = getMetricValue(coin, metric);
+				return {
+					symbol: coin.symbol,
+					value,
+					display: formatMetricValue(metric, value),
+					best: best != null && value === best,
+				};
+			}),
+		};
+	});
+}
+
+/**
+ * Scales one value to 0-1 for the radar chart (1 = the best of the group)
+ */
+const scaleForRadar = (metric, value, values) => {
+	if (value == null) return 0;
+
+	switch (metric.radar) {
+		// Scores already share a fixed 0-100 range
+		case 'score':
+			return Math.min(Math.max(value / 100, 0), 1);
+
+		// Log scale, so a small cap next to Bitcoin isn't a dot in the middle
+		case 'log': {
+			const top = Math.log10(1 + Math.max(...values));
+			return top > 0 ? Math.log10(1 + Math.max(value, 0)) / top : 0;
+		}
+
+		// Share of the best value (inverted when lower is better)
+		default: {
+			if (metric.better === 'low') {
+				const lowest = Math.min(...values);
+				return value <= lowest ? 1 : lowest / value;
+			}
+			const highest = Math.max(...values);
+			return highest > 0 ? value / highest : 0;
+		}
+	}
+};
+
+/**
+ * Scales each coin's radar metrics to 0-1
+ *
+ * @param {Object[]} coins - The compared coins
+ * @returns {Object[]} [{ symbol, name, points: [0-1 per entry of RADAR_METRICS] }]
+ */
+export function buildRadarSeries(coins) {
+	const valuesByMetric = RADAR_METRICS.map((metric) =>
+		coins
+			.map((coin) => getMetricValue(coin, metric))
+			.filter((value) => value != null)
+	);
+
+	return coins.map((coin) => ({
+		symbol: coin.symbol,
+		name: coin.name,
+		points: RADAR_METRICS.map((metric, index) =>
+			scaleForRadar(metric, getMetricValue(coin, metric), valuesByMetric[index])
+		),
+	}));
+}
+
+/**
+ * Adds a coin to the comparison, or removes it if it's already there
+ *
+ * @param {string[]} symbols - Coins currently selected
+ * @param {string} symbol - Coin to toggle
+ * @returns {string[]} New selection (unchanged if it's already full)
+ */
+export function toggleCompareSymbol(symbols, symbol) {
+	const normalized = symbol.toUpperCase();
+	if (symbols.includes(normalized)) {
+		return symbols.filter((item) => item !== normalized);
+	}
+	return symbols.length < SIDE_BY_SIDE_LIMITS.MAX
+		? [...symbols, normalized]
+		: symbols;
+}
+
+/**
+ * Builds the shareable comparison URL
+ *
+ * @param {string[]} symbols - Coins to compare
+ * @returns {string} e.g., "/compare?symbols=BTC,ETH"
+ */
+export const getCompareHref = (symbols) =>
+	`/compare?symbols=${symbols.map(encodeURIComponent).join(',')}`;
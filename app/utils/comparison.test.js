@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest';
+import { buildComparison } from './comparison';
+import { getMockData } from '../data/mockData';
+
+const coins = getMockData().data.filter((coin) =>
+	['BTC', 'ETH'].includes(coin.symbol)
+);
+
+const cellsFor = (key) =>
+	buildComparison(coins).find((row) => row.metric.key === key).cells;
+
+describe('buildComparison', () => {
+	it('shows dominance as the percentage LunarCrush sends', () => {
+		expect(cellsFor('social_dominance').map((cell) => cell.display)).toEqual([
+			'35.28%',
+			'22.74%',
+		]);
+	});
+
+	it('marks the best value of each metric', () => {
+		const cells = cellsFor('alt_rank');
+
+		expect(cells.find((cell) => cell.best).symbol).toBe('BTC');
+	});
+});
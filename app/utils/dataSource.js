@@ -0,0 +1,150 @@
+/**
+ * Data Sources and Failures
+ * =========================
+ *
+ * Says where the coins on screen came from, and why when something failed,
+ * so a LunarCrush outage never quietly looks like demo mode.
+ *
+ * Key concepts:
+ * 1. Source - every /api/sentiment response carries `meta.source`: "live"
+ *    (fetched from LunarCrush just now), "cached" (served from the server
+ *    cache, possibly stale) or "static" (read from STATIC_COINS_FILE
+ *    because LunarCrush didn't answer). The client marks its fallback data
+ *    "mock".
+ * 2. Failure kinds - error codes from our routes (see utils/upstream.js)
+ *    are grouped into what the user can do about them: a missing API key,
+ *    a rejected key, a rate limit, LunarCrush being down, or the browser
+ *    not reaching our server at all.
+ * 3. Providers - coins are joined from one or more data providers (see
+ *    services/providers/). `meta.providers` says which of them answered,
+ *    and each coin's `sources` names the provider behind every field.
+ */
+
+export const DATA_SOURCES = {
+	live: { label: 'Live', description: 'Fetched from LunarCrush just now' },
+	cached: {
+		label: 'Cached',
+		description: 'Served from the server cache to save API quota',
+	},
+	static: {
+		label: 'Static file',
+		description:
+			"Read from the static coins file (STATIC_COINS_FILE) because LunarCrush didn't answer",
+	},
+	mock: {
+		label: 'Demo data',
+		description: 'Built-in sample data, shown because LunarCrush failed',
+	},
+};
+
+// Data providers, by the ID used in `meta.providers` and coin `sources`
+export const DATA_PROVIDERS = {
+	lunarcrush: {
+		label: 'LunarCrush',
+		description: 'Market and social metrics from the LunarCrush API',
+	},
+	static: {
+		label: 'Static file',
+		description: 'Coins read from the JSON file in STATIC_COINS_FILE',
+	},
+};
+
+/**
+ * Looks up a provider's display name
+ *
+ * @param {string} id - Provider ID (e.g., 'lunarcrush')
+ * @returns {string} Its label, or the ID for providers we don't know
+ */
+export const getProviderLabel = (id) => DATA_PROVIDERS[id]?.label ?? id;
+
+/**
+ * Builds the `meta` block for an API response from a cache result
+ *
+ * @param {Object} result - { status, age, source, providers } from loadCoinList
+ *   / the cache, where `source` is set by providers that aren't LunarCrush
+ * @returns {Object} { source, cache, age, stale, providers } (`providers` only when given)
+ * @example
+ * describeSource({ status: 'HIT', age: 12 });
+ * // => { source: 'cached', cache: 'HIT', age: 12, stale: false }
+ * describeSource({ status: 'MISS', age: 0, source: 'static' });
+ * // => { source: 'static', cache: 'MISS', age: 0, stale: false }
+ */
+export const describeSource = ({ status, age, source, providers }) => ({
+	source: source ?? (status === 'MISS' ? 'live' : 'cached'),
+	cache: status,
+	age,
+	stale: status === 'STALE',
+	...(providers && { providers }),
+});
+
+/**
+ * Lists the providers that failed for a response
+ *
+ * @param {Object} meta - `meta` from an API response (may be null)
+ * @returns {Object[]} [{ id, code }] of the providers that didn't answer
+ */
+export const getFailedProviders = (meta) =>
+	(meta?.providers ?? []).filter((provider) => !provider.ok);
+
+// What each kind of failure means for the user
+export const FAILURE_KINDS = {
+	'missing-key': {
+		title: 'No API key configured',
+		hint: 'Set LUNARCRUSH_API_TOKEN in .env.local and restart the server.',
+	},
+	auth: {
+		title: 'API key rejected',
+		hint: 'Check that your LunarCrush key is valid and that your plan includes this data.',
+	},
+	'rate-limited': {
+		title: 'Rate limit reached',
+		hint: 'LunarCrush is limiting requests for this key. Wait a moment, then refresh.',
+	},
+	upstream: {
+		title: 'LunarCrush is unavailable',
+		hint: 'LunarCrush timed out or returned an error. Try again in a few minutes.',
+	},
+	network: {
+		title: 'Network error',
+		hint: "Couldn't reach the dashboard server. Check your internet connection.",
+	},
+	invalid: {
+		title: 'Invalid request',
+		hint: 'One of the query parameters was rejected.',
+	},
+	server: {
+		title: 'Server error',
+		hint: 'The dashboard server failed unexpectedly. Check the server logs.',
+	},
+};
+
+/**
+ * Groups an error code into a kind of failure (a key of FAILURE_KINDS)
+ *
+ * @param {string} code - Error code from our API routes, or NETWORK_ERROR
+ * @returns {string} Failure kind
+ * @example
+ * getFailureKind('UPSTREAM_TIMEOUT'); // => 'upstream'
+ */
+export function getFailureKind(code) {
+	if (code === 'MISSING_API_KEY') return 'missing-key';
+	if (code === 'UPSTREAM_UNAUTHORIZED' || code === 'UPSTREAM_FORBIDDEN') {
+		return 'auth';
+	}
+	if (code === 'UPSTREAM_RATE_LIMITED') return 'rate-limited';
+	if (code?.startsWith('UPSTREAM_')) return 'upstream';
+	if (code === 'NETWORK_ERROR') return 'network';
+	if (code === 'INVALID_PARAMETER') return 'invalid';
+	return 'server';
+}
+
+/**
+ * Describes a failure for display
+ *
+ * @param {Object} failure - { code, message } (e.g., an ApiError)
+ * @returns {Object} { kind, title, message, hint }
+ */
+export function describeFailure({ code, message }) {
+	const kind = getFailureKind(code);
+	return { kind, ...FAILURE_KINDS[kind], message };
+}
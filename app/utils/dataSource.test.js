@@ -0,0 +1,35 @@
+import { describe, expect, it } from 'vitest';
+import { describeSource } from './dataSource';
+
+describe('describeSource', () => {
+	it('calls fresh LunarCrush data live', () => {
+		expect(describeSource({ status: 'MISS', age: 0 }).source).toBe('live');
+	});
+
+	it('calls cache hits cached, and says when they are stale', () => {
+		expect(describeSource({ status: 'HIT', age: 12 })).toEqual({
+			source: 'cached',
+			cache: 'HIT',
+			age: 12,
+			stale: false,
+		});
+		expect(describeSource({ status: 'STALE', age: 400 }).stale).toBe(true);
+	});
+
+	it("keeps a provider's own source", () => {
+		const providers = [
+			{ id: 'lunarcrush', ok: false, code: 'UPSTREAM_UNAVAILABLE' },
+			{ id: 'static', ok: true },
+		];
+
+		expect(
+			describeSource({ status: 'MISS', age: 0, source: 'static', providers })
+		).toEqual({
+			source: 'static',
+			cache: 'MISS',
+			age: 0,
+			stale: false,
+			providers,
+		});
+	});
+});
@@ -0,0 +1,140 @@
+/**
+ * Snapshot Diffing
+ * ================
+ *
+ * Compares two coin lists and describes what changed, so the live stream
+ * only has to send the coins that actually moved, and so Compare mode can
+ * show how recorded snapshots differ.
+ */
+
+/**
+ * Compares two coin lists by symbol
+ *
+ * @param {Object[]} previous - The last snapshot that was sent
+ * @param {Object[]} next - The new snapshot
+ * @returns {Object} {
+ *   changed: coins that are new or have at least one different field,
+ *   removed: symbols that are no longer in the list,
+ *   order: symbols of `next`, in order (the list may have been re-sorted)
+ * }
+ */
+export function diffCoinLists(previous, next) {
+	const previousBySymbol = new Map(
+		previous.map((coin) => [coin.symbol, JSON.stringify(coin)])
+	);
+	const nextSymbols = new Set(next.map((coin) => coin.symbol));
+
+	return {
+		changed: next.filter(
+			(coin) => previousBySymbol.get(coin.symbol) !== JSON.stringify(coin)
+		),
+		removed: previous
+			.map((coin) => coin.symbol)
+			.filter((symbol) => !nextSymbols.has(symbol)),
+		order: next.map((coin) => coin.symbol),
+	};
+}
+
+/**
+ * Lists the fields that differ between two versions of a coin
+ *
+ * @param {Object} before - Previous version (may be undefined for new coins)
+ * @param {Object} after - New version
+ * @returns {string[]} Names of fields whose values changed
+ */
+export function changedFields(before, after) {
+	if (!before) return [];
+	return Object.keys(after).filter(
+		(field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+	);
+}
+
+/**
+ * Difference between two numbers, or null if either is missing
+ */
+const delta = (before, after) =>
+	before == null || after == null ? null : after - before;
+
+/**
+ * Compares two recorded snapshots coin by coin
+ *
+ * Positions are 1-based places in each list, so a positive `positionChange`
+ * means the coin climbed. AltRank works the same way (1 is best), so a
+ * positive `altRankChange` is an improvement.
+ *
+ * @param {Object[]} older - Coins from the earlier snapshot, in list order
+ * @param {Object[]} newer - Coins from the later snapshot, in list order
+ * @returns {Object} {
+ *   rows: one row per coin - coins in `newer` first (in order), then dropouts,
+ *   entrants: symbols only in `newer`,
+ *   dropouts: symbols only in `older`
+ * }
+ * @example
+ * const { rows } = compareSnapshots(monday.data, tuesday.data);
+ * // rows[0] => { symbol: 'BTC', status: 'kept', positionBefore: 3, positionAfter: 1,
+ * //              positionChange: 2, sentimentDelta: 4.5, altRankChange: 12, ... }
+ */
+export function compareSnapshots(older, newer) {
+	const olderBySymbol = new Map(
+		older.map((coin, index) => [coin.symbol, { coin, position: index + 1 }])
+	);
+	const newerSymbols = new Set(newer.map((coin) => coin.symbol));
+
+	// Step 1: Every coin in the newer list, matched with its older self
+	const current = newer.map((coin, index) => {
+		const before = olderBySymbol.get(coin.symbol);
+		const position = index + 1;
+		return {
+			symbol: coin.symbol,
+			name: coin.name,
+			status: before ? 'kept' : 'new',
+			positionBefore: before?.position ?? null,
+			positionAfter: position,
+			positionChange: before ? before.position - position : null,
+			sentimentBefore: before?.coin.sentiment ?? null,
+			sentimentAfter: coin.sentiment ?? null,
+			sentimentDelta: delta(before?.coin.sentiment, coin.sentiment),
+			altRankBefore: before?.coin.alt_rank ?? null,
+			altRankAfter: coin.alt_rank ?? null,
+			altRankChange: delta(coin.alt_rank, before?.coin.alt_rank),
+		};
+	});
+
+	// Step 2: Coins that fell out of the list
+	const dropped = older
+		.filter((coin) => !newerSymbols.has(coin.symbol))
+		.map((coin) => ({
+			symbol: coin.symbol,
+			name: coin.name,
+			status: 'dropped',
+			positionBefore: olderBySymbol.get(coin.symbol).position,
+			positionAfter: null,
+			positionChange: null,
+			sentimentBefore: coin.sentiment ?? null,
+			sentimentAfter: null,
+			sentimentDelta: null,
+			altRankBefore: coin.alt_rank ?? null,
+			altRankAfter: null,
+			altRankChange: null,
+		}));
+
+	return {
+		rows: [...current, ...dropped],
+		entrants: current
+			.filter((row) => row.status === 'new')
+			.map((row) => row.symbol),
+		dropouts: dropped.map((row) => row.symbol),
+	};
+}
+
+/**
+ * Returns the classes for a value that may have just changed on the live stream
+ *
+ * @param {string[]} fields - Fields of the coin that just changed (may be undefined)
+ * @param {string} field - The field being shown (e.g., 'price')
+ * @returns {string} A highlight class if `field` changed, otherwise just the transition
+ */
+export const highlightClass = (fields, field) =>
+	fields?.includes(field)
+		? 'bg-yellow-400/20 rounded transition-colors'
+		: 'transition-colors';
@@ -0,0 +1,165 @@
+/**
+ * Embeddable Widget
+ * =================
+ *
+ * Pure helpers for the /embed widget: formatting its metrics, and the
+ * postMessage protocol a host page uses to talk to the widget's iframe.
+ *
+ * Every message (in either direction) is a plain object tagged with
+ * `source: EMBED_MESSAGE_SOURCE`, so the widget and the host can ignore
+ * messages from other scripts on the page:
+ *
+ *   // Host -> widget
+ *   iframe.contentWindow.postMessage(
+ *     { source: 'crypto-sentiment-widget', type: 'setSymbols', symbols: ['BTC', 'ETH'] },
+ *     'https://dashboard.example.com'
+ *   );
+ *
+ *   // Widget -> host
+ *   { source: 'crypto-sentiment-widget', type: 'update', symbols: ['BTC', 'ETH'], generated: 1718000000 }
+ *
+ * Key concepts:
+ * 1. Host messages are checked with the same rules as the widget URL, so a
+ *    host can't ask for something the URL wouldn't allow
+ * 2. EMBED_ALLOWED_ORIGINS limits which sites may send commands; without
+ *    it any site can (the data is public market data)
+ */
+
+import { EMBED_METRICS, EMBED_SETTINGS, EMBED_THEMES } from '../constants';
+import { ValidationError, listOf, oneOf, symbolList } from './validation';
+import { formatNumber, formatPercentage, formatPrice } from './formatters';
+
+// Tag on every widget message
+export const EMBED_MESSAGE_SOURCE = 'crypto-sentiment-widget';
+
+// Formatting for each of EMBED_METRICS
+//   scaleMetric - colored with the user's scale settings
+//   signed      - green when above 0, red when below
+const METRIC_FORMATS = {
+	price: { format: (value) => `$${formatPrice(value)}` },
+	percent_change_24h: { format: formatPercentage, signed: true },
+	percent_change_7d: { format: formatPercentage, signed: true },
+	sentiment: { format: (value) => value.toFixed(1), scaleMetric: 'sentiment' },
+	galaxy_score: {
+		format: (value) => value.toFixed(1),
+		scaleMetric: 'galaxy_score',
+	},
+	alt_rank: { format: (value) => `#${value.toLocaleString()}` },
+	market_cap: { format: (value) => `$${formatNumber(value)}` },
+	volume_24h: { format: (value) => `$${formatNumber(value)}` },
+	social_dominance: { format: (value) => `${value.toFixed(2)}%` },
+};
+
+/**
+ * Looks up how to show a widget metric
+ *
+ * @param {string} key - A key of EMBED_METRICS
+ * @returns {Object} { key, label, format, scaleMetric, signed }
+ */
+export const getEmbedMetric = (key) => ({
+	...EMBED_METRICS.find((metric) => metric.key === key),
+	...METRIC_FORMATS[key],
+});
+
+/**
+ * Formats a coin's value for a widget metric
+ *
+ * @param {string} key - A key of EMBED_METRICS
+ * @param {number} value - The coin's value
+ * @returns {string} Display text ('N/A' when missing)
+ */
+export const formatEmbedMetric = (key, value) =>
+	value == null ? 'N/A' : METRIC_FORMATS[key].format(value);
+
+// Rules for each command a host can send (the field holding its value)
+const HOST_COMMANDS = {
+	setSymbols: {
+		field: 'symbols',
+		rule: symbolList({ max: EMBED_SETTINGS.MAX_COINS }),
+	},
+	setMetrics: {
+		field: 'metrics',
+		rule: listOf(EMBED_METRICS.map((metric) => metric.key)),
+	},
+	setTheme: { field: 'theme', rule: oneOf(EMBED_THEMES) },
+	refresh: {},
+};
+
+/**
+ * Reads a command a host page sent to the widget
+ *
+ * Lists may be arrays or comma-separated strings, like in the widget URL.
+ *
+ * @param {*} data - `event.data` from a message event
+ * @returns {Object|null} { type, value }, or null if the message isn't for the widget
+ * @throws {ValidationError} When a widget message is unknown or its value is invalid
+ * @example
+ * parseHostMessage({ source: EMBED_MESSAGE_SOURCE, type: 'setSymbols', symbols: ['btc'] });
+ * // => { type: 'setSymbols', value: ['BTC'] }
+ */
+export function parseHostMessage(data) {
+	if (data?.source !== EMBED_MESSAGE_SOURCE) return null;
+
+	const command = HOST_COMMANDS[data.type];
+	if (!command) {
+		throw new ValidationError(
+			'type',
+			`type must be one of: ${Object.keys(HOST_COMMANDS).join(', ')}`
+		);
+	}
+	if (!command.field) return { type: data.type, value: null };
+
+	// Step 1: Accept arrays as well as comma-separated strings
+	const raw = data[command.field];
+	const text = Array.isArray(raw) ? raw.join(',') : raw;
+	if (text != null && typeof text !== 'string') {
+		throw new ValidationError(
+			command.field,
+			`${command.field} must be a string or an array of strings`
+		);
+	}
+
+	// Step 2: Check it with the widget URL's rule
+	const value = command.rule(text, command.field);
+	if (value == null) {
+		throw new ValidationError(command.field, `${command.field} is required`);
+	}
+	return { type: data.type, value };
+}
+
+/**
+ * Builds a message for the host page
+ *
+ * @param {string} type - Message type (e.g., 'ready', 'update', 'error')
+ * @param {Object} payload - Extra fields
+ * @returns {Object} The tagged message
+ */
+export const createWidgetMessage = (type, payload = {}) => ({
+	source: EMBED_MESSAGE_SOURCE,
+	type,
+	...payload,
+});
+
+/**
+ * Parses EMBED_ALLOWED_ORIGINS
+ *
+ * @param {string} raw - Comma-separated origins (e.g., "https://a.com,https://b.com")
+ * @returns {string[]|null} The origins, or null when any site is allowed
+ */
+export function parseAllowedOrigins(raw) {
+	const origins = (raw ?? '')
+		.split(',')
+		.map((origin) => origin.trim().replace(/\/+$/, ''))
+		.filter(Boolean);
+	return origins.length > 0 && !origins.includes('*') ? origins : null;
+}
+
+/**
+ * Checks whether a site may send commands to the widget
+ *
+ * @param {string} origin - `event.origin` from a message event
+ * @param {string[]|null} allowedOrigins - From parseAllowedOrigins
+ * @returns {boolean}
+ */
+export const isAllowedOrigin = (origin, allowedOrigins) =>
+	allowedOrigins == null || allowedOrigins.includes(origin);
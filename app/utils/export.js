@@ -0,0 +1,131 @@
+/**
+ * Coin Data Export
+ * ================
+ *
+ * Turns a list of coins into a downloadable CSV, JSON or Excel file.
+ * The dashboard's Export menu and the /api/sentiment/export route both use
+ * these functions, so a file looks the same wherever it came from.
+ *
+ * Values are exported raw (e.g., 105000.12 rather than "$105,000.12") so
+ * spreadsheets can sort and sum them.
+ */
+
+import { EXPORT_COLUMNS, EXPORT_FORMATS } from '../constants';
+import { buildWorkbook } from './xlsx';
+
+/**
+ * Looks up column definitions for a list of column keys
+ * Unknown keys are ignored and the order of `keys` is kept.
+ *
+ * @param {string[]} keys - Column keys (e.g., ['symbol', 'price'])
+ * @returns {Object[]} [{ key, label }]
+ */
+export const getExportColumns = (keys) =>
+	keys
+		.map((key) => EXPORT_COLUMNS.find((column) => column.key === key))
+		.filter(Boolean);
+
+/**
+ * Reads a coin's value for a column (arrays like categories become "a, b")
+ */
+const cellValue = (coin, key) => {
+	const value = coin[key];
+	return Array.isArray(value) ? value.join(', ') : (value ?? null);
+};
+
+// Spreadsheets run text starting with these as a formula (CSV injection -
+// OWASP lists tab and carriage return too)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quotes a CSV field when it contains a comma, quote or line break
+ * Text that a spreadsheet would run as a formula gets a leading ' so it's
+ * shown as text; numbers are left alone so negative values stay numeric.
+ */
+const csvField = (value) => {
+	if (value == null) return '';
+	const text =
+		typeof value === 'string' && FORMULA_PREFIX.test(value)
+			? `'${value}`
+			: String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds a CSV file with a header row
+ *
+ * @param {Object[]} coins - Coins in the order they should appear
+ * @param {Object[]} columns - Column definitions from getExportColumns
+ * @returns {string} CSV text
+ */
+export const toCSV = (coins, columns) =>
+	[
+		columns.map((column) => csvField(column.label)),
+		...coins.map((coin) =>
+			columns.map((column) => csvField(cellValue(coin, column.key)))
+		),
+	]
+		.map((row) => row.join(','))
+		.join('\r\n');
+
+/**
+ * Builds a pretty-printed JSON array containing only the chosen columns
+ *
+ * @param {Object[]} coins - Coins in the order they should appear
+ * @param {Object[]} columns - Column definitions from getExportColumns
+ * @returns {string} JSON text
+ */
+export const toJSON = (coins, columns) =>
+	JSON.stringify(
+		coins.map((coin) =>
+			Object.fromEntries(
+				columns.map((column) => [column.key, coin[column.key] ?? null])
+			)
+		),
+		null,
+		2
+	);
+
+/**
+ * Builds an Excel workbook with a header row
+ *
+ * @param {Object[]} coins - Coins in the order they should appear
+ * @param {Object[]} columns - Column definitions from getExportColumns
+ * @returns {Uint8Array} .xlsx file contents
+ */
+export const toXLSX = (coins, columns) =>
+	buildWorkbook(
+		[
+			columns.map((column) => column.label),
+			...coins.map((coin) =>
+				columns.map((column) => cellValue(coin, column.key))
+			),
+		],
+		{ sheetName: 'Coins' }
+	);
+
+/**
+ * Builds an export file in the requested format
+ *
+ * @param {Object[]} coins - Coins in the order they should appear
+ * @param {Object} options
+ * @param {string} options.format - A key of EXPORT_FORMATS ('csv', 'json' or 'xlsx')
+ * @param {string[]} options.columns - Column keys to include
+ * @returns {Object} { body, mimeType, filename }
+ * @example
+ * const file = buildExport(data, { format: 'csv', columns: ['symbol', 'price'] });
+ * // => { body: 'Symbol,Price (USD)\r\nBTC,105000.12', mimeType: 'text/csv; charset=utf-8', filename: 'crypto-sentiment-2025-06-04.csv' }
+ */
+export function buildExport(coins, { format, columns }) {
+	const { extension, mimeType } = EXPORT_FORMATS[format];
+	const selected = getExportColumns(columns);
+	const serializers = { csv: toCSV, json: toJSON, xlsx: toXLSX };
+
+	return {
+		body: serializers[format](coins, selected),
+		mimeType,
+		filename: `crypto-sentiment-${new Date()
+			.toISOString()
+			.slice(0, 10)}.${extension}`,
+	};
+}
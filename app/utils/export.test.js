@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { getExportColumns, toCSV } from './export';
+
+describe('toCSV', () => {
+	const columns = getExportColumns(['symbol', 'name', 'percent_change_24h']);
+
+	it('writes a header row and quotes fields that need it', () => {
+		const csv = toCSV(
+			[
+				{
+					symbol: 'BTC',
+					name: 'Bitcoin, "digital gold"',
+					percent_change_24h: 1.5,
+				},
+			],
+			columns
+		);
+
+		expect(csv).toBe(
+			'Symbol,Name,24h Change (%)\r\nBTC,"Bitcoin, ""digital gold""",1.5'
+		);
+	});
+
+	it('escapes text a spreadsheet would run as a formula', () => {
+		const csv = toCSV(
+			[
+				{ symbol: '=1+1', name: '+SUM(A1)', percent_change_24h: null },
+				{ symbol: '-2', name: '@cmd', percent_change_24h: null },
+			],
+			columns
+		);
+
+		expect(csv.split('\r\n').slice(1)).toEqual([
+			"'=1+1,'+SUM(A1),",
+			"'-2,'@cmd,",
+		]);
+	});
+
+	it('escapes text starting with a tab or carriage return', () => {
+		const csv = toCSV(
+			[{ symbol: '\t=1+1', name: '\r=cmd', percent_change_24h: null }],
+			columns
+		);
+
+		expect(csv.split('\r\n')[1]).toBe(`'\t=1+1,"'\r=cmd",`);
+	});
+
+	it('keeps negative numbers numeric', () => {
+		const csv = toCSV(
+			[{ symbol: 'ETH', name: 'Ethereum', percent_change_24h: -3.2 }],
+			columns
+		);
+
+		expect(csv.split('\r\n')[1]).toBe('ETH,Ethereum,-3.2');
+	});
+});
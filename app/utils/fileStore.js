@@ -0,0 +1,176 @@
+/**
+ * JSON File Store
+ * ===============
+ *
+ * Server-only helpers for keeping small amounts of data in a JSON file on
+ * disk. Good enough for a single team dashboard; not meant to replace a
+ * database.
+ *
+ * Writes go to a temporary file first and are then renamed into place, so a
+ * crash mid-write never leaves a half-written file behind.
+ *
+ * For data that mostly grows (like snapshots), JSON-lines files hold one
+ * JSON value per line, so new entries can be appended without rewriting the
+ * file. Each line's byte range is known (see readJsonLineEntries), so a
+ * caller can keep an index and read single entries back with readTextRange.
+ */
+
+import { promises as fs } from 'fs';
+import { randomUUID } from 'crypto';
+import path from 'path';
+
+/**
+ * Reads and parses a JSON file
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} fallback - Value returned if the file doesn't exist yet
+ * @returns {Promise<*>} The parsed contents or the fallback
+ */
+export async function readJsonFile(filePath, fallback) {
+	try {
+		const contents = await fs.readFile(filePath, 'utf8');
+		return JSON.parse(contents);
+	} catch (error) {
+		// A missing file just means nothing has been saved yet
+		if (error.code === 'ENOENT') return fallback;
+		throw error;
+	}
+}
+
+/**
+ * Writes a value to a JSON file, creating parent folders as needed
+ *
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} value - Any JSON-serializable value
+ * @returns {Promise<void>}
+ */
+export async function writeJsonFile(filePath, value) {
+	await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+	// Unique per write, so two writes in flight never share a temp file
+	const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+	await fs.writeFile(tempPath, JSON.stringify(value, null, 2));
+	await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Reads every entry from a JSON-lines file, with where each line sits
+ * A partially written last line (e.g., after a crash) is skipped.
+ *
+ * @param {string} filePath - Path to the .jsonl file
+ * @returns {Promise<Object>} { entries, size } where entries are
+ *   [{ value, offset, length }] oldest first (offset and length in bytes,
+ *   without the newline) and size is the file's length in bytes
+ */
+export async function readJsonLineEntries(filePath) {
+	const contents = await readTextFile(filePath);
+	const entries = [];
+	let offset = 0;
+	for (const line of contents.split('\n')) {
+		const length = Buffer.byteLength(line);
+		if (line.trim()) {
+			try {
+				entries.push({ value: JSON.parse(line), offset, length });
+			} catch {
+				console.warn(`Skipping unreadable line in ${filePath}`);
+			}
+		}
+		offset += length + 1;
+	}
+	return { entries, size: Buffer.byteLength(contents) };
+}
+
+/**
+ * Reads every entry from a JSON-lines file
+ * A partially written last line (e.g., after a crash) is skipped.
+ *
+ * @param {string} filePath - Path to the .jsonl file
+ * @returns {Promise<Object[]>} Parsed entries, oldest first ([] if the file doesn't exist)
+ */
+export async function readJsonLines(filePath) {
+	const { entries } = await readJsonLineEntries(filePath);
+	return entries.map((entry) => entry.value);
+}
+
+/**
+ * Replaces a JSON-lines file with the given entries (through a temp file,
+ * like writeJsonFile)
+ *
+ * @param {string} filePath - Path to the .jsonl file
+ * @param {*[]} values - JSON-serializable values, one per line
+ * @returns {Promise<void>}
+ */
+export async function writeJsonLines(filePath, values) {
+	await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+	const tempPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+	await fs.writeFile(
+		tempPath,
+		values.map((value) => JSON.stringify(value) + '\n').join('')
+	);
+	await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Reads part of a text file
+ *
+ * @param {string} filePath - Path to the file
+ * @param {number} offset - Where to start, in bytes
+ * @param {number} length - How many bytes to read
+ * @returns {Promise<string>} The text in that range
+ */
+export async function readTextRange(filePath, offset, length) {
+	const file = await fs.open(filePath, 'r');
+	try {
+		const buffer = Buffer.alloc(length);
+		const { bytesRead } = await file.read(buffer, 0, length, offset);
+		return buffer.toString('utf8', 0, bytesRead);
+	} finally {
+		await file.close();
+	}
+}
+
+/**
+ * Appends one entry to a JSON-lines file, creating it as needed
+ * If the file ends in a partially written line (e.g., after a crash), the
+ * entry starts on a new line instead of being joined onto it.
+ *
+ * @param {string} filePath - Path to the .jsonl file
+ * @param {*} value - Any JSON-serializable value
+ * @returns {Promise<Object>} { offset, length } of the new line, in bytes
+ *   (without the newline)
+ */
+export async function appendJsonLine(filePath, value) {
+	await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+	const file = await fs.open(filePath, 'a+');
+	try {
+		// Step 1: Check that the file ends with a complete line
+		const { size } = await file.stat();
+		let prefix = '';
+		if (size > 0) {
+			const last = Buffer.alloc(1);
+			await file.read(last, 0, 1, size - 1);
+			if (last[0] !== 0x0a) prefix = '\n';
+		}
+
+		// Step 2: Append the entry on a line of its own
+		const line = JSON.stringify(value);
+		await file.write(prefix + line + '\n');
+		return { offset: size + prefix.length, length: Buffer.byteLength(line) };
+	} finally {
+		await file.close();
+	}
+}
+
+/**
+ * Reads a text file, treating a missing file as empty
+ */
+async function readTextFile(filePath) {
+	try {
+		return await fs.readFile(filePath, 'utf8');
+	} catch (error) {
+		if (error.code === 'ENOENT') return '';
+		throw error;
+	}
+}
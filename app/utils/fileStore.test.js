@@ -0,0 +1,33 @@
+// @vitest-environment node
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, it } from 'vitest';
+import { appendJsonLine, readJsonLines, readTextRange } from './fileStore';
+
+const file = path.join(os.tmpdir(), `file-store-${process.pid}.jsonl`);
+
+describe('appendJsonLine', () => {
+	afterEach(() => fs.rm(file, { force: true }));
+
+	it('appends lines and says where each one is', async () => {
+		await appendJsonLine(file, { id: 1 });
+		const { offset, length } = await appendJsonLine(file, { id: 2 });
+
+		expect(await readJsonLines(file)).toEqual([{ id: 1 }, { id: 2 }]);
+		expect(JSON.parse(await readTextRange(file, offset, length))).toEqual({
+			id: 2,
+		});
+	});
+
+	it('starts a new line after a partially written one', async () => {
+		await fs.writeFile(file, '{"id":1}\n{"id":');
+
+		const { offset, length } = await appendJsonLine(file, { id: 3 });
+
+		expect(await readJsonLines(file)).toEqual([{ id: 1 }, { id: 3 }]);
+		expect(JSON.parse(await readTextRange(file, offset, length))).toEqual({
+			id: 3,
+		});
+	});
+});
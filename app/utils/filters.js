@@ -0,0 +1,206 @@
+/**
+ * Coin List Filters
+ * =================
+ *
+ * Pure functions behind the filter bar: search, facets (categories and
+ * blockchains) and numeric ranges. Filters are applied in the browser to
+ * whatever coins are loaded, and can be written to / read from the URL
+ * query string so a filtered view can be shared.
+ *
+ * Filter state looks like this:
+ *
+ *   {
+ *     search: 'sol',
+ *     categories: ['defi'],
+ *     networks: ['ethereum'],
+ *     types: ['layer1'],
+ *     ranges: { sentiment: { min: 60 }, market_cap: { min: 1e9, max: 1e11 } },
+ *   }
+ */
+
+import { FILTER_RANGES } from '../constants';
+
+export const EMPTY_FILTERS = {
+	search: '',
+	categories: [],
+	networks: [],
+	types: [],
+	ranges: {},
+};
+
+/**
+ * Reads a coin's categories as a list
+ * LunarCrush sends them as a comma-separated string (e.g., "defi,layer-1").
+ *
+ * @param {Object} coin - Coin object
+ * @returns {string[]} Category names
+ */
+export const getCoinCategories = (coin) =>
+	(Array.isArray(coin.categories)
+		? coin.categories
+		: (coin.categories || '').split(',')
+	)
+		.map((category) => category.trim())
+		.filter(Boolean);
+
+/**
+ * Reads the distinct values of one blockchain field (network or type)
+ */
+const getChainValues = (coin, field) => [
+	...new Set(
+		(coin.blockchains || []).map((chain) => chain[field]).filter(Boolean)
+	),
+];
+
+/**
+ * True if any filter is set
+ *
+ * @param {Object} filters - Filter state
+ * @returns {boolean}
+ */
+export const hasActiveFilters = (filters) =>
+	Boolean(filters.search.trim()) ||
+	filters.categories.length > 0 ||
+	filters.networks.length > 0 ||
+	filters.types.length > 0 ||
+	Object.keys(filters.ranges).length > 0;
+
+/**
+ * Checks a single coin against the filters
+ * Within a facet any selected value may match; across filters all must match.
+ */
+const matchesFilters = (coin, filters) => {
+	// Step 1: Search symbol, name and topic
+	const search = filters.search.trim().toLowerCase();
+	if (
+		search &&
+		![coin.symbol, coin.name, coin.topic].some((text) =>
+			text?.toLowerCase().includes(search)
+		)
+	) {
+		return false;
+	}
+
+	// Step 2: Facets
+	const facets = [
+		[filters.categories, getCoinCategories(coin)],
+		[filters.networks, getChainValues(coin, 'network')],
+		[filters.types, getChainValues(coin, 'type')],
+	];
+	for (const [selected, values] of facets) {
+		if (selected.length > 0 && !selected.some((v) => values.includes(v))) {
+			return false;
+		}
+	}
+
+	// Step 3: Ranges (coins without a value can't be in range)
+	for (const [key, { min, max }] of Object.entries(filters.ranges)) {
+		const value = coin[key];
+		if (value == null) return false;
+		if (min != null && value < min) return false;
+		if (max != null && value > max) return false;
+	}
+
+	return true;
+};
+
+/**
+ * Filters a coin list, keeping its order
+ *
+ * @param {Object[]} coins - Coins to filter
+ * @param {Object} filters - Filter state
+ * @returns {Object[]} Coins that match every filter
+ * @example
+ * applyFilters(mockData.data, { ...EMPTY_FILTERS, search: 'bit' });
+ * // => [{ symbol: 'BTC', name: 'Bitcoin', ... }]
+ */
+export function applyFilters(coins, filters) {
+	if (!hasActiveFilters(filters)) return coins;
+	return coins.filter((coin) => matchesFilters(coin, filters));
+}
+
+/**
+ * Counts the facet values present in a coin list
+ *
+ * @param {Object[]} coins - Loaded coins
+ * @returns {Object} { categories, networks, types } - each [{ value, count }], most common first
+ */
+export function getFacets(coins) {
+	const count = (getValues) => {
+		const counts = new Map();
+		coins.forEach((coin) =>
+			getValues(coin).forEach((value) =>
+				counts.set(value, (counts.get(value) || 0) + 1)
+			)
+		);
+		return [...counts]
+			.map(([value, total]) => ({ value, count: total }))
+			.sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+	};
+
+	return {
+		categories: count(getCoinCategories),
+		networks: count((coin) => getChainValues(coin, 'network')),
+		types: count((coin) => getChainValues(coin, 'type')),
+	};
+}
+
+/**
+ * Writes filters to URL query parameters
+ * e.g., ?q=sol&categories=defi&sentiment_min=60
+ *
+ * @param {Object} filters - Filter state
+ * @param {URLSearchParams} params - Existing parameters to update (others are kept)
+ * @returns {URLSearchParams} The updated parameters
+ */
+export function filtersToQuery(filters, params = new URLSearchParams()) {
+	const set = (name, value) =>
+		value === '' || value == null
+			? params.delete(name)
+			: params.set(name, value);
+
+	set('q', filters.search.trim());
+	set('categories', filters.categories.join(','));
+	set('networks', filters.networks.join(','));
+	set('types', filters.types.join(','));
+	FILTER_RANGES.forEach(({ key }) => {
+		set(`${key}_min`, filters.ranges[key]?.min);
+		set(`${key}_max`, filters.ranges[key]?.max);
+	});
+	return params;
+}
+
+/**
+ * Reads filters from URL query parameters
+ * Unknown or malformed values are ignored rather than rejected.
+ *
+ * @param {URLSearchParams} params - Parameters from the page URL
+ * @returns {Object} Filter state
+ */
+export function filtersFromQuery(params) {
+	const list = (name) =>
+		(params.get(name) || '')
+			.split(',')
+			.map((value) => value.trim())
+			.filter(Boolean);
+	const number = (name) => {
+		const value = params.get(name);
+		return value === null || value === '' || isNaN(Number(value))
+			? undefined
+			: Number(value);
+	};
+
+	const ranges = {};
+	FILTER_RANGES.forEach(({ key }) => {
+		const range = { min: number(`${key}_min`), max: number(`${key}_max`) };
+		if (range.min != null || range.max != null) ranges[key] = range;
+	});
+
+	return {
+		search: params.get('q') || '',
+		categories: list('categories'),
+		networks: list('networks'),
+		types: list('types'),
+		ranges,
+	};
+}
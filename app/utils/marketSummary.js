@@ -0,0 +1,151 @@
+/**
+ * Market Summary
+ * ==============
+ *
+ * Pure functions that boil a coin list down to a few market-wide numbers:
+ * how many coins sit in each sentiment band, the market-cap-weighted
+ * sentiment, the biggest movers and AltRank climbers, total volume, and
+ * how concentrated the social conversation is. The dashboard's summary
+ * strip and `/api/sentiment/summary` both use summarizeMarket, so they
+ * always agree.
+ *
+ * Key concepts:
+ * 1. Sentiment bands follow SENTIMENT_THRESHOLDS (the same cut-offs as the
+ *    default color scale)
+ * 2. Coins missing a field are left out of that figure, never counted as 0
+ */
+
+import { SENTIMENT_THRESHOLDS } from '../constants';
+
+// Sentiment bands, best first (`min` is inclusive)
+export const SENTIMENT_BANDS = [
+	{ key: 'high', label: 'High', min: SENTIMENT_THRESHOLDS.HIGH },
+	{ key: 'medium', label: 'Medium-high', min: SENTIMENT_THRESHOLDS.MEDIUM },
+	{ key: 'low', label: 'Medium', min: SENTIMENT_THRESHOLDS.LOW },
+	{ key: 'poor', label: 'Poor', min: -Infinity },
+];
+
+// How many coins each "top" list holds by default
+const DEFAULT_TOP = 3;
+
+// How many coins count as "the top" for social concentration
+const SOCIAL_TOP = 10;
+
+/**
+ * Finds a coin's sentiment band
+ *
+ * @param {number|null} sentiment - Sentiment score (0-100)
+ * @returns {string|null} A SENTIMENT_BANDS key, or null without a score
+ */
+export const getSentimentBand = (sentiment) =>
+	sentiment == null
+		? null
+		: SENTIMENT_BANDS.find((band) => sentiment >= band.min).key;
+
+/**
+ * Keeps just the fields a "top" list needs
+ */
+const toMover = (coin, value) => ({
+	symbol: coin.symbol,
+	name: coin.name,
+	value,
+});
+
+/**
+ * Ranks coins by a value and returns the top few
+ *
+ * @param {Object[]} coins - Coin list
+ * @param {Function} getValue - Reads the ranking value (null = skip the coin)
+ * @param {number} count - How many to return
+ * @param {boolean} desc - Highest first if true
+ * @returns {Object[]} [{ symbol, name, value }]
+ */
+const topBy = (coins, getValue, count, desc = true) =>
+	coins
+		.map((coin) => ({ coin, value: getValue(coin) }))
+		.filter(({ value }) => value != null)
+		.sort((a, b) => (desc ? b.value - a.value : a.value - b.value))
+		.slice(0, count)
+		.map(({ coin, value }) => toMover(coin, value));
+
+/**
+ * Summarizes a coin list
+ *
+ * @param {Object[]} coins - Coin list from LunarCrush (or mockData)
+ * @param {Object} options
+ * @param {number} options.top - Length of each "top" list (default: 3)
+ * @returns {Object} {
+ *   count,
+ *   sentimentBands: { high, medium, low, poor, unknown } (coin counts),
+ *   weightedSentiment (market-cap-weighted average, or null),
+ *   topGainers, topLosers (by 24h change), topClimbers (AltRank places climbed)
+ *     - each [{ symbol, name, value }],
+ *   totalVolume (24h, USD),
+ *   socialConcentration: { top, dominance } (the top coins' combined social
+ *     dominance - a percentage of all crypto social volume, so it doesn't
+ *     depend on how many coins were loaded)
+ * }
+ * @example
+ * summarizeMarket(coins).sentimentBands;
+ * // => { high: 12, medium: 9, low: 6, poor: 3, unknown: 0 }
+ */
+export function summarizeMarket(coins, { top = DEFAULT_TOP } = {}) {
+	// Step 1: Count coins per sentiment band
+	const sentimentBands = { high: 0, medium: 0, low: 0, poor: 0, unknown: 0 };
+	for (const coin of coins) {
+		sentimentBands[getSentimentBand(coin.sentiment) ?? 'unknown'] += 1;
+	}
+
+	// Step 2: Weight sentiment by market cap, so big coins count for more
+	let weighted = 0;
+	let totalCap = 0;
+	for (const coin of coins) {
+		if (coin.sentiment == null || !(coin.market_cap > 0)) continue;
+		weighted += coin.sentiment * coin.market_cap;
+		totalCap += coin.market_cap;
+	}
+
+	// Step 3: Biggest movers and climbers (only coins that actually moved that way)
+	const change24h = (coin) => coin.percent_change_24h ?? null;
+	const placesClimbed = (coin) =>
+		coin.alt_rank != null && coin.alt_rank_previous != null
+			? coin.alt_rank_previous - coin.alt_rank
+			: null;
+	const topGainers = topBy(coins, change24h, top).filter(
+		(mover) => mover.value > 0
+	);
+	const topLosers = topBy(coins, change24h, top, false).filter(
+		(mover) => mover.value < 0
+	);
+	const topClimbers = topBy(coins, placesClimbed, top).filter(
+		(mover) => mover.value > 0
+	);
+
+	// Step 4: Total volume, and the top coins' slice of the social conversation
+	// (social_dominance is already market-wide, so the top values just add up)
+	const volumes = coins
+		.map((coin) => coin.volume_24h)
+		.filter((volume) => volume != null);
+	const socialDominance = coins
+		.map((coin) => coin.social_dominance)
+		.filter((value) => value != null)
+		.sort((a, b) => b - a)
+		.slice(0, SOCIAL_TOP);
+
+	return {
+		count: coins.length,
+		sentimentBands,
+		weightedSentiment: totalCap > 0 ? weighted / totalCap : null,
+		topGainers,
+		topLosers,
+		topClimbers,
+		totalVolume: volumes.length > 0 ? volumes.reduce((a, b) => a + b, 0) : null,
+		socialConcentration: {
+			top: socialDominance.length,
+			dominance:
+				socialDominance.length > 0
+					? socialDominance.reduce((sum, value) => sum + value, 0)
+					: null,
+		},
+	};
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { summarizeMarket } from './marketSummary';
+
+describe('summarizeMarket', () => {
+	it('counts coins without a sentiment as unknown, not poor', () => {
+		const summary = summarizeMarket([
+			{ symbol: 'BTC', sentiment: 85 },
+			{ symbol: 'ETH', sentiment: null },
+			{ symbol: 'SOL' },
+		]);
+
+		expect(summary.sentimentBands).toEqual({
+			high: 1,
+			medium: 0,
+			low: 0,
+			poor: 0,
+			unknown: 2,
+		});
+	});
+
+	it('leaves coins without a sentiment or market cap out of the weighted sentiment', () => {
+		const summary = summarizeMarket([
+			{ symbol: 'BTC', sentiment: 80, market_cap: 300 },
+			{ symbol: 'ETH', sentiment: 40, market_cap: 100 },
+			{ symbol: 'SOL', sentiment: null, market_cap: 1000 },
+			{ symbol: 'ADA', sentiment: 10, market_cap: null },
+		]);
+
+		expect(summary.weightedSentiment).toBe(70);
+	});
+
+	it('leaves missing changes and volumes out of the movers and totals', () => {
+		const summary = summarizeMarket([
+			{ symbol: 'BTC', percent_change_24h: 4, volume_24h: 100 },
+			{ symbol: 'ETH', percent_change_24h: null, volume_24h: null },
+			{ symbol: 'SOL', percent_change_24h: -2 },
+		]);
+
+		expect(summary.topGainers.map((coin) => coin.symbol)).toEqual(['BTC']);
+		expect(summary.topLosers.map((coin) => coin.symbol)).toEqual(['SOL']);
+		expect(summary.totalVolume).toBe(100);
+	});
+
+	it("adds up the top coins' market-wide social dominance", () => {
+		const summary = summarizeMarket([
+			{ symbol: 'BTC', social_dominance: 35.5 },
+			{ symbol: 'ETH', social_dominance: 20 },
+			{ symbol: 'SOL', social_dominance: null },
+		]);
+
+		// Not a share of the loaded list, which would always be 100%
+		expect(summary.socialConcentration).toEqual({ top: 2, dominance: 55.5 });
+	});
+
+	it('has no figures for an empty list', () => {
+		const summary = summarizeMarket([]);
+
+		expect(summary.weightedSentiment).toBeNull();
+		expect(summary.totalVolume).toBeNull();
+		expect(summary.socialConcentration.dominance).toBeNull();
+	});
+});
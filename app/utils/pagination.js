@@ -0,0 +1,70 @@
+/**
+ * Paged Coin Lists
+ * ================
+ *
+ * Helpers for building one long coin list out of pages fetched from
+ * /api/sentiment (infinite scroll).
+ *
+ * Key concepts:
+ * 1. Pages are zero-based and `limit` coins long, like the LunarCrush API
+ * 2. Rankings shift between requests, so a coin can show up on two pages -
+ *    the first copy wins
+ * 3. Refreshes and live updates only reload the first page, so they replace
+ *    the head of the list and keep the pages loaded after it
+ */
+
+/**
+ * Appends a newly loaded page, skipping coins already in the list
+ *
+ * @param {Object[]} list - Coins loaded so far
+ * @param {Object[]} page - The next page of coins
+ * @returns {Object[]} The combined list
+ * @example
+ * appendPage([{ symbol: 'BTC' }], [{ symbol: 'BTC' }, { symbol: 'ETH' }]);
+ * // => [{ symbol: 'BTC' }, { symbol: 'ETH' }]
+ */
+export function appendPage(list, page) {
+	const loaded = new Set(list.map((coin) => coin.symbol));
+	return [...list, ...page.filter((coin) => !loaded.has(coin.symbol))];
+}
+
+/**
+ * Replaces the head of the list with a fresh first page
+ *
+ * Coins from later pages are kept (minus any that moved into the first page).
+ *
+ * @param {Object[]} list - Coins loaded so far
+ * @param {Object[]} firstPage - A freshly fetched first page
+ * @param {number} limit - Page size (the old first page's length)
+ * @returns {Object[]} The updated list
+ */
+export function replaceFirstPage(list, firstPage, limit = firstPage.length) {
+	const fresh = new Set(firstPage.map((coin) => coin.symbol));
+	const tail = list.slice(limit);
+	return [...firstPage, ...tail.filter((coin) => !fresh.has(coin.symbol))];
+}
+
+/**
+ * Whether another page might exist after the one just loaded
+ *
+ * A short page means we've reached the end of the list.
+ *
+ * @param {number} pageLength - Number of coins in the page just loaded
+ * @param {number} limit - Requested page size
+ * @param {number} total - Coins loaded so far, including that page
+ * @param {number} maxCoins - Most coins we're willing to load
+ * @returns {boolean}
+ */
+export const hasMorePages = (pageLength, limit, total, maxCoins) =>
+	pageLength >= limit && total < maxCoins;
+
+/**
+ * Cuts one page out of a full list (used for mock data)
+ *
+ * @param {Object[]} items - The full list
+ * @param {number} limit - Page size
+ * @param {number} page - Zero-based page number
+ * @returns {Object[]} The items on that page (empty past the end)
+ */
+export const getPage = (items, limit, page = 0) =>
+	items.slice(page * limit, (page + 1) * limit);
@@ -0,0 +1,268 @@
+/**
+ * Portfolio Calculations
+ * ======================
+ *
+ * Pure functions for the portfolio tracker: validating holdings, valuing
+ * them against the latest coin data, and reading/writing holdings files.
+ * Nothing in here touches React, storage or the network.
+ *
+ * A holding looks like this:
+ *
+ *   {
+ *     symbol: 'BTC',
+ *     quantity: 0.5,      // Coins held
+ *     costBasis: 30000,   // Average price paid per coin in USD (null if unknown)
+ *   }
+ *
+ * Key concepts:
+ * 1. Value and P&L use the coin's live `price`; holdings without a price
+ *    (not loaded yet, unknown to LunarCrush, or a price of 0 or less, which
+ *    no listed coin really has) are listed as missing and left out of the
+ *    totals
+ * 2. Weighted scores - the portfolio's sentiment and Galaxy Score are
+ *    averages weighted by each holding's share of the total value
+ */
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{1,20}$/;
+
+/**
+ * Cleans up a holding from a form or a file
+ *
+ * @param {Object} raw - { symbol, quantity, costBasis } with any value types
+ * @returns {Object} Holding with an upper-case symbol and numbers (NaN if invalid)
+ */
+export const normalizeHolding = ({ symbol, quantity, costBasis }) => ({
+	symbol: String(symbol ?? '')
+		.trim()
+		.toUpperCase(),
+	quantity: quantity === '' || quantity == null ? NaN : Number(quantity),
+	costBasis: costBasis === '' || costBasis == null ? null : Number(costBasis),
+});
+
+/**
+ * Checks that a holding has a symbol, a positive quantity and a sensible cost
+ *
+ * @param {Object} holding - A normalized holding
+ * @returns {string|null} An error message, or null if the holding is valid
+ */
+export const validateHolding = ({ symbol, quantity, costBasis }) => {
+	if (!SYMBOL_PATTERN.test(symbol)) {
+		return 'Enter a coin symbol (e.g., BTC)';
+	}
+	if (!Number.isFinite(quantity) || quantity <= 0) {
+		return `${symbol}: quantity must be a number above 0`;
+	}
+	if (costBasis != null && (!Number.isFinite(costBasis) || costBasis < 0)) {
+		return `${symbol}: average cost must be a number of 0 or more`;
+	}
+	return null;
+};
+
+/**
+ * Adds a holding, replacing any existing holding of the same coin
+ *
+ * @param {Object[]} holdings - Current holdings
+ * @param {Object} holding - The holding to add
+ * @returns {Object[]} New holdings list
+ */
+export const upsertHolding = (holdings, holding) =>
+	holdings.some((item) => item.symbol === holding.symbol)
+		? holdings.map((item) => (item.symbol === holding.symbol ? holding : item))
+		: [...holdings, holding];
+
+/**
+ * Value-weighted average of a coin field across positions
+ * Positions without the field are left out (and so are their weights).
+ */
+const weightedAverage = (positions, field) => {
+	let total = 0;
+	let weights = 0;
+	for (const position of positions) {
+		const value = position.coin?.[field];
+		if (value == null || position.value == null) continue;
+		total += value * position.value;
+		weights += position.value;
+	}
+	return weights > 0 ? total / weights : null;
+};
+
+/**
+ * How much a value moved in dollars, given its percentage change
+ * e.g., $110 after a +10% day moved $10 (not $11)
+ */
+const dollarChange = (value, percent) =>
+	value == null || percent == null ? null : value - value / (1 + percent / 100);
+
+/**
+ * Sums a field, skipping missing values (null if every value is missing)
+ */
+const sum = (items, field) => {
+	const values = items.map((item) => item[field]).filter((v) => v != null);
+	return values.length > 0 ? values.reduce((a, b) => a + b, 0) : null;
+};
+
+/**
+ * Turns a dollar change into a percentage of the starting value
+ */
+const percentOf = (change, currentValue) =>
+	change == null || currentValue - change <= 0
+		? null
+		: (change / (currentValue - change)) * 100;
+
+/**
+ * Values every holding and totals up the portfolio
+ *
+ * @param {Object[]} holdings - The user's holdings
+ * @param {Object[]} coins - Coins with live data (price, percent changes, scores)
+ * @returns {Object} {
+ *   positions: [{ symbol, name, quantity, costBasis, price, value, cost, pnl,
+ *     pnlPercent, change24h, weight, coin }],
+ *   totalValue, totalCost, pnl, pnlPercent,
+ *   change24h, change24hPercent, change7d, change7dPercent,
+ *   sentiment, galaxyScore (value-weighted averages),
+ *   missing: symbols with no price
+ * }
+ * @example
+ * computePortfolio([{ symbol: 'BTC', quantity: 2, costBasis: 50 }], [{ symbol: 'BTC', price: 60 }]);
+ * // => { totalValue: 120, pnl: 20, pnlPercent: 20, ... }
+ */
+export function computePortfolio(holdings, coins) {
+	const bySymbol = new Map(
+		coins.map((coin) => [coin.symbol.toUpperCase(), coin])
+	);
+
+	// Step 1: Value each holding at the live price
+	const positions = holdings.map((holding) => {
+		const coin = bySymbol.get(holding.symbol);
+		const price = coin?.price > 0 ? coin.price : null;
+		const value = price != null ? price * holding.quantity : null;
+		const cost =
+			holding.costBasis != null ? holding.costBasis * holding.quantity : null;
+		const pnl = value != null && cost != null ? value - cost : null;
+
+		return {
+			...holding,
+			name: coin?.name ?? holding.symbol,
+			price,
+			value,
+			cost,
+			pnl,
+			pnlPercent: pnl != null && cost > 0 ? (pnl / cost) * 100 : null,
+			change24h: dollarChange(value, coin?.percent_change_24h),
+			change7d: dollarChange(value, coin?.percent_change_7d),
+			coin,
+		};
+	});
+
+	// Step 2: Total up the holdings we could price
+	const priced = positions.filter((position) => position.value != null);
+	const totalValue = sum(priced, 'value') ?? 0;
+	for (const position of positions) {
+		position.weight =
+			position.value != null && totalValue > 0
+				? position.value / totalValue
+				: null;
+	}
+
+	// P&L only counts holdings with a known cost
+	const withCost = priced.filter((position) => position.cost != null);
+	const totalCost = sum(withCost, 'cost');
+	const pnl = sum(withCost, 'pnl');
+
+	const change24h = sum(priced, 'change24h');
+	const change7d = sum(priced, 'change7d');
+
+	return {
+		positions,
+		totalValue,
+		totalCost,
+		pnl,
+		pnlPercent: pnl != null && totalCost > 0 ? (pnl / totalCost) * 100 : null,
+		change24h,
+		change24hPercent: percentOf(change24h, totalValue),
+		change7d,
+		change7dPercent: percentOf(change7d, totalValue),
+		sentiment: weightedAverage(priced, 'sentiment'),
+		galaxyScore: weightedAverage(priced, 'galaxy_score'),
+		missing: positions
+			.filter((position) => position.value == null)
+			.map((position) => position.symbol),
+	};
+}
+
+/**
+ * Writes holdings as CSV (symbol, quantity, cost_basis)
+ *
+ * @param {Object[]} holdings - The holdings to export
+ * @returns {string} CSV text with a header row
+ */
+export const holdingsToCSV = (holdings) =>
+	[
+		'symbol,quantity,cost_basis',
+		...holdings.map(
+			({ symbol, quantity, costBasis }) =>
+				`${symbol},${quantity},${costBasis ?? ''}`
+		),
+	].join('\n');
+
+/**
+ * Writes holdings as pretty-printed JSON
+ *
+ * @param {Object[]} holdings - The holdings to export
+ * @returns {string} JSON text (an array of holdings)
+ */
+export const holdingsToJSON = (holdings) => JSON.stringify(holdings, null, 2);
+
+/**
+ * Reads holdings from an exported file (JSON or CSV)
+ *
+ * JSON may be an array of holdings or `{ holdings: [...] }`; `cost_basis`
+ * is accepted as well as `costBasis`. CSV needs symbol and quantity
+ * columns, with an optional cost basis; the header row is optional.
+ * If a coin appears twice, the last row wins.
+ *
+ * @param {string} text - File contents
+ * @returns {Object[]} Valid, normalized holdings
+ * @throws {Error} Describing the first invalid row
+ */
+export function parseHoldings(text) {
+	const trimmed = text.trim();
+	let rows;
+
+	// Step 1: Read the rows in whichever format the file uses
+	if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+		const parsed = JSON.parse(trimmed);
+		rows = Array.isArray(parsed) ? parsed : parsed.holdings;
+		if (!Array.isArray(rows)) {
+			throw new Error('Expected a list of holdings');
+		}
+		rows = rows.map((row) => ({
+			...row,
+			costBasis: row.costBasis ?? row.cost_basis,
+		}));
+	} else {
+		rows = trimmed
+			.split(/\r?\n/)
+			.filter((line) => line.trim() !== '')
+			.map((line) => line.split(',').map((cell) => cell.trim()))
+			.filter(([first], index) => index > 0 || first.toLowerCase() !== 'symbol')
+			.map(([symbol, quantity, costBasis]) => ({
+				symbol,
+				quantity,
+				costBasis,
+			}));
+	}
+
+	// Step 2: Validate every row, then drop duplicates (last one wins)
+	let holdings = [];
+	rows.forEach((row, index) => {
+		const holding = normalizeHolding(row);
+		const error = validateHolding(holding);
+		if (error) {
+			throw new Error(`Row ${index + 1}: ${error}`);
+		}
+		holdings = upsertHolding(holdings, holding);
+	});
+
+	return holdings;
+}
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import { computePortfolio } from './portfolio';
+
+describe('computePortfolio', () => {
+	it('values holdings and computes P&L', () => {
+		const portfolio = computePortfolio(
+			[{ symbol: 'BTC', quantity: 2, costBasis: 50 }],
+			[{ symbol: 'BTC', price: 60 }]
+		);
+
+		expect(portfolio.totalValue).toBe(120);
+		expect(portfolio.pnl).toBe(20);
+		expect(portfolio.pnlPercent).toBe(20);
+		expect(portfolio.missing).toEqual([]);
+	});
+
+	it('leaves holdings without a real price out of the totals', () => {
+		const portfolio = computePortfolio(
+			[
+				{ symbol: 'BTC', quantity: 1, costBasis: 50 },
+				{ symbol: 'ETH', quantity: 3, costBasis: 10 },
+				{ symbol: 'SOL', quantity: 5, costBasis: 20 },
+				{ symbol: 'DOGE', quantity: 100, costBasis: 1 },
+			],
+			[
+				{ symbol: 'BTC', price: 60 },
+				{ symbol: 'ETH', price: 0 },
+				{ symbol: 'SOL', price: null },
+			]
+		);
+
+		expect(portfolio.totalValue).toBe(60);
+		expect(portfolio.totalCost).toBe(50);
+		expect(portfolio.pnl).toBe(10);
+		expect(portfolio.missing).toEqual(['ETH', 'SOL', 'DOGE']);
+		expect(portfolio.positions[1]).toMatchObject({
+			price: null,
+			value: null,
+			pnl: null,
+		});
+	});
+});
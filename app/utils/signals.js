@@ -0,0 +1,182 @@
+/**
+ * Derived Signals
+ * ===============
+ *
+ * Pure functions that turn the "previous" fields LunarCrush sends with each
+ * coin (`galaxy_score_previous`, `alt_rank_previous`,
+ * `market_dominance_prev`) and its price changes into trend signals.
+ * Nothing in here touches React or the network, so the dashboard and the
+ * API route (`/api/sentiment?include=signals`) share the same numbers.
+ *
+ * A coin's signals look like this:
+ *
+ *   {
+ *     galaxy_momentum: 2.5,           // Galaxy Score points gained since the previous reading
+ *     alt_rank_velocity: 657,         // AltRank places climbed (negative = fell)
+ *     dominance_ratio: 1.8,           // Social dominance / market dominance
+ *     market_dominance_change: 0.75,  // % change in market dominance
+ *     flags: ['galaxy_up_price_down'],
+ *   }
+ *
+ * Key concepts:
+ * 1. Every signal is null when a field it needs is missing, so N/A rows
+ *    sort to the end like any other missing value
+ * 2. Flags are yes/no calls on top of the numbers, using the limits in
+ *    SIGNAL_THRESHOLDS
+ */
+
+import { SIGNAL_THRESHOLDS } from '../constants';
+import { formatPercentage } from './formatters';
+
+/**
+ * Formats a change with its sign (e.g., "+2.5", "-1")
+ */
+const formatSigned = (value, decimals) =>
+	`${value > 0 ? '+' : ''}${value.toFixed(decimals)}`;
+
+// Numeric signals, shown as sortable table columns
+//   signed - true when above 0 is good news and below 0 is bad news
+export const SIGNAL_FIELDS = {
+	galaxy_momentum: {
+		label: 'Galaxy Mom.',
+		description: 'Galaxy Score points gained since the previous reading',
+		signed: true,
+		format: (value) => formatSigned(value, 1),
+	},
+	alt_rank_velocity: {
+		label: 'AltRank Vel.',
+		description: 'AltRank places climbed since the previous reading',
+		signed: true,
+		format: (value) => formatSigned(value, 0),
+	},
+	dominance_ratio: {
+		label: 'Social / Mkt',
+		description:
+			'Social dominance divided by market dominance - above 1 means the coin is talked about more than its size suggests',
+		format: (value) => `${value.toFixed(2)}×`,
+	},
+	market_dominance_change: {
+		label: 'Mkt Dom. Δ',
+		description: 'Percentage change in market dominance',
+		signed: true,
+		format: (value) => formatPercentage(value),
+	},
+};
+
+// Yes/no flags, shown as badges
+export const SIGNAL_FLAGS = {
+	galaxy_up_price_down: {
+		label: 'Galaxy ↑ Price ↓',
+		description:
+			'Galaxy Score is rising while the price fell over the last 24h',
+		tone: 'green',
+	},
+	galaxy_down_price_up: {
+		label: 'Galaxy ↓ Price ↑',
+		description:
+			'Galaxy Score is falling while the price rose over the last 24h',
+		tone: 'red',
+	},
+	rising_fast: {
+		label: 'Rising Fast',
+		description: 'Climbing the AltRank quickly with an improving Galaxy Score',
+		tone: 'blue',
+	},
+	social_hype: {
+		label: 'Social Hype',
+		description: 'Far more social attention than its market share',
+		tone: 'amber',
+	},
+};
+
+/**
+ * Difference between a current and previous value (null if either is missing)
+ */
+const delta = (current, previous) =>
+	current == null || previous == null ? null : current - previous;
+
+/**
+ * Decides which flags a coin's signals raise
+ *
+ * @param {Object} coin - Coin data (for the price change)
+ * @param {Object} signals - The coin's numeric signals
+ * @returns {string[]} Keys of SIGNAL_FLAGS, in SIGNAL_FLAGS order
+ */
+function getFlags(coin, signals) {
+	const { galaxy_momentum, alt_rank_velocity, dominance_ratio } = signals;
+	const priceChange = coin.percent_change_24h;
+	const hasMomentum = galaxy_momentum != null && priceChange != null;
+
+	// A flag is never raised from a missing value (null would compare as 0)
+	const checks = {
+		galaxy_up_price_down:
+			hasMomentum &&
+			galaxy_momentum >= SIGNAL_THRESHOLDS.MOMENTUM &&
+			priceChange <= -SIGNAL_THRESHOLDS.PRICE_MOVE,
+		galaxy_down_price_up:
+			hasMomentum &&
+			galaxy_momentum <= -SIGNAL_THRESHOLDS.MOMENTUM &&
+			priceChange >= SIGNAL_THRESHOLDS.PRICE_MOVE,
+		rising_fast:
+			alt_rank_velocity != null &&
+			galaxy_momentum != null &&
+			alt_rank_velocity >= SIGNAL_THRESHOLDS.VELOCITY &&
+			galaxy_momentum > 0,
+		social_hype:
+			dominance_ratio != null &&
+			dominance_ratio >= SIGNAL_THRESHOLDS.HYPE_RATIO,
+	};
+
+	return Object.keys(SIGNAL_FLAGS).filter((flag) => checks[flag]);
+}
+
+/**
+ * Computes the derived signals for one coin
+ *
+ * @param {Object} coin - Coin data from LunarCrush (or mockData)
+ * @returns {Object} { galaxy_momentum, alt_rank_velocity, dominance_ratio,
+ *   market_dominance_change, flags }
+ * @example
+ * computeSignals({ galaxy_score: 60, galaxy_score_previous: 55, percent_change_24h: -4 });
+ * // => { galaxy_momentum: 5, ..., flags: ['galaxy_up_price_down'] }
+ */
+export function computeSignals(coin) {
+	// Step 1: The numbers
+	const previousDominance = coin.market_dominance_prev;
+	const signals = {
+		galaxy_momentum: delta(coin.galaxy_score, coin.galaxy_score_previous),
+		// Rank 1 is the best, so climbing means the number went down
+		alt_rank_velocity: delta(coin.alt_rank_previous, coin.alt_rank),
+		dominance_ratio:
+			coin.social_dominance != null && coin.market_dominance > 0
+				? coin.social_dominance / coin.market_dominance
+				: null,
+		market_dominance_change:
+			coin.market_dominance != null && previousDominance > 0
+				? ((coin.market_dominance - previousDominance) / previousDominance) *
+					100
+				: null,
+	};
+
+	// Step 2: The flags
+	return { ...signals, flags: getFlags(coin, signals) };
+}
+
+/**
+ * Adds a `signals` object to every coin
+ *
+ * @param {Object[]} coins - Coin list (not modified)
+ * @returns {Object[]} New coin objects, each with `signals`
+ */
+export const withSignals = (coins) =>
+	coins.map((coin) => ({ ...coin, signals: computeSignals(coin) }));
+
+/**
+ * Checks whether a sort field is a derived signal (sorted in the browser,
+ * since LunarCrush doesn't know about it)
+ *
+ * @param {string} field - Sort field
+ * @returns {boolean} True for keys of SIGNAL_FIELDS
+ */
+export const isSignalField = (field) =>
+	Object.prototype.hasOwnProperty.call(SIGNAL_FIELDS, field);
@@ -0,0 +1,119 @@
+import { describe, expect, it } from 'vitest';
+import { computeSignals, isSignalField, withSignals } from './signals';
+
+describe('computeSignals', () => {
+	it('computes momentum, velocity and dominance', () => {
+		const signals = computeSignals({
+			galaxy_score: 60,
+			galaxy_score_previous: 55,
+			alt_rank: 40,
+			alt_rank_previous: 240,
+			social_dominance: 2,
+			market_dominance: 1,
+			market_dominance_prev: 0.8,
+		});
+
+		expect(signals.galaxy_momentum).toBe(5);
+		expect(signals.alt_rank_velocity).toBe(200);
+		expect(signals.dominance_ratio).toBe(2);
+		expect(signals.market_dominance_change).toBeCloseTo(25);
+	});
+
+	it('leaves signals null when a field they need is missing', () => {
+		const signals = computeSignals({
+			galaxy_score: 60,
+			galaxy_score_previous: null,
+			alt_rank: 40,
+			social_dominance: 2,
+			market_dominance: 0,
+		});
+
+		expect(signals).toEqual({
+			galaxy_momentum: null,
+			alt_rank_velocity: null,
+			dominance_ratio: null,
+			market_dominance_change: null,
+			flags: [],
+		});
+	});
+
+	it('flags a rising Galaxy Score while the price fell', () => {
+		const { flags } = computeSignals({
+			galaxy_score: 60,
+			galaxy_score_previous: 55,
+			percent_change_24h: -4,
+		});
+
+		expect(flags).toEqual(['galaxy_up_price_down']);
+	});
+
+	it('flags a falling Galaxy Score while the price rose', () => {
+		const { flags } = computeSignals({
+			galaxy_score: 50,
+			galaxy_score_previous: 55,
+			percent_change_24h: 4,
+		});
+
+		expect(flags).toEqual(['galaxy_down_price_up']);
+	});
+
+	it('needs both a big enough Galaxy move and price move', () => {
+		const { flags } = computeSignals({
+			galaxy_score: 56,
+			galaxy_score_previous: 55,
+			percent_change_24h: -10,
+		});
+
+		expect(flags).toEqual([]);
+	});
+
+	it('never raises a flag from a missing price change', () => {
+		const { flags } = computeSignals({
+			galaxy_score: 40,
+			galaxy_score_previous: 55,
+			percent_change_24h: null,
+		});
+
+		expect(flags).toEqual([]);
+	});
+
+	it('flags coins climbing the AltRank fast with an improving Galaxy Score', () => {
+		const climbing = {
+			alt_rank: 50,
+			alt_rank_previous: 300,
+			galaxy_score: 61,
+			galaxy_score_previous: 60,
+		};
+
+		expect(computeSignals(climbing).flags).toEqual(['rising_fast']);
+		expect(
+			computeSignals({ ...climbing, galaxy_score_previous: null }).flags
+		).toEqual([]);
+	});
+
+	it('flags social hype far above the market share', () => {
+		expect(
+			computeSignals({ social_dominance: 5, market_dominance: 0.1 }).flags
+		).toEqual(['social_hype']);
+		expect(
+			computeSignals({ social_dominance: 5, market_dominance: null }).flags
+		).toEqual([]);
+	});
+});
+
+describe('withSignals', () => {
+	it('adds signals without changing the coins', () => {
+		const coins = [{ symbol: 'BTC' }];
+
+		expect(withSignals(coins)[0].signals.flags).toEqual([]);
+		expect(coins[0]).not.toHaveProperty('signals');
+	});
+});
+
+describe('isSignalField', () => {
+	it('tells signals from LunarCrush fields', () => {
+		expect(isSignalField('galaxy_momentum')).toBe(true);
+		expect(isSignalField('galaxy_score')).toBe(false);
+		expect(isSignalField('toString')).toBe(false);
+	});
+});
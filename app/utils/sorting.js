@@ -0,0 +1,39 @@
+/**
+ * Sorting Utilities
+ * =================
+ *
+ * Client-side sorting for coin lists. The API route sorts real data on the
+ * LunarCrush side; these helpers give mock data (and anything else we hold
+ * in memory) the same behavior.
+ */
+
+/**
+ * Returns a sorted copy of a coin list
+ *
+ * Coins missing the sort field always go to the end, whichever direction
+ * is chosen, so "N/A" rows never crowd out real values.
+ *
+ * @param {Object[]} coins - The coins to sort (not modified)
+ * @param {string|Function} field - Field name to sort by (e.g., 'sentiment'),
+ *   or a function that reads the value from a coin
+ * @param {boolean} desc - Sort highest first if true
+ * @returns {Object[]} A new, sorted array
+ * @example
+ * const bySentiment = sortCoins(data, 'sentiment', true);
+ */
+export const sortCoins = (coins, field, desc = false) => {
+	const direction = desc ? -1 : 1;
+	const getValue = typeof field === 'function' ? field : (coin) => coin[field];
+
+	return [...coins].sort((a, b) => {
+		const aValue = getValue(a);
+		const bValue = getValue(b);
+
+		// Push missing values to the bottom
+		if (aValue == null && bValue == null) return 0;
+		if (aValue == null) return 1;
+		if (bValue == null) return -1;
+
+		return (aValue - bValue) * direction;
+	});
+};
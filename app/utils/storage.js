@@ -0,0 +1,44 @@
+/**
+ * Browser Storage Utilities
+ * =========================
+ *
+ * Small wrappers around localStorage that never throw. localStorage can be
+ * missing (server rendering), full, or blocked by privacy settings - in all
+ * of those cases we just fall back to the default value.
+ */
+
+/**
+ * Reads a JSON value from localStorage
+ *
+ * @param {string} key - Storage key (see STORAGE_KEYS in constants)
+ * @param {*} fallback - Value returned when nothing usable is stored
+ * @returns {*} The parsed value or the fallback
+ */
+export const loadFromStorage = (key, fallback) => {
+	try {
+		if (typeof window === 'undefined') return fallback;
+		const raw = window.localStorage.getItem(key);
+		return raw == null ? fallback : JSON.parse(raw);
+	} catch (error) {
+		console.warn(`Could not read "${key}" from localStorage:`, error);
+		return fallback;
+	}
+};
+
+/**
+ * Writes a JSON value to localStorage
+ *
+ * @param {string} key - Storage key (see STORAGE_KEYS in constants)
+ * @param {*} value - Any JSON-serializable value
+ * @returns {boolean} True if the value was saved
+ */
+export const saveToStorage = (key, value) => {
+	try {
+		if (typeof window === 'undefined') return false;
+		window.localStorage.setItem(key, JSON.stringify(value));
+		return true;
+	} catch (error) {
+		console.warn(`Could not save "${key}" to localStorage:`, error);
+		return false;
+	}
+};
@@ -0,0 +1,213 @@
+/**
+ * Upstream Errors, Retries and Rate Limits
+ * ========================================
+ *
+ * The parts of talking to LunarCrush that don't need the network: which
+ * failures are worth retrying, how long to wait, what the rate-limit
+ * headers say, and how each failure is reported to our own clients.
+ * The server client (services/lunarcrushServer.js) puts these together.
+ *
+ * Key concepts:
+ * 1. Error codes - a rejected key (401), a plan without access (403) and a
+ *    rate limit (429) each get their own code, so the UI can say what's wrong
+ * 2. Backoff - retries wait BASE_DELAY, then twice that, and so on, with
+ *    "full jitter" (a random part of that delay) so many servers retrying at
+ *    once don't hit LunarCrush in lockstep
+ * 3. Retry-After - when LunarCrush says how long to wait, we wait exactly
+ *    that long, or give up straight away if it's longer than MAX_DELAY
+ */
+
+import { UPSTREAM_SETTINGS } from '../constants';
+
+// Error codes, the status our routes respond with, and the message shown
+export const UPSTREAM_ERRORS = {
+	MISSING_API_KEY: {
+		status: 500,
+		message: 'Missing API key. Please set LUNARCRUSH_API_TOKEN in .env.local',
+	},
+	UPSTREAM_UNAUTHORIZED: {
+		status: 502,
+		message:
+			'LunarCrush rejected the API key. Check LUNARCRUSH_API_TOKEN in .env.local',
+	},
+	UPSTREAM_FORBIDDEN: {
+		status: 502,
+		message: "Your LunarCrush plan doesn't include this data",
+	},
+	UPSTREAM_RATE_LIMITED: {
+		status: 429,
+		message: 'LunarCrush rate limit reached. Please try again later',
+	},
+	UPSTREAM_TIMEOUT: {
+		status: 504,
+		message: 'LunarCrush took too long to respond',
+	},
+	UPSTREAM_UNAVAILABLE: {
+		status: 503,
+		message: 'LunarCrush is temporarily unavailable',
+	},
+	UPSTREAM_NETWORK_ERROR: {
+		status: 502,
+		message: 'Could not reach LunarCrush',
+	},
+	UPSTREAM_ERROR: {
+		status: 502,
+		message: 'LunarCrush returned an unexpected error',
+	},
+};
+
+/**
+ * Error thrown when a LunarCrush request fails
+ *
+ * @param {string} code - A key of UPSTREAM_ERRORS
+ * @param {Object} details
+ * @param {number} details.upstreamStatus - LunarCrush's HTTP status, if it answered
+ * @param {number} details.retryAfter - How long to wait before trying again (ms), if known
+ */
+export class UpstreamError extends Error {
+	constructor(code, { upstreamStatus, retryAfter } = {}) {
+		super(UPSTREAM_ERRORS[code].message);
+		this.name = 'UpstreamError';
+		this.code = code;
+		this.status = UPSTREAM_ERRORS[code].status;
+		this.upstreamStatus = upstreamStatus;
+		this.retryAfter = retryAfter;
+	}
+
+	/**
+	 * Returns the JSON body sent back to the client
+	 */
+	toJSON() {
+		return { error: { code: this.code, message: this.message } };
+	}
+
+	/**
+	 * Response headers for the client (Retry-After, in seconds, when known)
+	 */
+	get headers() {
+		return this.retryAfter != null
+			? { 'Retry-After': String(Math.ceil(this.retryAfter / 1000)) }
+			: {};
+	}
+}
+
+/**
+ * Picks the error code for a failed LunarCrush response
+ *
+ * @param {number} status - HTTP status from LunarCrush
+ * @returns {string} A key of UPSTREAM_ERRORS
+ */
+export function getErrorCode(status) {
+	if (status === 401) return 'UPSTREAM_UNAUTHORIZED';
+	if (status === 403) return 'UPSTREAM_FORBIDDEN';
+	if (status === 429) return 'UPSTREAM_RATE_LIMITED';
+	if (status >= 500) return 'UPSTREAM_UNAVAILABLE';
+	return 'UPSTREAM_ERROR';
+}
+
+/**
+ * Whether a failed response is worth retrying (rate limits and server errors)
+ *
+ * @param {number} status - HTTP status from LunarCrush
+ * @returns {boolean}
+ */
+export const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * Works out how long to wait before a retry
+ *
+ * @param {number} attempt - Retries made so far (0 for the first retry)
+ * @param {Object} options
+ * @param {number} options.baseDelay - First delay (ms)
+ * @param {number} options.maxDelay - Longest delay (ms)
+ * @param {Function} random - Returns a number in [0, 1) (swappable for tests)
+ * @returns {number} Delay in milliseconds
+ * @example
+ * getBackoffDelay(2, { baseDelay: 500, maxDelay: 8000 }, () => 0.5); // => 1000
+ */
+export function getBackoffDelay(
+	attempt,
+	{
+		baseDelay = UPSTREAM_SETTINGS.BASE_DELAY,
+		maxDelay = UPSTREAM_SETTINGS.MAX_DELAY,
+	} = {},
+	random = Math.random
+) {
+	const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+	return Math.round(random() * ceiling);
+}
+
+/**
+ * Reads a Retry-After header (seconds, or an HTTP date)
+ *
+ * @param {string|null} value - The header value
+ * @param {number} now - Current time (ms timestamp)
+ * @returns {number|null} Milliseconds to wait, or null if missing or invalid
+ * @example
+ * parseRetryAfter('30'); // => 30000
+ * parseRetryAfter('Wed, 21 Oct 2026 07:28:00 GMT'); // => ms until then
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+	if (!value) return null;
+
+	if (/^\d+$/.test(value.trim())) {
+		return Number(value) * 1000;
+	}
+
+	const date = Date.parse(value);
+	return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Header prefixes used by different APIs for the same rate-limit fields
+const RATE_LIMIT_PREFIXES = ['x-ratelimit-', 'x-rate-limit-', 'ratelimit-'];
+
+/**
+ * Reads the rate-limit headers from a LunarCrush response
+ *
+ * Accepts the common spellings (X-RateLimit-Remaining, X-Rate-Limit-Remaining,
+ * RateLimit-Remaining). `Reset` may be seconds from now or a Unix timestamp.
+ *
+ * @param {Headers} headers - Response headers
+ * @param {number} now - Current time (ms timestamp)
+ * @returns {Object|null} { limit, remaining, resetAt } or null if the headers are missing
+ */
+export function parseRateLimit(headers, now = Date.now()) {
+	const read = (field) => {
+		for (const prefix of RATE_LIMIT_PREFIXES) {
+			const value = Number.parseFloat(headers.get(prefix + field));
+			if (!isNaN(value)) return value;
+		}
+		return null;
+	};
+
+	const remaining = read('remaining');
+	if (remaining == null) return null;
+
+	// Small reset values are "seconds from now", large ones are Unix time
+	const reset = read('reset');
+	return {
+		limit: read('limit'),
+		remaining,
+		resetAt:
+			reset == null ? null : reset > 1e9 ? reset * 1000 : now + reset * 1000,
+	};
+}
+
+/**
+ * Response headers describing the rate limit (for our own API routes)
+ *
+ * @param {Object|null} rateLimit - From parseRateLimit
+ * @returns {Object} X-RateLimit-Limit / -Remaining / -Reset (Unix seconds)
+ */
+export function rateLimitHeaders(rateLimit) {
+	if (!rateLimit) return {};
+
+	const headers = { 'X-RateLimit-Remaining': String(rateLimit.remaining) };
+	if (rateLimit.limit != null) {
+		headers['X-RateLimit-Limit'] = String(rateLimit.limit);
+	}
+	if (rateLimit.resetAt != null) {
+		headers['X-RateLimit-Reset'] = String(Math.ceil(rateLimit.resetAt / 1000));
+	}
+	return headers;
+}
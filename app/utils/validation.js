@@ -0,0 +1,374 @@
+/**
+ * Query Parameter Validation
+ * ==========================
+ *
+ * Our API routes receive query parameters straight from the browser (or from
+ * anyone with curl). Before we forward them to LunarCrush, we check them
+ * against a small schema so bad input gets a clear 400 error instead of
+ * a confusing upstream failure.
+ *
+ * A schema is a plain object mapping parameter names to rules:
+ *
+ *   const schema = {
+ *     limit: integer({ min: 1, max: 100, clamp: true, defaultValue: 30 }),
+ *     desc: boolean({ defaultValue: false }),
+ *   };
+ *
+ *   const { limit, desc } = parseQuery(searchParams, schema);
+ */
+
+import {
+	DEFAULT_LIMIT,
+	MAX_LIMIT,
+	SORT_FIELDS,
+	DEFAULT_SORT_FIELD,
+	HISTORY_INTERVALS,
+	DEFAULT_HISTORY_INTERVAL,
+	MAX_SYMBOLS,
+	EXPORT_COLUMNS,
+	DEFAULT_EXPORT_COLUMNS,
+	EXPORT_FORMATS,
+	EMBED_SETTINGS,
+	EMBED_THEMES,
+	EMBED_METRICS,
+	DEFAULT_EMBED_METRICS,
+} from '../constants';
+
+/**
+ * Error thrown when a query parameter fails validation
+ * API routes turn this into a `{ error: { code, field, message } }` 400 response.
+ */
+export class ValidationError extends Error {
+	constructor(field, message, code = 'INVALID_PARAMETER') {
+		super(message);
+		this.name = 'ValidationError';
+		this.field = field;
+		this.code = code;
+	}
+
+	/**
+	 * Returns the JSON body sent back to the client
+	 */
+	toJSON() {
+		return {
+			error: { code: this.code, field: this.field, message: this.message },
+		};
+	}
+}
+
+/**
+ * Rule for whole-number parameters
+ *
+ * @param {Object} options
+ * @param {number} options.min - Smallest allowed value
+ * @param {number} options.max - Largest allowed value
+ * @param {boolean} options.clamp - Clamp values above `max` instead of rejecting them
+ * @param {number} options.defaultValue - Value used when the parameter is missing
+ */
+export const integer =
+	({ min = -Infinity, max = Infinity, clamp = false, defaultValue } = {}) =>
+	(raw, field) => {
+		if (raw == null || raw === '') return defaultValue;
+
+		// Reject "abc", "1.5" and "10px" - parseInt would silently accept the last one
+		if (!/^-?\d+$/.test(raw)) {
+			throw new ValidationError(field, `${field} must be a whole number`);
+		}
+
+		const value = Number(raw);
+		if (value < min) {
+			throw new ValidationError(field, `${field} must be at least ${min}`);
+		}
+		if (value > max) {
+			if (clamp) return max;
+			throw new ValidationError(field, `${field} must be at most ${max}`);
+		}
+		return value;
+	};
+
+/**
+ * Rule for true/false parameters
+ * Accepts 1/0 and true/false.
+ */
+export const boolean =
+	({ defaultValue = false } = {}) =>
+	(raw, field) => {
+		if (raw == null || raw === '') return defaultValue;
+		if (raw === '1' || raw === 'true') return true;
+		if (raw === '0' || raw === 'false') return false;
+		throw new ValidationError(field, `${field} must be 1, 0, true or false`);
+	};
+
+/**
+ * Rule for parameters limited to a fixed list of values
+ */
+export const oneOf =
+	(allowed, { defaultValue } = {}) =>
+	(raw, field) => {
+		if (raw == null || raw === '') return defaultValue;
+		if (!allowed.includes(raw)) {
+			throw new ValidationError(
+				field,
+				`${field} must be one of: ${allowed.join(', ')}`
+			);
+		}
+		return raw;
+	};
+
+// What a coin symbol looks like once upper-cased (e.g., BTC, 1INCH)
+const SYMBOL_PATTERN = /^[A-Z0-9]{1,20}$/;
+
+/**
+ * Rule for a single coin symbol (e.g., a `[symbol]` route segment)
+ * The symbol is upper-cased; it's required, so there's no default.
+ */
+export const coinSymbol = () => (raw, field) => {
+	const symbol = raw?.trim().toUpperCase();
+	if (!symbol || !SYMBOL_PATTERN.test(symbol)) {
+		throw new ValidationError(
+			field,
+			`${field} must be a coin symbol of 1-20 letters or digits`
+		);
+	}
+	return symbol;
+};
+
+/**
+ * Rule for comma-separated coin symbols (e.g., "BTC,ETH,SOL")
+ * Symbols are upper-cased and de-duplicated.
+ *
+ * @param {Object} options
+ * @param {number} options.max - Maximum number of symbols
+ */
+export const symbolList =
+	({ max = Infinity } = {}) =>
+	(raw, field) => {
+		if (raw == null) return undefined;
+
+		const symbols = [
+			...new Set(
+				raw
+					.split(',')
+					.map((symbol) => symbol.trim().toUpperCase())
+					.filter(Boolean)
+			),
+		];
+
+		const invalid = symbols.find((symbol) => !SYMBOL_PATTERN.test(symbol));
+		if (invalid) {
+			throw new ValidationError(
+				field,
+				`${field} contains an invalid symbol: ${invalid}`
+			);
+		}
+		if (symbols.length > max) {
+			throw new ValidationError(
+				field,
+				`${field} can list at most ${max} coins`
+			);
+		}
+		return symbols;
+	};
+
+/**
+ * Rule for comma-separated lists drawn from a fixed set of values
+ * (e.g., "symbol,price,sentiment"). Duplicates are dropped, order is kept.
+ */
+export const listOf =
+	(allowed, { defaultValue } = {}) =>
+	(raw, field) => {
+		if (raw == null || raw === '') return defaultValue;
+
+		const values = [
+			...new Set(
+				raw
+					.split(',')
+					.map((value) => value.trim())
+					.filter(Boolean)
+			),
+		];
+
+		const invalid = values.find((value) => !allowed.includes(value));
+		if (invalid) {
+			throw new ValidationError(
+				field,
+				`${field} contains an unknown value: ${invalid}`
+			);
+		}
+		return values;
+	};
+
+/**
+ * Validates URL search params against a schema
+ *
+ * @param {URLSearchParams} searchParams - Parameters from the request URL
+ * @param {Object} schema - Map of parameter name to rule
+ * @returns {Object} Parsed values keyed by parameter name
+ * @throws {ValidationError} When a parameter is invalid
+ */
+export function parseQuery(searchParams, schema) {
+	const values = {};
+	for (const [field, rule] of Object.entries(schema)) {
+		values[field] = rule(searchParams.get(field), field);
+	}
+	return values;
+}
+
+/**
+ * Schema for the coin list endpoints (/api/sentiment and friends)
+ */
+export const sentimentQuerySchema = {
+	sort: oneOf(SORT_FIELDS, { defaultValue: DEFAULT_SORT_FIELD }),
+	desc: boolean({ defaultValue: false }),
+	limit: integer({
+		min: 1,
+		max: MAX_LIMIT,
+		clamp: true,
+		defaultValue: DEFAULT_LIMIT,
+	}),
+	offset: integer({ min: 0 }),
+	page: integer({ min: 0 }),
+	symbols: symbolList({ max: MAX_SYMBOLS }),
+};
+
+/**
+ * Parses the coin list query and resolves offset/page into a single page number
+ *
+ * LunarCrush pages are zero-based and `limit` rows long, so an offset must
+ * land on a page boundary.
+ *
+ * @param {URLSearchParams} searchParams - Parameters from the request URL
+ * @returns {Object} { sort, desc, limit, page, symbols }
+ * @throws {ValidationError} When a parameter is invalid
+ */
+export function parseSentimentQuery(searchParams) {
+	const { sort, desc, limit, offset, page, symbols } = parseQuery(
+		searchParams,
+		sentimentQuerySchema
+	);
+
+	if (offset != null && page != null) {
+		throw new ValidationError('offset', 'Use either offset or page, not both');
+	}
+
+	if (offset != null && offset % limit !== 0) {
+		throw new ValidationError(
+			'offset',
+			`offset must be a multiple of limit (${limit})`
+		);
+	}
+
+	return {
+		sort,
+		desc,
+		limit,
+		page: offset != null ? offset / limit : (page ?? 0),
+		symbols,
+	};
+}
+
+/**
+ * Schema for the optional extras on /api/sentiment (e.g., include=signals)
+ * Kept apart from sentimentQuerySchema because it doesn't change which
+ * coins are loaded (or how they're cached and streamed).
+ */
+export const includeQuerySchema = {
+	include: listOf(['signals'], { defaultValue: [] }),
+};
+
+/**
+ * Schema for the extra summary parameter (on top of sentimentQuerySchema)
+ */
+export const summaryQuerySchema = {
+	top: integer({ min: 1, max: 20, defaultValue: 3 }),
+};
+
+/**
+ * Schema for the coin history endpoint
+ */
+export const historyQuerySchema = {
+	interval: oneOf(HISTORY_INTERVALS, {
+		defaultValue: DEFAULT_HISTORY_INTERVAL,
+	}),
+	start: integer({ min: 0 }),
+	end: integer({ min: 0 }),
+};
+
+/**
+ * Schema for the extra export parameters (on top of sentimentQuerySchema)
+ */
+export const exportQuerySchema = {
+	format: oneOf(Object.keys(EXPORT_FORMATS), { defaultValue: 'csv' }),
+	columns: listOf(
+		EXPORT_COLUMNS.map((column) => column.key),
+		{ defaultValue: DEFAULT_EXPORT_COLUMNS }
+	),
+};
+
+/**
+ * Parses the export query: the coin list parameters plus `format` and `columns`
+ *
+ * @param {URLSearchParams} searchParams - Parameters from the request URL
+ * @returns {Object} { sort, desc, limit, page, symbols, format, columns }
+ * @throws {ValidationError} When a parameter is invalid
+ */
+export function parseExportQuery(searchParams) {
+	return {
+		...parseSentimentQuery(searchParams),
+		...parseQuery(searchParams, exportQuerySchema),
+	};
+}
+
+/**
+ * Schema for the embeddable widget's URL (/embed)
+ * Sorting works like the coin list endpoints; `refresh` is in seconds.
+ */
+export const embedQuerySchema = {
+	sort: sentimentQuerySchema.sort,
+	desc: sentimentQuerySchema.desc,
+	limit: integer({
+		min: 1,
+		max: EMBED_SETTINGS.MAX_COINS,
+		clamp: true,
+		defaultValue: EMBED_SETTINGS.DEFAULT_LIMIT,
+	}),
+	symbols: symbolList({ max: EMBED_SETTINGS.MAX_COINS }),
+	metrics: listOf(
+		EMBED_METRICS.map((metric) => metric.key),
+		{ defaultValue: DEFAULT_EMBED_METRICS }
+	),
+	theme: oneOf(EMBED_THEMES, { defaultValue: EMBED_THEMES[0] }),
+	refresh: integer({
+		min: 0,
+		max: EMBED_SETTINGS.MAX_REFRESH,
+		defaultValue: EMBED_SETTINGS.DEFAULT_REFRESH,
+	}),
+};
+
+/**
+ * Parses the widget's configuration from its URL
+ *
+ * @param {URLSearchParams} searchParams - Parameters from the widget URL
+ * @returns {Object} { sort, desc, limit, symbols, metrics, theme, refresh }
+ *   (`symbols` is undefined for a "top N" widget)
+ * @throws {ValidationError} When a parameter is invalid
+ * @example
+ * parseEmbedQuery(new URLSearchParams('symbols=btc,eth&theme=light'));
+ * // => { symbols: ['BTC', 'ETH'], theme: 'light', limit: 5, refresh: 60, ... }
+ */
+export function parseEmbedQuery(searchParams) {
+	const config = parseQuery(searchParams, embedQuerySchema);
+
+	if (config.refresh > 0 && config.refresh < EMBED_SETTINGS.MIN_REFRESH) {
+		throw new ValidationError(
+			'refresh',
+			`refresh must be 0 (off) or at least ${EMBED_SETTINGS.MIN_REFRESH} seconds`
+		);
+	}
+
+	return {
+		...config,
+		// `symbols=` with nothing after it means the top list
+		symbols: config.symbols?.length > 0 ? config.symbols : undefined,
+	};
+}
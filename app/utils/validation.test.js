@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+import { ValidationError, coinSymbol, symbolList } from './validation';
+
+describe('coinSymbol', () => {
+	it('upper-cases valid symbols', () => {
+		expect(coinSymbol()('btc', 'symbol')).toBe('BTC');
+		expect(coinSymbol()('1INCH', 'symbol')).toBe('1INCH');
+	});
+
+	it.each(['', 'BTC/ETH', '../etc', 'A'.repeat(21), undefined])(
+		'rejects %j',
+		(raw) => {
+			expect(() => coinSymbol()(raw, 'symbol')).toThrow(ValidationError);
+		}
+	);
+});
+
+describe('symbolList', () => {
+	it('upper-cases and de-duplicates', () => {
+		expect(symbolList()('btc, eth,BTC', 'symbols')).toEqual(['BTC', 'ETH']);
+	});
+
+	it('rejects invalid symbols and long lists', () => {
+		expect(() => symbolList()('BTC,E$H', 'symbols')).toThrow(
+			'symbols contains an invalid symbol: E$H'
+		);
+		expect(() => symbolList({ max: 1 })('BTC,ETH', 'symbols')).toThrow(
+			ValidationError
+		);
+	});
+});
@@ -0,0 +1,186 @@
+/**
+ * Minimal Excel Workbook Writer
+ * =============================
+ *
+ * Builds a single-sheet .xlsx file without any dependencies, so the same
+ * code runs in the browser and in API routes.
+ *
+ * Key concepts:
+ * 1. An .xlsx file is a ZIP archive of a few XML files
+ * 2. Cells use inline strings, so no shared string table is needed
+ * 3. Files are stored uncompressed - Excel, Numbers, LibreOffice and
+ *    Google Sheets all accept that, and it keeps the ZIP writer tiny
+ */
+
+const encoder = new TextEncoder();
+
+// ===== ZIP =====
+
+/**
+ * CRC-32 lookup table (required by the ZIP format for every file)
+ */
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+	let c = n;
+	for (let k = 0; k < 8; k++) {
+		c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+	}
+	return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+	let crc = 0xffffffff;
+	for (const byte of bytes) {
+		crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Packs files into an uncompressed ZIP archive
+ *
+ * @param {Object[]} files - [{ name, content }] where content is a string
+ * @returns {Uint8Array} The ZIP archive
+ */
+const zip = (files) => {
+	const localParts = [];
+	const centralParts = [];
+	let offset = 0;
+
+	for (const file of files) {
+		const name = encoder.encode(file.name);
+		const data = encoder.encode(file.content);
+		const crc = crc32(data);
+
+		// Local file header followed by the file data
+		const local = new DataView(new ArrayBuffer(30));
+		local.setUint32(0, 0x04034b50, true); // Signature
+		local.setUint16(4, 20, true); // Version needed
+		local.setUint16(8, 0, true); // Method: stored
+		local.setUint16(12, 0x21, true); // Date: 1980-01-01
+		local.setUint32(14, crc, true);
+		local.setUint32(18, data.length, true); // Compressed size
+		local.setUint32(22, data.length, true); // Uncompressed size
+		local.setUint16(26, name.length, true);
+		localParts.push(new Uint8Array(local.buffer), name, data);
+
+		// Central directory entry pointing back at the local header
+		const central = new DataView(new ArrayBuffer(46));
+		central.setUint32(0, 0x02014b50, true); // Signature
+		central.setUint16(4, 20, true); // Version made by
+		central.setUint16(6, 20, true); // Version needed
+		central.setUint16(14, 0x21, true); // Date: 1980-01-01
+		central.setUint32(16, crc, true);
+		central.setUint32(20, data.length, true);
+		central.setUint32(24, data.length, true);
+		central.setUint16(28, name.length, true);
+		central.setUint32(42, offset, true); // Local header offset
+		centralParts.push(new Uint8Array(central.buffer), name);
+
+		offset += 30 + name.length + data.length;
+	}
+
+	const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+	// End of central directory record
+	const end = new DataView(new ArrayBuffer(22));
+	end.setUint32(0, 0x06054b50, true); // Signature
+	end.setUint16(8, files.length, true); // Entries on this disk
+	end.setUint16(10, files.length, true); // Total entries
+	end.setUint32(12, centralSize, true);
+	end.setUint32(16, offset, true); // Central directory offset
+
+	const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+	const output = new Uint8Array(offset + centralSize + 22);
+	let position = 0;
+	for (const part of parts) {
+		output.set(part, position);
+		position += part.length;
+	}
+	return output;
+};
+
+// ===== SPREADSHEET XML =====
+
+const escapeXml = (value) =>
+	String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+
+/**
+ * Converts a zero-based column index to a column name (0 -> A, 27 -> AB)
+ */
+const columnName = (index) => {
+	let name = '';
+	for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+		name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+	}
+	return name;
+};
+
+/**
+ * Builds one <c> cell - numbers stay numeric so Excel can sum and sort them
+ */
+const cellXml = (value, ref) => {
+	if (value == null || value === '') return '';
+	if (typeof value === 'number' && isFinite(value)) {
+		return `<c r="${ref}"><v>${value}</v></c>`;
+	}
+	return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+};
+
+/**
+ * Builds an .xlsx workbook with a single sheet
+ *
+ * @param {Array[]} rows - Rows of cell values; the first row is usually the header
+ * @param {Object} options
+ * @param {string} options.sheetName - Name of the worksheet tab
+ * @returns {Uint8Array} The .xlsx file contents
+ * @example
+ * const bytes = buildWorkbook([['Symbol', 'Price'], ['BTC', 105000]]);
+ */
+export function buildWorkbook(rows, { sheetName = 'Sheet1' } = {}) {
+	const sheetRows = rows
+		.map(
+			(row, rowIndex) =>
+				`<row r="${rowIndex + 1}">${row
+					.map((value, colIndex) =>
+						cellXml(value, `${columnName(colIndex)}${rowIndex + 1}`)
+					)
+					.join('')}</row>`
+		)
+		.join('');
+
+	const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+	const mainNs = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+	const relNs =
+		'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+	const pkgRelNs =
+		'http://schemas.openxmlformats.org/package/2006/relationships';
+
+	return zip([
+		{
+			name: '[Content_Types].xml',
+			content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+		},
+		{
+			name: '_rels/.rels',
+			content: `${xmlHeader}<Relationships xmlns="${pkgRelNs}"><Relationship Id="rId1" Type="${relNs}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+		},
+		{
+			name: 'xl/workbook.xml',
+			content: `${xmlHeader}<workbook xmlns="${mainNs}" xmlns:r="${relNs}"><sheets><sheet name="${escapeXml(
+				sheetName
+			)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+		},
+		{
+			name: 'xl/_rels/workbook.xml.rels',
+			content: `${xmlHeader}<Relationships xmlns="${pkgRelNs}"><Relationship Id="rId1" Type="${relNs}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+		},
+		{
+			name: 'xl/worksheets/sheet1.xml',
+			content: `${xmlHeader}<worksheet xmlns="${mainNs}"><sheetData>${sheetRows}</sheetData></worksheet>`,
+		},
+	]);
+}
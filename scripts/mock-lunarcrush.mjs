@@ -0,0 +1,134 @@
+/**
+ * Local LunarCrush Stand-in
+ * =========================
+ *
+ * A tiny HTTP server that answers like the LunarCrush API, with coins from
+ * the mock generator (app/data/mockGenerator.js). Point the dashboard at it
+ * to work offline, or to try a scenario end to end:
+ *
+ *   npm run mock:lunarcrush -- --coins 1000 --scenario crash
+ *
+ *   # .env.local
+ *   LUNARCRUSH_BASE_URL=http://localhost:4010/api4/public/
+ *   LUNARCRUSH_API_TOKEN=anything
+ *
+ * Options: --port (default 4010), --coins (default 500), --seed (default 1)
+ * and --scenario (normal, crash, euphoria, missing-fields or nulls).
+ *
+ * Endpoints:
+ * - GET /api4/public/coins/list/v1?sort=&desc=&limit=&page=
+ * - GET /api4/public/coins/:symbol/v1
+ *
+ * Requests without a bearer token get a 401, like the real API, and every
+ * response carries X-RateLimit-* headers (the quota is never enforced).
+ */
+
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+import {
+	MOCK_SCENARIOS,
+	generateMockCoins,
+} from '../app/data/mockGenerator.js';
+import { sortCoins } from '../app/utils/sorting.js';
+
+const BASE_PATH = '/api4/public/';
+const MAX_LIMIT = 1000;
+const RATE_LIMIT = 10000;
+
+const { values: options } = parseArgs({
+	options: {
+		port: { type: 'string', default: '4010' },
+		coins: { type: 'string', default: '500' },
+		seed: { type: 'string', default: '1' },
+		scenario: { type: 'string', default: 'normal' },
+	},
+});
+
+if (!MOCK_SCENARIOS[options.scenario]) {
+	console.error(
+		`Unknown scenario "${options.scenario}" - use one of: ${Object.keys(MOCK_SCENARIOS).join(', ')}`
+	);
+	process.exit(1);
+}
+
+// The coins never change while the server runs; `generated` is the start time
+const list = generateMockCoins({
+	count: Number(options.coins),
+	seed: Number(options.seed),
+	scenario: options.scenario,
+	generated: Math.floor(Date.now() / 1000),
+});
+let requestCount = 0;
+
+/**
+ * Sends a JSON response with the rate-limit headers
+ */
+const sendJson = (response, status, body) => {
+	response.writeHead(status, {
+		'Content-Type': 'application/json',
+		'X-RateLimit-Limit': String(RATE_LIMIT),
+		'X-RateLimit-Remaining': String(Math.max(0, RATE_LIMIT - requestCount)),
+	});
+	response.end(JSON.stringify(body));
+};
+
+/**
+ * GET coins/list/v1 - one sorted page of the coin list
+ */
+const handleList = (query) => {
+	const sort = query.get('sort') || 'alt_rank';
+	const desc = query.get('desc') === '1' || query.get('desc') === 'true';
+	const limit = Math.min(MAX_LIMIT, Number(query.get('limit')) || 10);
+	const page = Number(query.get('page')) || 0;
+
+	// Sorts like LunarCrush: missing values always go last
+	const sorted = sortCoins(list.data, sort, desc);
+	return {
+		config: {
+			...list.config,
+			sort,
+			desc,
+			limit,
+			page,
+			total_rows: sorted.length,
+		},
+		data: sorted.slice(page * limit, (page + 1) * limit),
+	};
+};
+
+const server = http.createServer((request, response) => {
+	requestCount++;
+	const url = new URL(request.url, `http://${request.headers.host}`);
+	console.log(`${request.method} ${url.pathname}${url.search}`);
+
+	// Step 1: Require a token, like the real API
+	if (!/^Bearer \S+/.test(request.headers.authorization ?? '')) {
+		return sendJson(response, 401, { error: 'Missing API key' });
+	}
+	if (request.method !== 'GET' || !url.pathname.startsWith(BASE_PATH)) {
+		return sendJson(response, 404, { error: 'Not found' });
+	}
+
+	// Step 2: Route to the endpoint
+	const path = url.pathname.slice(BASE_PATH.length);
+	if (path === 'coins/list/v1') {
+		return sendJson(response, 200, handleList(url.searchParams));
+	}
+
+	const coinMatch = path.match(/^coins\/([^/]+)\/v1$/);
+	if (coinMatch) {
+		const symbol = decodeURIComponent(coinMatch[1]).toUpperCase();
+		const coin = list.data.find((item) => item.symbol === symbol);
+		return coin
+			? sendJson(response, 200, { config: list.config, data: coin })
+			: sendJson(response, 404, { error: `Unknown coin ${symbol}` });
+	}
+
+	return sendJson(response, 404, { error: 'Not found' });
+});
+
+server.listen(Number(options.port), () => {
+	console.log(
+		`LunarCrush stand-in: ${list.data.length} coins (${options.scenario}, seed ${options.seed}) at http://localhost:${options.port}${BASE_PATH}`
+	);
+});
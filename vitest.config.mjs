@@ -0,0 +1,22 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+const root = fileURLToPath(new URL('.', import.meta.url));
+
+export default defineConfig({
+	// Components are JSX in .js files, like Next.js allows
+	esbuild: {
+		include: /\.[jt]sx?$/,
+		exclude: [],
+		loader: 'jsx',
+		jsx: 'automatic',
+	},
+	resolve: {
+		alias: [{ find: /^@\//, replacement: root }],
+	},
+	test: {
+		environment: 'jsdom',
+		include: ['app/**/*.test.js'],
+		setupFiles: ['./vitest.setup.js'],
+	},
+});
@@ -0,0 +1,5 @@
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+// Unmount what each test rendered, so queries don't see earlier tests' output
+afterEach(cleanup);